@@ -1,21 +1,28 @@
 import bcrypt from 'bcryptjs';
 
+// Usage: node generate_hash.js <password> [email]
 async function generateHash() {
-    const password = 'password123';
+    const [password, email] = process.argv.slice(2);
     const saltRounds = 12;
+
+    if (!password) {
+        console.error('Usage: node generate_hash.js <password> [email]');
+        process.exit(1);
+    }
     
     try {
         const hash = await bcrypt.hash(password, saltRounds);
-        console.log('Password:', password);
         console.log('Hash:', hash);
         
         // Test the hash
         const isValid = await bcrypt.compare(password, hash);
         console.log('Hash validation:', isValid);
         
-        // SQL UPDATE statement
-        console.log('\n--- SQL UPDATE STATEMENT ---');
-        console.log(`UPDATE users SET password_hash = '${hash}' WHERE email IN ('admin@xfactor.co.il', 'learner1@company1.co.il', 'learner2@company1.co.il');`);
+        if (email) {
+            // SQL UPDATE statement
+            console.log('\n--- SQL UPDATE STATEMENT ---');
+            console.log(`UPDATE users SET password_hash = '${hash}', password_setup_required = FALSE WHERE email = '${email.replace(/'/g, "''")}';`);
+        }
         
     } catch (error) {
         console.error('Error:', error);
@@ -156,15 +156,15 @@ CREATE INDEX idx_system_settings_key ON system_settings(key);
 -- =============================================================================
 
 -- Insert sample users for development/testing
--- Password for all users: "password123" (hashed with bcrypt)
+-- No passwords are seeded: on first login each user is emailed a one-time password setup link
 INSERT INTO users (email, password_hash, first_name, last_name, role, company, team, phone) VALUES
 -- Admin user
-('admin@xfactor.co.il', '$2a$12$LQv3c1yqBWVHxkd0LHAkCOYz6TtxMQJqhN8/LewdBPj/RK.s5uO.2', 'אדמין', 'ראשי', 'admin', 'XFactor Daily', 'ניהול', '+972501234567'),
+('admin@xfactor.co.il', NULL, 'אדמין', 'ראשי', 'admin', 'XFactor Daily', 'ניהול', '+972501234567'),
 
 -- Learner users  
-('learner1@company1.co.il', '$2a$12$LQv3c1yqBWVHxkd0LHAkCOYz6TtxMQJqhN8/LewdBPj/RK.s5uO.2', 'משה', 'אברהם', 'learner', 'חברת בנייה א', 'מהנדסים', '+972505678901'),
-('learner2@company1.co.il', '$2a$12$LQv3c1yqBWVHxkd0LHAkCOYz6TtxMQJqhN8/LewdBPj/RK.s5uO.2', 'שרה', 'יעקב', 'learner', 'חברת בנייה א', 'מפקחים', '+972506789012');
+('learner1@company1.co.il', NULL, 'משה', 'אברהם', 'learner', 'חברת בנייה א', 'מהנדסים', '+972505678901'),
+('learner2@company1.co.il', NULL, 'שרה', 'יעקב', 'learner', 'חברת בנייה א', 'מפקחים', '+972506789012');
 
 -- Success message
 SELECT 'Database setup completed successfully! All tables created with sample users.' as status,
-       '1 admin and 2 learners added for development/testing. Password: "password123"' as note;
+       '1 admin and 2 learners added for development/testing. Log in once to receive a password setup link.' as note;
@@ -0,0 +1,64 @@
+-- Create Chat Conversations & Messages Tables for the AI lesson assistant
+CREATE TABLE chat_conversations (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    lesson_id UUID REFERENCES lessons(id) ON DELETE SET NULL, -- Optional lesson the conversation is about
+    title VARCHAR(255),
+    
+    created_at TIMESTAMP DEFAULT NOW(),
+    updated_at TIMESTAMP DEFAULT NOW()
+);
+
+CREATE TABLE chat_messages (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    conversation_id UUID NOT NULL REFERENCES chat_conversations(id) ON DELETE CASCADE,
+    user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    role VARCHAR(20) NOT NULL CHECK (role IN ('user', 'assistant')),
+    content TEXT NOT NULL,
+    
+    -- Model metadata (assistant messages only)
+    provider VARCHAR(50),
+    model VARCHAR(100),
+    usage JSONB, -- {promptTokens, completionTokens, totalTokens}
+    
+    created_at TIMESTAMP DEFAULT NOW()
+);
+
+-- Create indexes for better performance
+CREATE INDEX idx_chat_conversations_user_id ON chat_conversations(user_id);
+CREATE INDEX idx_chat_conversations_lesson_id ON chat_conversations(lesson_id);
+CREATE INDEX idx_chat_conversations_updated_at ON chat_conversations(updated_at);
+CREATE INDEX idx_chat_messages_conversation_id ON chat_messages(conversation_id, created_at);
+CREATE INDEX idx_chat_messages_user_id ON chat_messages(user_id);
+CREATE INDEX idx_chat_messages_created_at ON chat_messages(created_at);
+
+-- Row Level Security - learners only see their own conversations
+ALTER TABLE chat_conversations ENABLE ROW LEVEL SECURITY;
+ALTER TABLE chat_messages ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "Users can view own conversations" ON chat_conversations
+    FOR SELECT USING (user_id = auth.uid()::uuid);
+
+CREATE POLICY "Users can delete own conversations" ON chat_conversations
+    FOR DELETE USING (user_id = auth.uid()::uuid);
+
+CREATE POLICY "Users can view own chat messages" ON chat_messages
+    FOR SELECT USING (user_id = auth.uid()::uuid);
+
+CREATE POLICY "Admins can view all conversations" ON chat_conversations
+    FOR SELECT USING (
+        EXISTS (
+            SELECT 1 FROM users 
+            WHERE id = auth.uid()::uuid 
+            AND role = 'admin'
+        )
+    );
+
+CREATE POLICY "Admins can view all chat messages" ON chat_messages
+    FOR SELECT USING (
+        EXISTS (
+            SELECT 1 FROM users 
+            WHERE id = auth.uid()::uuid 
+            AND role = 'admin'
+        )
+    );
@@ -0,0 +1,37 @@
+-- Create Lesson Material Chunks Table - retrieval index over lesson PDF support materials
+-- Rebuilt by the server whenever a lesson's support materials change
+CREATE TABLE lesson_material_chunks (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    lesson_id UUID NOT NULL REFERENCES lessons(id) ON DELETE CASCADE,
+    material_id VARCHAR(100) NOT NULL, -- support_materials[].id
+    material_name VARCHAR(255),
+    cloudinary_public_id VARCHAR(255),
+    page_number INTEGER NOT NULL,
+    chunk_index INTEGER NOT NULL,
+    content TEXT NOT NULL,
+    
+    -- BM25 index data
+    term_frequencies JSONB DEFAULT '{}', -- {term: count}
+    token_count INTEGER DEFAULT 0,
+    
+    created_at TIMESTAMP DEFAULT NOW()
+);
+
+-- Create indexes for better performance
+CREATE INDEX idx_lesson_material_chunks_lesson_id ON lesson_material_chunks(lesson_id);
+CREATE INDEX idx_lesson_material_chunks_material_id ON lesson_material_chunks(lesson_id, material_id);
+
+-- Sources cited by assistant answers - [{materialId, materialName, page}]
+ALTER TABLE chat_messages ADD COLUMN sources JSONB DEFAULT '[]';
+
+-- Row Level Security - index is only read by the server (service role)
+ALTER TABLE lesson_material_chunks ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "Admins can view material chunks" ON lesson_material_chunks
+    FOR SELECT USING (
+        EXISTS (
+            SELECT 1 FROM users 
+            WHERE id = auth.uid()::uuid 
+            AND role = 'admin'
+        )
+    );
@@ -0,0 +1,15 @@
+-- Default chat assistant quotas (see src/services/chatQuota.js for the format)
+-- null = unlimited. Per-learner limits resolve user > company > role > default;
+-- company_pools cap the total questions of a whole company.
+INSERT INTO system_settings (key, value, description) VALUES
+('chat_quotas', '{
+    "default": {"daily": 30, "monthly": 500},
+    "roles": {
+        "admin": {"daily": null, "monthly": null},
+        "support": {"daily": null, "monthly": null}
+    },
+    "companies": {},
+    "users": {},
+    "company_pools": {}
+}', 'AI assistant question quotas per user, role and company')
+ON CONFLICT (key) DO NOTHING;
@@ -0,0 +1,72 @@
+-- Create Chat Flags Table - admin review queue for moderated assistant exchanges
+CREATE TABLE chat_flags (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    user_id UUID REFERENCES users(id) ON DELETE CASCADE,
+    conversation_id UUID REFERENCES chat_conversations(id) ON DELETE SET NULL,
+    message_id UUID REFERENCES chat_messages(id) ON DELETE SET NULL,
+    stage VARCHAR(20) NOT NULL CHECK (stage IN ('input', 'output')),
+    reason VARCHAR(50) NOT NULL, -- abusive, off_topic, unsafe_advice
+    matches TEXT[] DEFAULT '{}', -- Rules that matched
+    content TEXT, -- Blocked question (PII redacted) or flagged answer
+    
+    -- Review
+    status VARCHAR(20) DEFAULT 'pending' CHECK (status IN ('pending', 'confirmed', 'dismissed')),
+    review_note TEXT,
+    reviewed_by UUID REFERENCES users(id),
+    reviewed_at TIMESTAMP,
+    
+    created_at TIMESTAMP DEFAULT NOW()
+);
+
+-- Create indexes for better performance
+CREATE INDEX idx_chat_flags_status ON chat_flags(status);
+CREATE INDEX idx_chat_flags_created_at ON chat_flags(created_at);
+CREATE INDEX idx_chat_flags_user_id ON chat_flags(user_id);
+
+-- Row Level Security - review queue is admin only
+ALTER TABLE chat_flags ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "Admins can view chat flags" ON chat_flags
+    FOR SELECT USING (
+        EXISTS (
+            SELECT 1 FROM users 
+            WHERE id = auth.uid()::uuid 
+            AND role = 'admin'
+        )
+    );
+
+CREATE POLICY "Admins can update chat flags" ON chat_flags
+    FOR UPDATE USING (
+        EXISTS (
+            SELECT 1 FROM users 
+            WHERE id = auth.uid()::uuid 
+            AND role = 'admin'
+        )
+    );
+
+-- Default moderation rules (patterns are case-insensitive regular expressions)
+INSERT INTO system_settings (key, value, description) VALUES
+('chat_moderation', '{
+    "enabled": true,
+    "redact_pii": true,
+    "flag_blocked_inputs": true,
+    "blocked_terms": [],
+    "off_topic_patterns": [
+        "הימורים|קזינו|casino|gambling",
+        "ביטקוין|bitcoin|crypto",
+        "פוליטיקה|בחירות|politics"
+    ],
+    "unsafe_advice_patterns": [
+        "בלי רתמ",
+        "ללא רתמ",
+        "without (a |the )?(safety )?harness",
+        "(להסיר|להוריד|לפרק) (את )?(ה)?מעק",
+        "remove (the )?guard ?rails?",
+        "לעקוף (את )?(ה)?(מפסק|פחת|נתיך|אמצעי הבטיחות)",
+        "bypass (the )?(breaker|interlock|safety)",
+        "(אין צורך|לא צריך) (ב)?(קסדה|רתמה|משקפי מגן|כפפות)",
+        "no need (for|to wear) (a )?(helmet|harness)"
+    ],
+    "unsafe_answer_notice": "⚠️ תשובה זו סומנה לבדיקה. יש לפעול תמיד לפי הוראות הבטיחות ולהתייעץ עם ממונה הבטיחות באתר."
+}', 'AI assistant moderation rules (blocked terms, off-topic and unsafe advice patterns)')
+ON CONFLICT (key) DO NOTHING;
@@ -0,0 +1,34 @@
+-- Create Chat Message Feedback Table - learner ratings of assistant answers
+CREATE TABLE chat_message_feedback (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    message_id UUID NOT NULL REFERENCES chat_messages(id) ON DELETE CASCADE,
+    user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    rating VARCHAR(10) NOT NULL CHECK (rating IN ('up', 'down')),
+    comment TEXT,
+    
+    created_at TIMESTAMP DEFAULT NOW(),
+    updated_at TIMESTAMP DEFAULT NOW(),
+    
+    -- One rating per learner per answer (re-rating updates it)
+    UNIQUE (message_id, user_id)
+);
+
+-- Create indexes for better performance
+CREATE INDEX idx_chat_message_feedback_message_id ON chat_message_feedback(message_id);
+CREATE INDEX idx_chat_message_feedback_created_at ON chat_message_feedback(created_at);
+CREATE INDEX idx_chat_message_feedback_rating ON chat_message_feedback(rating);
+
+-- Row Level Security
+ALTER TABLE chat_message_feedback ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "Users can view own feedback" ON chat_message_feedback
+    FOR SELECT USING (user_id = auth.uid()::uuid);
+
+CREATE POLICY "Admins can view all feedback" ON chat_message_feedback
+    FOR SELECT USING (
+        EXISTS (
+            SELECT 1 FROM users 
+            WHERE id = auth.uid()::uuid 
+            AND role = 'admin'
+        )
+    );
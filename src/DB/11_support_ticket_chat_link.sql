@@ -0,0 +1,8 @@
+-- Link support tickets to the chat conversation they were escalated from
+ALTER TABLE support_tickets
+    ADD COLUMN chat_conversation_id UUID REFERENCES chat_conversations(id) ON DELETE SET NULL;
+
+ALTER TABLE chat_conversations
+    ADD COLUMN support_ticket_id UUID REFERENCES support_tickets(id) ON DELETE SET NULL;
+
+CREATE INDEX idx_support_tickets_chat_conversation_id ON support_tickets(chat_conversation_id);
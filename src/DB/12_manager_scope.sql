@@ -0,0 +1,7 @@
+-- Manager data scope: explicit lists of managed companies / teams.
+-- Empty lists mean "the manager's own company, all teams".
+ALTER TABLE users
+    ADD COLUMN managed_companies TEXT[] DEFAULT '{}',
+    ADD COLUMN managed_teams TEXT[] DEFAULT '{}';
+
+CREATE INDEX idx_users_team ON users(team);
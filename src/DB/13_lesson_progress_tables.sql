@@ -0,0 +1,329 @@
+-- Normalized lesson progress: one row per (user, lesson) and one row per watch session.
+-- Replaces the users.lesson_progress JSONB blob, which was rewritten in full on every update
+-- (concurrent tabs overwrote each other). Writes go through the atomic upsert functions below.
+
+CREATE TABLE lesson_progress (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    lesson_id UUID NOT NULL REFERENCES lessons(id) ON DELETE CASCADE,
+    status VARCHAR(20) NOT NULL DEFAULT 'in_progress' CHECK (status IN ('in_progress', 'completed')),
+
+    -- Playback
+    last_watched_position NUMERIC DEFAULT 0, -- in seconds
+    total_watch_time NUMERIC DEFAULT 0, -- in seconds
+    final_watch_time NUMERIC,
+    completion_percentage NUMERIC DEFAULT 0 CHECK (completion_percentage BETWEEN 0 AND 100),
+
+    -- Completion feedback
+    rating NUMERIC,
+    feedback TEXT,
+    session_summary JSONB,
+
+    -- Any other keys the clients stored in the legacy JSONB entry
+    extra JSONB DEFAULT '{}',
+
+    started_at TIMESTAMPTZ,
+    completed_at TIMESTAMPTZ,
+    created_at TIMESTAMPTZ DEFAULT NOW(),
+    updated_at TIMESTAMPTZ DEFAULT NOW(),
+
+    UNIQUE (user_id, lesson_id)
+);
+
+CREATE TABLE watch_sessions (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    lesson_id UUID NOT NULL REFERENCES lessons(id) ON DELETE CASCADE,
+    session_id VARCHAR(100) NOT NULL, -- Client-generated session ID
+    device_info JSONB,
+    last_position NUMERIC,
+    events JSONB DEFAULT '[]', -- [{type, position, from?, timestamp}] - see services/watchEvents.js
+    data JSONB DEFAULT '{}', -- Other watch_session_data fields sent by the client
+
+    started_at TIMESTAMPTZ DEFAULT NOW(),
+    updated_at TIMESTAMPTZ DEFAULT NOW(),
+
+    UNIQUE (user_id, lesson_id, session_id)
+);
+
+-- Create indexes for better performance
+CREATE INDEX idx_lesson_progress_user_id ON lesson_progress(user_id);
+CREATE INDEX idx_lesson_progress_lesson_id ON lesson_progress(lesson_id);
+CREATE INDEX idx_lesson_progress_status ON lesson_progress(status);
+CREATE INDEX idx_lesson_progress_completed_at ON lesson_progress(completed_at);
+CREATE INDEX idx_watch_sessions_user_lesson ON watch_sessions(user_id, lesson_id);
+CREATE INDEX idx_watch_sessions_lesson_id ON watch_sessions(lesson_id);
+
+-- Row Level Security
+ALTER TABLE lesson_progress ENABLE ROW LEVEL SECURITY;
+ALTER TABLE watch_sessions ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "Users can view own lesson progress" ON lesson_progress
+    FOR SELECT USING (user_id = auth.uid()::uuid);
+
+CREATE POLICY "Users can view own watch sessions" ON watch_sessions
+    FOR SELECT USING (user_id = auth.uid()::uuid);
+
+CREATE POLICY "Admins can view all lesson progress" ON lesson_progress
+    FOR SELECT USING (
+        EXISTS (
+            SELECT 1 FROM users
+            WHERE id = auth.uid()::uuid
+            AND role = 'admin'
+        )
+    );
+
+CREATE POLICY "Admins can view all watch sessions" ON watch_sessions
+    FOR SELECT USING (
+        EXISTS (
+            SELECT 1 FROM users
+            WHERE id = auth.uid()::uuid
+            AND role = 'admin'
+        )
+    );
+
+-- =============================================================================
+-- ATOMIC UPSERTS (called through supabase.rpc from services/progressStore.js)
+-- =============================================================================
+
+-- Append watch events to a session, skipping ones already stored (clients resend failed batches)
+CREATE OR REPLACE FUNCTION merge_watch_events(p_existing JSONB, p_incoming JSONB)
+RETURNS JSONB AS $$
+    SELECT COALESCE(jsonb_agg(event ORDER BY event->>'timestamp'), '[]'::jsonb)
+    FROM (
+        SELECT event
+        FROM (
+            SELECT DISTINCT event
+            FROM jsonb_array_elements(COALESCE(p_existing, '[]'::jsonb) || COALESCE(p_incoming, '[]'::jsonb)) AS event
+        ) distinct_events
+        ORDER BY event->>'timestamp' DESC
+        LIMIT 5000
+    ) latest_events;
+$$ LANGUAGE sql IMMUTABLE;
+
+-- POST /api/lessons/:id/start
+CREATE OR REPLACE FUNCTION start_lesson_session(
+    p_user_id UUID,
+    p_lesson_id UUID,
+    p_session_id TEXT,
+    p_device_info JSONB
+)
+RETURNS JSONB AS $$
+DECLARE
+    v_progress lesson_progress;
+    v_session watch_sessions;
+BEGIN
+    INSERT INTO lesson_progress (user_id, lesson_id, status, started_at)
+    VALUES (p_user_id, p_lesson_id, 'in_progress', NOW())
+    ON CONFLICT (user_id, lesson_id) DO UPDATE
+        SET started_at = COALESCE(lesson_progress.started_at, EXCLUDED.started_at),
+            updated_at = NOW()
+    RETURNING * INTO v_progress;
+
+    INSERT INTO watch_sessions (user_id, lesson_id, session_id, device_info)
+    VALUES (p_user_id, p_lesson_id, p_session_id, p_device_info)
+    ON CONFLICT (user_id, lesson_id, session_id) DO UPDATE
+        SET updated_at = NOW()
+    RETURNING * INTO v_session;
+
+    UPDATE users
+    SET last_activity_date = CURRENT_DATE, updated_at = NOW()
+    WHERE id = p_user_id;
+
+    RETURN jsonb_build_object('progress', to_jsonb(v_progress), 'session', to_jsonb(v_session));
+END;
+$$ LANGUAGE plpgsql;
+
+-- PUT /api/lessons/:id/progress
+CREATE OR REPLACE FUNCTION upsert_lesson_progress(
+    p_user_id UUID,
+    p_lesson_id UUID,
+    p_last_watched_position NUMERIC,
+    p_total_watch_time NUMERIC,
+    p_completion_percentage NUMERIC,
+    p_session_id TEXT DEFAULT NULL,
+    p_session_data JSONB DEFAULT '{}',
+    p_events JSONB DEFAULT '[]'
+)
+RETURNS JSONB AS $$
+DECLARE
+    v_percentage NUMERIC := LEAST(GREATEST(COALESCE(p_completion_percentage, 0), 0), 100);
+    v_progress lesson_progress;
+BEGIN
+    INSERT INTO lesson_progress (
+        user_id, lesson_id, status, started_at,
+        last_watched_position, total_watch_time, completion_percentage
+    )
+    VALUES (
+        p_user_id, p_lesson_id,
+        CASE WHEN v_percentage >= 100 THEN 'completed' ELSE 'in_progress' END,
+        NOW(), p_last_watched_position, p_total_watch_time, v_percentage
+    )
+    ON CONFLICT (user_id, lesson_id) DO UPDATE
+        SET status = CASE
+                WHEN lesson_progress.status = 'completed' OR EXCLUDED.completion_percentage >= 100 THEN 'completed'
+                ELSE 'in_progress'
+            END,
+            last_watched_position = EXCLUDED.last_watched_position,
+            total_watch_time = GREATEST(EXCLUDED.total_watch_time, COALESCE(lesson_progress.total_watch_time, 0)),
+            completion_percentage = LEAST(GREATEST(EXCLUDED.completion_percentage, COALESCE(lesson_progress.completion_percentage, 0)), 100),
+            updated_at = NOW()
+    RETURNING * INTO v_progress;
+
+    IF p_session_id IS NOT NULL THEN
+        INSERT INTO watch_sessions (user_id, lesson_id, session_id, device_info, last_position, events, data)
+        VALUES (
+            p_user_id, p_lesson_id, p_session_id,
+            p_session_data->'device_info',
+            p_last_watched_position,
+            merge_watch_events('[]'::jsonb, p_events),
+            COALESCE(p_session_data, '{}'::jsonb) - 'device_info'
+        )
+        ON CONFLICT (user_id, lesson_id, session_id) DO UPDATE
+            SET device_info = COALESCE(EXCLUDED.device_info, watch_sessions.device_info),
+                last_position = EXCLUDED.last_position,
+                events = merge_watch_events(watch_sessions.events, p_events),
+                data = watch_sessions.data || EXCLUDED.data,
+                updated_at = NOW();
+    END IF;
+
+    UPDATE users
+    SET last_activity_date = CURRENT_DATE, updated_at = NOW()
+    WHERE id = p_user_id;
+
+    RETURN jsonb_build_object('progress', to_jsonb(v_progress));
+END;
+$$ LANGUAGE plpgsql;
+
+-- POST /api/lessons/:id/complete (streaks and badges are computed by the API afterwards)
+CREATE OR REPLACE FUNCTION complete_lesson_progress(
+    p_user_id UUID,
+    p_lesson_id UUID,
+    p_final_watch_time NUMERIC DEFAULT NULL,
+    p_rating NUMERIC DEFAULT NULL,
+    p_feedback TEXT DEFAULT NULL,
+    p_session_summary JSONB DEFAULT NULL
+)
+RETURNS JSONB AS $$
+DECLARE
+    v_previous lesson_progress;
+    v_progress lesson_progress;
+BEGIN
+    -- Make sure the row exists before locking it: on a first completion there is nothing
+    -- to lock yet, and two concurrent completions would both see was_already_completed = false.
+    -- A concurrent insert makes this wait until the other transaction commits.
+    INSERT INTO lesson_progress (user_id, lesson_id, status, started_at)
+    VALUES (p_user_id, p_lesson_id, 'in_progress', NOW())
+    ON CONFLICT (user_id, lesson_id) DO NOTHING;
+
+    -- Lock the row so two concurrent completions agree on was_already_completed
+    SELECT * INTO v_previous
+    FROM lesson_progress
+    WHERE user_id = p_user_id AND lesson_id = p_lesson_id
+    FOR UPDATE;
+
+    UPDATE lesson_progress
+    SET status = 'completed',
+        started_at = COALESCE(started_at, NOW()),
+        completed_at = NOW(),
+        last_watched_position = 0, -- Reset to 0 when completed
+        total_watch_time = GREATEST(COALESCE(p_final_watch_time, 0), COALESCE(total_watch_time, 0)),
+        final_watch_time = COALESCE(NULLIF(p_final_watch_time, 0), total_watch_time, 0),
+        completion_percentage = 100,
+        rating = COALESCE(p_rating, rating),
+        feedback = COALESCE(p_feedback, feedback),
+        session_summary = COALESCE(p_session_summary, session_summary),
+        updated_at = NOW()
+    WHERE id = v_previous.id
+    RETURNING * INTO v_progress;
+
+    RETURN jsonb_build_object(
+        'progress', to_jsonb(v_progress),
+        'was_already_completed', COALESCE(v_previous.status = 'completed', false)
+    );
+END;
+$$ LANGUAGE plpgsql;
+
+-- =============================================================================
+-- MIGRATE THE LEGACY users.lesson_progress JSONB
+-- The column is kept (no longer written) until the migration has been verified.
+-- =============================================================================
+
+-- Numeric JSON values that may have been stored as strings
+CREATE OR REPLACE FUNCTION jsonb_to_numeric_or_null(p_value JSONB)
+RETURNS NUMERIC AS $$
+BEGIN
+    RETURN (p_value #>> '{}')::numeric;
+EXCEPTION WHEN others THEN
+    RETURN NULL;
+END;
+$$ LANGUAGE plpgsql IMMUTABLE;
+
+-- Timestamps written by old clients (empty strings, "Invalid Date", local formats) become NULL
+-- instead of failing the whole migration
+CREATE OR REPLACE FUNCTION jsonb_to_timestamptz_or_null(p_value JSONB)
+RETURNS TIMESTAMPTZ AS $$
+BEGIN
+    RETURN (p_value #>> '{}')::timestamptz;
+EXCEPTION WHEN others THEN
+    RETURN NULL;
+END;
+$$ LANGUAGE plpgsql STABLE;
+
+INSERT INTO lesson_progress (
+    user_id, lesson_id, status,
+    last_watched_position, total_watch_time, final_watch_time, completion_percentage,
+    rating, feedback, session_summary, extra,
+    started_at, completed_at, updated_at
+)
+SELECT
+    u.id,
+    entry.key::uuid,
+    CASE
+        WHEN entry.value->>'status' = 'completed' OR entry.value->>'completed' = 'true' THEN 'completed'
+        ELSE 'in_progress'
+    END,
+    COALESCE(jsonb_to_numeric_or_null(entry.value->'last_watched_position'), 0),
+    COALESCE(jsonb_to_numeric_or_null(entry.value->'total_watch_time'), 0),
+    jsonb_to_numeric_or_null(entry.value->'final_watch_time'),
+    LEAST(GREATEST(COALESCE(jsonb_to_numeric_or_null(entry.value->'completion_percentage'), 0), 0), 100),
+    jsonb_to_numeric_or_null(entry.value->'rating'),
+    entry.value->>'feedback',
+    entry.value->'session_summary',
+    entry.value - ARRAY[
+        'status', 'completed', 'last_watched_position', 'total_watch_time', 'final_watch_time',
+        'completion_percentage', 'rating', 'feedback', 'session_summary', 'watch_sessions',
+        'started_at', 'completed_at', 'updated_at'
+    ],
+    jsonb_to_timestamptz_or_null(entry.value->'started_at'),
+    jsonb_to_timestamptz_or_null(entry.value->'completed_at'),
+    COALESCE(jsonb_to_timestamptz_or_null(entry.value->'updated_at'), jsonb_to_timestamptz_or_null(entry.value->'completed_at'), NOW())
+FROM users u
+CROSS JOIN LATERAL jsonb_each(COALESCE(u.lesson_progress, '{}'::jsonb)) AS entry
+WHERE entry.key ~* '^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$'
+  AND jsonb_typeof(entry.value) = 'object'
+  AND EXISTS (SELECT 1 FROM lessons l WHERE l.id = entry.key::uuid)
+ON CONFLICT (user_id, lesson_id) DO NOTHING;
+
+INSERT INTO watch_sessions (
+    user_id, lesson_id, session_id, device_info, last_position, events, data, started_at, updated_at
+)
+SELECT
+    u.id,
+    entry.key::uuid,
+    COALESCE(session.value->>'session_id', 'legacy_' || session.position),
+    session.value->'device_info',
+    jsonb_to_numeric_or_null(session.value->'last_position'),
+    CASE WHEN jsonb_typeof(session.value->'events') = 'array' THEN session.value->'events' ELSE '[]'::jsonb END,
+    session.value - ARRAY['session_id', 'device_info', 'last_position', 'events', 'started_at', 'updated_at'],
+    COALESCE(jsonb_to_timestamptz_or_null(session.value->'started_at'), jsonb_to_timestamptz_or_null(session.value->'updated_at'), NOW()),
+    COALESCE(jsonb_to_timestamptz_or_null(session.value->'updated_at'), jsonb_to_timestamptz_or_null(session.value->'started_at'), NOW())
+FROM users u
+CROSS JOIN LATERAL jsonb_each(COALESCE(u.lesson_progress, '{}'::jsonb)) AS entry
+CROSS JOIN LATERAL jsonb_array_elements(
+    CASE WHEN jsonb_typeof(entry.value->'watch_sessions') = 'array' THEN entry.value->'watch_sessions' ELSE '[]'::jsonb END
+) WITH ORDINALITY AS session(value, position)
+WHERE entry.key ~* '^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$'
+  AND jsonb_typeof(entry.value) = 'object'
+  AND EXISTS (SELECT 1 FROM lessons l WHERE l.id = entry.key::uuid)
+ON CONFLICT (user_id, lesson_id, session_id) DO NOTHING;
@@ -0,0 +1,65 @@
+-- Admin dashboard counters computed in the database (GET /api/analytics/dashboard).
+-- p_companies NULL means every user (admins); otherwise users of those companies,
+-- narrowed to p_teams when that list is not empty (see getAccessScope).
+
+CREATE OR REPLACE FUNCTION get_dashboard_stats(
+    p_companies TEXT[] DEFAULT NULL,
+    p_teams TEXT[] DEFAULT '{}'
+)
+RETURNS JSONB AS $$
+    WITH scoped_users AS (
+        SELECT id, is_active, total_lessons_completed, preferences
+        FROM users
+        WHERE p_companies IS NULL
+           OR (company = ANY(p_companies)
+               AND (COALESCE(cardinality(p_teams), 0) = 0 OR team = ANY(p_teams)))
+    ),
+    user_stats AS (
+        SELECT
+            COUNT(*) AS total_users,
+            COUNT(*) FILTER (WHERE is_active) AS active_users,
+            COALESCE(SUM(
+                CASE WHEN jsonb_typeof(preferences->'bot_questions_count') = 'number'
+                     THEN (preferences->>'bot_questions_count')::numeric
+                     ELSE 0 END
+            ), 0) AS total_bot_questions,
+            COUNT(*) FILTER (
+                WHERE total_lessons_completed > 0
+                   OR EXISTS (
+                       SELECT 1 FROM lesson_progress lp
+                       WHERE lp.user_id = scoped_users.id AND lp.status = 'completed'
+                   )
+            ) AS users_with_completed_lessons
+        FROM scoped_users
+    ),
+    lesson_stats AS (
+        SELECT
+            COUNT(*) AS total_lessons,
+            COUNT(*) FILTER (WHERE is_published) AS published_lessons
+        FROM lessons
+    ),
+    view_stats AS (
+        SELECT COUNT(*) AS total_views -- Lessons accessed by users
+        FROM lesson_progress lp
+        JOIN scoped_users su ON su.id = lp.user_id
+    ),
+    ticket_stats AS (
+        SELECT
+            COUNT(*) AS total_support_tickets,
+            COUNT(*) FILTER (WHERE st.status IN ('open', 'in_progress')) AS open_support_tickets
+        FROM support_tickets st
+        JOIN scoped_users su ON su.id = st.user_id
+    )
+    SELECT jsonb_build_object(
+        'totalUsers', user_stats.total_users,
+        'activeUsers', user_stats.active_users,
+        'totalLessons', lesson_stats.total_lessons,
+        'publishedLessons', lesson_stats.published_lessons,
+        'totalViews', view_stats.total_views,
+        'totalSupportTickets', ticket_stats.total_support_tickets,
+        'openSupportTickets', ticket_stats.open_support_tickets,
+        'totalBotQuestions', user_stats.total_bot_questions,
+        'usersWithCompletedLessons', user_stats.users_with_completed_lessons
+    )
+    FROM user_stats, lesson_stats, view_stats, ticket_stats;
+$$ LANGUAGE sql STABLE;
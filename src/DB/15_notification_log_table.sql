@@ -0,0 +1,36 @@
+-- Sent notifications (digests, reminders). The unique key makes every scheduled
+-- notification idempotent: a job that runs twice, or on two servers, claims the
+-- (user, kind, channel, period) row first and skips it if it already exists.
+-- Failed rows, and 'sending' rows whose claim timed out (the process died mid-send),
+-- can be claimed again.
+
+CREATE TABLE notification_log (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    kind VARCHAR(50) NOT NULL, -- weekly_digest, ...
+    channel VARCHAR(20) NOT NULL DEFAULT 'email',
+    period_key VARCHAR(50) NOT NULL, -- e.g. the digest week's first day (YYYY-MM-DD)
+    status VARCHAR(20) NOT NULL DEFAULT 'sending' CHECK (status IN ('sending', 'sent', 'failed', 'skipped')),
+    message_id TEXT,
+    error TEXT,
+
+    created_at TIMESTAMP DEFAULT NOW(),
+    claimed_at TIMESTAMPTZ DEFAULT NOW(), -- Start of the current attempt
+    sent_at TIMESTAMP,
+
+    UNIQUE (user_id, kind, channel, period_key)
+);
+
+CREATE INDEX idx_notification_log_kind_period ON notification_log(kind, period_key);
+CREATE INDEX idx_notification_log_status ON notification_log(status);
+
+ALTER TABLE notification_log ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "Admins can view notification log" ON notification_log
+    FOR SELECT USING (
+        EXISTS (
+            SELECT 1 FROM users
+            WHERE id = auth.uid()::uuid
+            AND role = 'admin'
+        )
+    );
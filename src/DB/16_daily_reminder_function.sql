@@ -0,0 +1,74 @@
+-- Learners whose daily lesson reminder is due (services/dailyReminders.js, run every minute).
+-- A reminder is due once the learner's local time passes their notification_time
+-- (p_default_time when unset), for up to p_window_minutes so a restart doesn't lose a day,
+-- and only if no reminder was logged for that local date yet.
+-- daily_video learners get no reminders on Fridays and Saturdays (no lesson unlocks then).
+-- Failed or abandoned attempts are retried after p_retry_after_minutes (see services/notificationLog.js).
+
+-- Whether Postgres knows a time zone name. Used by the users.timezone check below, so the
+-- reminder query can use the stored zone directly instead of looking it up for every learner.
+CREATE OR REPLACE FUNCTION is_valid_timezone(p_zone TEXT)
+RETURNS BOOLEAN AS $$
+BEGIN
+    PERFORM TIMESTAMPTZ '2000-01-01 00:00+00' AT TIME ZONE p_zone;
+    RETURN TRUE;
+EXCEPTION WHEN invalid_parameter_value THEN
+    RETURN FALSE;
+END;
+$$ LANGUAGE plpgsql IMMUTABLE;
+
+UPDATE users SET timezone = 'Asia/Jerusalem'
+WHERE timezone IS NOT NULL AND NOT is_valid_timezone(timezone);
+
+ALTER TABLE users
+    ADD CONSTRAINT users_timezone_valid CHECK (timezone IS NULL OR is_valid_timezone(timezone));
+
+CREATE OR REPLACE FUNCTION get_due_daily_reminders(
+    p_now TIMESTAMPTZ,
+    p_default_time TIME,
+    p_window_minutes INTEGER DEFAULT 120,
+    p_retry_after_minutes INTEGER DEFAULT 15
+)
+RETURNS TABLE (
+    id UUID,
+    email VARCHAR,
+    phone VARCHAR,
+    first_name VARCHAR,
+    last_name VARCHAR,
+    role VARCHAR,
+    timezone VARCHAR,
+    preferences JSONB,
+    current_streak INTEGER,
+    created_at TIMESTAMP,
+    local_date DATE
+) AS $$
+    WITH candidates AS (
+        SELECT
+            u.*,
+            (p_now AT TIME ZONE COALESCE(u.timezone, 'Asia/Jerusalem')) AS local_now
+        FROM users u
+        WHERE u.is_active = true
+          AND u.role = 'learner'
+          AND u.notification_enabled IS NOT FALSE
+    )
+    SELECT c.id, c.email, c.phone, c.first_name, c.last_name, c.role, c.timezone,
+           c.preferences, c.current_streak, c.created_at, c.local_now::date
+    FROM candidates c
+    WHERE (c.local_now::time - COALESCE(c.notification_time, p_default_time))
+              BETWEEN INTERVAL '0 minutes' AND make_interval(mins => p_window_minutes)
+      AND NOT (
+          COALESCE(c.preferences->>'program_type', 'daily_video') = 'daily_video'
+          AND EXTRACT(DOW FROM c.local_now) IN (5, 6)
+      )
+      AND NOT EXISTS (
+          SELECT 1 FROM notification_log nl
+          WHERE nl.user_id = c.id
+            AND nl.kind = 'daily_reminder'
+            AND nl.period_key = to_char(c.local_now, 'YYYY-MM-DD')
+            AND (
+                nl.status IN ('sent', 'skipped')
+                -- In progress, or failed too recently to retry yet
+                OR nl.claimed_at > p_now - make_interval(mins => p_retry_after_minutes)
+            )
+      );
+$$ LANGUAGE sql STABLE;
@@ -0,0 +1,28 @@
+-- Web Push subscriptions, one row per browser / device.
+-- The endpoint is unique: a browser that signs in with another account moves its
+-- subscription to that user. Expired subscriptions (404 / 410 from the push service)
+-- are deleted by the sender.
+
+CREATE TABLE push_subscriptions (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    endpoint TEXT NOT NULL UNIQUE,
+    p256dh TEXT NOT NULL,
+    auth TEXT NOT NULL,
+    device_name VARCHAR(100),
+    user_agent TEXT,
+
+    created_at TIMESTAMP DEFAULT NOW(),
+    updated_at TIMESTAMP DEFAULT NOW(),
+    last_success_at TIMESTAMP
+);
+
+CREATE INDEX idx_push_subscriptions_user_id ON push_subscriptions(user_id);
+
+ALTER TABLE push_subscriptions ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "Users can view own push subscriptions" ON push_subscriptions
+    FOR SELECT USING (auth.uid()::uuid = user_id);
+
+CREATE POLICY "Users can delete own push subscriptions" ON push_subscriptions
+    FOR DELETE USING (auth.uid()::uuid = user_id);
@@ -0,0 +1,54 @@
+-- SMS / WhatsApp notifications.
+-- users.phone is free text; phone_e164 is its E.164 form, used to send messages and to find
+-- the user an inbound message (e.g. an opt-out keyword) came from. Numbers without a country
+-- code are taken as Israeli. Keep in sync with normalizePhone in src/utils/phone.js.
+
+CREATE OR REPLACE FUNCTION normalize_phone_e164(p_phone TEXT)
+RETURNS TEXT
+LANGUAGE plpgsql
+IMMUTABLE
+AS $$
+DECLARE
+    v_trimmed TEXT := btrim(COALESCE(p_phone, ''));
+    v_digits TEXT := regexp_replace(COALESCE(p_phone, ''), '\D', '', 'g');
+    v_national TEXT;
+BEGIN
+    IF v_digits = '' THEN
+        RETURN NULL;
+    END IF;
+
+    IF left(v_trimmed, 1) <> '+' THEN
+        IF left(v_digits, 2) = '00' THEN
+            v_digits := substr(v_digits, 3);
+        ELSIF left(v_digits, 1) = '0' THEN
+            v_digits := '972' || substr(v_digits, 2);
+        ELSIF v_digits ~ '^([57][0-9]{8}|[23489][0-9]{7})$' THEN
+            v_digits := '972' || v_digits;
+        END IF;
+    END IF;
+
+    IF left(v_digits, 3) = '972' THEN
+        -- +972 (0)50... - drop the trunk 0 written after the country code
+        v_national := regexp_replace(substr(v_digits, 4), '^0', '');
+        IF v_national ~ '^([57][0-9]{8}|[23489][0-9]{7})$' THEN
+            RETURN '+972' || v_national;
+        END IF;
+        RETURN NULL;
+    END IF;
+
+    IF v_digits ~ '^[1-9][0-9]{7,14}$' THEN
+        RETURN '+' || v_digits;
+    END IF;
+    RETURN NULL;
+END;
+$$;
+
+ALTER TABLE users
+    ADD COLUMN phone_e164 VARCHAR(16) GENERATED ALWAYS AS (normalize_phone_e164(phone)) STORED;
+
+CREATE INDEX idx_users_phone_e164 ON users(phone_e164);
+
+INSERT INTO system_settings (key, value, description) VALUES
+('sms_notifications', 'true', 'Enable SMS notifications'),
+('whatsapp_notifications', 'true', 'Enable WhatsApp notifications')
+ON CONFLICT (key) DO NOTHING;
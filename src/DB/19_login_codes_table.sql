@@ -0,0 +1,68 @@
+-- One-time sign-in codes sent by email (POST /api/auth/send-otp).
+-- Only an HMAC of the code is stored. A user has at most one code at a time:
+-- sending a new one replaces the previous one.
+
+CREATE TABLE login_codes (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    code_hash TEXT NOT NULL,
+    attempts INTEGER NOT NULL DEFAULT 0,
+    expires_at TIMESTAMPTZ NOT NULL,
+    consumed_at TIMESTAMPTZ,
+
+    created_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+CREATE INDEX idx_login_codes_user_id ON login_codes(user_id, created_at DESC);
+
+-- Only the server (service role) reads or writes codes
+ALTER TABLE login_codes ENABLE ROW LEVEL SECURITY;
+
+-- Check a code against the user's latest one. Locks the row so concurrent guesses
+-- can't exceed p_max_attempts. Returns { status, attempts_left } where status is
+-- valid, invalid, expired, too_many_attempts or not_found.
+CREATE OR REPLACE FUNCTION verify_login_code(
+    p_user_id UUID,
+    p_code_hash TEXT,
+    p_max_attempts INTEGER
+)
+RETURNS JSONB
+LANGUAGE plpgsql
+AS $$
+DECLARE
+    v_code login_codes%ROWTYPE;
+BEGIN
+    SELECT * INTO v_code
+    FROM login_codes
+    WHERE user_id = p_user_id
+      AND consumed_at IS NULL
+    ORDER BY created_at DESC
+    LIMIT 1
+    FOR UPDATE;
+
+    IF NOT FOUND THEN
+        RETURN jsonb_build_object('status', 'not_found', 'attempts_left', 0);
+    END IF;
+
+    IF v_code.expires_at < NOW() THEN
+        RETURN jsonb_build_object('status', 'expired', 'attempts_left', 0);
+    END IF;
+
+    IF v_code.attempts >= p_max_attempts THEN
+        RETURN jsonb_build_object('status', 'too_many_attempts', 'attempts_left', 0);
+    END IF;
+
+    IF v_code.code_hash = p_code_hash THEN
+        UPDATE login_codes SET consumed_at = NOW() WHERE id = v_code.id;
+        RETURN jsonb_build_object('status', 'valid', 'attempts_left', p_max_attempts - v_code.attempts);
+    END IF;
+
+    UPDATE login_codes SET attempts = attempts + 1 WHERE id = v_code.id;
+    RETURN jsonb_build_object('status', 'invalid', 'attempts_left', p_max_attempts - v_code.attempts - 1);
+END;
+$$;
+
+INSERT INTO system_settings (key, value, description) VALUES
+('otp_max_attempts', '3', 'Wrong guesses allowed per sign-in code'),
+('otp_resend_cooldown_seconds', '60', 'Minimum time between two sign-in codes to the same user')
+ON CONFLICT (key) DO NOTHING;
@@ -0,0 +1,88 @@
+-- Account lockout after repeated failed password logins (max_login_attempts /
+-- lockout_duration_minutes in system_settings), per-IP throttling and an audit log.
+
+ALTER TABLE users
+    ADD COLUMN failed_login_count INTEGER NOT NULL DEFAULT 0,
+    ADD COLUMN locked_until TIMESTAMPTZ;
+
+-- Every password login attempt; failures per IP are counted over the lockout window
+CREATE TABLE login_attempts (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    email VARCHAR(255) NOT NULL,
+    user_id UUID REFERENCES users(id) ON DELETE SET NULL,
+    ip_address VARCHAR(45),
+    success BOOLEAN NOT NULL,
+
+    created_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+CREATE INDEX idx_login_attempts_ip_created_at ON login_attempts(ip_address, created_at) WHERE success = FALSE;
+CREATE INDEX idx_login_attempts_user_id ON login_attempts(user_id, created_at);
+
+-- Security-relevant events (lockouts, unlocks, ...). actor_id is null for events the system triggered.
+CREATE TABLE audit_logs (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    actor_id UUID REFERENCES users(id) ON DELETE SET NULL,
+    action VARCHAR(50) NOT NULL, -- account_locked, account_unlocked, ...
+    target_user_id UUID REFERENCES users(id) ON DELETE SET NULL,
+    details JSONB DEFAULT '{}',
+    ip_address VARCHAR(45),
+
+    created_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+CREATE INDEX idx_audit_logs_target_user_id ON audit_logs(target_user_id, created_at);
+CREATE INDEX idx_audit_logs_action ON audit_logs(action, created_at);
+
+ALTER TABLE login_attempts ENABLE ROW LEVEL SECURITY;
+ALTER TABLE audit_logs ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "Admins can view audit logs" ON audit_logs
+    FOR SELECT USING (
+        EXISTS (
+            SELECT 1 FROM users
+            WHERE id = auth.uid()::uuid
+            AND role = 'admin'
+        )
+    );
+
+-- Count a failed login and lock the account once it reaches p_max_attempts.
+-- Atomic, so parallel guesses can't slip past the limit. Returns
+-- { failed_login_count, locked_until, locked } where locked is true only for
+-- the attempt that locked the account.
+CREATE OR REPLACE FUNCTION register_failed_login(
+    p_user_id UUID,
+    p_max_attempts INTEGER,
+    p_lockout_minutes INTEGER
+)
+RETURNS JSONB
+LANGUAGE plpgsql
+AS $$
+DECLARE
+    v_count INTEGER;
+    v_locked_until TIMESTAMPTZ;
+BEGIN
+    UPDATE users
+    SET failed_login_count = failed_login_count + 1
+    WHERE id = p_user_id
+    RETURNING failed_login_count, locked_until INTO v_count, v_locked_until;
+
+    IF v_count >= p_max_attempts AND (v_locked_until IS NULL OR v_locked_until <= NOW()) THEN
+        v_locked_until := NOW() + make_interval(mins => p_lockout_minutes);
+
+        -- The next attempts after the lock expires start a fresh count
+        UPDATE users
+        SET locked_until = v_locked_until,
+            failed_login_count = 0
+        WHERE id = p_user_id;
+
+        RETURN jsonb_build_object('failed_login_count', v_count, 'locked_until', v_locked_until, 'locked', TRUE);
+    END IF;
+
+    RETURN jsonb_build_object('failed_login_count', v_count, 'locked_until', v_locked_until, 'locked', FALSE);
+END;
+$$;
+
+INSERT INTO system_settings (key, value, description) VALUES
+('max_login_attempts_per_ip', '20', 'Failed logins from one IP within the lockout duration before it is throttled')
+ON CONFLICT (key) DO NOTHING;
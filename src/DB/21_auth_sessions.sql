@@ -0,0 +1,97 @@
+-- Server-side sessions and rotating refresh tokens.
+-- Every sign-in opens an auth_sessions row (one per device); its refresh tokens form a family.
+-- A refresh token can be used once: using it returns a new one. Presenting an already used
+-- token means it was copied, so the whole session (family) is revoked.
+-- Only SHA-256 hashes of refresh tokens are stored.
+
+CREATE TABLE auth_sessions (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    user_agent TEXT,
+    ip_address VARCHAR(45),
+
+    created_at TIMESTAMPTZ DEFAULT NOW(),
+    last_used_at TIMESTAMPTZ DEFAULT NOW(),
+    expires_at TIMESTAMPTZ NOT NULL,
+    revoked_at TIMESTAMPTZ,
+    revoked_reason VARCHAR(50) -- logout, logout_all, reuse_detected, ...
+);
+
+CREATE INDEX idx_auth_sessions_user_id ON auth_sessions(user_id, revoked_at);
+
+CREATE TABLE refresh_tokens (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    session_id UUID NOT NULL REFERENCES auth_sessions(id) ON DELETE CASCADE,
+    token_hash TEXT NOT NULL UNIQUE,
+    expires_at TIMESTAMPTZ NOT NULL,
+    used_at TIMESTAMPTZ,
+
+    created_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+CREATE INDEX idx_refresh_tokens_session_id ON refresh_tokens(session_id);
+
+-- Only the server (service role) reads or writes sessions and tokens
+ALTER TABLE auth_sessions ENABLE ROW LEVEL SECURITY;
+ALTER TABLE refresh_tokens ENABLE ROW LEVEL SECURITY;
+
+-- Exchange a refresh token for a new one of the same session and note the device's
+-- current IP. Returns { status, user_id, session_id } where status is rotated, invalid,
+-- expired, revoked or reuse_detected (the session has just been revoked).
+CREATE OR REPLACE FUNCTION rotate_refresh_token(
+    p_token_hash TEXT,
+    p_new_token_hash TEXT,
+    p_new_expires_at TIMESTAMPTZ,
+    p_ip_address TEXT DEFAULT NULL
+)
+RETURNS JSONB
+LANGUAGE plpgsql
+AS $$
+DECLARE
+    v_token refresh_tokens%ROWTYPE;
+    v_session auth_sessions%ROWTYPE;
+BEGIN
+    SELECT * INTO v_token
+    FROM refresh_tokens
+    WHERE token_hash = p_token_hash
+    FOR UPDATE;
+
+    IF NOT FOUND THEN
+        RETURN jsonb_build_object('status', 'invalid');
+    END IF;
+
+    SELECT * INTO v_session
+    FROM auth_sessions
+    WHERE id = v_token.session_id
+    FOR UPDATE;
+
+    IF v_session.revoked_at IS NOT NULL THEN
+        RETURN jsonb_build_object('status', 'revoked', 'user_id', v_session.user_id, 'session_id', v_session.id);
+    END IF;
+
+    IF v_token.used_at IS NOT NULL THEN
+        UPDATE auth_sessions
+        SET revoked_at = NOW(), revoked_reason = 'reuse_detected'
+        WHERE id = v_session.id;
+
+        RETURN jsonb_build_object('status', 'reuse_detected', 'user_id', v_session.user_id, 'session_id', v_session.id);
+    END IF;
+
+    IF v_token.expires_at <= NOW() OR v_session.expires_at <= NOW() THEN
+        RETURN jsonb_build_object('status', 'expired', 'user_id', v_session.user_id, 'session_id', v_session.id);
+    END IF;
+
+    UPDATE refresh_tokens SET used_at = NOW() WHERE id = v_token.id;
+
+    INSERT INTO refresh_tokens (session_id, token_hash, expires_at)
+    VALUES (v_session.id, p_new_token_hash, p_new_expires_at);
+
+    UPDATE auth_sessions
+    SET last_used_at = NOW(),
+        expires_at = p_new_expires_at,
+        ip_address = COALESCE(p_ip_address, ip_address)
+    WHERE id = v_session.id;
+
+    RETURN jsonb_build_object('status', 'rotated', 'user_id', v_session.user_id, 'session_id', v_session.id);
+END;
+$$;
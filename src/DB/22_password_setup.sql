@@ -0,0 +1,9 @@
+-- Accounts without a password_hash (seeded or created before passwords were stored) used to
+-- sign in with a shared fallback password. They now have to set a password through a one-time
+-- setup link. `npm run migrate:password-setup` flags them (and can email the links).
+
+ALTER TABLE users
+    ADD COLUMN password_setup_required BOOLEAN NOT NULL DEFAULT FALSE,
+    ADD COLUMN password_setup_sent_at TIMESTAMPTZ;
+
+CREATE INDEX idx_users_password_setup_required ON users(password_setup_required) WHERE password_setup_required = TRUE;
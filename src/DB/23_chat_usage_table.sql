@@ -0,0 +1,26 @@
+-- Ledger of questions asked to the lesson assistant, used for the chat quotas.
+-- Counting chat_messages let learners reset their quota by deleting a conversation
+-- (messages cascade away), so usage is kept here and never deleted with conversations.
+-- company is the learner's company when the question was asked (company pools count by it).
+
+CREATE TABLE chat_usage (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    user_id UUID REFERENCES users(id) ON DELETE SET NULL,
+    company VARCHAR(255),
+    conversation_id UUID, -- No foreign key: the row outlives the conversation
+
+    created_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+CREATE INDEX idx_chat_usage_user_id_created_at ON chat_usage(user_id, created_at);
+CREATE INDEX idx_chat_usage_company_created_at ON chat_usage(company, created_at);
+
+-- Only the server (service role) reads or writes usage
+ALTER TABLE chat_usage ENABLE ROW LEVEL SECURITY;
+
+-- Questions asked before the ledger existed (chat_messages.created_at is stored in UTC)
+INSERT INTO chat_usage (user_id, company, conversation_id, created_at)
+SELECT m.user_id, u.company, m.conversation_id, m.created_at AT TIME ZONE 'UTC'
+FROM chat_messages m
+JOIN users u ON u.id = m.user_id
+WHERE m.role = 'user';
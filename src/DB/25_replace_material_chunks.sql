@@ -0,0 +1,46 @@
+-- Swap in a lesson's new material index in one transaction (services/materialIndexer.js).
+-- Every chunk of the lesson is replaced by p_chunks, except the chunks of p_keep_material_ids:
+-- materials that failed to index this time keep the chunks of their last successful run.
+-- p_chunks is a JSON array of lesson_material_chunks rows (without id / lesson_id).
+-- Returns the number of chunks inserted.
+CREATE OR REPLACE FUNCTION replace_lesson_material_chunks(
+    p_lesson_id UUID,
+    p_chunks JSONB,
+    p_keep_material_ids TEXT[] DEFAULT '{}'
+)
+RETURNS INTEGER
+LANGUAGE plpgsql
+AS $$
+DECLARE
+    v_inserted INTEGER;
+BEGIN
+    -- Runs for the same lesson (e.g. on two servers) replace the index one after the other
+    PERFORM 1 FROM lessons WHERE id = p_lesson_id FOR UPDATE;
+
+    DELETE FROM lesson_material_chunks
+    WHERE lesson_id = p_lesson_id
+      AND NOT (material_id = ANY(COALESCE(p_keep_material_ids, '{}')));
+
+    INSERT INTO lesson_material_chunks (
+        lesson_id, material_id, material_name, cloudinary_public_id,
+        page_number, chunk_index, content, term_frequencies, token_count
+    )
+    SELECT
+        p_lesson_id, chunk.material_id, chunk.material_name, chunk.cloudinary_public_id,
+        chunk.page_number, chunk.chunk_index, chunk.content,
+        COALESCE(chunk.term_frequencies, '{}'), COALESCE(chunk.token_count, 0)
+    FROM jsonb_to_recordset(COALESCE(p_chunks, '[]')) AS chunk(
+        material_id VARCHAR(100),
+        material_name VARCHAR(255),
+        cloudinary_public_id VARCHAR(255),
+        page_number INTEGER,
+        chunk_index INTEGER,
+        content TEXT,
+        term_frequencies JSONB,
+        token_count INTEGER
+    );
+
+    GET DIAGNOSTICS v_inserted = ROW_COUNT;
+    RETURN v_inserted;
+END;
+$$;
@@ -0,0 +1,67 @@
+-- Count a question against the chat quotas before the assistant is asked (services/chatQuota.js).
+-- Checking the quota and inserting the chat_usage row happen under one lock per user (and per
+-- company when a company pool is limited), so concurrent questions can't overshoot a limit and
+-- a question counts even when the answer is never delivered (e.g. the client disconnects).
+-- NULL limits are unlimited; the periods start at the learner's local midnight / first of the month.
+-- Returns { status: 'reserved', usage_id } or { status: 'exceeded', scope, period, limit, used }.
+CREATE OR REPLACE FUNCTION reserve_chat_question(
+    p_user_id UUID,
+    p_company TEXT,
+    p_conversation_id UUID,
+    p_daily_since TIMESTAMPTZ,
+    p_monthly_since TIMESTAMPTZ,
+    p_user_daily INTEGER DEFAULT NULL,
+    p_user_monthly INTEGER DEFAULT NULL,
+    p_company_daily INTEGER DEFAULT NULL,
+    p_company_monthly INTEGER DEFAULT NULL
+)
+RETURNS JSONB
+LANGUAGE plpgsql
+AS $$
+DECLARE
+    v_pooled BOOLEAN := p_company IS NOT NULL AND (p_company_daily IS NOT NULL OR p_company_monthly IS NOT NULL);
+    v_used INTEGER;
+    v_usage_id UUID;
+BEGIN
+    -- Company lock first, so requests of one company always lock in the same order
+    IF v_pooled THEN
+        PERFORM pg_advisory_xact_lock(hashtext('chat_usage:company:' || p_company));
+    END IF;
+    PERFORM pg_advisory_xact_lock(hashtext('chat_usage:user:' || p_user_id::TEXT));
+
+    -- Longest wait first: monthly before daily, the learner before the company pool
+    IF p_user_monthly IS NOT NULL THEN
+        SELECT COUNT(*) INTO v_used FROM chat_usage WHERE user_id = p_user_id AND created_at >= p_monthly_since;
+        IF v_used >= p_user_monthly THEN
+            RETURN jsonb_build_object('status', 'exceeded', 'scope', 'user', 'period', 'monthly', 'limit', p_user_monthly, 'used', v_used);
+        END IF;
+    END IF;
+
+    IF p_user_daily IS NOT NULL THEN
+        SELECT COUNT(*) INTO v_used FROM chat_usage WHERE user_id = p_user_id AND created_at >= p_daily_since;
+        IF v_used >= p_user_daily THEN
+            RETURN jsonb_build_object('status', 'exceeded', 'scope', 'user', 'period', 'daily', 'limit', p_user_daily, 'used', v_used);
+        END IF;
+    END IF;
+
+    IF v_pooled AND p_company_monthly IS NOT NULL THEN
+        SELECT COUNT(*) INTO v_used FROM chat_usage WHERE company = p_company AND created_at >= p_monthly_since;
+        IF v_used >= p_company_monthly THEN
+            RETURN jsonb_build_object('status', 'exceeded', 'scope', 'company', 'period', 'monthly', 'limit', p_company_monthly, 'used', v_used);
+        END IF;
+    END IF;
+
+    IF v_pooled AND p_company_daily IS NOT NULL THEN
+        SELECT COUNT(*) INTO v_used FROM chat_usage WHERE company = p_company AND created_at >= p_daily_since;
+        IF v_used >= p_company_daily THEN
+            RETURN jsonb_build_object('status', 'exceeded', 'scope', 'company', 'period', 'daily', 'limit', p_company_daily, 'used', v_used);
+        END IF;
+    END IF;
+
+    INSERT INTO chat_usage (user_id, company, conversation_id)
+    VALUES (p_user_id, p_company, p_conversation_id)
+    RETURNING id INTO v_usage_id;
+
+    RETURN jsonb_build_object('status', 'reserved', 'usage_id', v_usage_id);
+END;
+$$;
@@ -0,0 +1,7 @@
+-- Cap on sign-in codes emailed to one user per hour (POST /api/auth/send-otp), on top of the
+-- resend cooldown. Sending a new code no longer deletes the previous one: it is expired
+-- instead, so the codes of the last hour can be counted. Older rows are deleted as before.
+
+INSERT INTO system_settings (key, value, description) VALUES
+('otp_max_sends_per_hour', '5', 'Sign-in codes that can be sent to the same user within an hour')
+ON CONFLICT (key) DO NOTHING;
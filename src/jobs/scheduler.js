@@ -0,0 +1,70 @@
+import cron from 'node-cron';
+import { sendWeeklyDigests } from '../services/weeklyDigest.js';
+import { sendDueReminders } from '../services/dailyReminders.js';
+import { DEFAULT_TIMEZONE } from '../utils/timezone.js';
+
+/**
+ * Background jobs (node-cron, in the API process).
+ * Jobs are idempotent (see services/notificationLog.js), so running the API on
+ * several servers sends each notification once. Set SCHEDULER_ENABLED=false to
+ * keep an instance from running them.
+ */
+
+const JOBS = [
+    {
+        name: 'weekly-digest',
+        // Sundays 08:00 Israel time; the hourly re-runs until 20:00 only pick up digests
+        // that failed or were interrupted (sent ones are skipped)
+        schedule: process.env.WEEKLY_DIGEST_CRON || '0 8-20 * * 0',
+        run: () => sendWeeklyDigests()
+    },
+    {
+        name: 'daily-reminders',
+        // Every minute - each learner is reminded at their own notification_time
+        schedule: process.env.DAILY_REMINDER_CRON || '* * * * *',
+        run: () => sendDueReminders(),
+        // Most runs have nobody due
+        quiet: (result) => result.due === 0
+    }
+];
+
+const running = new Set();
+
+// Helper: skip a run while the previous one is still going
+const runJob = async (job) => {
+    if (running.has(job.name)) {
+        console.warn(`⏰ Job ${job.name} is still running - skipping this run`);
+        return;
+    }
+
+    running.add(job.name);
+    try {
+        const result = await job.run();
+        if (!job.quiet || !job.quiet(result)) {
+            console.log(`⏰ Job ${job.name} finished:`, result);
+        }
+    } catch (error) {
+        console.error(`Error running job ${job.name}:`, error);
+    } finally {
+        running.delete(job.name);
+    }
+};
+
+/**
+ * Schedule every job
+ */
+export const startScheduler = () => {
+    if (process.env.SCHEDULER_ENABLED === 'false') {
+        console.log('⏰ Scheduler disabled (SCHEDULER_ENABLED=false)');
+        return;
+    }
+
+    JOBS.forEach(job => {
+        if (!cron.validate(job.schedule)) {
+            console.error(`Invalid cron schedule "${job.schedule}" for job ${job.name} - not scheduled`);
+            return;
+        }
+        cron.schedule(job.schedule, () => runJob(job), { timezone: DEFAULT_TIMEZONE });
+        console.log(`⏰ Job ${job.name} scheduled (${job.schedule})`);
+    });
+};
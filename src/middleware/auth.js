@@ -1,5 +1,6 @@
 import jwt from 'jsonwebtoken';
 import { supabaseAdmin, getUserFromToken } from '../config/supabase.js';
+import { touchSession } from '../services/authTokens.js';
 
 // Middleware to verify JWT token
 const authenticateToken = async (req, res, next) => {
@@ -25,12 +26,22 @@ const authenticateToken = async (req, res, next) => {
             });
         }
 
-        // Get user details from our database
-        const { data: userData, error } = await supabaseAdmin
-            .from('users')
-            .select('*')
-            .eq('id', decoded.userId)
-            .single();
+        // Get user details from our database, and check the token's session wasn't revoked
+        const [{ data: userData, error }, sessionActive] = await Promise.all([
+            supabaseAdmin
+                .from('users')
+                .select('*')
+                .eq('id', decoded.userId)
+                .single(),
+            decoded.sid ? touchSession(decoded.sid, decoded.userId) : false
+        ]);
+
+        if (!sessionActive) {
+            return res.status(401).json({ 
+                error: 'Session expired',
+                message: 'This session has been signed out. Please log in again.'
+            });
+        }
 
         if (error || !userData) {
             return res.status(401).json({ 
@@ -51,6 +62,7 @@ const authenticateToken = async (req, res, next) => {
         // Attach user to request object
         req.user = userData;
         req.token = token;
+        req.sessionId = decoded.sid;
         
         next();
     } catch (error) {
@@ -92,35 +104,109 @@ const requireManager = requireRole(['manager', 'admin']);
 const requireSupport = requireRole(['support', 'admin']);
 const requireLearner = requireRole(['learner', 'manager', 'admin']);
 
-// Middleware to check if user can access company data
-const requireSameCompany = (req, res, next) => {
-    const targetUserId = req.params.userId || req.body.userId;
-    const currentUser = req.user;
+// Companies / teams a user may see. Admins see everything (null).
+// Managers see their own company, or the explicit managed_companies / managed_teams lists when set.
+const getAccessScope = (user) => {
+    if (!user || user.role === 'admin') {
+        return null;
+    }
+
+    const companies = user.managed_companies && user.managed_companies.length > 0
+        ? user.managed_companies
+        : [user.company].filter(Boolean);
+
+    return {
+        companies,
+        teams: user.managed_teams || []
+    };
+};
+
+// Is a user row (with company/team) inside a scope?
+const isInScope = (scope, targetUser) => {
+    if (!scope) return true;
+    if (!targetUser || !scope.companies.includes(targetUser.company)) return false;
+    return scope.teams.length === 0 || scope.teams.includes(targetUser.team);
+};
+
+// Restrict a query on users (or on a table embedding users) to a scope
+const applyScope = (query, scope, { companyColumn = 'company', teamColumn = 'team' } = {}) => {
+    if (!scope) return query;
 
-    // Admins can access any company data
-    if (currentUser.role === 'admin') {
+    // A manager without any company sees nobody
+    let scoped = query.in(companyColumn, scope.companies);
+    if (scope.teams.length > 0) {
+        scoped = scoped.in(teamColumn, scope.teams);
+    }
+    return scoped;
+};
+
+// Middleware to resolve the data scope of manager-facing endpoints into req.scope.
+// Admins may narrow their global view with ?company=; managers may only narrow within their own scope.
+const attachAccessScope = (req, res, next) => {
+    const scope = getAccessScope(req.user);
+    const company = req.query.company && req.query.company !== 'all' ? req.query.company : null;
+
+    if (!company) {
+        req.scope = scope;
         return next();
     }
 
-    // If no target user ID, just check if user is authenticated
-    if (!targetUserId) {
+    if (scope && !scope.companies.includes(company)) {
+        return res.status(403).json({ 
+            error: 'Access denied',
+            message: 'You can only access data of the companies you manage'
+        });
+    }
+
+    req.scope = { companies: [company], teams: scope ? scope.teams : [] };
+    next();
+};
+
+// Middleware to check if user can access another user's data (req.params.id).
+// Admins and support reach everyone, managers the users inside their access scope, learners only themselves.
+const requireSameCompany = async (req, res, next) => {
+    const targetUserId = req.params.userId || req.params.id;
+    const currentUser = req.user;
+
+    if (currentUser.role === 'admin' || currentUser.role === 'support') {
         return next();
     }
 
-    // For managers, check if target user is in same company
-    if (currentUser.role === 'manager') {
-        // This will be validated by RLS policies, but we can add extra check here
+    // Own data
+    if (!targetUserId || targetUserId === currentUser.id) {
         return next();
     }
 
-    // For learners, they can only access their own data
-    if (currentUser.role === 'learner' && targetUserId !== currentUser.id) {
+    if (currentUser.role !== 'manager') {
         return res.status(403).json({ 
             error: 'Access denied',
             message: 'You can only access your own data'
         });
     }
 
+    const { data: targetUser, error } = await supabaseAdmin
+        .from('users')
+        .select('id, company, team')
+        .eq('id', targetUserId)
+        .maybeSingle();
+
+    if (error || !targetUser) {
+        if (error && error.code !== '22P02') {
+            console.error('Error checking user access:', error);
+        }
+        return res.status(404).json({ 
+            error: 'User not found',
+            message: 'The requested user was not found'
+        });
+    }
+
+    if (!isInScope(getAccessScope(currentUser), targetUser)) {
+        return res.status(403).json({ 
+            error: 'Access denied',
+            message: 'You can only access users of the companies you manage'
+        });
+    }
+
     next();
 };
 
@@ -138,15 +224,19 @@ const optionalAuth = async (req, res, next) => {
         try {
             const decoded = jwt.verify(token, process.env.JWT_SECRET);
             
-            const { data: userData, error } = await supabaseAdmin
-                .from('users')
-                .select('*')
-                .eq('id', decoded.userId)
-                .single();
+            const [{ data: userData, error }, sessionActive] = await Promise.all([
+                supabaseAdmin
+                    .from('users')
+                    .select('*')
+                    .eq('id', decoded.userId)
+                    .single(),
+                decoded.sid ? touchSession(decoded.sid, decoded.userId) : false
+            ]);
 
-            if (!error && userData && userData.is_active) {
+            if (!error && userData && userData.is_active && sessionActive) {
                 req.user = userData;
                 req.token = token;
+                req.sessionId = decoded.sid;
             }
         } catch (jwtError) {
             // Invalid token, but don't fail for optional auth
@@ -168,6 +258,9 @@ export {
     requireManager,
     requireSupport,
     requireLearner,
+    getAccessScope,
+    applyScope,
+    attachAccessScope,
     requireSameCompany,
     optionalAuth
 };
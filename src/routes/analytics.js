@@ -1,112 +1,83 @@
 import express from 'express';
-import { authenticateToken, requireManager } from '../middleware/auth.js';
-import { supabaseAdmin } from '../config/supabase.js';
+import { authenticateToken, requireAdmin, requireManager, attachAccessScope } from '../middleware/auth.js';
+import { getChatAnalytics } from '../services/chatAnalytics.js';
+import { getDashboardStats } from '../services/dashboardStats.js';
+import { getExportLessons, writeCsvExport, writeXlsxExport } from '../services/userExport.js';
+import { getLessonEngagement, getLessonsEngagement, getLessonWatchHeatmap } from '../services/lessonAnalytics.js';
+import {
+    TIMESERIES_METRICS,
+    TIMESERIES_INTERVALS,
+    MAX_BUCKETS,
+    defaultRangeStart,
+    listBuckets,
+    getActivityTimeseries
+} from '../services/activityTimeseries.js';
+import { PROGRAM_TYPES, getCohortRetention } from '../services/cohortRetention.js';
+import {
+    DEFAULT_TIMEZONE,
+    resolveTimeZone,
+    zonedTimeToUtc,
+    getZonedDateString,
+    startOfZonedDay,
+    startOfNextZonedDay
+} from '../utils/timezone.js';
 
 const router = express.Router();
 
+const DATE_PATTERN = /^(\d{4})-(\d{2})-(\d{2})$/;
+const MAX_RANGE_DAYS = 366;
+
+// Helper: parse ?from=YYYY-MM-DD&to=YYYY-MM-DD (inclusive local dates) or ?days=N into [from, to) instants
+const parseDateRange = (query, timeZone, defaultDays = 30) => {
+    const parseDate = (value) => {
+        const match = DATE_PATTERN.exec(value || '');
+        return match ? zonedTimeToUtc(Number(match[1]), Number(match[2]), Number(match[3]), 0, 0, timeZone) : null;
+    };
+
+    if ((query.from && !parseDate(query.from)) || (query.to && !parseDate(query.to))) {
+        return { error: 'Dates must be in YYYY-MM-DD format' };
+    }
+
+    const to = query.to ? startOfNextZonedDay(parseDate(query.to), timeZone) : startOfNextZonedDay(new Date(), timeZone);
+    let from = parseDate(query.from);
+    if (!from) {
+        const days = Math.min(Math.max(parseInt(query.days) || defaultDays, 1), MAX_RANGE_DAYS);
+        // Step back whole local days from the end of the range
+        from = startOfZonedDay(new Date(to.getTime() - (days * 24 - 12) * 60 * 60 * 1000), timeZone);
+    }
+
+    if (from >= to) {
+        return { error: '`from` must be before `to`' };
+    }
+    if (to - from > (MAX_RANGE_DAYS + 1) * 24 * 60 * 60 * 1000) {
+        return { error: `The range can be at most ${MAX_RANGE_DAYS} days` };
+    }
+
+    return { from, to };
+};
+
 /**
  * @route   GET /api/analytics/dashboard
- * @desc    Get dashboard stats for admin dashboard
+ * @desc    Get dashboard stats for admin dashboard.
+ *          Managers get the stats of the companies / teams they manage; admins can filter by ?company=
  * @access  Private (Manager/Admin)
  */
-router.get('/dashboard', authenticateToken, requireManager, async (req, res) => {
+router.get('/dashboard', authenticateToken, requireManager, attachAccessScope, async (req, res) => {
     try {
-        // Get total users count
-        const { count: totalUsers } = await supabaseAdmin
-            .from('users')
-            .select('*', { count: 'exact', head: true });
-
-        // Get active users count (using is_active field from database)
-        const { count: activeUsers } = await supabaseAdmin
-            .from('users')
-            .select('*', { count: 'exact', head: true })
-            .eq('is_active', true);
-
-        // Get total lessons count
-        const { count: totalLessons } = await supabaseAdmin
-            .from('lessons')
-            .select('*', { count: 'exact', head: true });
-
-        // Get published lessons count
-        const { count: publishedLessons } = await supabaseAdmin
-            .from('lessons')
-            .select('*', { count: 'exact', head: true })
-            .eq('is_published', true);
-
-        // Get total views count (calculate from user lesson progress)
-        const { data: usersData } = await supabaseAdmin
-            .from('users')
-            .select('lesson_progress')
-            .not('lesson_progress', 'is', null);
-
-        let totalViews = 0;
-        if (usersData) {
-            totalViews = usersData.reduce((sum, user) => {
-                const progress = user.lesson_progress || {};
-                return sum + Object.keys(progress).length; // Count lessons accessed by users
-            }, 0);
-        }
-
-        // Get support tickets count (if support_tickets table exists)
-        let totalSupportTickets = 0;
-        let openSupportTickets = 0;
-        try {
-            const { count: supportCount } = await supabaseAdmin
-                .from('support_tickets')
-                .select('*', { count: 'exact', head: true });
-            totalSupportTickets = supportCount || 0;
-
-            // Get open support tickets count
-            const { count: openCount } = await supabaseAdmin
-                .from('support_tickets')
-                .select('*', { count: 'exact', head: true })
-                .in('status', ['open', 'in_progress']);
-            openSupportTickets = openCount || 0;
-        } catch (error) {
-            // Support tickets table might not exist yet
-            console.log('Support tickets table not found:', error.message);
-        }
-
-        // Get bot questions count from user preferences
-        let totalBotQuestions = 0;
-        try {
-            const { data: usersWithBotUsage } = await supabaseAdmin
-                .from('users')
-                .select('preferences')
-                .not('preferences', 'is', null);
-            
-            if (usersWithBotUsage) {
-                totalBotQuestions = usersWithBotUsage.reduce((sum, user) => {
-                    const preferences = user.preferences || {};
-                    const botQuestions = preferences.bot_questions_count || 0;
-                    return sum + botQuestions;
-                }, 0);
-            }
-        } catch (error) {
-            console.log('Error fetching bot usage data:', error.message);
-        }
+        // Counted by the database (get_dashboard_stats), cached for a few seconds per scope
+        const {
+            totalUsers,
+            activeUsers,
+            totalLessons,
+            publishedLessons,
+            totalViews,
+            totalSupportTickets,
+            openSupportTickets,
+            totalBotQuestions,
+            usersWithCompletedLessons
+        } = await getDashboardStats(req.scope);
 
         // Calculate completion rate (users with at least one completed lesson)
-        const { data: usersWithProgress } = await supabaseAdmin
-            .from('users')
-            .select('lesson_progress, total_lessons_completed')
-            .not('lesson_progress', 'is', null);
-
-        let usersWithCompletedLessons = 0;
-        if (usersWithProgress) {
-            usersWithCompletedLessons = usersWithProgress.filter(user => {
-                // Check both total_lessons_completed field and lesson_progress
-                if (user.total_lessons_completed && user.total_lessons_completed > 0) {
-                    return true;
-                }
-                
-                const progress = user.lesson_progress || {};
-                return Object.values(progress).some(lessonProgress => 
-                    lessonProgress.status === 'completed' || lessonProgress.completed === true
-                );
-            }).length;
-        }
-
         const completionRate = totalUsers > 0 ? Math.round((usersWithCompletedLessons / totalUsers) * 100) : 0;
 
         const dashboardStats = {
@@ -137,13 +108,391 @@ router.get('/dashboard', authenticateToken, requireManager, async (req, res) =>
     }
 });
 
+/**
+ * @route   GET /api/analytics/chat
+ * @desc    Lesson assistant usage and answer quality: questions per day, top questions,
+ *          most asked-about lessons and the downvote rate.
+ *          Query: from/to (YYYY-MM-DD, inclusive) or days (default 30), timezone, limit (default 10)
+ * @access  Private (Admin)
+ */
+router.get('/chat', authenticateToken, requireAdmin, async (req, res) => {
+    try {
+        const timeZone = resolveTimeZone(req.query.timezone || DEFAULT_TIMEZONE);
+        const range = parseDateRange(req.query, timeZone);
+
+        if (range.error) {
+            return res.status(400).json({
+                success: false,
+                message: range.error
+            });
+        }
+
+        const limit = Math.min(Math.max(parseInt(req.query.limit) || 10, 1), 50);
+        const stats = await getChatAnalytics({ from: range.from, to: range.to, timeZone, limit });
+
+        res.status(200).json({
+            success: true,
+            data: {
+                period: {
+                    from: range.from.toISOString(),
+                    to: range.to.toISOString(),
+                    timezone: timeZone
+                },
+                ...stats
+            }
+        });
+
+    } catch (error) {
+        console.error('Error fetching chat analytics:', error);
+        res.status(500).json({
+            success: false,
+            message: 'שגיאה בטעינת נתוני הצ\'אט',
+            error: error.message
+        });
+    }
+});
+
+/**
+ * @route   GET /api/analytics/timeseries
+ * @desc    Activity trends as chart-ready buckets, each activity counted on the learner's own local date.
+ *          Query: metric (active_users|completions|new_users|streaks), interval (day|week|month, default day),
+ *          from/to (YYYY-MM-DD, inclusive; default the last 30 days / 12 weeks / 12 months),
+ *          company, team, program_type
+ * @access  Private (Manager/Admin)
+ */
+router.get('/timeseries', authenticateToken, requireManager, attachAccessScope, async (req, res) => {
+    try {
+        const { metric, interval = 'day', team, program_type: programType } = req.query;
+
+        if (!TIMESERIES_METRICS.includes(metric)) {
+            return res.status(400).json({
+                success: false,
+                message: `Metric must be one of: ${TIMESERIES_METRICS.join(', ')}`
+            });
+        }
+
+        if (!TIMESERIES_INTERVALS.includes(interval)) {
+            return res.status(400).json({
+                success: false,
+                message: `Interval must be one of: ${TIMESERIES_INTERVALS.join(', ')}`
+            });
+        }
+
+        if ((req.query.from && !DATE_PATTERN.test(req.query.from)) || (req.query.to && !DATE_PATTERN.test(req.query.to))) {
+            return res.status(400).json({
+                success: false,
+                message: 'Dates must be in YYYY-MM-DD format'
+            });
+        }
+
+        const to = req.query.to || getZonedDateString(new Date(), DEFAULT_TIMEZONE);
+        const from = req.query.from || defaultRangeStart(to, interval);
+
+        if (from > to) {
+            return res.status(400).json({
+                success: false,
+                message: '`from` must be before `to`'
+            });
+        }
+
+        if (listBuckets(from, to, interval).length > MAX_BUCKETS) {
+            return res.status(400).json({
+                success: false,
+                message: `The range can contain at most ${MAX_BUCKETS} buckets - use a larger interval`
+            });
+        }
+
+        const buckets = await getActivityTimeseries({
+            metric,
+            interval,
+            from,
+            to,
+            scope: req.scope,
+            team,
+            programType
+        });
+
+        res.status(200).json({
+            success: true,
+            data: {
+                metric,
+                interval,
+                from,
+                to,
+                filters: {
+                    company: req.query.company || null,
+                    team: team || null,
+                    programType: programType || null
+                },
+                buckets
+            }
+        });
+
+    } catch (error) {
+        console.error('Error fetching analytics timeseries:', error);
+        res.status(500).json({
+            success: false,
+            message: 'שגיאה בטעינת נתוני המגמות',
+            error: error.message
+        });
+    }
+});
+
+/**
+ * @route   GET /api/analytics/cohorts
+ * @desc    Cohort retention: learners grouped by program start week and program type,
+ *          with the share that completed at least one lesson in each of their weeks 1..N.
+ *          Query: weeks (default 8, max 52), from/to (YYYY-MM-DD, cohort start dates; default the last 12 weeks),
+ *          program_type, company, team
+ * @access  Private (Manager/Admin)
+ */
+router.get('/cohorts', authenticateToken, requireManager, attachAccessScope, async (req, res) => {
+    try {
+        const { team, program_type: programType } = req.query;
+        const weeks = Math.min(Math.max(parseInt(req.query.weeks) || 8, 1), 52);
+
+        if (programType && !PROGRAM_TYPES.includes(programType)) {
+            return res.status(400).json({
+                success: false,
+                message: `program_type must be one of: ${PROGRAM_TYPES.join(', ')}`
+            });
+        }
+
+        if ((req.query.from && !DATE_PATTERN.test(req.query.from)) || (req.query.to && !DATE_PATTERN.test(req.query.to))) {
+            return res.status(400).json({
+                success: false,
+                message: 'Dates must be in YYYY-MM-DD format'
+            });
+        }
+
+        const today = getZonedDateString(new Date(), DEFAULT_TIMEZONE);
+        const to = req.query.to || today;
+        const from = req.query.from || defaultRangeStart(today, 'week');
+
+        const retention = await getCohortRetention({
+            weeks,
+            from,
+            to,
+            today,
+            scope: req.scope,
+            team,
+            programType
+        });
+
+        res.status(200).json({
+            success: true,
+            data: {
+                weeks,
+                from,
+                to,
+                ...retention
+            }
+        });
+
+    } catch (error) {
+        console.error('Error fetching cohort retention:', error);
+        res.status(500).json({
+            success: false,
+            message: 'שגיאה בטעינת נתוני השימור',
+            error: error.message
+        });
+    }
+});
+
+/**
+ * @route   GET /api/analytics/lessons
+ * @desc    Engagement summary of every lesson (starts, completions, drop-off, watch time, rating).
+ *          Query: sort (dropoff|completion|starts|rating|order, default dropoff), order (asc|desc), company
+ * @access  Private (Manager/Admin)
+ */
+router.get('/lessons', authenticateToken, requireManager, attachAccessScope, async (req, res) => {
+    try {
+        const { sort = 'dropoff', order } = req.query;
+        const sortFields = {
+            dropoff: 'dropOffRate',
+            completion: 'completionRate',
+            starts: 'starts',
+            rating: 'averageRating',
+            order: null
+        };
+
+        if (!(sort in sortFields)) {
+            return res.status(400).json({
+                success: false,
+                message: `Sort must be one of: ${Object.keys(sortFields).join(', ')}`
+            });
+        }
+
+        const lessons = await getLessonsEngagement(req.scope);
+
+        // Program order is the default; metric sorts are descending unless asked otherwise
+        const field = sortFields[sort];
+        if (field) {
+            const direction = order === 'asc' ? 1 : -1;
+            // Lessons nobody started (or without ratings) go last either way
+            const hasNoData = (lesson) => lesson.starts === 0 || lesson[field] === null;
+            lessons.sort((a, b) => {
+                if (hasNoData(a) || hasNoData(b)) return hasNoData(a) - hasNoData(b);
+                return (a[field] - b[field]) * direction;
+            });
+        } else if (order === 'desc') {
+            lessons.reverse();
+        }
+
+        res.status(200).json({
+            success: true,
+            data: {
+                lessons,
+                count: lessons.length
+            }
+        });
+
+    } catch (error) {
+        console.error('Error fetching lessons analytics:', error);
+        res.status(500).json({
+            success: false,
+            message: 'שגיאה בטעינת נתוני השיעורים',
+            error: error.message
+        });
+    }
+});
+
+/**
+ * @route   GET /api/analytics/lessons/:id
+ * @desc    Engagement of one lesson: starts, completions, median watch time vs. video length,
+ *          where learners stopped, average rating and free-text feedback
+ * @access  Private (Manager/Admin)
+ */
+router.get('/lessons/:id', authenticateToken, requireManager, attachAccessScope, async (req, res) => {
+    try {
+        const stats = await getLessonEngagement(req.params.id, req.scope);
+
+        if (!stats) {
+            return res.status(404).json({
+                success: false,
+                message: 'השיעור לא נמצא'
+            });
+        }
+
+        res.status(200).json({
+            success: true,
+            data: stats
+        });
+
+    } catch (error) {
+        console.error('Error fetching lesson analytics:', error);
+        res.status(500).json({
+            success: false,
+            message: 'שגיאה בטעינת נתוני השיעור',
+            error: error.message
+        });
+    }
+});
+
+/**
+ * @route   GET /api/analytics/lessons/:id/heatmap
+ * @desc    Per-second retention curve (share of watch sessions that played each second)
+ *          and seek heatmap (seeks away from / to each second) of a lesson's video
+ * @access  Private (Manager/Admin)
+ */
+router.get('/lessons/:id/heatmap', authenticateToken, requireManager, attachAccessScope, async (req, res) => {
+    try {
+        const heatmap = await getLessonWatchHeatmap(req.params.id, req.scope);
+
+        if (!heatmap) {
+            return res.status(404).json({
+                success: false,
+                message: 'השיעור לא נמצא'
+            });
+        }
+
+        if (!heatmap.videoDuration) {
+            return res.status(400).json({
+                success: false,
+                message: 'Lesson has no video duration - the retention curve needs it'
+            });
+        }
+
+        res.status(200).json({
+            success: true,
+            data: heatmap
+        });
+
+    } catch (error) {
+        console.error('Error fetching lesson heatmap:', error);
+        res.status(500).json({
+            success: false,
+            message: 'שגיאה בטעינת נתוני הצפייה',
+            error: error.message
+        });
+    }
+});
+
 /**
  * @route   GET /api/analytics/export
- * @desc    Export user data to CSV
+ * @desc    Export users with their progress (one status column per lesson) as CSV or XLSX.
+ *          Query: format (csv|xlsx, default csv), company, team, role,
+ *          from/to (YYYY-MM-DD, inclusive, on last_activity_date). The file is streamed.
+ *          Managers only export the companies / teams they manage.
  * @access  Private (Manager/Admin)
  */
-router.get('/export', authenticateToken, requireManager, (req, res) => {
-    res.status(200).json({ message: 'Export analytics endpoint - coming soon' });
+router.get('/export', authenticateToken, requireManager, attachAccessScope, async (req, res) => {
+    const { format = 'csv', team, role, from, to } = req.query;
+
+    if (!['csv', 'xlsx'].includes(format)) {
+        return res.status(400).json({
+            success: false,
+            message: 'Format must be one of: csv, xlsx'
+        });
+    }
+
+    if (role && !['learner', 'manager', 'support', 'admin'].includes(role)) {
+        return res.status(400).json({
+            success: false,
+            message: 'Role must be one of: learner, manager, support, admin'
+        });
+    }
+
+    if ((from && !DATE_PATTERN.test(from)) || (to && !DATE_PATTERN.test(to))) {
+        return res.status(400).json({
+            success: false,
+            message: 'Dates must be in YYYY-MM-DD format'
+        });
+    }
+
+    let lessons;
+    try {
+        lessons = await getExportLessons();
+    } catch (error) {
+        console.error('Error loading lessons for export:', error);
+        return res.status(500).json({
+            success: false,
+            message: 'שגיאה בייצוא הנתונים',
+            error: error.message
+        });
+    }
+
+    // The company filter is part of req.scope
+    const filters = { scope: req.scope, team, role, from, to };
+    const fileName = `users-export-${getZonedDateString(new Date(), DEFAULT_TIMEZONE)}.${format}`;
+
+    res.setHeader('Content-Type', format === 'xlsx'
+        ? 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet'
+        : 'text/csv; charset=utf-8');
+    res.setHeader('Content-Disposition', `attachment; filename="${fileName}"`);
+    res.setHeader('Cache-Control', 'no-store');
+
+    try {
+        const exported = format === 'xlsx'
+            ? await writeXlsxExport(res, { filters, lessons })
+            : await writeCsvExport(res, { filters, lessons });
+
+        console.log(`📤 Exported ${exported} users (${format}) for ${req.user.email}`);
+    } catch (error) {
+        // Headers (and possibly part of the file) are already sent - abort so the client sees a failed download
+        console.error('Error streaming export:', error);
+        res.destroy(error);
+    }
 });
 
 export default router;
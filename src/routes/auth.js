@@ -1,30 +1,69 @@
 import express from 'express';
-import { body, validationResult } from 'express-validator';
+import { body, param, validationResult } from 'express-validator';
 import { supabase, supabaseAdmin } from '../config/supabase.js';
 import { authenticateToken } from '../middleware/auth.js';
-import jwt from 'jsonwebtoken';
 import bcrypt from 'bcryptjs';
+import jwt from 'jsonwebtoken';
+import {
+    DEFAULT_PREFERENCES,
+    findSessionByRefreshToken,
+    formatAuthUser,
+    formatSession,
+    getActiveSessions,
+    getClientInfo,
+    issueTokens,
+    revokeSession,
+    revokeUserSession,
+    revokeUserSessions,
+    rotateTokens
+} from '../services/authTokens.js';
+import { sendLoginCode, verifyLoginCode } from '../services/loginCodes.js';
+import {
+    getLockoutSettings,
+    isIpThrottled,
+    isLocked,
+    recordLoginAttempt,
+    registerFailedLogin
+} from '../services/loginAttempts.js';
+import { recordAuditEvent } from '../services/auditLog.js';
+import { sendPasswordSetupEmail } from '../services/passwordSetup.js';
 
 const router = express.Router();
 
-// Generate random OTP
-const generateOTP = () => {
-    const length = parseInt(process.env.OTP_LENGTH) || 6;
-    return Math.floor(Math.random() * Math.pow(10, length)).toString().padStart(length, '0');
-};
+const INVALID_CREDENTIALS_MESSAGE = 'Email or password is incorrect';
 
-// Store OTPs temporarily (in production, use Redis or database)
-const otpStore = new Map();
+// Accounts created before passwords were stored (no password_hash) used to sign in with this
+// password. It no longer signs anyone in: it only proves the account is theirs before a
+// password setup link is emailed to them.
+const LEGACY_DEFAULT_PASSWORD = 'password123';
 
-// Clean up expired OTPs
-setInterval(() => {
-    const now = Date.now();
-    for (const [key, value] of otpStore.entries()) {
-        if (now > value.expires) {
-            otpStore.delete(key);
-        }
-    }
-}, 60000); // Clean up every minute
+// Helper: 429 for an IP with too many failed logins (wrong passwords and sign-in codes)
+const rejectThrottledIp = (res, lockout) => {
+    res.set('Retry-After', String(lockout.lockout_duration_minutes * 60));
+    return res.status(429).json({
+        error: 'Too many failed attempts',
+        message: 'Too many failed login attempts from this network. Please try again later.'
+    });
+};
+
+// Helper: count a wrong password or sign-in code toward the account lock.
+// Returns the lock expiry when this attempt locked the account, null otherwise.
+const registerFailure = async (user, lockout, ipAddress) => {
+    const { locked, lockedUntil } = await registerFailedLogin(user.id, lockout);
+    if (!locked) return null;
+
+    await recordAuditEvent({
+        action: 'account_locked',
+        targetUserId: user.id,
+        details: {
+            failedAttempts: lockout.max_login_attempts,
+            lockedUntil,
+            durationMinutes: lockout.lockout_duration_minutes
+        },
+        ipAddress
+    });
+    return lockedUntil;
+};
 
 /**
  * @route   POST /api/auth/login
@@ -46,6 +85,12 @@ router.post('/login', [
         }
 
         const { email, password } = req.body;
+        const ipAddress = req.ip;
+        const lockout = await getLockoutSettings();
+
+        if (await isIpThrottled(ipAddress, lockout)) {
+            return rejectThrottledIp(res, lockout);
+        }
 
         // Get user from database (case-insensitive email lookup)
         const { data: user, error: userError } = await supabaseAdmin
@@ -55,9 +100,20 @@ router.post('/login', [
             .single();
 
         if (userError || !user) {
+            await recordLoginAttempt({ email, ipAddress, success: false });
             return res.status(401).json({
                 error: 'Invalid credentials',
-                message: 'Email or password is incorrect'
+                message: INVALID_CREDENTIALS_MESSAGE
+            });
+        }
+
+        // Locked accounts don't get their password checked until the lock expires
+        if (isLocked(user)) {
+            await recordLoginAttempt({ email, userId: user.id, ipAddress, success: false });
+            return res.status(423).json({
+                error: 'Account locked',
+                message: 'Too many failed login attempts. The account is temporarily locked.',
+                lockedUntil: user.locked_until
             });
         }
 
@@ -68,88 +124,58 @@ router.post('/login', [
             });
         }
 
-        // Check if user has a password hash (for backward compatibility)
-        if (!user.password_hash) {
-            // Fallback for existing users without password hash
-            const isValidPassword = password === 'password123';
-            if (!isValidPassword) {
-                return res.status(401).json({
-                    error: 'Invalid credentials',
-                    message: 'Email or password is incorrect. Please contact admin to set up your password.'
+        const isValidPassword = user.password_hash
+            ? await bcrypt.compare(password, user.password_hash)
+            : password === LEGACY_DEFAULT_PASSWORD;
+
+        if (!isValidPassword) {
+            await recordLoginAttempt({ email, userId: user.id, ipAddress, success: false });
+            const lockedUntil = await registerFailure(user, lockout, ipAddress);
+
+            if (lockedUntil) {
+                return res.status(423).json({
+                    error: 'Account locked',
+                    message: 'Too many failed login attempts. The account is temporarily locked.',
+                    lockedUntil
                 });
             }
-        } else {
-            // Use bcrypt to compare hashed password
-            const isValidPassword = await bcrypt.compare(password, user.password_hash);
-            if (!isValidPassword) {
-                return res.status(401).json({
-                    error: 'Invalid credentials',
-                    message: 'Email or password is incorrect'
-                });
+
+            return res.status(401).json({
+                error: 'Invalid credentials',
+                message: INVALID_CREDENTIALS_MESSAGE
+            });
+        }
+
+        // Accounts without a hash have to set a password through a one-time link sent to their email
+        if (!user.password_hash) {
+            try {
+                await sendPasswordSetupEmail(user);
+            } catch (setupError) {
+                console.error('Password setup email error:', setupError);
             }
+
+            return res.status(403).json({
+                error: 'Password setup required',
+                message: 'You need to set a password for your account. We have sent a setup link to your email.',
+                setupRequired: true
+            });
         }
 
-        // Create JWT tokens
-        const accessToken = jwt.sign(
-            { 
-                userId: user.id,
-                email: user.email,
-                role: 'authenticated'
-            },
-            process.env.JWT_SECRET,
-            { expiresIn: process.env.JWT_EXPIRES_IN || '24h' }
-        );
-        
-        const refreshToken = jwt.sign(
-            { 
-                userId: user.id,
-                email: user.email,
-                type: 'refresh'
-            },
-            process.env.JWT_SECRET,
-            { expiresIn: process.env.JWT_REFRESH_EXPIRES_IN || '7d' }
-        );
+        await recordLoginAttempt({ email, userId: user.id, ipAddress, success: true });
+
+        const tokens = await issueTokens(user, getClientInfo(req));
 
-        // Update last login
+        // Update last login and start a fresh failed attempts count
         await supabaseAdmin
             .from('users')
-            .update({ last_login: new Date().toISOString() })
+            .update({ last_login: new Date().toISOString(), failed_login_count: 0, locked_until: null })
             .eq('id', user.id);
 
         // Return success response
         res.status(200).json({
             message: 'Login successful',
-            user: {
-                id: user.id,
-                email: user.email,
-                first_name: user.first_name,
-                last_name: user.last_name,
-                phone: user.phone,
-                role: user.role,
-                company: user.company,
-                team: user.team,
-                avatar_url: user.avatar_url,
-                notification_time: user.notification_time,
-                notification_enabled: user.notification_enabled,
-                timezone: user.timezone,
-                current_streak: user.current_streak,
-                longest_streak: user.longest_streak,
-                total_lessons_completed: user.total_lessons_completed,
-                badges_earned: user.badges_earned,
-                created_at: user.created_at,
-                last_login: user.last_login,
-                last_activity_date: user.last_activity_date,
-                preferences: user.preferences || {
-                    program_type: 'daily_video',
-                    chat_terms_accepted: false,
-                    chat_terms_accepted_date: null
-                }
-            },
-            tokens: {
-                accessToken: accessToken,
-                refreshToken: refreshToken,
-                expiresIn: process.env.JWT_EXPIRES_IN || '24h'
-            }
+            user: formatAuthUser(user),
+            tokens
         });
 
     } catch (error) {
@@ -238,11 +264,7 @@ router.post('/register', [
                 team: team || null,
                 phone: phone || null,
                 is_active: true,
-                preferences: {
-                    program_type: 'daily_video',
-                    chat_terms_accepted: false,
-                    chat_terms_accepted_date: null
-                }
+                preferences: { ...DEFAULT_PREFERENCES }
             })
             .select()
             .single();
@@ -257,57 +279,11 @@ router.post('/register', [
             });
         }
 
-        // Create JWT tokens
-        const accessToken = jwt.sign(
-            { 
-                userId: newUser.id,
-                email: newUser.email,
-                role: 'authenticated'
-            },
-            process.env.JWT_SECRET,
-            { expiresIn: process.env.JWT_EXPIRES_IN || '24h' }
-        );
-        
-        const refreshToken = jwt.sign(
-            { 
-                userId: newUser.id,
-                email: newUser.email,
-                type: 'refresh'
-            },
-            process.env.JWT_SECRET,
-            { expiresIn: process.env.JWT_REFRESH_EXPIRES_IN || '7d' }
-        );
-
         // Return success response (same format as login)
         res.status(201).json({
             message: 'Registration successful',
-            user: {
-                id: newUser.id,
-                email: newUser.email,
-                first_name: newUser.first_name,
-                last_name: newUser.last_name,
-                phone: newUser.phone,
-                role: newUser.role,
-                company: newUser.company,
-                team: newUser.team,
-                avatar_url: newUser.avatar_url,
-                notification_time: newUser.notification_time,
-                notification_enabled: newUser.notification_enabled,
-                timezone: newUser.timezone,
-                current_streak: newUser.current_streak,
-                longest_streak: newUser.longest_streak,
-                total_lessons_completed: newUser.total_lessons_completed,
-                badges_earned: newUser.badges_earned,
-                created_at: newUser.created_at,
-                last_login: null,
-                last_activity_date: newUser.last_activity_date,
-                preferences: newUser.preferences
-            },
-            tokens: {
-                accessToken: accessToken,
-                refreshToken: refreshToken,
-                expiresIn: process.env.JWT_EXPIRES_IN || '24h'
-            }
+            user: formatAuthUser(newUser),
+            tokens: await issueTokens(newUser, getClientInfo(req))
         });
 
     } catch (error) {
@@ -320,8 +296,8 @@ router.post('/register', [
 });
 
 /**
- * @route   POST /api/auth/send-otp (DEPRECATED - keeping for reference)
- * @desc    Send OTP to user's email
+ * @route   POST /api/auth/send-otp
+ * @desc    Email a one-time sign-in code
  * @access  Public
  */
 router.post('/send-otp', [
@@ -360,34 +336,23 @@ router.post('/send-otp', [
             });
         }
 
-        // Generate OTP
-        const otp = generateOTP();
-        const expiryMinutes = parseInt(process.env.OTP_EXPIRY_MINUTES) || 10;
-        const expires = Date.now() + (expiryMinutes * 60 * 1000);
+        const result = await sendLoginCode(user);
 
-        // Store OTP
-        otpStore.set(email, {
-            otp,
-            expires,
-            userId: user.id,
-            attempts: 0
-        });
-
-        // TODO: Send OTP via email
-        // For now, we'll just log it (in development)
-        if (process.env.NODE_ENV === 'development') {
-            console.log(`🔐 OTP for ${email}: ${otp}`);
+        if (result.retryAfterSeconds) {
+            res.set('Retry-After', String(result.retryAfterSeconds));
+            return res.status(429).json({
+                error: 'Too many requests',
+                message: result.reason === 'hourly_limit'
+                    ? 'Too many codes were requested for this account. Please try again later.'
+                    : 'A code was sent recently. Please wait before requesting a new one.',
+                retryAfter: result.retryAfterSeconds
+            });
         }
 
-        // TODO: Implement actual email sending
-        // const emailSent = await sendOTPEmail(email, otp, user.first_name);
-
         res.status(200).json({
             message: 'OTP sent successfully',
-            email: email,
-            expiresIn: expiryMinutes,
-            // In development, include OTP for testing
-            ...(process.env.NODE_ENV === 'development' && { otp })
+            email: user.email,
+            expiresIn: result.expiresInMinutes
         });
 
     } catch (error) {
@@ -401,12 +366,12 @@ router.post('/send-otp', [
 
 /**
  * @route   POST /api/auth/verify-otp
- * @desc    Verify OTP and login user
+ * @desc    Verify a sign-in code and login user (same response as /login)
  * @access  Public
  */
 router.post('/verify-otp', [
     body('email').isEmail().withMessage('Valid email is required'),
-    body('otp').isLength({ min: 4, max: 8 }).withMessage('Valid OTP is required')
+    body('otp').trim().isLength({ min: 4, max: 8 }).isNumeric().withMessage('Valid OTP is required')
 ], async (req, res) => {
     try {
         // Check validation errors
@@ -419,115 +384,102 @@ router.post('/verify-otp', [
         }
 
         const { email, otp } = req.body;
+        const ipAddress = req.ip;
+        const lockout = await getLockoutSettings();
+
+        if (await isIpThrottled(ipAddress, lockout)) {
+            return rejectThrottledIp(res, lockout);
+        }
+
+        const { data: user, error: userError } = await supabaseAdmin
+            .from('users')
+            .select('*')
+            .ilike('email', email)
+            .single();
+
+        if (userError || !user) {
+            await recordLoginAttempt({ email, ipAddress, success: false });
+            return res.status(400).json({
+                error: 'OTP not found',
+                message: 'No OTP found for this email. Please request a new one.'
+            });
+        }
+
+        // A locked account can't get around the lock with an email code
+        if (isLocked(user)) {
+            return res.status(423).json({
+                error: 'Account locked',
+                message: 'Too many failed login attempts. The account is temporarily locked.',
+                lockedUntil: user.locked_until
+            });
+        }
+
+        if (!user.is_active) {
+            return res.status(403).json({
+                error: 'Account deactivated',
+                message: 'Your account has been deactivated. Please contact support.'
+            });
+        }
 
-        // Get stored OTP
-        const storedOTP = otpStore.get(email);
-        
-        if (!storedOTP) {
+        const { status, attemptsLeft } = await verifyLoginCode(user.id, otp);
+
+        if (status === 'not_found') {
             return res.status(400).json({
                 error: 'OTP not found',
                 message: 'No OTP found for this email. Please request a new one.'
             });
         }
 
-        // Check if OTP is expired
-        if (Date.now() > storedOTP.expires) {
-            otpStore.delete(email);
+        if (status === 'expired') {
             return res.status(400).json({
                 error: 'OTP expired',
                 message: 'The OTP has expired. Please request a new one.'
             });
         }
 
-        // Check attempts
-        if (storedOTP.attempts >= 3) {
-            otpStore.delete(email);
+        // Wrong codes count toward the same account and IP limits as wrong passwords
+        if (status === 'invalid' || status === 'too_many_attempts') {
+            await recordLoginAttempt({ email, userId: user.id, ipAddress, success: false });
+            const lockedUntil = await registerFailure(user, lockout, ipAddress);
+
+            if (lockedUntil) {
+                return res.status(423).json({
+                    error: 'Account locked',
+                    message: 'Too many failed login attempts. The account is temporarily locked.',
+                    lockedUntil
+                });
+            }
+        }
+
+        if (status === 'too_many_attempts') {
             return res.status(429).json({
                 error: 'Too many attempts',
                 message: 'Too many failed attempts. Please request a new OTP.'
             });
         }
 
-        // Verify OTP
-        if (storedOTP.otp !== otp) {
-            storedOTP.attempts++;
+        if (status !== 'valid') {
             return res.status(400).json({
                 error: 'Invalid OTP',
                 message: 'The OTP you entered is incorrect.',
-                attemptsLeft: 3 - storedOTP.attempts
+                attemptsLeft
             });
         }
 
-        // OTP is valid, create our own JWT tokens
-        
-        const accessToken = jwt.sign(
-            { 
-                userId: storedOTP.userId,
-                email: email,
-                role: 'authenticated'
-            },
-            process.env.JWT_SECRET,
-            { expiresIn: process.env.JWT_EXPIRES_IN || '24h' }
-        );
-        
-        const refreshToken = jwt.sign(
-            { 
-                userId: storedOTP.userId,
-                email: email,
-                type: 'refresh'
-            },
-            process.env.JWT_SECRET,
-            { expiresIn: process.env.JWT_REFRESH_EXPIRES_IN || '7d' }
-        );
-
-        const tokens = {
-            accessToken: accessToken,
-            refreshToken: refreshToken
-        };
+        await recordLoginAttempt({ email, userId: user.id, ipAddress, success: true });
 
-        // Get user data
-        const { data: userData, error: userError } = await supabaseAdmin
-            .from('users')
-            .select('*')
-            .eq('id', storedOTP.userId)
-            .single();
+        const tokens = await issueTokens(user, getClientInfo(req));
 
-        if (userError || !userData) {
-            return res.status(500).json({
-                error: 'User data error',
-                message: 'Failed to retrieve user data'
-            });
-        }
-
-        // Update last login
+        // Update last login and start a fresh failed attempts count
         await supabaseAdmin
             .from('users')
-            .update({ last_login: new Date().toISOString() })
-            .eq('id', userData.id);
-
-        // Clean up OTP
-        otpStore.delete(email);
+            .update({ last_login: new Date().toISOString(), failed_login_count: 0, locked_until: null })
+            .eq('id', user.id);
 
-        // Return success with user data and tokens
         res.status(200).json({
             message: 'Login successful',
-            user: {
-                id: userData.id,
-                email: userData.email,
-                firstName: userData.first_name,
-                lastName: userData.last_name,
-                role: userData.role,
-                company: userData.company,
-                team: userData.team,
-                avatarUrl: userData.avatar_url,
-                currentStreak: userData.current_streak,
-                totalLessonsCompleted: userData.total_lessons_completed
-            },
-            tokens: {
-                accessToken: tokens.accessToken,
-                refreshToken: tokens.refreshToken,
-                expiresIn: process.env.JWT_EXPIRES_IN || '24h'
-            }
+            user: formatAuthUser(user),
+            tokens
         });
 
     } catch (error) {
@@ -541,11 +493,12 @@ router.post('/verify-otp', [
 
 /**
  * @route   POST /api/auth/refresh
- * @desc    Refresh access token
+ * @desc    Exchange a refresh token for new tokens. Each refresh token works once;
+ *          reusing one revokes its whole session.
  * @access  Public
  */
 router.post('/refresh', [
-    body('refreshToken').notEmpty().withMessage('Refresh token is required')
+    body('refreshToken').isString().notEmpty().withMessage('Refresh token is required')
 ], async (req, res) => {
     try {
         const errors = validationResult(req);
@@ -557,13 +510,20 @@ router.post('/refresh', [
         }
 
         const { refreshToken } = req.body;
+        const { ipAddress } = getClientInfo(req);
 
-        // Refresh the session with Supabase
-        const { data, error } = await supabase.auth.refreshSession({
-            refresh_token: refreshToken
-        });
+        const result = await rotateTokens(refreshToken, { ipAddress });
 
-        if (error) {
+        if (result.status === 'reuse_detected') {
+            await recordAuditEvent({
+                action: 'refresh_token_reuse',
+                targetUserId: result.userId,
+                details: { sessionId: result.sessionId },
+                ipAddress
+            });
+        }
+
+        if (result.status !== 'rotated') {
             return res.status(401).json({
                 error: 'Invalid refresh token',
                 message: 'The refresh token is invalid or expired'
@@ -572,11 +532,7 @@ router.post('/refresh', [
 
         res.status(200).json({
             message: 'Token refreshed successfully',
-            tokens: {
-                accessToken: data.session?.access_token,
-                refreshToken: data.session?.refresh_token,
-                expiresIn: process.env.JWT_EXPIRES_IN || '24h'
-            }
+            tokens: result.tokens
         });
 
     } catch (error) {
@@ -751,6 +707,7 @@ router.post('/reset-password', [
             .from('users')
             .update({ 
                 password_hash: passwordHash,
+                password_setup_required: false,
                 updated_at: new Date().toISOString()
             })
             .eq('id', sessionData.user.id); // Use Supabase Auth user ID
@@ -760,6 +717,9 @@ router.post('/reset-password', [
             // Don't fail the request since Supabase password was updated successfully
         }
 
+        // Sign out the devices that knew the old password
+        await revokeUserSessions(sessionData.user.id, 'password_reset');
+
         res.status(200).json({
             message: 'Password reset successfully',
             user: {
@@ -778,14 +738,35 @@ router.post('/reset-password', [
 
 /**
  * @route   POST /api/auth/logout
- * @desc    Logout user
- * @access  Public (no auth required - logout is client-side)
+ * @desc    Logout user: revokes the session of the refresh token in the body,
+ *          or of the access token when no refresh token is sent
+ * @access  Public (an expired access token is enough to end its session)
  */
 router.post('/logout', async (req, res) => {
     try {
-        // With JWT tokens, logout is handled client-side by removing the token
-        // Server-side logout would require token blacklisting, which we're not implementing yet
-        
+        const { refreshToken } = req.body || {};
+        let sessionId = null;
+
+        if (typeof refreshToken === 'string' && refreshToken) {
+            const session = await findSessionByRefreshToken(refreshToken);
+            sessionId = session?.id || null;
+        } else {
+            const authHeader = req.headers['authorization'];
+            const token = authHeader && authHeader.split(' ')[1];
+
+            if (token) {
+                try {
+                    sessionId = jwt.verify(token, process.env.JWT_SECRET, { ignoreExpiration: true }).sid || null;
+                } catch (jwtError) {
+                    // Invalid token - nothing to revoke
+                }
+            }
+        }
+
+        if (sessionId) {
+            await revokeSession(sessionId, 'logout');
+        }
+
         res.status(200).json({
             message: 'Logged out successfully'
         });
@@ -799,6 +780,98 @@ router.post('/logout', async (req, res) => {
     }
 });
 
+/**
+ * @route   POST /api/auth/logout-all
+ * @desc    Logout from all devices (revokes every session of the current user)
+ * @access  Private
+ */
+router.post('/logout-all', authenticateToken, async (req, res) => {
+    try {
+        const revokedSessions = await revokeUserSessions(req.user.id, 'logout_all');
+
+        await recordAuditEvent({
+            action: 'logout_all',
+            actorId: req.user.id,
+            targetUserId: req.user.id,
+            details: { revokedSessions },
+            ipAddress: req.ip
+        });
+
+        res.status(200).json({
+            message: 'Logged out from all devices',
+            revokedSessions
+        });
+
+    } catch (error) {
+        console.error('Logout all error:', error);
+        res.status(500).json({
+            error: 'Logout failed',
+            message: 'An error occurred while logging out'
+        });
+    }
+});
+
+/**
+ * @route   GET /api/auth/sessions
+ * @desc    Get the current user's signed-in devices
+ * @access  Private
+ */
+router.get('/sessions', authenticateToken, async (req, res) => {
+    try {
+        const sessions = await getActiveSessions(req.user.id);
+
+        res.status(200).json({
+            sessions: sessions.map(session => formatSession(session, req.sessionId))
+        });
+
+    } catch (error) {
+        console.error('Get sessions error:', error);
+        res.status(500).json({
+            error: 'Failed to get sessions',
+            message: 'An error occurred while retrieving your sessions'
+        });
+    }
+});
+
+/**
+ * @route   DELETE /api/auth/sessions/:id
+ * @desc    Sign out one of the current user's devices
+ * @access  Private
+ */
+router.delete('/sessions/:id', authenticateToken, [
+    param('id').isUUID().withMessage('Session ID must be a valid UUID')
+], async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                error: 'Validation failed',
+                details: errors.array()
+            });
+        }
+
+        const revoked = await revokeUserSession(req.user.id, req.params.id, 'logout');
+
+        if (!revoked) {
+            return res.status(404).json({
+                error: 'Session not found',
+                message: 'The requested session was not found or is already signed out'
+            });
+        }
+
+        res.status(200).json({
+            message: 'Session revoked successfully'
+        });
+
+    } catch (error) {
+        console.error('Revoke session error:', error);
+        res.status(500).json({
+            error: 'Failed to revoke session',
+            message: 'An error occurred while revoking the session'
+        });
+    }
+});
+
 /**
  * @route   GET /api/auth/me
  * @desc    Get current user info
@@ -828,11 +901,7 @@ router.get('/me', authenticateToken, async (req, res) => {
                 badgesEarned: user.badges_earned,
                 lastActivityDate: user.last_activity_date,
                 createdAt: user.created_at,
-                preferences: user.preferences || {
-                    program_type: 'daily_video',
-                    chat_terms_accepted: false,
-                    chat_terms_accepted_date: null
-                }
+                preferences: user.preferences || DEFAULT_PREFERENCES
             }
         });
 
@@ -1,17 +1,1012 @@
 import express from 'express';
-import { authenticateToken } from '../middleware/auth.js';
+import { body, validationResult } from 'express-validator';
+import { authenticateToken, requireAdmin } from '../middleware/auth.js';
+import { supabaseAdmin } from '../config/supabase.js';
+import { getLLMProvider } from '../services/llm.js';
+import { buildChatMessages } from '../services/chatPrompt.js';
+import { searchLessonMaterials } from '../services/materialIndexer.js';
+import { getChatQuotaStatus, findExceededQuota, reserveChatQuestion, linkChatUsage, releaseChatQuestion } from '../services/chatQuota.js';
+import { getModerationConfig, moderateInput, moderateOutput, recordBlockedInput, recordChatFlag } from '../services/moderation.js';
+import { TICKET_PRIORITIES, createSupportTicket, formatTicket } from '../services/supportTickets.js';
 
 const router = express.Router();
 
-// Placeholder routes - will implement these next
+// How many prior messages of a conversation are sent to the model as context
+const HISTORY_LIMIT = parseInt(process.env.CHAT_HISTORY_LIMIT) || 10;
+
+// How many support material chunks are added to the prompt
+const RETRIEVAL_LIMIT = parseInt(process.env.RAG_RETRIEVAL_LIMIT) || 4;
+
+// Helper: fetch the lesson a question refers to (only published lessons for regular users)
+const getLessonForChat = async (lessonId, user) => {
+    const { data: lesson, error } = await supabaseAdmin
+        .from('lessons')
+        .select('id, title, description, lesson_topics, key_points, is_published')
+        .eq('id', lessonId)
+        .single();
+
+    if (error || !lesson) return null;
+
+    if (!lesson.is_published && user.role !== 'admin' && user.role !== 'manager') {
+        return null;
+    }
+
+    return lesson;
+};
+
+// Helper: fetch a conversation owned by the user (null if missing or not theirs)
+const getOwnConversation = async (conversationId, userId) => {
+    const { data: conversation, error } = await supabaseAdmin
+        .from('chat_conversations')
+        .select('*')
+        .eq('id', conversationId)
+        .eq('user_id', userId)
+        .single();
+
+    if (error || !conversation) return null;
+    return conversation;
+};
+
+// Helper: last N messages of a conversation, oldest first
+const getConversationHistory = async (conversationId) => {
+    const { data: messages, error } = await supabaseAdmin
+        .from('chat_messages')
+        .select('role, content')
+        .eq('conversation_id', conversationId)
+        .order('created_at', { ascending: false })
+        .limit(HISTORY_LIMIT);
+
+    if (error) throw error;
+    return (messages || []).reverse();
+};
+
+// Helper: retrieve the lesson's support material chunks relevant to the question.
+// Retrieval problems must never block an answer - the assistant falls back to the lesson details.
+const getRelevantSources = async (lesson, question) => {
+    if (!lesson) return [];
+    try {
+        return await searchLessonMaterials(lesson.id, question, RETRIEVAL_LIMIT);
+    } catch (error) {
+        console.error(`Material retrieval failed for lesson ${lesson.id}:`, error.message);
+        return [];
+    }
+};
+
+// Helper: de-duplicated citations (material + page) for the response
+const formatSources = (sources) => {
+    const seen = new Set();
+    return sources.reduce((citations, source) => {
+        const key = `${source.materialId}:${source.pageNumber}`;
+        if (!seen.has(key)) {
+            seen.add(key);
+            citations.push({
+                materialId: source.materialId,
+                materialName: source.materialName,
+                page: source.pageNumber
+            });
+        }
+        return citations;
+    }, []);
+};
+
+// Helper: store a question/answer pair, creating the conversation on the first question
+const saveExchange = async ({ user, conversation, lesson, question, completion, provider, citations = [], usageId }) => {
+    const userId = user.id;
+    let conversationId = conversation?.id;
+
+    if (!conversationId) {
+        const { data: newConversation, error: createError } = await supabaseAdmin
+            .from('chat_conversations')
+            .insert({
+                user_id: userId,
+                lesson_id: lesson?.id || null,
+                title: question.length > 80 ? `${question.slice(0, 77)}...` : question
+            })
+            .select('id')
+            .single();
+
+        if (createError || !newConversation) throw createError || new Error('Conversation was not created');
+        conversationId = newConversation.id;
+        await linkChatUsage(usageId, conversationId);
+    }
+
+    const now = new Date();
+    const { data: savedMessages, error: saveError } = await supabaseAdmin
+        .from('chat_messages')
+        .insert([
+            {
+                conversation_id: conversationId,
+                user_id: userId,
+                role: 'user',
+                content: question,
+                created_at: now.toISOString()
+            },
+            {
+                conversation_id: conversationId,
+                user_id: userId,
+                role: 'assistant',
+                content: completion.content,
+                provider: provider.name,
+                model: provider.model,
+                usage: completion.usage,
+                sources: citations,
+                // Keep the answer strictly after the question when ordering by created_at
+                created_at: new Date(now.getTime() + 1).toISOString()
+            }
+        ])
+        .select('id, role');
+
+    if (saveError) throw saveError;
+
+    await supabaseAdmin
+        .from('chat_conversations')
+        .update({ updated_at: new Date().toISOString() })
+        .eq('id', conversationId);
+
+    return {
+        conversationId,
+        messageId: savedMessages?.find(m => m.role === 'assistant')?.id || null
+    };
+};
+
+// Helper: output moderation - flagged answers get the configured safety notice appended
+const reviewAnswer = (content, moderationConfig) => {
+    const check = moderateOutput(content, moderationConfig);
+    const notice = check.flagged && moderationConfig.unsafe_answer_notice
+        ? `\n\n${moderationConfig.unsafe_answer_notice}`
+        : '';
+    return { ...check, notice };
+};
+
+// Helper: put a flagged answer in the admin review queue
+const flagAnswer = (userId, saved, completion, answerCheck) => recordChatFlag({
+    userId,
+    conversationId: saved.conversationId,
+    messageId: saved.messageId,
+    stage: 'output',
+    reason: answerCheck.reason,
+    matches: answerCheck.matches,
+    content: completion.content
+});
+
+// Helper: plain-text transcript of a conversation for a support ticket
+const buildTranscript = (conversation, lesson, messages) => {
+    const lines = [];
+
+    if (lesson) {
+        lines.push(`שיעור: ${lesson.title} (${lesson.id})`);
+    }
+    lines.push(`שיחה: ${conversation.id}`, '');
+
+    messages.forEach(message => {
+        const speaker = message.role === 'user' ? 'לומד' : 'בוט';
+        lines.push(`[${message.created_at}] ${speaker}:`, message.content, '');
+    });
+
+    return lines.join('\n').trim();
+};
+
+// Helper: does the client want a Server-Sent Events response?
+const wantsEventStream = (req) =>
+    (req.get('accept') || '').includes('text/event-stream') || req.body.stream === true;
+
+// Helper: write one SSE event
+const sendEvent = (res, event, data) => {
+    res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+};
+
+// Streamed text trails the model by this many characters, so an unsafe-advice pattern is matched
+// before any of it reaches the learner (the configured patterns are all much shorter)
+const MODERATION_HOLDBACK_CHARS = 120;
+
+// Helper: stream the answer token by token over SSE.
+// Clients must use fetch() (not EventSource) so the Authorization header still reaches authenticateToken.
+// The whole answer so far is moderated before each chunk is sent; once it is flagged nothing more of it
+// is sent and the safety notice takes the place of the rest (the full answer goes to the review queue).
+const streamAnswer = async ({ req, res, provider, messages, conversation, lesson, question, citations, usageId, moderation }) => {
+    const controller = new AbortController();
+    let finished = false;
+    let generated = '';
+    let sentLength = 0;
+    let flagged = false;
+
+    res.status(200);
+    res.setHeader('Content-Type', 'text/event-stream; charset=utf-8');
+    res.setHeader('Cache-Control', 'no-cache, no-transform');
+    res.setHeader('Connection', 'keep-alive');
+    res.setHeader('X-Accel-Buffering', 'no'); // Disable proxy buffering (nginx)
+    res.flushHeaders();
+
+    // Keep slow mobile connections and proxies from timing out while the model thinks
+    const heartbeat = setInterval(() => res.write(': ping\n\n'), 15000);
+
+    // Client went away (closed tab, lost signal) - stop paying for the upstream request
+    res.on('close', () => {
+        clearInterval(heartbeat);
+        if (!finished) controller.abort();
+    });
+
+    // Send the generated text up to `length` (not splitting a surrogate pair)
+    const sendUpTo = (length) => {
+        if (length > sentLength && length < generated.length && /[\uD800-\uDBFF]/.test(generated[length - 1])) {
+            length -= 1;
+        }
+        if (length > sentLength) {
+            sendEvent(res, 'token', { text: generated.slice(sentLength, length) });
+            sentLength = length;
+        }
+    };
+
+    try {
+        const completion = await provider.stream({
+            messages,
+            signal: controller.signal,
+            onToken: (text) => {
+                generated += text;
+                if (flagged) return;
+                flagged = moderateOutput(generated, moderation.config).flagged;
+                if (!flagged) sendUpTo(generated.length - MODERATION_HOLDBACK_CHARS);
+            }
+        });
+
+        const answerCheck = reviewAnswer(completion.content, moderation.config);
+        const fullAnswer = completion.content;
+        if (answerCheck.flagged) {
+            // The learner keeps what was already sent, followed by the safety notice
+            completion.content = completion.content.slice(0, sentLength) + answerCheck.notice;
+            sendEvent(res, 'token', { text: answerCheck.notice });
+        } else {
+            generated = completion.content;
+            sendUpTo(generated.length);
+        }
+
+        const saved = await saveExchange({ user: req.user, conversation, lesson, question, completion, provider, citations, usageId });
+
+        if (answerCheck.flagged) {
+            await flagAnswer(req.user.id, saved, { content: fullAnswer }, answerCheck);
+        }
+
+        sendEvent(res, 'done', {
+            conversationId: saved.conversationId,
+            messageId: saved.messageId,
+            lessonId: lesson?.id || null,
+            sources: citations,
+            moderation: {
+                redactions: moderation.redactions,
+                flagged: answerCheck.flagged,
+                reason: answerCheck.reason
+            },
+            provider: provider.name,
+            model: provider.model,
+            usage: completion.usage
+        });
+    } catch (error) {
+        // A question the learner walked away from still counts
+        if (controller.signal.aborted) return;
+        console.error(`LLM provider (${provider.name}) stream error:`, error.response?.status || error.message);
+        await releaseChatQuestion(usageId);
+        sendEvent(res, 'error', {
+            error: 'Assistant unavailable',
+            message: 'The assistant could not answer right now. Please try again later.'
+        });
+    } finally {
+        finished = true;
+        clearInterval(heartbeat);
+        res.end();
+    }
+};
+
+const formatConversation = (conversation) => ({
+    id: conversation.id,
+    title: conversation.title,
+    lessonId: conversation.lesson_id,
+    lessonTitle: conversation.lesson?.title || null,
+    supportTicketId: conversation.support_ticket_id || null,
+    createdAt: conversation.created_at,
+    updatedAt: conversation.updated_at
+});
+
+const formatFlag = (flag) => ({
+    id: flag.id,
+    stage: flag.stage,
+    reason: flag.reason,
+    matches: flag.matches || [],
+    content: flag.content,
+    status: flag.status,
+    reviewNote: flag.review_note,
+    reviewedBy: flag.reviewed_by,
+    reviewedAt: flag.reviewed_at,
+    conversationId: flag.conversation_id,
+    messageId: flag.message_id,
+    user: flag.user ? {
+        id: flag.user.id,
+        fullName: `${flag.user.first_name} ${flag.user.last_name}`,
+        email: flag.user.email,
+        company: flag.user.company
+    } : null,
+    createdAt: flag.created_at
+});
+
+const formatMessage = (message) => ({
+    id: message.id,
+    role: message.role,
+    content: message.content,
+    usage: message.usage || null,
+    sources: message.sources || [],
+    feedback: message.feedback?.[0] ? {
+        rating: message.feedback[0].rating,
+        comment: message.feedback[0].comment
+    } : null,
+    createdAt: message.created_at
+});
 
 /**
  * @route   POST /api/chat
- * @desc    Send question to external AI API
+ * @desc    Ask the AI lesson assistant a question (optionally about a specific lesson / in an existing conversation).
+ *          Send `Accept: text/event-stream` (or `stream: true`) to receive the answer as Server-Sent Events:
+ *          `token` events while the answer is generated, then a final `done` event with usage totals.
+ *          Streamed text is moderated before it is sent, so it trails the model by a short stretch.
+ * @access  Private
+ */
+router.post('/', authenticateToken, [
+    body('question').isString().trim().isLength({ min: 1, max: 2000 }).withMessage('Question is required (up to 2000 characters)'),
+    body('lessonId').optional({ nullable: true }).isUUID().withMessage('lessonId must be a valid lesson ID'),
+    body('conversationId').optional({ nullable: true }).isUUID().withMessage('conversationId must be a valid conversation ID'),
+    body('stream').optional().isBoolean().withMessage('stream must be a boolean')
+], async (req, res) => {
+    try {
+        // Check validation errors
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                error: 'Validation failed',
+                details: errors.array()
+            });
+        }
+
+        // The learner must accept the chat terms before using the assistant
+        if (!req.user.preferences?.chat_terms_accepted) {
+            return res.status(403).json({
+                error: 'Chat terms not accepted',
+                message: 'Please accept the chat terms of use before using the assistant'
+            });
+        }
+
+        const userId = req.user.id;
+        const { conversationId } = req.body;
+
+        // Continue an existing conversation if one was given
+        let conversation = null;
+        if (conversationId) {
+            conversation = await getOwnConversation(conversationId, userId);
+            if (!conversation) {
+                return res.status(404).json({
+                    error: 'Conversation not found',
+                    message: 'The requested conversation was not found'
+                });
+            }
+        }
+
+        // Input moderation: redact PII, block abusive / off-topic questions
+        const moderationConfig = await getModerationConfig();
+        const inputCheck = moderateInput(req.body.question, moderationConfig);
+        const question = inputCheck.text;
+
+        if (!inputCheck.allowed) {
+            if (moderationConfig.flag_blocked_inputs) {
+                await recordBlockedInput({
+                    userId,
+                    conversationId: conversation?.id || null,
+                    reason: inputCheck.reason,
+                    matches: inputCheck.matches,
+                    content: question
+                });
+            }
+            return res.status(400).json({
+                error: 'Question not allowed',
+                reason: inputCheck.reason,
+                message: inputCheck.reason === 'off_topic'
+                    ? 'The assistant only answers questions about the lessons and construction work'
+                    : 'Your question contains language that is not allowed'
+            });
+        }
+
+        // A conversation stays tied to the lesson it was started on
+        const lessonId = conversation?.lesson_id || req.body.lessonId;
+
+        let lesson = null;
+        if (lessonId) {
+            lesson = await getLessonForChat(lessonId, req.user);
+            if (!lesson) {
+                return res.status(404).json({
+                    error: 'Lesson not found',
+                    message: 'The requested lesson does not exist or is not available'
+                });
+            }
+        }
+
+        // Daily / monthly question quotas (per user, role and company) - the question is
+        // counted here, before the assistant is asked, so it counts even if the answer never arrives
+        const { usageId, exceeded: exceededQuota } = await reserveChatQuestion(req.user, conversation?.id || null);
+        if (exceededQuota) {
+            const retryAfterSeconds = Math.max(Math.ceil((new Date(exceededQuota.resetAt) - Date.now()) / 1000), 1);
+            res.set('Retry-After', String(retryAfterSeconds));
+            return res.status(429).json({
+                error: 'Chat quota exceeded',
+                message: exceededQuota.scope === 'company'
+                    ? `Your company has used its ${exceededQuota.period} question quota. Questions will be available again at ${exceededQuota.resetAt}.`
+                    : `You have used your ${exceededQuota.period} question quota. Questions will be available again at ${exceededQuota.resetAt}.`,
+                quota: exceededQuota
+            });
+        }
+
+        const history = conversation ? await getConversationHistory(conversation.id) : [];
+        const sources = await getRelevantSources(lesson, question);
+        const citations = formatSources(sources);
+
+        const provider = getLLMProvider();
+        const messages = buildChatMessages({ question, lesson, history, sources });
+
+        // Streaming mode - the client asked for Server-Sent Events
+        if (wantsEventStream(req)) {
+            return streamAnswer({
+                req, res, provider, messages, conversation, lesson, question, citations, usageId,
+                moderation: { config: moderationConfig, redactions: inputCheck.redactions }
+            });
+        }
+
+        let completion;
+        try {
+            completion = await provider.complete({ messages });
+        } catch (providerError) {
+            console.error(`LLM provider (${provider.name}) error:`, providerError.response?.data || providerError.message);
+            await releaseChatQuestion(usageId);
+            return res.status(502).json({
+                error: 'Assistant unavailable',
+                message: 'The assistant could not answer right now. Please try again later.'
+            });
+        }
+
+        const answerCheck = reviewAnswer(completion.content, moderationConfig);
+        completion.content += answerCheck.notice;
+
+        let saved;
+        try {
+            saved = await saveExchange({ user: req.user, conversation, lesson, question, completion, provider, citations, usageId });
+        } catch (saveError) {
+            console.error('Error saving chat exchange:', saveError);
+            return res.status(500).json({
+                error: 'Failed to save conversation',
+                message: 'An error occurred while saving the conversation'
+            });
+        }
+
+        if (answerCheck.flagged) {
+            await flagAnswer(userId, saved, completion, answerCheck);
+        }
+
+        res.status(200).json({
+            answer: completion.content,
+            conversationId: saved.conversationId,
+            messageId: saved.messageId,
+            lessonId: lesson?.id || null,
+            sources: citations,
+            moderation: {
+                redactions: inputCheck.redactions,
+                flagged: answerCheck.flagged,
+                reason: answerCheck.reason
+            },
+            provider: provider.name,
+            model: provider.model,
+            usage: completion.usage
+        });
+
+    } catch (error) {
+        console.error('Error in chat route:', error);
+        res.status(500).json({
+            error: 'Internal server error',
+            message: 'An error occurred while processing your request'
+        });
+    }
+});
+
+/**
+ * @route   GET /api/chat/quota
+ * @desc    Get the user's remaining daily / monthly assistant questions
+ * @access  Private
+ */
+router.get('/quota', authenticateToken, async (req, res) => {
+    try {
+        const status = await getChatQuotaStatus(req.user);
+
+        res.status(200).json({
+            quota: status,
+            exceeded: findExceededQuota(status)
+        });
+
+    } catch (error) {
+        console.error('Error in get chat quota route:', error);
+        res.status(500).json({
+            error: 'Internal server error',
+            message: 'An error occurred while processing your request'
+        });
+    }
+});
+
+/**
+ * @route   GET /api/chat/conversations
+ * @desc    Get user's chat conversations (optionally for a single lesson)
+ * @access  Private
+ */
+router.get('/conversations', authenticateToken, async (req, res) => {
+    try {
+        const userId = req.user.id;
+        const { lessonId, page = 1, limit = 20 } = req.query;
+
+        let query = supabaseAdmin
+            .from('chat_conversations')
+            .select('*, lesson:lessons(id, title)', { count: 'exact' })
+            .eq('user_id', userId)
+            .order('updated_at', { ascending: false });
+
+        if (lessonId) {
+            query = query.eq('lesson_id', lessonId);
+        }
+
+        // Apply pagination
+        const offset = (page - 1) * limit;
+        query = query.range(offset, offset + limit - 1);
+
+        const { data: conversations, error, count } = await query;
+
+        if (error) {
+            console.error('Error fetching conversations:', error);
+            return res.status(500).json({
+                error: 'Failed to fetch conversations',
+                message: 'An error occurred while retrieving your conversations'
+            });
+        }
+
+        res.status(200).json({
+            conversations: conversations.map(formatConversation),
+            pagination: {
+                currentPage: parseInt(page),
+                totalPages: Math.ceil((count || 0) / limit),
+                totalConversations: count || 0,
+                conversationsPerPage: parseInt(limit)
+            }
+        });
+
+    } catch (error) {
+        console.error('Error in get conversations route:', error);
+        res.status(500).json({
+            error: 'Internal server error',
+            message: 'An error occurred while processing your request'
+        });
+    }
+});
+
+/**
+ * @route   GET /api/chat/conversations/:id
+ * @desc    Get a conversation with all its messages
+ * @access  Private
+ */
+router.get('/conversations/:id', authenticateToken, async (req, res) => {
+    try {
+        const userId = req.user.id;
+        const conversationId = req.params.id;
+
+        const { data: conversation, error } = await supabaseAdmin
+            .from('chat_conversations')
+            .select('*, lesson:lessons(id, title)')
+            .eq('id', conversationId)
+            .eq('user_id', userId) // Ensure user can only access their own conversations
+            .single();
+
+        if (error) {
+            if (error.code === 'PGRST116' || error.code === '22P02') {
+                return res.status(404).json({
+                    error: 'Conversation not found',
+                    message: 'The requested conversation was not found'
+                });
+            }
+            console.error('Error fetching conversation:', error);
+            return res.status(500).json({
+                error: 'Failed to fetch conversation',
+                message: 'An error occurred while retrieving the conversation'
+            });
+        }
+
+        const { data: messages, error: messagesError } = await supabaseAdmin
+            .from('chat_messages')
+            .select('*, feedback:chat_message_feedback(rating, comment)')
+            .eq('conversation_id', conversationId)
+            .order('created_at', { ascending: true });
+
+        if (messagesError) {
+            console.error('Error fetching conversation messages:', messagesError);
+            return res.status(500).json({
+                error: 'Failed to fetch conversation',
+                message: 'An error occurred while retrieving the conversation'
+            });
+        }
+
+        res.status(200).json({
+            conversation: {
+                ...formatConversation(conversation),
+                messages: (messages || []).map(formatMessage)
+            }
+        });
+
+    } catch (error) {
+        console.error('Error in get conversation route:', error);
+        res.status(500).json({
+            error: 'Internal server error',
+            message: 'An error occurred while processing your request'
+        });
+    }
+});
+
+/**
+ * @route   DELETE /api/chat/conversations/:id
+ * @desc    Delete a conversation and its messages
  * @access  Private
  */
-router.post('/', authenticateToken, (req, res) => {
-    res.status(200).json({ message: 'AI chat endpoint - coming soon' });
+router.delete('/conversations/:id', authenticateToken, async (req, res) => {
+    try {
+        const userId = req.user.id;
+        const conversationId = req.params.id;
+
+        const { data: deleted, error } = await supabaseAdmin
+            .from('chat_conversations')
+            .delete()
+            .eq('id', conversationId)
+            .eq('user_id', userId)
+            .select('id');
+
+        if (error && error.code !== '22P02') {
+            console.error('Error deleting conversation:', error);
+            return res.status(500).json({
+                error: 'Failed to delete conversation',
+                message: 'An error occurred while deleting the conversation'
+            });
+        }
+
+        if (!deleted || deleted.length === 0) {
+            return res.status(404).json({
+                error: 'Conversation not found',
+                message: 'The requested conversation was not found'
+            });
+        }
+
+        res.status(200).json({
+            message: 'Conversation deleted successfully',
+            conversationId
+        });
+
+    } catch (error) {
+        console.error('Error in delete conversation route:', error);
+        res.status(500).json({
+            error: 'Internal server error',
+            message: 'An error occurred while processing your request'
+        });
+    }
+});
+
+/**
+ * @route   POST /api/chat/conversations/:id/escalate
+ * @desc    Turn a conversation the bot couldn't resolve into a support ticket.
+ *          The ticket's initial message carries the transcript and the lesson reference.
+ * @access  Private
+ */
+router.post('/conversations/:id/escalate', authenticateToken, [
+    body('note').optional({ nullable: true }).isString().trim().isLength({ max: 2000 }).withMessage('Note must be up to 2000 characters'),
+    body('priority').optional().isIn(TICKET_PRIORITIES).withMessage(`Priority must be one of: ${TICKET_PRIORITIES.join(', ')}`)
+], async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                error: 'Validation failed',
+                details: errors.array()
+            });
+        }
+
+        const userId = req.user.id;
+        const { note, priority = 'medium' } = req.body;
+
+        const conversation = await getOwnConversation(req.params.id, userId);
+        if (!conversation) {
+            return res.status(404).json({
+                error: 'Conversation not found',
+                message: 'The requested conversation was not found'
+            });
+        }
+
+        if (conversation.support_ticket_id) {
+            return res.status(409).json({
+                error: 'Already escalated',
+                message: 'A support ticket was already opened for this conversation',
+                ticketId: conversation.support_ticket_id
+            });
+        }
+
+        const { data: messages, error: messagesError } = await supabaseAdmin
+            .from('chat_messages')
+            .select('role, content, created_at')
+            .eq('conversation_id', conversation.id)
+            .order('created_at', { ascending: true });
+
+        if (messagesError) {
+            console.error('Error fetching conversation messages for escalation:', messagesError);
+            return res.status(500).json({
+                error: 'Failed to escalate conversation',
+                message: 'An error occurred while reading the conversation'
+            });
+        }
+
+        if (!messages || messages.length === 0) {
+            return res.status(400).json({
+                error: 'Empty conversation',
+                message: 'There is nothing to escalate in this conversation'
+            });
+        }
+
+        let lesson = null;
+        if (conversation.lesson_id) {
+            const { data: lessonData } = await supabaseAdmin
+                .from('lessons')
+                .select('id, title')
+                .eq('id', conversation.lesson_id)
+                .single();
+            lesson = lessonData || null;
+        }
+
+        const lastQuestion = [...messages].reverse().find(message => message.role === 'user');
+        const title = `שאלה מהבוט: ${conversation.title || lastQuestion?.content || ''}`;
+        const transcript = buildTranscript(conversation, lesson, messages);
+
+        let ticket;
+        try {
+            ticket = await createSupportTicket({
+                userId,
+                title: title.length > 255 ? `${title.slice(0, 252)}...` : title,
+                description: note || lastQuestion?.content || conversation.title,
+                priority,
+                initialMessage: note ? `${note}\n\n${transcript}` : transcript,
+                chatConversationId: conversation.id
+            });
+        } catch (error) {
+            console.error('Error creating ticket from conversation:', error);
+            return res.status(500).json({
+                error: 'Failed to create ticket',
+                message: 'An error occurred while creating your support ticket'
+            });
+        }
+
+        // Link the conversation back to its ticket
+        const { error: linkError } = await supabaseAdmin
+            .from('chat_conversations')
+            .update({ support_ticket_id: ticket.id, updated_at: new Date().toISOString() })
+            .eq('id', conversation.id);
+
+        if (linkError) {
+            console.error('Error linking conversation to ticket:', linkError);
+        }
+
+        res.status(201).json({
+            message: 'Support ticket created successfully',
+            ticket: formatTicket(ticket)
+        });
+
+    } catch (error) {
+        console.error('Error in escalate conversation route:', error);
+        res.status(500).json({
+            error: 'Internal server error',
+            message: 'An error occurred while processing your request'
+        });
+    }
+});
+
+/**
+ * @route   POST /api/chat/messages/:id/feedback
+ * @desc    Rate an assistant answer (thumbs up/down with an optional comment). Rating again replaces the previous rating.
+ * @access  Private
+ */
+router.post('/messages/:id/feedback', authenticateToken, [
+    body('rating').isIn(['up', 'down']).withMessage('Rating must be one of: up, down'),
+    body('comment').optional({ nullable: true }).isString().trim().isLength({ max: 1000 }).withMessage('Comment must be up to 1000 characters')
+], async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                error: 'Validation failed',
+                details: errors.array()
+            });
+        }
+
+        const { id: messageId } = req.params;
+        const { rating, comment } = req.body;
+
+        // Only answers in the learner's own conversations can be rated
+        const { data: message, error: messageError } = await supabaseAdmin
+            .from('chat_messages')
+            .select('id, role, user_id')
+            .eq('id', messageId)
+            .eq('user_id', req.user.id)
+            .single();
+
+        if (messageError || !message) {
+            return res.status(404).json({
+                error: 'Message not found',
+                message: 'The requested message was not found'
+            });
+        }
+
+        if (message.role !== 'assistant') {
+            return res.status(400).json({
+                error: 'Invalid message',
+                message: 'Only assistant answers can be rated'
+            });
+        }
+
+        const { data: feedback, error } = await supabaseAdmin
+            .from('chat_message_feedback')
+            .upsert({
+                message_id: messageId,
+                user_id: req.user.id,
+                rating,
+                comment: comment || null,
+                updated_at: new Date().toISOString()
+            }, { onConflict: 'message_id,user_id' })
+            .select('*')
+            .single();
+
+        if (error) {
+            console.error('Error saving chat feedback:', error);
+            return res.status(500).json({
+                error: 'Failed to save feedback',
+                message: 'An error occurred while saving your feedback'
+            });
+        }
+
+        res.status(200).json({
+            message: 'Feedback saved successfully',
+            feedback: {
+                id: feedback.id,
+                messageId: feedback.message_id,
+                rating: feedback.rating,
+                comment: feedback.comment,
+                updatedAt: feedback.updated_at
+            }
+        });
+
+    } catch (error) {
+        console.error('Error in chat feedback route:', error);
+        res.status(500).json({
+            error: 'Internal server error',
+            message: 'An error occurred while processing your request'
+        });
+    }
+});
+
+/**
+ * @route   GET /api/chat/flags
+ * @desc    Get the moderation review queue (admin)
+ * @access  Private (Admin)
+ */
+router.get('/flags', authenticateToken, requireAdmin, async (req, res) => {
+    try {
+        const { status = 'pending', reason, page = 1, limit = 20 } = req.query;
+
+        let query = supabaseAdmin
+            .from('chat_flags')
+            .select('*, user:users!chat_flags_user_id_fkey(id, first_name, last_name, email, company)', { count: 'exact' })
+            .order('created_at', { ascending: false });
+
+        if (status && status !== 'all') {
+            query = query.eq('status', status);
+        }
+
+        if (reason && reason !== 'all') {
+            query = query.eq('reason', reason);
+        }
+
+        // Apply pagination
+        const offset = (page - 1) * limit;
+        query = query.range(offset, offset + limit - 1);
+
+        const { data: flags, error, count } = await query;
+
+        if (error) {
+            console.error('Error fetching chat flags:', error);
+            return res.status(500).json({
+                error: 'Failed to fetch flags',
+                message: 'An error occurred while retrieving the review queue'
+            });
+        }
+
+        res.status(200).json({
+            flags: flags.map(formatFlag),
+            pagination: {
+                currentPage: parseInt(page),
+                totalPages: Math.ceil((count || 0) / limit),
+                totalFlags: count || 0,
+                flagsPerPage: parseInt(limit)
+            }
+        });
+
+    } catch (error) {
+        console.error('Error in get chat flags route:', error);
+        res.status(500).json({
+            error: 'Internal server error',
+            message: 'An error occurred while processing your request'
+        });
+    }
+});
+
+/**
+ * @route   PATCH /api/chat/flags/:id
+ * @desc    Review a flagged exchange (admin)
+ * @access  Private (Admin)
+ */
+router.patch('/flags/:id', authenticateToken, requireAdmin, [
+    body('status').isIn(['pending', 'confirmed', 'dismissed']).withMessage('Status must be one of: pending, confirmed, dismissed'),
+    body('note').optional({ nullable: true }).isString().isLength({ max: 2000 }).withMessage('Note must be up to 2000 characters')
+], async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                error: 'Validation failed',
+                details: errors.array()
+            });
+        }
+
+        const { id } = req.params;
+        const { status, note } = req.body;
+
+        const updateData = {
+            status,
+            reviewed_by: status === 'pending' ? null : req.user.id,
+            reviewed_at: status === 'pending' ? null : new Date().toISOString()
+        };
+        if (note !== undefined) updateData.review_note = note;
+
+        const { data: flag, error } = await supabaseAdmin
+            .from('chat_flags')
+            .update(updateData)
+            .eq('id', id)
+            .select('*, user:users!chat_flags_user_id_fkey(id, first_name, last_name, email, company)')
+            .single();
+
+        if (error) {
+            if (error.code === 'PGRST116' || error.code === '22P02') {
+                return res.status(404).json({
+                    error: 'Flag not found',
+                    message: 'The requested flag was not found'
+                });
+            }
+            console.error('Error updating chat flag:', error);
+            return res.status(500).json({
+                error: 'Failed to update flag',
+                message: 'An error occurred while updating the flag'
+            });
+        }
+
+        res.status(200).json({
+            message: 'Flag updated successfully',
+            flag: formatFlag(flag)
+        });
+
+    } catch (error) {
+        console.error('Error in update chat flag route:', error);
+        res.status(500).json({
+            error: 'Internal server error',
+            message: 'An error occurred while processing your request'
+        });
+    }
 });
 
 export default router;
@@ -4,6 +4,20 @@ import jwt from 'jsonwebtoken';
 import { authenticateToken, requireAdmin } from '../middleware/auth.js';
 import { supabaseAdmin } from '../config/supabase.js';
 import { uploadToCloudinary, generateSignedUrl } from '../config/cloudinary.js';
+import { indexLessonMaterials, materialsSignature } from '../services/materialIndexer.js';
+import { validateWatchEvents } from '../services/watchEvents.js';
+import { notifyByPush } from '../services/pushNotifications.js';
+import { touchSession } from '../services/authTokens.js';
+import { getUnlockedLessonsCount, getLessonIndex, getPublishedLessonIds, selectTodayLesson } from '../services/lessonSchedule.js';
+import {
+    DEFAULT_PROGRESS,
+    getUserProgressMap,
+    getLessonProgress,
+    startLessonSession,
+    updateLessonProgress,
+    completeLesson,
+    countCompletionsSince
+} from '../services/progressStore.js';
 import axios from 'axios';
 
 const router = express.Router();
@@ -32,6 +46,27 @@ const getVimeoVideoDuration = async (vimeoId) => {
     }
 };
 
+// Helper: rebuild the chat retrieval index of a lesson's PDFs in the background
+const reindexLessonMaterialsInBackground = (lessonId) => {
+    indexLessonMaterials(lessonId).catch(error => {
+        console.error(`Failed to index support materials of lesson ${lessonId}:`, error);
+    });
+};
+
+// Helper: does a lesson exist? (checked before progress writes, which would otherwise fail on the foreign key)
+const lessonExists = async (lessonId) => {
+    const { data: lesson, error } = await supabaseAdmin
+        .from('lessons')
+        .select('id')
+        .eq('id', lessonId)
+        .maybeSingle();
+
+    // Not a UUID
+    if (error?.code === '22P02') return false;
+    if (error) throw error;
+    return Boolean(lesson);
+};
+
 // Configure multer for file uploads
 const storage = multer.memoryStorage();
 const upload = multer({
@@ -127,55 +162,6 @@ const processSupportMaterials = async (materials, files) => {
     return processedMaterials;
 };
 
-// Helper: count how many lessons a user has unlocked based on program_type.
-// daily_video  → 1 lesson per business day (Sun–Thu), skipping Fri & Sat
-// weekly_lesson → 1 lesson per calendar week
-// full_access  → all lessons (returns Infinity)
-const getUnlockedLessonsCount = (user) => {
-    const programType = user.preferences?.program_type || 'daily_video';
-    if (programType === 'full_access') return Infinity;
-
-    const startDate = user.preferences?.program_start_date || user.created_at;
-    const start = new Date(startDate);
-    start.setHours(0, 0, 0, 0);
-    const today = new Date();
-    today.setHours(0, 0, 0, 0);
-
-    if (today < start) return 1;
-
-    if (programType === 'weekly_lesson') {
-        const msPerDay = 24 * 60 * 60 * 1000;
-        const calendarDays = Math.floor((today - start) / msPerDay);
-        return Math.floor(calendarDays / 7) + 1;
-    }
-
-    // daily_video: count Sun–Thu days elapsed after signup day
-    let businessDaysElapsed = 0;
-    const current = new Date(start);
-    current.setDate(current.getDate() + 1); // start counting from day after signup
-
-    while (current <= today) {
-        const dow = current.getDay(); // 0=Sun,1=Mon,2=Tue,3=Wed,4=Thu,5=Fri,6=Sat
-        if (dow !== 5 && dow !== 6) businessDaysElapsed++;
-        current.setDate(current.getDate() + 1);
-    }
-
-    return businessDaysElapsed + 1; // +1 for the signup day itself
-};
-
-// Helper: get the 0-based sequential index of a lesson among all published lessons
-const getLessonIndex = async (lessonId) => {
-    const { data: allPublished } = await supabaseAdmin
-        .from('lessons')
-        .select('id')
-        .eq('is_published', true)
-        .order('chapter_order', { ascending: true, nullsFirst: true })
-        .order('lesson_number', { ascending: true, nullsFirst: true });
-
-    if (!allPublished) return -1;
-    return allPublished.findIndex(l => l.id === lessonId);
-};
-
 /**
  * @route   GET /api/lessons
  * @desc    Get all lessons (with filters)
@@ -238,37 +224,20 @@ router.get('/', authenticateToken, async (req, res) => {
             });
         }
 
-        // Get user progress from users table (lesson_progress JSONB field)
-        const { data: userData } = await supabaseAdmin
-            .from('users')
-            .select('lesson_progress')
-            .eq('id', req.user.id)
-            .single();
-
-        // Extract lesson progress from JSONB field
-        const userLessonProgress = userData?.lesson_progress || {};
+        // Get user progress (lesson_progress / watch_sessions tables)
+        const userLessonProgress = await getUserProgressMap(req.user.id);
 
         // Compute unlock count and build global index map for isLocked calculation
         const unlockedCount = getUnlockedLessonsCount(req.user);
         let globalIndexMap = {};
         if (unlockedCount !== Infinity && req.user.role !== 'admin' && req.user.role !== 'manager') {
-            const { data: allPublishedOrdered } = await supabaseAdmin
-                .from('lessons')
-                .select('id')
-                .eq('is_published', true)
-                .order('chapter_order', { ascending: true, nullsFirst: true })
-                .order('lesson_number', { ascending: true, nullsFirst: true });
-            (allPublishedOrdered || []).forEach((l, i) => { globalIndexMap[l.id] = i; });
+            const publishedLessonIds = await getPublishedLessonIds();
+            (publishedLessonIds || []).forEach((id, i) => { globalIndexMap[id] = i; });
         }
 
         // Format the response and apply status filter
         let formattedLessons = lessons.map(lesson => {
-            const progress = userLessonProgress[lesson.id] || {
-                status: 'not_started',
-                last_watched_position: 0,
-                total_watch_time: 0,
-                completion_percentage: 0
-            };
+            const progress = userLessonProgress[lesson.id] || { ...DEFAULT_PROGRESS };
 
             const isLocked = (req.user.role !== 'admin' && req.user.role !== 'manager' && unlockedCount !== Infinity)
                 ? (globalIndexMap[lesson.id] === undefined || globalIndexMap[lesson.id] >= unlockedCount)
@@ -358,33 +327,13 @@ router.get('/today', authenticateToken, async (req, res) => {
             });
         }
 
-        // Get user progress from users table (lesson_progress JSONB field)
-        const { data: userData } = await supabaseAdmin
-            .from('users')
-            .select('lesson_progress')
-            .eq('id', req.user.id)
-            .single();
+        // Get user progress (lesson_progress / watch_sessions tables)
+        const userLessonProgress = await getUserProgressMap(req.user.id);
 
-        // Extract lesson progress from JSONB field
-        const userLessonProgress = userData?.lesson_progress || {};
-
-        // Slice to the lessons unlocked for this user
-        const availableLessons = unlockedCount === Infinity
-            ? allLessons
-            : allLessons.slice(0, unlockedCount);
-
-        // Find the first uncompleted lesson among available lessons
-        let selectedLesson = availableLessons.find(lesson => {
-            const progress = userLessonProgress[lesson.id];
-            return !progress || progress.status !== 'completed';
-        }) || availableLessons[availableLessons.length - 1] || allLessons[0];
-
-        const lessonProgress = userLessonProgress[selectedLesson.id] || {
-            status: 'not_started',
-            last_watched_position: 0,
-            total_watch_time: 0,
-            completion_percentage: 0
-        };
+        // First uncompleted lesson among the lessons unlocked for this user
+        const selectedLesson = selectTodayLesson(allLessons, unlockedCount, userLessonProgress);
+
+        const lessonProgress = userLessonProgress[selectedLesson.id] || { ...DEFAULT_PROGRESS };
 
         const formattedLesson = {
             id: selectedLesson.id,
@@ -452,21 +401,8 @@ router.get('/:id', authenticateToken, async (req, res) => {
             }
         }
 
-        // Get user progress from users table (lesson_progress JSONB field)
-        const { data: userData } = await supabaseAdmin
-            .from('users')
-            .select('lesson_progress')
-            .eq('id', req.user.id)
-            .single();
-
-        // Extract lesson progress from JSONB field
-        const userLessonProgress = userData?.lesson_progress || {};
-        const lessonProgress = userLessonProgress[lesson.id] || {
-            status: 'not_started',
-            last_watched_position: 0,
-            total_watch_time: 0,
-            completion_percentage: 0
-        };
+        // Get user progress (lesson_progress / watch_sessions tables)
+        const lessonProgress = await getLessonProgress(req.user.id, lesson.id) || { ...DEFAULT_PROGRESS };
 
         // Format the response
         const formattedLesson = {
@@ -540,61 +476,16 @@ router.post('/:id/start', authenticateToken, async (req, res) => {
             }
         }
 
-        // Get current user progress
-        const { data: user, error: userError } = await supabaseAdmin
-            .from('users')
-            .select('lesson_progress')
-            .eq('id', userId)
-            .single();
-
-        if (userError) {
-            return res.status(500).json({
-                error: 'Database error',
-                message: 'Failed to fetch user progress'
-            });
-        }
-
-        const currentProgress = user.lesson_progress || {};
-        const lessonProgress = currentProgress[lessonId] || {};
-
-        // Create new session data
-        const sessionData = {
-            session_id: session_id || `session_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`,
-            started_at: new Date().toISOString(),
-            device_info,
-            events: []
-        };
-
-        // Update lesson progress
-        const updatedProgress = {
-            ...lessonProgress,
-            status: lessonProgress.status === 'completed' ? 'completed' : 'in_progress',
-            started_at: lessonProgress.started_at || new Date().toISOString(),
-            last_watched_position: lessonProgress.last_watched_position || 0,
-            total_watch_time: lessonProgress.total_watch_time || 0,
-            completion_percentage: lessonProgress.completion_percentage || 0,
-            watch_sessions: [
-                ...(lessonProgress.watch_sessions || []),
-                sessionData
-            ]
-        };
-
-        // Update user progress in database
-        const updatedLessonProgress = {
-            ...currentProgress,
-            [lessonId]: updatedProgress
-        };
-
-        const { error: updateError } = await supabaseAdmin
-            .from('users')
-            .update({
-                lesson_progress: updatedLessonProgress,
-                last_activity_date: new Date().toISOString().split('T')[0],
-                updated_at: new Date().toISOString()
-            })
-            .eq('id', userId);
-
-        if (updateError) {
+        // Create the session and mark the lesson in progress (unless already completed) in one upsert
+        let updatedProgress;
+        let sessionData;
+        try {
+            ({ progress: updatedProgress, session: sessionData } = await startLessonSession(userId, lessonId, {
+                sessionId: session_id || `session_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`,
+                deviceInfo: device_info
+            }));
+        } catch (updateError) {
+            console.error('Error saving lesson session:', updateError);
             return res.status(500).json({
                 error: 'Update failed',
                 message: 'Failed to start lesson session'
@@ -608,7 +499,7 @@ router.post('/:id/start', authenticateToken, async (req, res) => {
                 lesson_id: lessonId,
                 lesson_title: lesson.title,
                 started_at: sessionData.started_at,
-                resume_position: updatedProgress.last_watched_position
+                resume_position: updatedProgress.last_watched_position || 0
             }
         });
 
@@ -623,7 +514,8 @@ router.post('/:id/start', authenticateToken, async (req, res) => {
 
 /**
  * @route   PUT /api/lessons/:id/progress
- * @desc    Update lesson progress (batched)
+ * @desc    Update lesson progress (batched). `watch_session_data.events` are appended to the session
+ *          and must follow the watch event schema (see services/watchEvents.js).
  * @access  Private
  */
 router.put('/:id/progress', authenticateToken, async (req, res) => {
@@ -638,83 +530,60 @@ router.put('/:id/progress', authenticateToken, async (req, res) => {
         } = req.body;
 
         // Validate required fields
-        if (typeof last_watched_position !== 'number' || typeof total_watch_time !== 'number') {
+        if (!Number.isFinite(last_watched_position) || !Number.isFinite(total_watch_time)) {
             return res.status(400).json({
                 error: 'Invalid data',
                 message: 'last_watched_position and total_watch_time are required and must be numbers'
             });
         }
 
-        // Get current user progress
-        const { data: user, error: userError } = await supabaseAdmin
-            .from('users')
-            .select('lesson_progress')
-            .eq('id', userId)
-            .single();
-
-        if (userError) {
-            return res.status(500).json({
-                error: 'Database error',
-                message: 'Failed to fetch user progress'
+        if (completion_percentage !== undefined && completion_percentage !== null && !Number.isFinite(completion_percentage)) {
+            return res.status(400).json({
+                error: 'Invalid data',
+                message: 'completion_percentage must be a number'
             });
         }
 
-        const currentProgress = user.lesson_progress || {};
-        const lessonProgress = currentProgress[lessonId] || {};
-
-        // Update lesson progress
-        // Preserve existing completion status if already completed
-        const wasAlreadyCompleted = lessonProgress.status === 'completed'
-        
-        const updatedProgress = {
-            ...lessonProgress,
-            // Preserve completion status if already completed, otherwise update based on percentage
-            status: wasAlreadyCompleted ? 'completed' : (completion_percentage >= 100 ? 'completed' : 'in_progress'),
-            last_watched_position: last_watched_position, // Always use the provided position
-            total_watch_time: Math.max(total_watch_time, lessonProgress.total_watch_time || 0),
-            completion_percentage: Math.min(Math.max(completion_percentage || 0, lessonProgress.completion_percentage || 0), 100),
-            updated_at: new Date().toISOString()
-        };
-
-        // Update watch sessions if provided
-        if (watch_session_data && watch_session_data.session_id) {
-            const sessions = lessonProgress.watch_sessions || [];
-            const sessionIndex = sessions.findIndex(s => s.session_id === watch_session_data.session_id);
-            
-            if (sessionIndex >= 0) {
-                // Update existing session
-                sessions[sessionIndex] = {
-                    ...sessions[sessionIndex],
-                    ...watch_session_data,
-                    updated_at: new Date().toISOString()
-                };
-            } else {
-                // Add new session data
-                sessions.push({
-                    ...watch_session_data,
-                    updated_at: new Date().toISOString()
+        // Validate watch events against the event schema
+        let watchEvents = [];
+        if (watch_session_data && watch_session_data.events !== undefined) {
+            const { events, errors } = validateWatchEvents(watch_session_data.events);
+            if (errors.length > 0) {
+                return res.status(400).json({
+                    error: 'Invalid watch events',
+                    message: 'watch_session_data.events do not match the watch event schema',
+                    details: errors.slice(0, 20)
                 });
             }
-            
-            updatedProgress.watch_sessions = sessions;
+            watchEvents = events;
         }
 
-        // Update user progress in database
-        const updatedLessonProgress = {
-            ...currentProgress,
-            [lessonId]: updatedProgress
-        };
+        if (!(await lessonExists(lessonId))) {
+            return res.status(404).json({
+                error: 'Lesson not found',
+                message: 'The requested lesson does not exist'
+            });
+        }
 
-        const { error: updateError } = await supabaseAdmin
-            .from('users')
-            .update({
-                lesson_progress: updatedLessonProgress,
-                last_activity_date: new Date().toISOString().split('T')[0],
-                updated_at: new Date().toISOString()
-            })
-            .eq('id', userId);
+        // Session fields other than the events are stored as-is on the session
+        let session = null;
+        if (watch_session_data && watch_session_data.session_id) {
+            const { session_id: sessionId, events: _events, ...sessionFields } = watch_session_data;
+            session = { sessionId: String(sessionId), data: sessionFields, events: watchEvents };
+        }
 
-        if (updateError) {
+        // Atomic upsert: a completed lesson stays completed, watch time and percentage never go down
+        // and events are appended to the session, so concurrent tabs no longer overwrite each other
+        let updatedProgress;
+        try {
+            updatedProgress = await updateLessonProgress(userId, lessonId, {
+                lastWatchedPosition: last_watched_position,
+                totalWatchTime: total_watch_time,
+                completionPercentage: completion_percentage,
+                session
+            });
+        } catch (updateError) {
+            console.error('Error saving lesson progress:', updateError);
             return res.status(500).json({
                 error: 'Update failed',
                 message: 'Failed to update lesson progress'
@@ -759,6 +628,27 @@ router.post('/:id/complete', authenticateToken, async (req, res) => {
             feedback
         } = req.body;
 
+        if (rating !== undefined && rating !== null && !(Number.isFinite(rating) && rating >= 1 && rating <= 5)) {
+            return res.status(400).json({
+                error: 'Invalid data',
+                message: 'rating must be a number from 1 to 5'
+            });
+        }
+
+        if (final_watch_time !== undefined && final_watch_time !== null && !Number.isFinite(final_watch_time)) {
+            return res.status(400).json({
+                error: 'Invalid data',
+                message: 'final_watch_time must be a number'
+            });
+        }
+
+        if (!(await lessonExists(lessonId))) {
+            return res.status(404).json({
+                error: 'Lesson not found',
+                message: 'The requested lesson does not exist'
+            });
+        }
+
         // Block access if lesson is not yet unlocked for this user
         if (req.user.role !== 'admin' && req.user.role !== 'manager') {
             const lessonIndex = await getLessonIndex(lessonId);
@@ -774,7 +664,7 @@ router.post('/:id/complete', authenticateToken, async (req, res) => {
         // Get current user progress
         const { data: user, error: userError } = await supabaseAdmin
             .from('users')
-            .select('lesson_progress, current_streak, longest_streak, total_lessons_completed, badges_earned, last_activity_date')
+            .select('current_streak, longest_streak, total_lessons_completed, badges_earned, last_activity_date')
             .eq('id', userId)
             .single();
 
@@ -785,23 +675,23 @@ router.post('/:id/complete', authenticateToken, async (req, res) => {
             });
         }
 
-        const currentProgress = user.lesson_progress || {};
-        const lessonProgress = currentProgress[lessonId] || {};
-        const wasAlreadyCompleted = lessonProgress.status === 'completed';
-
-        // Update lesson progress
-        const updatedProgress = {
-            ...lessonProgress,
-            status: 'completed',
-            completed_at: new Date().toISOString(),
-            last_watched_position: 0, // Reset to 0 when completed
-            total_watch_time: Math.max(final_watch_time || 0, lessonProgress.total_watch_time || 0),
-            final_watch_time: final_watch_time || lessonProgress.total_watch_time || 0,
-            completion_percentage: 100,
-            rating: rating || lessonProgress.rating,
-            feedback: feedback || lessonProgress.feedback,
-            session_summary: session_summary || lessonProgress.session_summary
-        };
+        // Update lesson progress (the row is locked, so concurrent requests agree on wasAlreadyCompleted)
+        let updatedProgress;
+        let wasAlreadyCompleted;
+        try {
+            ({ progress: updatedProgress, wasAlreadyCompleted } = await completeLesson(userId, lessonId, {
+                finalWatchTime: final_watch_time,
+                rating,
+                feedback,
+                sessionSummary: session_summary
+            }));
+        } catch (updateError) {
+            console.error('Error saving lesson completion:', updateError);
+            return res.status(500).json({
+                error: 'Update failed',
+                message: 'Failed to complete lesson'
+            });
+        }
 
         // Calculate streak and completion stats
         let newStreak = user.current_streak || 0;
@@ -818,13 +708,10 @@ router.post('/:id/complete', authenticateToken, async (req, res) => {
             const lastActivityDate = user.last_activity_date;
             
             // Check if user has completed any lesson today already
-            const hasCompletedTodayAlready = Object.entries(currentProgress).some(([progressLessonId, progress]) => {
-                if (progress.status === 'completed' && progress.completed_at) {
-                    const completedDate = new Date(progress.completed_at).toISOString().split('T')[0];
-                    return completedDate === today && progressLessonId !== lessonId;
-                }
-                return false;
+            const completedTodayCount = await countCompletionsSince(userId, new Date(`${today}T00:00:00Z`), {
+                excludeLessonId: lessonId
             });
+            const hasCompletedTodayAlready = completedTodayCount > 0;
             
             if (!hasCompletedTodayAlready) {
                 // This is the first lesson completed today
@@ -908,16 +795,10 @@ router.post('/:id/complete', authenticateToken, async (req, res) => {
             }
         }
 
-        // Update user progress in database
-        const updatedLessonProgress = {
-            ...currentProgress,
-            [lessonId]: updatedProgress
-        };
-
+        // Update user stats in database
         const { error: updateError } = await supabaseAdmin
             .from('users')
             .update({
-                lesson_progress: updatedLessonProgress,
                 current_streak: newStreak,
                 longest_streak: newLongestStreak,
                 total_lessons_completed: newTotalCompleted,
@@ -952,6 +833,16 @@ router.post('/:id/complete', authenticateToken, async (req, res) => {
             new_badges: newBadgesEarned
         });
 
+        // Announce new badges on the learner's other devices (not awaited)
+        if (newBadgesEarned.length > 0) {
+            notifyByPush(req.user, {
+                kind: 'new_badge',
+                title: newBadgesEarned.length === 1 ? 'קיבלת הישג חדש!' : 'קיבלת הישגים חדשים!',
+                body: newBadgesEarned.join(', '),
+                url: `${process.env.FRONTEND_URL || 'http://localhost:5173'}/profile`
+            });
+        }
+
     } catch (error) {
         console.error('Error completing lesson:', error);
         res.status(500).json({
@@ -972,22 +863,17 @@ router.get('/:id/resume', authenticateToken, async (req, res) => {
         const userId = req.user.id;
 
         // Get user progress
-        const { data: user, error: userError } = await supabaseAdmin
-            .from('users')
-            .select('lesson_progress')
-            .eq('id', userId)
-            .single();
-
-        if (userError) {
+        let lessonProgress;
+        try {
+            lessonProgress = await getLessonProgress(userId, lessonId, { withSessions: false }) || {};
+        } catch (progressError) {
+            console.error('Error fetching lesson progress:', progressError);
             return res.status(500).json({
                 error: 'Database error',
                 message: 'Failed to fetch user progress'
             });
         }
 
-        const currentProgress = user.lesson_progress || {};
-        const lessonProgress = currentProgress[lessonId] || {};
-
         res.status(200).json({
             lesson_id: lessonId,
             last_position: lessonProgress.last_watched_position || 0,
@@ -1144,6 +1030,11 @@ router.post('/', authenticateToken, requireAdmin, upload.array('support_files',
             });
         }
 
+        // Index PDF support materials for the lesson assistant
+        if (materialsSignature(lesson.support_materials)) {
+            reindexLessonMaterialsInBackground(lesson.id);
+        }
+
         res.status(201).json({
             message: 'Lesson created successfully',
             lesson
@@ -1191,7 +1082,7 @@ router.put('/:id', authenticateToken, requireAdmin, upload.array('support_files'
         // Check if lesson exists and get current values
         const { data: existingLesson, error: fetchError } = await supabaseAdmin
             .from('lessons')
-            .select('id, chapter_order, lesson_number, vimeo_video_id')
+            .select('id, chapter_order, lesson_number, vimeo_video_id, support_materials')
             .eq('id', id)
             .single();
 
@@ -1317,6 +1208,12 @@ router.put('/:id', authenticateToken, requireAdmin, upload.array('support_files'
             });
         }
 
+        // Re-index PDF support materials for the lesson assistant when the files changed
+        if (processedMaterials !== undefined &&
+            materialsSignature(processedMaterials) !== materialsSignature(existingLesson.support_materials)) {
+            reindexLessonMaterialsInBackground(id);
+        }
+
         res.status(200).json({
             message: 'Lesson updated successfully',
             lesson
@@ -1331,6 +1228,44 @@ router.put('/:id', authenticateToken, requireAdmin, upload.array('support_files'
     }
 });
 
+/**
+ * @route   POST /api/lessons/:id/materials/reindex
+ * @desc    Rebuild the chat retrieval index of the lesson's PDF materials (admin)
+ * @access  Private (Admin)
+ */
+router.post('/:id/materials/reindex', authenticateToken, requireAdmin, async (req, res) => {
+    try {
+        const { id } = req.params;
+
+        const { data: lesson, error: fetchError } = await supabaseAdmin
+            .from('lessons')
+            .select('id')
+            .eq('id', id)
+            .single();
+
+        if (fetchError || !lesson) {
+            return res.status(404).json({
+                error: 'Lesson not found',
+                message: 'The requested lesson does not exist'
+            });
+        }
+
+        const summary = await indexLessonMaterials(id);
+
+        res.status(200).json({
+            message: 'Lesson materials indexed successfully',
+            index: summary
+        });
+
+    } catch (error) {
+        console.error('Error re-indexing lesson materials:', error);
+        res.status(500).json({
+            error: 'Internal server error',
+            message: 'An error occurred while indexing the lesson materials'
+        });
+    }
+});
+
 /**
  * @route   POST /api/lessons/:id/materials
  * @desc    Upload support materials (admin)
@@ -1456,6 +1391,14 @@ router.get('/:id/materials/:materialId/stream', async (req, res) => {
         try {
             const decoded = jwt.verify(token, process.env.JWT_SECRET);
             userId = decoded.id;
+
+            // Signed-out sessions can't open materials either
+            if (!decoded.sid || !(await touchSession(decoded.sid, decoded.userId))) {
+                return res.status(401).json({
+                    error: 'Session expired',
+                    message: 'This session has been signed out. Please log in again.'
+                });
+            }
         } catch (tokenError) {
             console.error('Token verification failed:', tokenError);
             return res.status(401).json({
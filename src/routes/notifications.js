@@ -0,0 +1,170 @@
+import express from 'express';
+import { body, param, validationResult } from 'express-validator';
+import { authenticateToken } from '../middleware/auth.js';
+import { getVapidPublicKey, isAllowedPushEndpoint } from '../services/webPush.js';
+import { getSmsProvider } from '../services/smsProviders.js';
+import { handleInboundMessage } from '../services/phoneNotifications.js';
+import {
+    deleteSubscription,
+    formatSubscription,
+    getUserSubscriptions,
+    saveSubscription
+} from '../services/pushNotifications.js';
+
+const router = express.Router();
+
+/**
+ * @route   GET /api/notifications/vapid-public-key
+ * @desc    VAPID public key for PushManager.subscribe (applicationServerKey)
+ * @access  Private
+ */
+router.get('/vapid-public-key', authenticateToken, (req, res) => {
+    const publicKey = getVapidPublicKey();
+
+    if (!publicKey) {
+        return res.status(503).json({
+            error: 'Push not configured',
+            message: 'Push notifications are not available on this server'
+        });
+    }
+
+    res.status(200).json({ publicKey });
+});
+
+/**
+ * @route   GET /api/notifications/subscriptions
+ * @desc    Get the current user's push subscriptions (one per device)
+ * @access  Private
+ */
+router.get('/subscriptions', authenticateToken, async (req, res) => {
+    try {
+        const subscriptions = await getUserSubscriptions(req.user.id);
+
+        res.status(200).json({
+            subscriptions: subscriptions.map(formatSubscription)
+        });
+
+    } catch (error) {
+        console.error('Error fetching push subscriptions:', error);
+        res.status(500).json({
+            error: 'Internal server error',
+            message: 'An error occurred while fetching push subscriptions'
+        });
+    }
+});
+
+/**
+ * @route   POST /api/notifications/subscriptions
+ * @desc    Store the browser's push subscription (the PushSubscription JSON) for the current user
+ * @access  Private
+ */
+router.post('/subscriptions', authenticateToken, [
+    body('endpoint').isString().custom(isAllowedPushEndpoint).withMessage('A valid push service subscription endpoint is required'),
+    body('keys.p256dh').isString().notEmpty().withMessage('keys.p256dh is required'),
+    body('keys.auth').isString().notEmpty().withMessage('keys.auth is required'),
+    body('deviceName').optional({ nullable: true }).isString().trim().isLength({ max: 100 }).withMessage('Device name must be up to 100 characters')
+], async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                error: 'Validation failed',
+                details: errors.array()
+            });
+        }
+
+        const { endpoint, keys, deviceName } = req.body;
+
+        const subscription = await saveSubscription(req.user.id, {
+            endpoint,
+            keys,
+            deviceName,
+            userAgent: req.get('user-agent') || null
+        });
+
+        res.status(201).json({
+            message: 'Push subscription saved',
+            subscription: formatSubscription(subscription)
+        });
+
+    } catch (error) {
+        console.error('Error saving push subscription:', error);
+        res.status(500).json({
+            error: 'Internal server error',
+            message: 'An error occurred while saving the push subscription'
+        });
+    }
+});
+
+/**
+ * @route   DELETE /api/notifications/subscriptions/:id
+ * @desc    Remove one of the current user's push subscriptions
+ * @access  Private
+ */
+router.delete('/subscriptions/:id', authenticateToken, [
+    param('id').isUUID().withMessage('Subscription ID must be a valid UUID')
+], async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                error: 'Validation failed',
+                details: errors.array()
+            });
+        }
+
+        const deleted = await deleteSubscription(req.user.id, req.params.id);
+
+        if (!deleted) {
+            return res.status(404).json({
+                error: 'Subscription not found',
+                message: 'The requested push subscription was not found'
+            });
+        }
+
+        res.status(200).json({
+            message: 'Push subscription removed'
+        });
+
+    } catch (error) {
+        console.error('Error deleting push subscription:', error);
+        res.status(500).json({
+            error: 'Internal server error',
+            message: 'An error occurred while removing the push subscription'
+        });
+    }
+});
+
+/**
+ * @route   POST /api/notifications/inbound
+ * @desc    Inbound SMS / WhatsApp webhook of the SMS provider. Handles opt-out (STOP, הסר, ...)
+ *          and opt-in (START, התחל, ...) keywords.
+ * @access  Public (verified by the provider's signature)
+ */
+router.post('/inbound', async (req, res) => {
+    try {
+        const provider = getSmsProvider();
+        const message = provider.parseInbound(req);
+
+        if (!message) {
+            return res.status(403).json({
+                error: 'Invalid webhook request',
+                message: 'The inbound message could not be verified'
+            });
+        }
+
+        const { reply } = await handleInboundMessage(message);
+        const response = provider.formatReply(reply);
+
+        res.status(200).type(response.contentType).send(response.body);
+
+    } catch (error) {
+        console.error('Error handling inbound message:', error);
+        res.status(500).json({
+            error: 'Internal server error',
+            message: 'An error occurred while handling the inbound message'
+        });
+    }
+});
+
+export default router;
@@ -0,0 +1,105 @@
+import express from 'express';
+import { body, param, validationResult } from 'express-validator';
+import { authenticateToken, requireAdmin } from '../middleware/auth.js';
+import { supabaseAdmin } from '../config/supabase.js';
+import { clearSettingsCache } from '../services/settings.js';
+
+const router = express.Router();
+
+const formatSetting = (setting) => ({
+    key: setting.key,
+    value: setting.value,
+    description: setting.description,
+    updatedAt: setting.updated_at
+});
+
+/**
+ * @route   GET /api/settings
+ * @desc    Get all system settings (chat quotas, moderation rules, login limits...)
+ * @access  Private (Admin)
+ */
+router.get('/', authenticateToken, requireAdmin, async (req, res) => {
+    try {
+        const { data: settings, error } = await supabaseAdmin
+            .from('system_settings')
+            .select('key, value, description, updated_at')
+            .order('key', { ascending: true });
+
+        if (error) {
+            console.error('Error fetching settings:', error);
+            return res.status(500).json({
+                error: 'Failed to fetch settings',
+                message: 'An error occurred while retrieving the settings'
+            });
+        }
+
+        res.status(200).json({ settings: settings.map(formatSetting) });
+
+    } catch (error) {
+        console.error('Error in get settings route:', error);
+        res.status(500).json({
+            error: 'Internal server error',
+            message: 'An error occurred while processing your request'
+        });
+    }
+});
+
+/**
+ * @route   PUT /api/settings/:key
+ * @desc    Create or replace a system setting. Takes effect immediately on this server
+ *          (other servers pick it up when their settings cache expires).
+ * @access  Private (Admin)
+ */
+router.put('/:key', authenticateToken, requireAdmin, [
+    param('key').matches(/^[a-z0-9_]{1,100}$/).withMessage('Setting key must be lowercase letters, digits and underscores'),
+    body('value').exists().withMessage('Value is required'),
+    body('description').optional({ nullable: true }).isString().isLength({ max: 500 }).withMessage('Description must be up to 500 characters')
+], async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                error: 'Validation failed',
+                details: errors.array()
+            });
+        }
+
+        const { key } = req.params;
+        const settingData = {
+            key,
+            value: req.body.value,
+            updated_at: new Date().toISOString()
+        };
+        if (req.body.description !== undefined) settingData.description = req.body.description;
+
+        const { data: setting, error } = await supabaseAdmin
+            .from('system_settings')
+            .upsert(settingData, { onConflict: 'key' })
+            .select('key, value, description, updated_at')
+            .single();
+
+        if (error) {
+            console.error('Error updating setting:', error);
+            return res.status(500).json({
+                error: 'Failed to update setting',
+                message: 'An error occurred while updating the setting'
+            });
+        }
+
+        clearSettingsCache(key);
+
+        res.status(200).json({
+            message: 'Setting updated successfully',
+            setting: formatSetting(setting)
+        });
+
+    } catch (error) {
+        console.error('Error in update setting route:', error);
+        res.status(500).json({
+            error: 'Internal server error',
+            message: 'An error occurred while processing your request'
+        });
+    }
+});
+
+export default router;
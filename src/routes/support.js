@@ -1,6 +1,9 @@
 import express from 'express';
+import { body, validationResult } from 'express-validator';
 import { authenticateToken, requireSupport } from '../middleware/auth.js';
 import { supabaseAdmin } from '../config/supabase.js';
+import { TICKET_PRIORITIES, buildTicketMessage, createSupportTicket, formatTicket } from '../services/supportTickets.js';
+import { notifyByPush } from '../services/pushNotifications.js';
 
 const router = express.Router();
 
@@ -42,16 +45,7 @@ router.get('/tickets', authenticateToken, async (req, res) => {
         }
 
         // Format tickets for frontend
-        const formattedTickets = tickets.map(ticket => ({
-            id: ticket.id,
-            title: ticket.title,
-            description: ticket.description,
-            status: ticket.status,
-            priority: ticket.priority,
-            messages: ticket.messages || [],
-            createdAt: ticket.created_at,
-            updatedAt: ticket.updated_at
-        }));
+        const formattedTickets = tickets.map(ticket => formatTicket(ticket));
 
         res.status(200).json({
             tickets: formattedTickets,
@@ -86,38 +80,18 @@ router.post('/tickets', authenticateToken, async (req, res) => {
         }
 
         // Validate priority
-        const validPriorities = ['low', 'medium', 'high', 'urgent'];
-        if (!validPriorities.includes(priority)) {
+        if (!TICKET_PRIORITIES.includes(priority)) {
             return res.status(400).json({
                 error: 'Invalid priority',
                 message: 'Priority must be one of: low, medium, high, urgent'
             });
         }
 
-        // Create initial message
-        const initialMessage = {
-            user_id: userId,
-            message: description,
-            timestamp: new Date().toISOString(),
-            attachments: [],
-            is_internal: false
-        };
-
-        // Create ticket
-        const { data: ticket, error } = await supabaseAdmin
-            .from('support_tickets')
-            .insert({
-                user_id: userId,
-                title: title.trim(),
-                description: description.trim(),
-                priority,
-                status: 'open',
-                messages: [initialMessage]
-            })
-            .select('*')
-            .single();
-
-        if (error) {
+        // Create ticket (the description is the initial message)
+        let ticket;
+        try {
+            ticket = await createSupportTicket({ userId, title, description, priority });
+        } catch (error) {
             console.error('Error creating ticket:', error);
             return res.status(500).json({
                 error: 'Failed to create ticket',
@@ -125,21 +99,9 @@ router.post('/tickets', authenticateToken, async (req, res) => {
             });
         }
 
-        // Format response
-        const formattedTicket = {
-            id: ticket.id,
-            title: ticket.title,
-            description: ticket.description,
-            status: ticket.status,
-            priority: ticket.priority,
-            messages: ticket.messages || [],
-            createdAt: ticket.created_at,
-            updatedAt: ticket.updated_at
-        };
-
         res.status(201).json({
             message: 'Support ticket created successfully',
-            ticket: formattedTicket
+            ticket: formatTicket(ticket)
         });
 
     } catch (error) {
@@ -182,20 +144,8 @@ router.get('/tickets/:id', authenticateToken, async (req, res) => {
             });
         }
 
-        // Format ticket for frontend
-        const formattedTicket = {
-            id: ticket.id,
-            title: ticket.title,
-            description: ticket.description,
-            status: ticket.status,
-            priority: ticket.priority,
-            messages: ticket.messages || [],
-            createdAt: ticket.created_at,
-            updatedAt: ticket.updated_at
-        };
-
         res.status(200).json({
-            ticket: formattedTicket
+            ticket: formatTicket(ticket)
         });
 
     } catch (error) {
@@ -266,21 +216,9 @@ router.patch('/tickets/:id/close', authenticateToken, async (req, res) => {
             });
         }
 
-        // Format response
-        const formattedTicket = {
-            id: updatedTicket.id,
-            title: updatedTicket.title,
-            description: updatedTicket.description,
-            status: updatedTicket.status,
-            priority: updatedTicket.priority,
-            messages: updatedTicket.messages || [],
-            createdAt: updatedTicket.created_at,
-            updatedAt: updatedTicket.updated_at
-        };
-
         res.status(200).json({
             message: 'Ticket closed successfully',
-            ticket: formattedTicket
+            ticket: formatTicket(updatedTicket)
         });
 
     } catch (error) {
@@ -334,13 +272,7 @@ router.put('/tickets/:id', authenticateToken, async (req, res) => {
         }
 
         // Create new message
-        const newMessage = {
-            user_id: userId,
-            message: message.trim(),
-            timestamp: new Date().toISOString(),
-            attachments: [],
-            is_internal: false
-        };
+        const newMessage = buildTicketMessage(userId, message.trim());
 
         // Add message to existing messages
         const updatedMessages = [...(currentTicket.messages || []), newMessage];
@@ -371,21 +303,9 @@ router.put('/tickets/:id', authenticateToken, async (req, res) => {
             });
         }
 
-        // Format response
-        const formattedTicket = {
-            id: updatedTicket.id,
-            title: updatedTicket.title,
-            description: updatedTicket.description,
-            status: updatedTicket.status,
-            priority: updatedTicket.priority,
-            messages: updatedTicket.messages || [],
-            createdAt: updatedTicket.created_at,
-            updatedAt: updatedTicket.updated_at
-        };
-
         res.status(200).json({
             message: 'Message added successfully',
-            ticket: formattedTicket
+            ticket: formatTicket(updatedTicket)
         });
 
     } catch (error) {
@@ -397,4 +317,108 @@ router.put('/tickets/:id', authenticateToken, async (req, res) => {
     }
 });
 
+/**
+ * @route   POST /api/support/tickets/:id/replies
+ * @desc    Reply to a ticket as support staff. The ticket owner gets a push notification
+ *          unless the reply is an internal note.
+ * @access  Private (Support/Admin)
+ */
+router.post('/tickets/:id/replies', authenticateToken, requireSupport, [
+    body('message').isString().trim().notEmpty().withMessage('Message content is required'),
+    body('isInternal').optional().isBoolean().withMessage('isInternal must be a boolean')
+], async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                error: 'Validation failed',
+                details: errors.array()
+            });
+        }
+
+        const ticketId = req.params.id;
+        const { message, isInternal = false } = req.body;
+
+        const { data: currentTicket, error: fetchError } = await supabaseAdmin
+            .from('support_tickets')
+            .select('*')
+            .eq('id', ticketId)
+            .single();
+
+        if (fetchError) {
+            if (fetchError.code === 'PGRST116') {
+                return res.status(404).json({
+                    error: 'Ticket not found',
+                    message: 'The requested support ticket was not found'
+                });
+            }
+            console.error('Error fetching ticket for reply:', fetchError);
+            return res.status(500).json({
+                error: 'Failed to fetch ticket',
+                message: 'An error occurred while retrieving the support ticket'
+            });
+        }
+
+        const newMessage = buildTicketMessage(req.user.id, message, { isInternal });
+        const updateData = {
+            messages: [...(currentTicket.messages || []), newMessage],
+            updated_at: new Date().toISOString()
+        };
+
+        // The first staff reply picks up the ticket
+        if (!isInternal && currentTicket.status === 'open') {
+            updateData.status = 'in_progress';
+        }
+        if (!currentTicket.assigned_to) {
+            updateData.assigned_to = req.user.id;
+        }
+
+        const { data: updatedTicket, error: updateError } = await supabaseAdmin
+            .from('support_tickets')
+            .update(updateData)
+            .eq('id', ticketId)
+            .select('*')
+            .single();
+
+        if (updateError) {
+            console.error('Error replying to ticket:', updateError);
+            return res.status(500).json({
+                error: 'Failed to update ticket',
+                message: 'An error occurred while adding your reply'
+            });
+        }
+
+        res.status(200).json({
+            message: 'Reply added successfully',
+            ticket: formatTicket(updatedTicket, { includeInternal: true })
+        });
+
+        if (!isInternal && updatedTicket.user_id) {
+            const { data: owner } = await supabaseAdmin
+                .from('users')
+                .select('id, preferences')
+                .eq('id', updatedTicket.user_id)
+                .single();
+
+            if (owner) {
+                notifyByPush(owner, {
+                    kind: 'support_reply',
+                    title: 'התקבלה תשובה לפנייה שלך',
+                    body: updatedTicket.title,
+                    url: `${process.env.FRONTEND_URL || 'http://localhost:5173'}/support`
+                });
+            }
+        }
+
+    } catch (error) {
+        console.error('Error in reply to ticket route:', error);
+        if (!res.headersSent) {
+            res.status(500).json({
+                error: 'Internal server error',
+                message: 'An error occurred while processing your request'
+            });
+        }
+    }
+});
+
 export default router;
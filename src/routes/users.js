@@ -1,15 +1,64 @@
 import express from 'express';
-import { authenticateToken, requireAdmin, requireManager } from '../middleware/auth.js';
+import { param, validationResult } from 'express-validator';
+import { authenticateToken, requireAdmin, requireManager, requireSameCompany, attachAccessScope, applyScope } from '../middleware/auth.js';
 import { supabaseAdmin } from '../config/supabase.js';
+import { getChannelNames } from '../services/notificationChannels.js';
+import { clearFailedLogins } from '../services/loginAttempts.js';
+import { recordAuditEvent } from '../services/auditLog.js';
+import { formatSession, getActiveSessions, revokeUserSession } from '../services/authTokens.js';
+import { getUserProgressMap } from '../services/progressStore.js';
+import { isCompleted } from '../services/progressData.js';
 
 const router = express.Router();
 
+const formatUser = (user) => ({
+    id: user.id,
+    email: user.email,
+    phone: user.phone,
+    firstName: user.first_name,
+    lastName: user.last_name,
+    fullName: `${user.first_name} ${user.last_name}`,
+    role: user.role,
+    company: user.company,
+    team: user.team,
+    managedCompanies: user.managed_companies || [],
+    managedTeams: user.managed_teams || [],
+    isActive: user.is_active,
+    avatarUrl: user.avatar_url,
+    currentStreak: user.current_streak,
+    longestStreak: user.longest_streak,
+    totalLessonsCompleted: user.total_lessons_completed,
+    badgesEarned: user.badges_earned || [],
+    lastActivityDate: user.last_activity_date,
+    lastLogin: user.last_login,
+    lockedUntil: user.locked_until && new Date(user.locked_until) > new Date() ? user.locked_until : null,
+    createdAt: user.created_at,
+    updatedAt: user.updated_at,
+    preferences: user.preferences || {
+        program_type: 'daily_video',
+        chat_terms_accepted: false,
+        chat_terms_accepted_date: null
+    }
+});
+
+// Helper: answer invalid route params with 400 before the access check looks the user up
+const rejectInvalidParams = (req, res, next) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+        return res.status(400).json({
+            error: 'Validation failed',
+            details: errors.array()
+        });
+    }
+    next();
+};
+
 /**
  * @route   GET /api/users
- * @desc    Get users (admin/manager only)
+ * @desc    Get users (admin/manager only). Managers only see the companies / teams they manage.
  * @access  Private (Admin/Manager)
  */
-router.get('/', authenticateToken, requireManager, async (req, res) => {
+router.get('/', authenticateToken, requireManager, attachAccessScope, async (req, res) => {
     try {
         const { 
             search, 
@@ -20,10 +69,10 @@ router.get('/', authenticateToken, requireManager, async (req, res) => {
             limit = 20 
         } = req.query;
 
-        let query = supabaseAdmin
+        let query = applyScope(supabaseAdmin
             .from('users')
             .select('*')
-            .order('created_at', { ascending: false });
+            .order('created_at', { ascending: false }), req.scope);
 
         // Apply filters
         if (search) {
@@ -43,9 +92,9 @@ router.get('/', authenticateToken, requireManager, async (req, res) => {
         }
 
         // Get total count for pagination (using same filters)
-        let countQuery = supabaseAdmin
+        let countQuery = applyScope(supabaseAdmin
             .from('users')
-            .select('*', { count: 'exact', head: true });
+            .select('*', { count: 'exact', head: true }), req.scope);
 
         // Apply same filters to count query
         if (search) {
@@ -81,33 +130,7 @@ router.get('/', authenticateToken, requireManager, async (req, res) => {
             });
         }
 
-        // Format the response
-        const formattedUsers = users.map(user => ({
-            id: user.id,
-            email: user.email,
-            phone: user.phone,
-            firstName: user.first_name,
-            lastName: user.last_name,
-            fullName: `${user.first_name} ${user.last_name}`,
-            role: user.role,
-            company: user.company,
-            team: user.team,
-            isActive: user.is_active,
-            avatarUrl: user.avatar_url,
-            currentStreak: user.current_streak,
-            longestStreak: user.longest_streak,
-            totalLessonsCompleted: user.total_lessons_completed,
-            badgesEarned: user.badges_earned || [],
-            lastActivityDate: user.last_activity_date,
-            lastLogin: user.last_login,
-            createdAt: user.created_at,
-            updatedAt: user.updated_at,
-            preferences: user.preferences || {
-                program_type: 'daily_video',
-                chat_terms_accepted: false,
-                chat_terms_accepted_date: null
-            }
-        }));
+        const formattedUsers = users.map(formatUser);
 
         res.status(200).json({
             users: formattedUsers,
@@ -128,6 +151,102 @@ router.get('/', authenticateToken, requireManager, async (req, res) => {
     }
 });
 
+/**
+ * @route   GET /api/users/:id
+ * @desc    Get one user. Managers only reach the users of the companies / teams they manage.
+ * @access  Private (own profile, Manager in scope, Support/Admin)
+ */
+router.get('/:id', authenticateToken, [
+    param('id').isUUID().withMessage('User ID must be a valid UUID')
+], rejectInvalidParams, requireSameCompany, async (req, res) => {
+    try {
+        const { data: user, error } = await supabaseAdmin
+            .from('users')
+            .select('*')
+            .eq('id', req.params.id)
+            .maybeSingle();
+
+        if (error) {
+            console.error('Error fetching user:', error);
+            return res.status(500).json({
+                error: 'Failed to fetch user',
+                message: 'An error occurred while fetching the user'
+            });
+        }
+
+        if (!user) {
+            return res.status(404).json({
+                error: 'User not found',
+                message: 'The requested user was not found'
+            });
+        }
+
+        res.status(200).json({ user: formatUser(user) });
+
+    } catch (error) {
+        console.error('Error in get user route:', error);
+        res.status(500).json({
+            error: 'Internal server error',
+            message: 'An error occurred while processing your request'
+        });
+    }
+});
+
+/**
+ * @route   GET /api/users/:id/progress
+ * @desc    Get a user's progress in every published lesson, in program order
+ * @access  Private (own progress, Manager in scope, Support/Admin)
+ */
+router.get('/:id/progress', authenticateToken, [
+    param('id').isUUID().withMessage('User ID must be a valid UUID')
+], rejectInvalidParams, requireSameCompany, async (req, res) => {
+    try {
+        const { data: lessons, error } = await supabaseAdmin
+            .from('lessons')
+            .select('id, title, chapter_order, lesson_number')
+            .eq('is_published', true)
+            .order('chapter_order', { ascending: true })
+            .order('lesson_number', { ascending: true });
+
+        if (error) {
+            console.error('Error fetching lessons for user progress:', error);
+            return res.status(500).json({
+                error: 'Failed to fetch progress',
+                message: 'An error occurred while fetching the progress'
+            });
+        }
+
+        const progressByLesson = await getUserProgressMap(req.params.id, { withSessions: false });
+
+        res.status(200).json({
+            userId: req.params.id,
+            lessons: lessons.map(lesson => {
+                const progress = progressByLesson[lesson.id];
+                return {
+                    lessonId: lesson.id,
+                    title: lesson.title,
+                    chapterOrder: lesson.chapter_order,
+                    lessonNumber: lesson.lesson_number,
+                    status: !progress ? 'not_started' : isCompleted(progress) ? 'completed' : 'in_progress',
+                    completionPercentage: progress?.completion_percentage || 0,
+                    totalWatchTime: progress?.total_watch_time || 0,
+                    lastWatchedPosition: progress?.last_watched_position || 0,
+                    rating: progress?.rating ?? null,
+                    startedAt: progress?.started_at || null,
+                    completedAt: progress?.completed_at || null
+                };
+            })
+        });
+
+    } catch (error) {
+        console.error('Error in get user progress route:', error);
+        res.status(500).json({
+            error: 'Internal server error',
+            message: 'An error occurred while processing your request'
+        });
+    }
+});
+
 /**
  * @route   PUT /api/users/profile
  * @desc    Update own profile
@@ -144,6 +263,31 @@ router.put('/profile', authenticateToken, async (req, res) => {
             preferences
         } = req.body;
 
+        // Managers opt out of the weekly digest email with preferences.weekly_digest = false
+        if (preferences?.weekly_digest !== undefined && typeof preferences.weekly_digest !== 'boolean') {
+            return res.status(400).json({
+                error: 'Invalid preferences',
+                message: 'preferences.weekly_digest must be a boolean'
+            });
+        }
+
+        // Notification channels must be registered ones (email, push, sms, whatsapp)
+        if (preferences?.notification_channels !== undefined) {
+            const channelNames = getChannelNames();
+            const requested = preferences.notification_channels;
+
+            if (!Array.isArray(requested) || requested.some(name => !channelNames.includes(name))) {
+                return res.status(400).json({
+                    error: 'Invalid preferences',
+                    message: `preferences.notification_channels must be an array of: ${channelNames.join(', ')}`
+                });
+            }
+            preferences.notification_channels = [...new Set(requested)];
+        }
+
+        // Opt-outs only change through the SMS / WhatsApp keywords
+        if (preferences) delete preferences.opted_out_channels;
+
         // Build update object with only provided fields
         const updateData = {
             updated_at: new Date().toISOString()
@@ -367,9 +511,146 @@ router.put('/:id/status', authenticateToken, requireAdmin, async (req, res) => {
     }
 });
 
+/**
+ * @route   POST /api/users/:id/unlock
+ * @desc    Unlock an account locked after failed logins (admin only)
+ * @access  Private (Admin)
+ */
+router.post('/:id/unlock', authenticateToken, requireAdmin, async (req, res) => {
+    try {
+        const { id } = req.params;
+
+        const { data: current } = await supabaseAdmin
+            .from('users')
+            .select('locked_until, failed_login_count')
+            .eq('id', id)
+            .maybeSingle();
+
+        const user = current && await clearFailedLogins(id);
+
+        if (!user) {
+            return res.status(404).json({
+                error: 'User not found',
+                message: 'The user you are trying to unlock does not exist'
+            });
+        }
+
+        await recordAuditEvent({
+            action: 'account_unlocked',
+            actorId: req.user.id,
+            targetUserId: user.id,
+            details: {
+                lockedUntil: current.locked_until,
+                failedLoginCount: current.failed_login_count
+            },
+            ipAddress: req.ip
+        });
+
+        res.status(200).json({
+            message: 'User unlocked successfully',
+            user: {
+                id: user.id,
+                email: user.email,
+                fullName: `${user.first_name} ${user.last_name}`,
+                lockedUntil: null
+            }
+        });
+
+    } catch (error) {
+        console.error('Error in unlock user route:', error);
+        res.status(500).json({
+            error: 'Internal server error',
+            message: 'An error occurred while processing your request'
+        });
+    }
+});
+
+/**
+ * @route   GET /api/users/:id/sessions
+ * @desc    Get a user's signed-in devices (admin only)
+ * @access  Private (Admin)
+ */
+router.get('/:id/sessions', authenticateToken, requireAdmin, [
+    param('id').isUUID().withMessage('User ID must be a valid UUID')
+], async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                error: 'Validation failed',
+                details: errors.array()
+            });
+        }
+
+        const sessions = await getActiveSessions(req.params.id);
+
+        res.status(200).json({
+            sessions: sessions.map(session => formatSession(session))
+        });
+
+    } catch (error) {
+        console.error('Error in get user sessions route:', error);
+        res.status(500).json({
+            error: 'Internal server error',
+            message: 'An error occurred while processing your request'
+        });
+    }
+});
+
+/**
+ * @route   DELETE /api/users/:id/sessions/:sessionId
+ * @desc    Sign out one of a user's devices, e.g. a lost phone (admin only)
+ * @access  Private (Admin)
+ */
+router.delete('/:id/sessions/:sessionId', authenticateToken, requireAdmin, [
+    param('id').isUUID().withMessage('User ID must be a valid UUID'),
+    param('sessionId').isUUID().withMessage('Session ID must be a valid UUID')
+], async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                error: 'Validation failed',
+                details: errors.array()
+            });
+        }
+
+        const { id, sessionId } = req.params;
+
+        const revoked = await revokeUserSession(id, sessionId, 'admin_revoked');
+
+        if (!revoked) {
+            return res.status(404).json({
+                error: 'Session not found',
+                message: 'The requested session was not found or is already signed out'
+            });
+        }
+
+        await recordAuditEvent({
+            action: 'session_revoked',
+            actorId: req.user.id,
+            targetUserId: id,
+            details: { sessionId },
+            ipAddress: req.ip
+        });
+
+        res.status(200).json({
+            message: 'Session revoked successfully'
+        });
+
+    } catch (error) {
+        console.error('Error in revoke user session route:', error);
+        res.status(500).json({
+            error: 'Internal server error',
+            message: 'An error occurred while processing your request'
+        });
+    }
+});
+
 /**
  * @route   PUT /api/users/:id/details
- * @desc    Update user details (email, name, phone, company, team, status, program type) - admin only
+ * @desc    Update user details (email, name, phone, company, team, status, program type,
+ *          managed companies / teams for managers) - admin only
  * @access  Private (Admin)
  */
 router.put('/:id/details', authenticateToken, requireAdmin, async (req, res) => {
@@ -383,9 +664,21 @@ router.put('/:id/details', authenticateToken, requireAdmin, async (req, res) =>
             company, 
             team, 
             is_active, 
-            program_type 
+            program_type,
+            managed_companies,
+            managed_teams
         } = req.body;
 
+        // Validate manager scope lists
+        for (const [field, value] of [['managed_companies', managed_companies], ['managed_teams', managed_teams]]) {
+            if (value !== undefined && !(Array.isArray(value) && value.every(item => typeof item === 'string'))) {
+                return res.status(400).json({
+                    error: 'Invalid field',
+                    message: `${field} must be an array of strings`
+                });
+            }
+        }
+
         // Build update object with only provided fields
         const updateData = {
             updated_at: new Date().toISOString()
@@ -398,6 +691,8 @@ router.put('/:id/details', authenticateToken, requireAdmin, async (req, res) =>
         if (company !== undefined) updateData.company = company;
         if (team !== undefined) updateData.team = team;
         if (is_active !== undefined) updateData.is_active = is_active;
+        if (managed_companies !== undefined) updateData.managed_companies = managed_companies;
+        if (managed_teams !== undefined) updateData.managed_teams = managed_teams;
         
         // Handle program_type update in preferences
         if (program_type !== undefined) {
@@ -458,6 +753,8 @@ router.put('/:id/details', authenticateToken, requireAdmin, async (req, res) =>
                 team: user.team,
                 role: user.role,
                 isActive: user.is_active,
+                managedCompanies: user.managed_companies || [],
+                managedTeams: user.managed_teams || [],
                 preferences: user.preferences
             }
         });
@@ -471,77 +768,6 @@ router.put('/:id/details', authenticateToken, requireAdmin, async (req, res) =>
     }
 });
 
-/**
- * @route   POST /api/users/increment-bot-usage
- * @desc    Increment bot question count for current user
- * @access  Private
- */
-router.post('/increment-bot-usage', authenticateToken, async (req, res) => {
-    try {
-        const userId = req.user.id;
-
-        // Get current user preferences
-        const { data: currentUser, error: fetchError } = await supabaseAdmin
-            .from('users')
-            .select('preferences')
-            .eq('id', userId)
-            .single();
-
-        if (fetchError || !currentUser) {
-            console.error('Error fetching user for bot usage:', fetchError);
-            return res.status(404).json({
-                error: 'User not found',
-                message: 'Could not find user to update bot usage'
-            });
-        }
-
-        const currentPreferences = currentUser.preferences || {
-            program_type: 'daily_video',
-            chat_terms_accepted: false,
-            chat_terms_accepted_date: null
-        };
-
-        // Increment bot question count
-        const currentCount = currentPreferences.bot_questions_count || 0;
-        const updatedPreferences = {
-            ...currentPreferences,
-            bot_questions_count: currentCount + 1,
-            bot_last_used: new Date().toISOString()
-        };
-
-        // Update user preferences
-        const { data: updatedUser, error: updateError } = await supabaseAdmin
-            .from('users')
-            .update({ 
-                preferences: updatedPreferences,
-                updated_at: new Date().toISOString()
-            })
-            .eq('id', userId)
-            .select('preferences')
-            .single();
-
-        if (updateError) {
-            console.error('Error updating bot usage:', updateError);
-            return res.status(500).json({
-                error: 'Failed to update bot usage',
-                message: 'An error occurred while tracking bot usage'
-            });
-        }
-
-        res.status(200).json({
-            message: 'Bot usage tracked successfully',
-            bot_questions_count: updatedPreferences.bot_questions_count
-        });
-
-    } catch (error) {
-        console.error('Error in increment bot usage route:', error);
-        res.status(500).json({
-            error: 'Internal server error',
-            message: 'An error occurred while processing your request'
-        });
-    }
-});
-
 /**
  * @route   POST /api/users/invite
  * @desc    Invite new user (admin only) - creates account and returns a one-time password-set link
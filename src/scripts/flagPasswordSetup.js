@@ -0,0 +1,62 @@
+/**
+ * One-off migration: flag every account without a password_hash as needing password setup.
+ * Those accounts used to sign in with a shared fallback password; login now refuses them
+ * and emails a setup link instead (see services/passwordSetup.js).
+ *
+ * Usage: npm run migrate:password-setup -- [--dry-run] [--send]
+ *   --dry-run  only list the affected accounts
+ *   --send     also email each flagged account its setup link now
+ */
+import { supabaseAdmin } from '../config/supabase.js';
+import { sendPasswordSetupEmail } from '../services/passwordSetup.js';
+
+const args = process.argv.slice(2);
+const dryRun = args.includes('--dry-run');
+const send = args.includes('--send');
+
+const run = async () => {
+    const { data: users, error } = await supabaseAdmin
+        .from('users')
+        .select('id, email, first_name, last_name, is_active, password_setup_required, password_setup_sent_at')
+        .is('password_hash', null)
+        .order('created_at', { ascending: true });
+
+    if (error) throw error;
+
+    console.log(`Accounts without a password: ${users.length}`);
+    users.forEach(user => {
+        console.log(`  ${user.email}${user.is_active ? '' : ' (inactive)'}${user.password_setup_required ? ' - already flagged' : ''}`);
+    });
+
+    if (dryRun || users.length === 0) return;
+
+    const { data: flagged, error: updateError } = await supabaseAdmin
+        .from('users')
+        .update({ password_setup_required: true })
+        .is('password_hash', null)
+        .eq('password_setup_required', false)
+        .select('id');
+
+    if (updateError) throw updateError;
+    console.log(`Flagged ${flagged.length} account(s)`);
+
+    if (!send) return;
+
+    let sent = 0;
+    for (const user of users.filter(u => u.is_active)) {
+        try {
+            await sendPasswordSetupEmail(user, { force: true });
+            sent++;
+        } catch (sendError) {
+            console.error(`  Failed to send setup link to ${user.email}:`, sendError.message || sendError);
+        }
+    }
+    console.log(`Sent ${sent} setup link(s)`);
+};
+
+run()
+    .then(() => process.exit(0))
+    .catch(error => {
+        console.error('Password setup migration failed:', error);
+        process.exit(1);
+    });
@@ -11,6 +11,18 @@ const __dirname = path.dirname(__filename);
 const app = express();
 const PORT = process.env.PORT || 5000;
 
+// Behind a reverse proxy / PaaS router, req.ip must come from X-Forwarded-For, or every
+// client shares the proxy's IP (rate limits, login throttling, sessions and audit logs).
+// TRUST_PROXY: number of proxy hops, true, or addresses/subnets (see Express "trust proxy").
+const parseTrustProxy = (value) => {
+    if (!value) return false;
+    if (/^\d+$/.test(value)) return parseInt(value);
+    if (value === 'true' || value === 'false') return value === 'true';
+    return value;
+};
+
+app.set('trust proxy', parseTrustProxy(process.env.TRUST_PROXY));
+
 // Security middleware with CSP configuration for video embeds
 const isDevelopment = process.env.NODE_ENV === 'development';
 
@@ -93,6 +105,9 @@ import lessonRoutes from './routes/lessons.js';
 import chatRoutes from './routes/chat.js';
 import supportRoutes from './routes/support.js';
 import analyticsRoutes from './routes/analytics.js';
+import notificationRoutes from './routes/notifications.js';
+import settingsRoutes from './routes/settings.js';
+import { startScheduler } from './jobs/scheduler.js';
 
 app.use('/api/auth', authRoutes);
 app.use('/api/users', userRoutes);
@@ -100,6 +115,8 @@ app.use('/api/lessons', lessonRoutes);
 app.use('/api/chat', chatRoutes);
 app.use('/api/support', supportRoutes);
 app.use('/api/analytics', analyticsRoutes);
+app.use('/api/notifications', notificationRoutes);
+app.use('/api/settings', settingsRoutes);
 
 // Serve static files from the React app build
 const publicPath = path.join(__dirname, '../public');
@@ -136,6 +153,7 @@ app.use((error, req, res, next) => {
 app.listen(PORT, () => {
     console.log(`🚀 XFactor Daily API server running on port ${PORT}`);
     console.log(`📊 Environment: ${process.env.NODE_ENV || 'development'}`);
+    startScheduler();
 });
 
 export default app;
\ No newline at end of file
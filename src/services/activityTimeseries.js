@@ -0,0 +1,225 @@
+import { iterateUserBatches, isCompleted } from './progressData.js';
+import { resolveTimeZone, getZonedDateString, parseTimestamp } from '../utils/timezone.js';
+
+/**
+ * Activity trends for the manager dashboard.
+ * Every timestamp is converted to the learner's own calendar date (users.timezone)
+ * before it is bucketed, so "today" means the learner's today.
+ *
+ * Metrics:
+ *   active_users - distinct learners with any lesson activity in the bucket (DAU / WAU / MAU)
+ *   completions  - lessons completed in the bucket
+ *   new_users    - users created in the bucket
+ *   streaks      - distribution of learners' streaks at the end of the bucket
+ */
+
+export const TIMESERIES_METRICS = ['active_users', 'completions', 'new_users', 'streaks'];
+export const TIMESERIES_INTERVALS = ['day', 'week', 'month'];
+
+// Default range per interval (number of buckets ending at `to`)
+const DEFAULT_BUCKETS = { day: 30, week: 12, month: 12 };
+
+export const MAX_BUCKETS = 400;
+
+const STREAK_RANGES = [
+    { label: '0', min: 0, max: 0 },
+    { label: '1-2', min: 1, max: 2 },
+    { label: '3-6', min: 3, max: 6 },
+    { label: '7-13', min: 7, max: 13 },
+    { label: '14-29', min: 14, max: 29 },
+    { label: '30+', min: 30, max: Infinity }
+];
+
+// Calendar arithmetic on YYYY-MM-DD strings (zone-free)
+const toUtcDate = (dateString) => new Date(`${dateString}T00:00:00Z`);
+
+export const daysBetween = (from, to) => Math.round((toUtcDate(to) - toUtcDate(from)) / (24 * 60 * 60 * 1000));
+
+export const addDays = (dateString, days) => {
+    const date = toUtcDate(dateString);
+    date.setUTCDate(date.getUTCDate() + days);
+    return date.toISOString().slice(0, 10);
+};
+
+const addMonths = (dateString, months) => {
+    const date = toUtcDate(dateString);
+    date.setUTCMonth(date.getUTCMonth() + months, 1);
+    return date.toISOString().slice(0, 10);
+};
+
+/**
+ * First day of the bucket containing a date (weeks start on Sunday)
+ * @param {string} dateString - YYYY-MM-DD
+ * @param {string} interval - day | week | month
+ * @returns {string} Bucket start date
+ */
+export const bucketStart = (dateString, interval) => {
+    if (interval === 'week') return addDays(dateString, -toUtcDate(dateString).getUTCDay());
+    if (interval === 'month') return `${dateString.slice(0, 7)}-01`;
+    return dateString;
+};
+
+const nextBucket = (dateString, interval) => {
+    if (interval === 'week') return addDays(dateString, 7);
+    if (interval === 'month') return addMonths(dateString, 1);
+    return addDays(dateString, 1);
+};
+
+/**
+ * Default first date of a range: the start of the bucket N buckets before `to`
+ * @param {string} to - Last date (YYYY-MM-DD)
+ * @param {string} interval - day | week | month
+ * @returns {string} First date
+ */
+export const defaultRangeStart = (to, interval) => {
+    const count = DEFAULT_BUCKETS[interval] - 1;
+    if (interval === 'week') return addDays(bucketStart(to, 'week'), -7 * count);
+    if (interval === 'month') return addMonths(bucketStart(to, 'month'), -count);
+    return addDays(to, -count);
+};
+
+/**
+ * Bucket boundaries covering a date range
+ * @param {string} from - First date (YYYY-MM-DD)
+ * @param {string} to - Last date, inclusive
+ * @param {string} interval - day | week | month
+ * @returns {Array<{bucket: string, start: string, end: string}>} Buckets (start/end inclusive, clipped to the range)
+ */
+export const listBuckets = (from, to, interval) => {
+    const buckets = [];
+    for (let start = bucketStart(from, interval); start <= to; start = nextBucket(start, interval)) {
+        const end = addDays(nextBucket(start, interval), -1);
+        buckets.push({ bucket: start, start: start < from ? from : start, end: end < to ? end : to });
+    }
+    return buckets;
+};
+
+/**
+ * Local calendar dates of a user's lesson activity
+ * @param {Object} user - User row with lesson_progress (see iterateUserBatches), timezone and created_at
+ * @returns {{createdDate: string|null, activeDates: Set<string>, completionDates: string[]}} Dates (YYYY-MM-DD)
+ */
+export const collectUserDates = (user) => {
+    const timeZone = resolveTimeZone(user.timezone);
+    const toLocalDate = (value) => {
+        const date = parseTimestamp(value);
+        return date && !Number.isNaN(date.getTime()) ? getZonedDateString(date, timeZone) : null;
+    };
+
+    const activeDates = new Set();
+    const completionDates = [];
+
+    Object.values(user.lesson_progress || {}).forEach(progress => {
+        if (!progress) return;
+
+        const timestamps = [progress.started_at, progress.updated_at, progress.completed_at];
+        (progress.watch_sessions || []).forEach(session => {
+            timestamps.push(session.started_at, session.updated_at);
+        });
+
+        timestamps.map(toLocalDate).filter(Boolean).forEach(date => activeDates.add(date));
+
+        if (isCompleted(progress) && progress.completed_at) {
+            const date = toLocalDate(progress.completed_at);
+            if (date) completionDates.push(date);
+        }
+    });
+
+    return {
+        createdDate: toLocalDate(user.created_at),
+        activeDates,
+        completionDates
+    };
+};
+
+// Consecutive days with a completion, as of the end of `date`
+// (a streak is still alive if the last completion was the day before)
+const streakOn = (completionDays, date) => {
+    let day = completionDays.has(date) ? date : addDays(date, -1);
+    let streak = 0;
+    while (completionDays.has(day)) {
+        streak++;
+        day = addDays(day, -1);
+    }
+    return streak;
+};
+
+const findBucketIndex = (buckets, date) => {
+    // Buckets are sorted and contiguous - binary search by start date
+    let low = 0;
+    let high = buckets.length - 1;
+    while (low <= high) {
+        const middle = (low + high) >> 1;
+        if (date < buckets[middle].start) high = middle - 1;
+        else if (date > buckets[middle].end) low = middle + 1;
+        else return middle;
+    }
+    return -1;
+};
+
+/**
+ * Chart-ready time series of one metric
+ * @param {Object} options - { metric, interval, from, to, scope, team, programType }
+ * @returns {Promise<Array>} Buckets: { bucket, start, end, value } or, for streaks, { bucket, start, end, learners, average, distribution }
+ */
+export const getActivityTimeseries = async ({ metric, interval, from, to, scope, team, programType }) => {
+    const buckets = listBuckets(from, to, interval);
+    const activeUsers = buckets.map(() => new Set());
+    const counts = buckets.map(() => 0);
+    const streaks = buckets.map(() => ({
+        learners: 0,
+        total: 0,
+        distribution: Object.fromEntries(STREAK_RANGES.map(range => [range.label, 0]))
+    }));
+
+    for await (const users of iterateUserBatches(scope, { team, programType })) {
+        for (const user of users) {
+            const { createdDate, activeDates, completionDates } = collectUserDates(user);
+
+            if (metric === 'active_users') {
+                activeDates.forEach(date => {
+                    const index = findBucketIndex(buckets, date);
+                    if (index >= 0) activeUsers[index].add(user.id);
+                });
+            } else if (metric === 'completions') {
+                completionDates.forEach(date => {
+                    const index = findBucketIndex(buckets, date);
+                    if (index >= 0) counts[index]++;
+                });
+            } else if (metric === 'new_users') {
+                const index = createdDate ? findBucketIndex(buckets, createdDate) : -1;
+                if (index >= 0) counts[index]++;
+            } else if (metric === 'streaks') {
+                const completionDays = new Set(completionDates);
+                buckets.forEach((bucket, index) => {
+                    // Only learners who already existed at the end of the bucket
+                    if (createdDate && createdDate > bucket.end) return;
+                    const streak = streakOn(completionDays, bucket.end);
+                    const range = STREAK_RANGES.find(r => streak >= r.min && streak <= r.max);
+                    streaks[index].learners++;
+                    streaks[index].total += streak;
+                    streaks[index].distribution[range.label]++;
+                });
+            }
+        }
+    }
+
+    return buckets.map((bucket, index) => {
+        const point = { bucket: bucket.bucket, start: bucket.start, end: bucket.end };
+
+        if (metric === 'streaks') {
+            const { learners, total, distribution } = streaks[index];
+            return {
+                ...point,
+                learners,
+                average: learners > 0 ? Math.round((total / learners) * 10) / 10 : 0,
+                distribution
+            };
+        }
+
+        return {
+            ...point,
+            value: metric === 'active_users' ? activeUsers[index].size : counts[index]
+        };
+    });
+};
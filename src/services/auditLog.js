@@ -0,0 +1,27 @@
+import { supabaseAdmin } from '../config/supabase.js';
+
+/**
+ * Audit log of security-relevant events (audit_logs table).
+ */
+
+/**
+ * Record an audit event. Failures are logged, never thrown, so auditing can't
+ * break the action being audited.
+ * @param {Object} event - { action, actorId, targetUserId, details, ipAddress }
+ * @returns {Promise<void>}
+ */
+export const recordAuditEvent = async ({ action, actorId = null, targetUserId = null, details = {}, ipAddress = null }) => {
+    const { error } = await supabaseAdmin
+        .from('audit_logs')
+        .insert({
+            action,
+            actor_id: actorId,
+            target_user_id: targetUserId,
+            details,
+            ip_address: ipAddress
+        });
+
+    if (error) {
+        console.error(`Error recording audit event ${action}:`, error);
+    }
+};
@@ -0,0 +1,305 @@
+import crypto from 'crypto';
+import jwt from 'jsonwebtoken';
+import { supabaseAdmin } from '../config/supabase.js';
+
+/**
+ * Sessions, tokens and user payload returned by every sign-in flow (password, registration,
+ * email code), so the frontend stores the same session whichever way the user signed in.
+ *
+ * Each sign-in opens a server-side session (auth_sessions). The access token is a short JWT
+ * carrying the session ID (sid); the refresh token is an opaque random string, stored hashed
+ * (refresh_tokens) and rotated on every use - see rotate_refresh_token in 21_auth_sessions.sql.
+ */
+
+export const DEFAULT_PREFERENCES = {
+    program_type: 'daily_video',
+    chat_terms_accepted: false,
+    chat_terms_accepted_date: null
+};
+
+const DURATION_UNITS = { s: 1, m: 60, h: 60 * 60, d: 24 * 60 * 60 };
+
+// Helper: seconds in a JWT-style duration ("7d", "24h", "30m", "3600")
+const parseDuration = (value, fallbackSeconds) => {
+    const match = /^(\d+)\s*([smhd]?)$/.exec(String(value || '').trim());
+    if (!match) return fallbackSeconds;
+    return parseInt(match[1]) * DURATION_UNITS[match[2] || 's'];
+};
+
+const accessTokenExpiry = () => process.env.JWT_EXPIRES_IN || '24h';
+const refreshTokenTtlSeconds = () => parseDuration(process.env.JWT_REFRESH_EXPIRES_IN, 7 * 24 * 60 * 60);
+
+const hashRefreshToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+// Helper: a new refresh token and the expiry stored with it
+const generateRefreshToken = () => ({
+    token: crypto.randomBytes(32).toString('base64url'),
+    expiresAt: new Date(Date.now() + refreshTokenTtlSeconds() * 1000).toISOString()
+});
+
+const signAccessToken = (user, sessionId) => jwt.sign(
+    {
+        userId: user.id,
+        email: user.email,
+        role: 'authenticated',
+        sid: sessionId
+    },
+    process.env.JWT_SECRET,
+    { expiresIn: accessTokenExpiry() }
+);
+
+/**
+ * Device details stored with a session
+ * @param {Object} req - Express request
+ * @returns {Object} { userAgent, ipAddress }
+ */
+export const getClientInfo = (req) => ({
+    userAgent: req.get('user-agent') || null,
+    ipAddress: req.ip || null
+});
+
+/**
+ * Open a session for a user and sign its tokens
+ * @param {Object} user - User row
+ * @param {Object} client - { userAgent, ipAddress } (see getClientInfo)
+ * @returns {Promise<Object>} { accessToken, refreshToken, expiresIn }
+ */
+export const issueTokens = async (user, { userAgent = null, ipAddress = null } = {}) => {
+    const { token, expiresAt } = generateRefreshToken();
+
+    const { data: session, error: sessionError } = await supabaseAdmin
+        .from('auth_sessions')
+        .insert({
+            user_id: user.id,
+            user_agent: userAgent,
+            ip_address: ipAddress,
+            expires_at: expiresAt
+        })
+        .select('id')
+        .single();
+
+    if (sessionError) throw sessionError;
+
+    const { error: tokenError } = await supabaseAdmin
+        .from('refresh_tokens')
+        .insert({ session_id: session.id, token_hash: hashRefreshToken(token), expires_at: expiresAt });
+
+    if (tokenError) throw tokenError;
+
+    return {
+        accessToken: signAccessToken(user, session.id),
+        refreshToken: token,
+        expiresIn: accessTokenExpiry()
+    };
+};
+
+/**
+ * Exchange a refresh token for new tokens of the same session
+ * @param {string} refreshToken - Refresh token
+ * @param {Object} client - { ipAddress }
+ * @returns {Promise<Object>} { status, userId, sessionId, user, tokens } - status is rotated
+ *          (user and tokens set), invalid, expired, revoked, reuse_detected or inactive
+ */
+export const rotateTokens = async (refreshToken, { ipAddress = null } = {}) => {
+    const { token, expiresAt } = generateRefreshToken();
+
+    const { data: result, error } = await supabaseAdmin.rpc('rotate_refresh_token', {
+        p_token_hash: hashRefreshToken(refreshToken),
+        p_new_token_hash: hashRefreshToken(token),
+        p_new_expires_at: expiresAt,
+        p_ip_address: ipAddress
+    });
+
+    if (error) throw error;
+
+    const rotation = { status: result.status, userId: result.user_id || null, sessionId: result.session_id || null };
+    if (rotation.status !== 'rotated') return rotation;
+
+    const { data: user, error: userError } = await supabaseAdmin
+        .from('users')
+        .select('*')
+        .eq('id', rotation.userId)
+        .single();
+
+    if (userError || !user || !user.is_active) {
+        await revokeSession(rotation.sessionId, 'inactive');
+        return { ...rotation, status: 'inactive' };
+    }
+
+    return {
+        ...rotation,
+        user,
+        tokens: {
+            accessToken: signAccessToken(user, rotation.sessionId),
+            refreshToken: token,
+            expiresIn: accessTokenExpiry()
+        }
+    };
+};
+
+/**
+ * Session a refresh token belongs to
+ * @param {string} refreshToken - Refresh token
+ * @returns {Promise<Object|null>} { id, user_id } or null if the token is unknown
+ */
+export const findSessionByRefreshToken = async (refreshToken) => {
+    const { data: row, error } = await supabaseAdmin
+        .from('refresh_tokens')
+        .select('session:auth_sessions!inner(id, user_id)')
+        .eq('token_hash', hashRefreshToken(refreshToken))
+        .maybeSingle();
+
+    if (error) throw error;
+    return row?.session || null;
+};
+
+/**
+ * Revoke a session (its refresh tokens stop working)
+ * @param {string} sessionId - Session ID
+ * @param {string} reason - Stored in revoked_reason (logout, ...)
+ * @returns {Promise<boolean>} Whether an active session was revoked
+ */
+export const revokeSession = async (sessionId, reason) => {
+    const { data: revoked, error } = await supabaseAdmin
+        .from('auth_sessions')
+        .update({ revoked_at: new Date().toISOString(), revoked_reason: reason })
+        .eq('id', sessionId)
+        .is('revoked_at', null)
+        .select('id');
+
+    if (error) throw error;
+    return revoked.length > 0;
+};
+
+/**
+ * Revoke every active session of a user
+ * @param {string} userId - User ID
+ * @param {string} reason - Stored in revoked_reason
+ * @returns {Promise<number>} Number of revoked sessions
+ */
+export const revokeUserSessions = async (userId, reason) => {
+    const { data: revoked, error } = await supabaseAdmin
+        .from('auth_sessions')
+        .update({ revoked_at: new Date().toISOString(), revoked_reason: reason })
+        .eq('user_id', userId)
+        .is('revoked_at', null)
+        .select('id');
+
+    if (error) throw error;
+    return revoked.length;
+};
+
+// How often an authenticated request refreshes a session's last_used_at
+const LAST_SEEN_RESOLUTION_MS = 5 * 60 * 1000;
+
+/**
+ * Check the session of an access token (sid) and note that the device was seen
+ * @param {string} sessionId - Session ID
+ * @param {string} userId - User the token was issued to
+ * @returns {Promise<boolean>} Whether the session is active and belongs to the user
+ */
+export const touchSession = async (sessionId, userId) => {
+    const { data: session, error } = await supabaseAdmin
+        .from('auth_sessions')
+        .select('id, user_id, expires_at, revoked_at, last_used_at')
+        .eq('id', sessionId)
+        .maybeSingle();
+
+    if (error) throw error;
+    if (!session || session.user_id !== userId || session.revoked_at || new Date(session.expires_at) <= new Date()) {
+        return false;
+    }
+
+    if (Date.now() - new Date(session.last_used_at).getTime() > LAST_SEEN_RESOLUTION_MS) {
+        const { error: updateError } = await supabaseAdmin
+            .from('auth_sessions')
+            .update({ last_used_at: new Date().toISOString() })
+            .eq('id', sessionId);
+
+        if (updateError) console.error('Error updating session last seen:', updateError);
+    }
+
+    return true;
+};
+
+/**
+ * Format a session for the API
+ * @param {Object} session - auth_sessions row
+ * @param {string} [currentSessionId] - Session of the request, flagged as current
+ * @returns {Object} Session
+ */
+export const formatSession = (session, currentSessionId = null) => ({
+    id: session.id,
+    userAgent: session.user_agent,
+    ipAddress: session.ip_address,
+    createdAt: session.created_at,
+    lastSeenAt: session.last_used_at,
+    expiresAt: session.expires_at,
+    current: session.id === currentSessionId
+});
+
+/**
+ * A user's active sessions (signed-in devices)
+ * @param {string} userId - User ID
+ * @returns {Promise<Array>} auth_sessions rows, most recently seen first
+ */
+export const getActiveSessions = async (userId) => {
+    const { data: sessions, error } = await supabaseAdmin
+        .from('auth_sessions')
+        .select('id, user_agent, ip_address, created_at, last_used_at, expires_at')
+        .eq('user_id', userId)
+        .is('revoked_at', null)
+        .gt('expires_at', new Date().toISOString())
+        .order('last_used_at', { ascending: false });
+
+    if (error) throw error;
+    return sessions || [];
+};
+
+/**
+ * Revoke one of a user's sessions
+ * @param {string} userId - User ID
+ * @param {string} sessionId - Session ID
+ * @param {string} reason - Stored in revoked_reason
+ * @returns {Promise<boolean>} Whether an active session of the user was revoked
+ */
+export const revokeUserSession = async (userId, sessionId, reason) => {
+    const { data: revoked, error } = await supabaseAdmin
+        .from('auth_sessions')
+        .update({ revoked_at: new Date().toISOString(), revoked_reason: reason })
+        .eq('id', sessionId)
+        .eq('user_id', userId)
+        .is('revoked_at', null)
+        .select('id');
+
+    if (error) throw error;
+    return revoked.length > 0;
+};
+
+/**
+ * Format a user row for a sign-in response
+ * @param {Object} user - User row
+ * @returns {Object} User
+ */
+export const formatAuthUser = (user) => ({
+    id: user.id,
+    email: user.email,
+    first_name: user.first_name,
+    last_name: user.last_name,
+    phone: user.phone,
+    role: user.role,
+    company: user.company,
+    team: user.team,
+    avatar_url: user.avatar_url,
+    notification_time: user.notification_time,
+    notification_enabled: user.notification_enabled,
+    timezone: user.timezone,
+    current_streak: user.current_streak,
+    longest_streak: user.longest_streak,
+    total_lessons_completed: user.total_lessons_completed,
+    badges_earned: user.badges_earned,
+    created_at: user.created_at,
+    last_login: user.last_login || null,
+    last_activity_date: user.last_activity_date,
+    preferences: user.preferences || DEFAULT_PREFERENCES
+});
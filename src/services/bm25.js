@@ -0,0 +1,112 @@
+/**
+ * Minimal BM25 text search for lesson support materials.
+ * Handles Hebrew (niqqud removal, common one/two letter prefixes) and English.
+ */
+
+const K1 = 1.2;
+const B = 0.75;
+
+// Very common words that carry no meaning for retrieval
+const STOPWORDS = new Set([
+    // Hebrew
+    'של', 'את', 'על', 'עם', 'או', 'גם', 'כי', 'אם', 'לא', 'כן', 'זה', 'זו', 'זאת', 'הוא', 'היא', 'הם', 'הן',
+    'אני', 'אתה', 'אנחנו', 'יש', 'אין', 'כל', 'מה', 'מי', 'איך', 'למה', 'איפה', 'אבל', 'רק', 'עוד',
+    'כמו', 'אל', 'בין', 'לפני', 'אחרי', 'תחת', 'מעל', 'היה', 'היו', 'להיות', 'אשר', 'כך', 'שם', 'פה',
+    // English
+    'the', 'a', 'an', 'and', 'or', 'of', 'to', 'in', 'on', 'for', 'is', 'are', 'was', 'be', 'it', 'this',
+    'that', 'with', 'as', 'at', 'by', 'from', 'what', 'how', 'why'
+]);
+
+// Hebrew prefixes (ו, ה, ב, ל, מ, ש, כ and common combinations) - longest first
+const HEBREW_PREFIXES = ['וכש', 'ומה', 'וש', 'וה', 'וב', 'ול', 'ומ', 'וכ', 'שה', 'שב', 'של', 'מה', 'כש', 'לכ', 'ו', 'ה', 'ב', 'ל', 'מ', 'ש', 'כ'];
+
+const HEBREW_WORD = /^[א-ת]+$/;
+
+// Strip niqqud / cantillation marks and normalize presentation forms
+export const normalizeText = (text = '') => text
+    .normalize('NFKC')
+    .replace(/[\u0591-\u05BD\u05BF-\u05C7]/g, '') // Niqqud and cantillation marks (keeps the maqaf)
+    .replace(/[\u200E\u200F\u202A-\u202E]/g, '') // Bidi control characters
+    .replace(/\s+/g, ' ')
+    .trim();
+
+// Hebrew word without its grammatical prefix (keeps at least 3 letters)
+const stripHebrewPrefix = (word) => {
+    for (const prefix of HEBREW_PREFIXES) {
+        if (word.startsWith(prefix) && word.length - prefix.length >= 3) {
+            return word.slice(prefix.length);
+        }
+    }
+    return null;
+};
+
+/**
+ * Split text into search terms. Hebrew words also emit their prefix-stripped form
+ * so "בטיחות", "הבטיחות" and "ובטיחות" all match each other.
+ * @param {string} text - Input text
+ * @returns {string[]} Terms
+ */
+export const tokenize = (text = '') => {
+    const terms = [];
+
+    normalizeText(text)
+        .toLowerCase()
+        .split(/[^\p{L}\p{N}]+/u)
+        .forEach(word => {
+            if (word.length < 2 || STOPWORDS.has(word)) return;
+            terms.push(word);
+
+            if (HEBREW_WORD.test(word)) {
+                const stem = stripHebrewPrefix(word);
+                if (stem && !STOPWORDS.has(stem)) terms.push(stem);
+            }
+        });
+
+    return terms;
+};
+
+/**
+ * Term frequency map for a document
+ * @param {string[]} terms - Document terms
+ * @returns {Object<string, number>} term -> count
+ */
+export const termFrequencies = (terms) => terms.reduce((freq, term) => {
+    freq[term] = (freq[term] || 0) + 1;
+    return freq;
+}, {});
+
+/**
+ * Rank documents against a query with BM25
+ * @param {Array<{termFrequencies: Object, tokenCount: number}>} documents - Indexed documents
+ * @param {string} query - Search query
+ * @param {number} limit - Max results
+ * @returns {Array<{document: Object, score: number}>} Best matches, highest score first
+ */
+export const rankDocuments = (documents, query, limit = 4) => {
+    const queryTerms = [...new Set(tokenize(query))];
+    if (queryTerms.length === 0 || documents.length === 0) return [];
+
+    const totalDocs = documents.length;
+    const avgLength = documents.reduce((sum, doc) => sum + (doc.tokenCount || 0), 0) / totalDocs || 1;
+
+    // Document frequency per query term
+    const docFrequency = {};
+    queryTerms.forEach(term => {
+        docFrequency[term] = documents.filter(doc => doc.termFrequencies?.[term]).length;
+    });
+
+    return documents
+        .map(document => {
+            const length = document.tokenCount || 0;
+            const score = queryTerms.reduce((sum, term) => {
+                const tf = document.termFrequencies?.[term] || 0;
+                if (!tf) return sum;
+                const idf = Math.log(1 + (totalDocs - docFrequency[term] + 0.5) / (docFrequency[term] + 0.5));
+                return sum + idf * (tf * (K1 + 1)) / (tf + K1 * (1 - B + B * (length / avgLength)));
+            }, 0);
+            return { document, score };
+        })
+        .filter(result => result.score > 0)
+        .sort((a, b) => b.score - a.score)
+        .slice(0, limit);
+};
@@ -0,0 +1,129 @@
+import { supabaseAdmin } from '../config/supabase.js';
+import { normalizeText } from './bm25.js';
+import { getZonedDateString, startOfNextZonedDay, parseTimestamp } from '../utils/timezone.js';
+import { fetchAllRows } from '../utils/pagination.js';
+
+/**
+ * Usage and quality statistics of the lesson assistant, built from
+ * `chat_messages`, `chat_conversations` and `chat_message_feedback`.
+ */
+
+// Group spelling variants of the same question ("מה זה רתמה?" / "מה זה רתמה")
+const questionKey = (text) => normalizeText(text)
+    .toLowerCase()
+    .replace(/[\p{P}\p{S}]+/gu, ' ')
+    .replace(/\s+/g, ' ')
+    .trim();
+
+const topEntries = (counts, limit) => [...counts.values()]
+    .sort((a, b) => b.count - a.count)
+    .slice(0, limit);
+
+const percentage = (part, total) => total > 0 ? Math.round((part / total) * 1000) / 10 : 0;
+
+/**
+ * Chat statistics for a period
+ * @param {Object} options - { from: Date, to: Date (exclusive), timeZone, limit }
+ * @returns {Promise<Object>} { totals, volumeByDay, topQuestions, topLessons, recentDownvotes }
+ */
+export const getChatAnalytics = async ({ from, to, timeZone, limit = 10 }) => {
+    const questions = await fetchAllRows(() => supabaseAdmin
+        .from('chat_messages')
+        .select('user_id, conversation_id, content, created_at, conversation:chat_conversations(lesson_id, lesson:lessons(id, title))')
+        .eq('role', 'user')
+        .gte('created_at', from.toISOString())
+        .lt('created_at', to.toISOString())
+        .order('created_at', { ascending: true }));
+
+    const { count: answers, error: answersError } = await supabaseAdmin
+        .from('chat_messages')
+        .select('*', { count: 'exact', head: true })
+        .eq('role', 'assistant')
+        .gte('created_at', from.toISOString())
+        .lt('created_at', to.toISOString());
+
+    if (answersError) throw answersError;
+
+    const feedback = await fetchAllRows(() => supabaseAdmin
+        .from('chat_message_feedback')
+        .select('rating, comment, updated_at, message:chat_messages(id, conversation_id, content)')
+        .gte('updated_at', from.toISOString())
+        .lt('updated_at', to.toISOString())
+        .order('updated_at', { ascending: false }));
+
+    // Volume per local day (every day of the period, including empty ones)
+    const days = new Map();
+    for (let day = from; day < to; day = startOfNextZonedDay(day, timeZone)) {
+        days.set(getZonedDateString(day, timeZone), { date: getZonedDateString(day, timeZone), questions: 0, users: new Set() });
+    }
+
+    const questionCounts = new Map();
+    const lessonCounts = new Map();
+    const users = new Set();
+    const conversations = new Set();
+
+    questions.forEach(message => {
+        users.add(message.user_id);
+        conversations.add(message.conversation_id);
+
+        const day = days.get(getZonedDateString(parseTimestamp(message.created_at), timeZone));
+        if (day) {
+            day.questions++;
+            day.users.add(message.user_id);
+        }
+
+        const key = questionKey(message.content);
+        if (key) {
+            if (!questionCounts.has(key)) {
+                questionCounts.set(key, { question: message.content, count: 0 });
+            }
+            questionCounts.get(key).count++;
+        }
+
+        const lesson = message.conversation?.lesson;
+        if (lesson) {
+            if (!lessonCounts.has(lesson.id)) {
+                lessonCounts.set(lesson.id, { lessonId: lesson.id, title: lesson.title, count: 0 });
+            }
+            lessonCounts.get(lesson.id).count++;
+        }
+    });
+
+    const upvotes = feedback.filter(f => f.rating === 'up').length;
+    const downvotes = feedback.filter(f => f.rating === 'down').length;
+
+    return {
+        totals: {
+            questions: questions.length,
+            answers: answers || 0,
+            conversations: conversations.size,
+            activeUsers: users.size,
+            ratedAnswers: feedback.length,
+            upvotes,
+            downvotes,
+            downvoteRate: percentage(downvotes, feedback.length),
+            feedbackRate: percentage(feedback.length, answers || 0)
+        },
+        volumeByDay: [...days.values()].map(day => ({
+            date: day.date,
+            questions: day.questions,
+            users: day.users.size
+        })),
+        topQuestions: topEntries(questionCounts, limit),
+        topLessons: topEntries(lessonCounts, limit).map(({ lessonId, title, count }) => ({
+            lessonId,
+            title,
+            questions: count
+        })),
+        recentDownvotes: feedback
+            .filter(f => f.rating === 'down')
+            .slice(0, limit)
+            .map(f => ({
+                messageId: f.message?.id || null,
+                conversationId: f.message?.conversation_id || null,
+                answer: f.message?.content || null,
+                comment: f.comment,
+                ratedAt: f.updated_at
+            }))
+    };
+};
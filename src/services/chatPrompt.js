@@ -0,0 +1,92 @@
+/**
+ * Prompt construction for the lesson assistant.
+ * Keeps the system prompt and lesson context formatting in one place so the
+ * chat route only deals with request/response handling.
+ */
+
+const SYSTEM_PROMPT = [
+    'אתה העוזר הלימודי של XFactor Daily - פלטפורמת מיקרו-למידה לעובדי בנייה.',
+    'ענה בעברית, בקצרה ובשפה פשוטה וברורה.',
+    'התבסס על תוכן השיעור כשהוא מסופק. אם אינך יודע את התשובה - אמור זאת ואל תמציא.',
+    'בשאלות בטיחות הפנה תמיד להנחיות הבטיחות באתר ולממונה הבטיחות.'
+].join('\n');
+
+const formatList = (items) => (items || [])
+    .filter(item => typeof item === 'string' && item.trim())
+    .map(item => `- ${item.trim()}`)
+    .join('\n');
+
+/**
+ * Format a lesson row into a context block for the model
+ * @param {Object} lesson - Lesson row (title, description, lesson_topics, key_points)
+ * @returns {string} Context text
+ */
+export const buildLessonContext = (lesson) => {
+    if (!lesson) return '';
+
+    const sections = [`שיעור: ${lesson.title}`];
+
+    if (lesson.description) {
+        sections.push(`תיאור השיעור:\n${lesson.description}`);
+    }
+
+    const topics = formatList(lesson.lesson_topics);
+    if (topics) {
+        sections.push(`נושאי השיעור:\n${topics}`);
+    }
+
+    const keyPoints = formatList(lesson.key_points);
+    if (keyPoints) {
+        sections.push(`נקודות מפתח:\n${keyPoints}`);
+    }
+
+    return sections.join('\n\n');
+};
+
+/**
+ * Format retrieved material chunks into a numbered context block
+ * @param {Array} sources - Chunks from searchLessonMaterials
+ * @returns {string} Context text
+ */
+export const buildSourcesContext = (sources) => sources
+    .map((source, index) => `[${index + 1}] ${source.materialName}, עמוד ${source.pageNumber}:\n${source.content}`)
+    .join('\n\n');
+
+/**
+ * Build the message list sent to the LLM provider
+ * @param {Object} params
+ * @param {string} params.question - Learner question
+ * @param {Object|null} params.lesson - Lesson row the question refers to
+ * @param {Array<{role: string, content: string}>} params.history - Prior turns of the conversation (oldest first)
+ * @param {Array} params.sources - Relevant support material chunks to ground the answer in
+ * @returns {Array<{role: string, content: string}>} Chat messages
+ */
+export const buildChatMessages = ({ question, lesson = null, history = [], sources = [] }) => {
+    const messages = [{ role: 'system', content: SYSTEM_PROMPT }];
+
+    const lessonContext = buildLessonContext(lesson);
+    if (lessonContext) {
+        messages.push({
+            role: 'system',
+            content: `הלומד שואל על השיעור הבא:\n\n${lessonContext}`
+        });
+    }
+
+    if (sources.length > 0) {
+        messages.push({
+            role: 'system',
+            content: [
+                'קטעים רלוונטיים מחומרי העזר של השיעור:',
+                buildSourcesContext(sources),
+                'כשאתה משתמש במידע מקטע, ציין את המקור בסוף המשפט בפורמט (שם החומר, עמ\' X).'
+            ].join('\n\n')
+        });
+    }
+
+    history
+        .filter(turn => (turn.role === 'user' || turn.role === 'assistant') && turn.content)
+        .forEach(turn => messages.push({ role: turn.role, content: turn.content }));
+
+    messages.push({ role: 'user', content: question });
+    return messages;
+};
@@ -0,0 +1,225 @@
+import { supabaseAdmin } from '../config/supabase.js';
+import { getSetting } from './settings.js';
+import {
+    resolveTimeZone,
+    startOfZonedDay,
+    startOfNextZonedDay,
+    startOfZonedMonth,
+    startOfNextZonedMonth
+} from '../utils/timezone.js';
+
+/**
+ * Daily / monthly question quotas for the lesson assistant.
+ *
+ * Configured in system_settings under `chat_quotas`:
+ *   {
+ *     "default":   { "daily": 30, "monthly": 500 },
+ *     "roles":     { "admin": { "daily": null, "monthly": null } },
+ *     "companies": { "<company>": { "daily": 50 } },             // per learner in that company
+ *     "users":     { "<user id>": { "daily": 100 } },
+ *     "company_pools": { "<company>": { "monthly": 5000 } }       // shared by the whole company
+ *   }
+ * Per-learner limits are resolved field by field: user > company > role > default.
+ * `null` means unlimited. Periods follow the learner's own time zone.
+ */
+
+const DEFAULT_QUOTAS = {
+    default: { daily: 30, monthly: 500 },
+    roles: {
+        admin: { daily: null, monthly: null },
+        support: { daily: null, monthly: null }
+    },
+    companies: {},
+    users: {},
+    company_pools: {}
+};
+
+const PERIODS = ['daily', 'monthly'];
+
+// Merge limit overrides field by field (later overrides win, undefined keeps the earlier value)
+const mergeLimits = (...overrides) => overrides.reduce((limits, override) => {
+    PERIODS.forEach(period => {
+        if (override && override[period] !== undefined) {
+            limits[period] = override[period];
+        }
+    });
+    return limits;
+}, { daily: null, monthly: null });
+
+/**
+ * Resolve the per-learner limits for a user
+ * @param {Object} config - chat_quotas setting
+ * @param {Object} user - User row
+ * @returns {{daily: number|null, monthly: number|null}} Limits
+ */
+export const resolveUserLimits = (config, user) => mergeLimits(
+    config.default,
+    config.roles?.[user.role],
+    user.company ? config.companies?.[user.company] : null,
+    config.users?.[user.id]
+);
+
+const getQuotaConfig = async () => {
+    const config = await getSetting('chat_quotas', null);
+    return config ? { ...DEFAULT_QUOTAS, ...config } : DEFAULT_QUOTAS;
+};
+
+// Period boundaries in the user's time zone
+const getPeriodWindows = (timeZone, now = new Date()) => ({
+    daily: { start: startOfZonedDay(now, timeZone), resetAt: startOfNextZonedDay(now, timeZone) },
+    monthly: { start: startOfZonedMonth(now, timeZone), resetAt: startOfNextZonedMonth(now, timeZone) }
+});
+
+// Count questions asked since a point in time by a user or a whole company
+const countQuestions = async (column, value, since) => {
+    const { count, error } = await supabaseAdmin
+        .from('chat_usage')
+        .select('*', { count: 'exact', head: true })
+        .eq(column, value)
+        .gte('created_at', since.toISOString());
+
+    if (error) throw error;
+    return count || 0;
+};
+
+// Limits of the user's company pool, or null when the company has none
+const resolvePoolLimits = (config, user) => {
+    const pool = user.company ? config.company_pools?.[user.company] : null;
+    if (!pool || !PERIODS.some(period => pool[period] !== undefined && pool[period] !== null)) return null;
+    return mergeLimits(pool);
+};
+
+/**
+ * Count a question against the user's (and their company's) quotas before it is answered.
+ * The check and the count are one database call (reserve_chat_question), so concurrent
+ * questions can't overshoot a limit. Usage is kept apart from chat_messages so deleting a
+ * conversation doesn't give the quota back.
+ * @param {Object} user - User row
+ * @param {string|null} conversationId - Conversation the question is asked in (null for a new one)
+ * @returns {Promise<{usageId: string, exceeded: null}|{usageId: null, exceeded: Object}>}
+ *          exceeded is { scope, period, limit, used, resetAt } when a quota is used up
+ */
+export const reserveChatQuestion = async (user, conversationId = null) => {
+    const config = await getQuotaConfig();
+    const windows = getPeriodWindows(resolveTimeZone(user.timezone));
+    const limits = resolveUserLimits(config, user);
+    const poolLimits = resolvePoolLimits(config, user);
+
+    const { data: result, error } = await supabaseAdmin.rpc('reserve_chat_question', {
+        p_user_id: user.id,
+        p_company: user.company || null,
+        p_conversation_id: conversationId,
+        p_daily_since: windows.daily.start.toISOString(),
+        p_monthly_since: windows.monthly.start.toISOString(),
+        p_user_daily: limits.daily,
+        p_user_monthly: limits.monthly,
+        p_company_daily: poolLimits?.daily ?? null,
+        p_company_monthly: poolLimits?.monthly ?? null
+    });
+
+    if (error) throw error;
+
+    if (result.status === 'exceeded') {
+        return {
+            usageId: null,
+            exceeded: {
+                scope: result.scope,
+                period: result.period,
+                limit: result.limit,
+                used: result.used,
+                resetAt: windows[result.period].resetAt.toISOString()
+            }
+        };
+    }
+
+    return { usageId: result.usage_id, exceeded: null };
+};
+
+/**
+ * Tie a reserved question to the conversation it was saved in
+ * @param {string} usageId - chat_usage row from reserveChatQuestion
+ * @param {string} conversationId - Conversation ID
+ */
+export const linkChatUsage = async (usageId, conversationId) => {
+    const { error } = await supabaseAdmin
+        .from('chat_usage')
+        .update({ conversation_id: conversationId })
+        .eq('id', usageId);
+
+    if (error) throw error;
+};
+
+/**
+ * Give a reserved question back (the assistant could not answer it)
+ * @param {string} usageId - chat_usage row from reserveChatQuestion
+ */
+export const releaseChatQuestion = async (usageId) => {
+    const { error } = await supabaseAdmin
+        .from('chat_usage')
+        .delete()
+        .eq('id', usageId);
+
+    if (error) {
+        console.error('Error releasing chat question:', error);
+    }
+};
+
+const buildPeriodStatus = (limit, used, resetAt) => ({
+    limit,
+    used,
+    remaining: limit === null ? null : Math.max(limit - used, 0),
+    resetAt: resetAt.toISOString()
+});
+
+/**
+ * Current quota usage for a user (and their company pool, if configured)
+ * @param {Object} user - User row
+ * @returns {Promise<Object>} { timezone, user: {daily, monthly}, company: {name, daily, monthly} | null }
+ */
+export const getChatQuotaStatus = async (user) => {
+    const config = await getQuotaConfig();
+    const timeZone = resolveTimeZone(user.timezone);
+    const windows = getPeriodWindows(timeZone);
+    const limits = resolveUserLimits(config, user);
+
+    const status = { timezone: timeZone, user: {}, company: null };
+
+    for (const period of PERIODS) {
+        const used = await countQuestions('user_id', user.id, windows[period].start);
+        status.user[period] = buildPeriodStatus(limits[period], used, windows[period].resetAt);
+    }
+
+    const poolLimits = resolvePoolLimits(config, user);
+    if (poolLimits) {
+        status.company = { name: user.company };
+        for (const period of PERIODS) {
+            const limit = poolLimits[period];
+            const used = limit === null ? 0 : await countQuestions('company', user.company, windows[period].start);
+            status.company[period] = buildPeriodStatus(limit, used, windows[period].resetAt);
+        }
+    }
+
+    return status;
+};
+
+/**
+ * First exhausted quota in a status object, or null if the user may ask
+ * @param {Object} status - Result of getChatQuotaStatus
+ * @returns {{scope, period, limit, used, resetAt}|null} Exceeded quota
+ */
+export const findExceededQuota = (status) => {
+    const scopes = [['user', status.user], ['company', status.company]];
+
+    for (const [scope, periods] of scopes) {
+        if (!periods) continue;
+        // Report the longest wait first (monthly before daily)
+        for (const period of ['monthly', 'daily']) {
+            const quota = periods[period];
+            if (quota && quota.limit !== null && quota.used >= quota.limit) {
+                return { scope, period, limit: quota.limit, used: quota.used, resetAt: quota.resetAt };
+            }
+        }
+    }
+
+    return null;
+};
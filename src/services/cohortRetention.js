@@ -0,0 +1,95 @@
+import { iterateUserBatches } from './progressData.js';
+import { addDays, bucketStart, daysBetween, collectUserDates } from './activityTimeseries.js';
+
+/**
+ * Cohort retention by program start week.
+ *
+ * Learners are grouped by the week (Sunday-based) of their program start date
+ * (preferences.program_start_date, falling back to the signup date) and by program type.
+ * Week N of a learner is days 7(N-1)..7N-1 after their own start date; a learner is
+ * retained in week N if they completed at least one lesson during it.
+ */
+
+export const PROGRAM_TYPES = ['daily_video', 'weekly_lesson', 'full_access'];
+
+const percentage = (part, total) => total > 0 ? Math.round((part / total) * 1000) / 10 : null;
+
+const createWeeks = (weeks) => Array.from({ length: weeks }, () => ({ eligible: 0, active: 0 }));
+
+const formatWeeks = (weeks) => weeks.map((week, index) => ({
+    week: index + 1,
+    eligible: week.eligible,
+    active: week.active,
+    // null until at least one learner of the group reached that week
+    retention: percentage(week.active, week.eligible)
+}));
+
+/**
+ * Cohort retention tables
+ * @param {Object} options - { weeks, from, to, today, scope, team, programType }
+ *                           from/to filter cohorts by start date (YYYY-MM-DD), today is the learner-independent cutoff
+ * @returns {Promise<{cohorts: Array, programTypes: Array}>} Per-cohort rows and per-program-type totals
+ */
+export const getCohortRetention = async ({ weeks, from, to, today, scope, team, programType }) => {
+    const cohorts = new Map();
+    const totals = new Map();
+
+    const getGroup = (map, key, fields) => {
+        if (!map.has(key)) {
+            map.set(key, { ...fields, learners: 0, weeks: createWeeks(weeks) });
+        }
+        return map.get(key);
+    };
+
+    for await (const users of iterateUserBatches(scope, { team, programType })) {
+        for (const user of users) {
+            const { createdDate, completionDates } = collectUserDates(user);
+            const startDate = user.preferences?.program_start_date || createdDate;
+            if (!startDate) continue;
+            if ((from && startDate < from) || (to && startDate > to) || startDate > today) continue;
+
+            const type = user.preferences?.program_type || 'daily_video';
+            const cohortStart = bucketStart(startDate, 'week');
+
+            // Weeks (0-based) in which the learner completed something
+            const activeWeeks = new Set(completionDates
+                .map(date => daysBetween(startDate, date))
+                .filter(day => day >= 0)
+                .map(day => Math.floor(day / 7)));
+
+            const elapsedWeeks = Math.floor(daysBetween(startDate, today) / 7) + 1;
+
+            const groups = [
+                getGroup(cohorts, `${cohortStart}|${type}`, { cohort: cohortStart, programType: type }),
+                getGroup(totals, type, { programType: type })
+            ];
+
+            groups.forEach(group => {
+                group.learners++;
+                for (let week = 0; week < Math.min(weeks, elapsedWeeks); week++) {
+                    group.weeks[week].eligible++;
+                    if (activeWeeks.has(week)) group.weeks[week].active++;
+                }
+            });
+        }
+    }
+
+    return {
+        cohorts: [...cohorts.values()]
+            .sort((a, b) => a.cohort.localeCompare(b.cohort) || a.programType.localeCompare(b.programType))
+            .map(group => ({
+                cohort: group.cohort,
+                cohortEnd: addDays(group.cohort, 6),
+                programType: group.programType,
+                learners: group.learners,
+                weeks: formatWeeks(group.weeks)
+            })),
+        programTypes: [...totals.values()]
+            .sort((a, b) => PROGRAM_TYPES.indexOf(a.programType) - PROGRAM_TYPES.indexOf(b.programType))
+            .map(group => ({
+                programType: group.programType,
+                learners: group.learners,
+                weeks: formatWeeks(group.weeks)
+            }))
+    };
+};
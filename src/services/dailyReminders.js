@@ -0,0 +1,132 @@
+import { supabaseAdmin } from '../config/supabase.js';
+import { getSettings } from './settings.js';
+import { getUnlockedLessonsCount, selectTodayLesson } from './lessonSchedule.js';
+import { loadProgressForUsers } from './progressStore.js';
+import { getUserChannels } from './notificationChannels.js';
+import { RETRY_AFTER_MINUTES, claimNotification, completeNotification } from './notificationLog.js';
+
+/**
+ * Daily lesson reminders. Runs every minute (see jobs/scheduler.js): learners whose
+ * local notification_time has passed get a reminder on each of their channels if
+ * today's lesson (as in GET /api/lessons/today) is still open. Which learners are due
+ * - time zone, notification_time, the Friday/Saturday break of daily_video and
+ * reminders already sent - is decided by get_due_daily_reminders (16_daily_reminder_function.sql).
+ */
+
+export const REMINDER_KIND = 'daily_reminder';
+
+// How long after notification_time a missed reminder (e.g. during a deploy) is still sent
+const REMINDER_WINDOW_MINUTES = 120;
+
+const DEFAULT_NOTIFICATION_TIME = '09:00';
+
+const frontendUrl = () => process.env.FRONTEND_URL || 'http://localhost:5173';
+
+/**
+ * Reminder notification of a lesson
+ * @param {Object} user - User
+ * @param {Object} lesson - Today's lesson
+ * @returns {Object} Notification (see notificationChannels.js)
+ */
+export const buildReminderNotification = (user, lesson) => {
+    // The home page opens today's lesson
+    const lessonUrl = `${frontendUrl()}/`;
+
+    return {
+        kind: REMINDER_KIND,
+        template: REMINDER_KIND,
+        title: 'השיעור היומי שלך מחכה',
+        body: lesson.title,
+        url: lessonUrl,
+        view: {
+            firstName: user.first_name,
+            lessonTitle: lesson.title,
+            lessonNumber: lesson.lesson_number,
+            description: lesson.description,
+            duration: lesson.video_duration ? Math.round(lesson.video_duration / 60) : null,
+            streak: user.current_streak > 1 ? user.current_streak : null,
+            lessonUrl,
+            preferencesUrl: `${frontendUrl()}/profile`
+        }
+    };
+};
+
+// Helper: log a reminder that won't be sent today, so the learner isn't re-checked every minute
+const logSkipped = async (user, reason) => {
+    const logId = await claimNotification({ userId: user.id, kind: REMINDER_KIND, channel: 'none', periodKey: user.local_date });
+    if (logId) await completeNotification(logId, { status: 'skipped', error: reason });
+};
+
+/**
+ * Send the reminders that are due now
+ * @param {Object} options - { now }
+ * @returns {Promise<Object>} Run summary { due, sent, skipped, failed }
+ */
+export const sendDueReminders = async ({ now = new Date() } = {}) => {
+    const summary = { due: 0, sent: 0, skipped: 0, failed: 0 };
+
+    const settings = await getSettings(['notification_enabled', 'daily_notification_time']);
+    if (settings.notification_enabled === false) return summary;
+
+    const { data: users, error } = await supabaseAdmin.rpc('get_due_daily_reminders', {
+        p_now: now.toISOString(),
+        p_default_time: settings.daily_notification_time || DEFAULT_NOTIFICATION_TIME,
+        p_window_minutes: REMINDER_WINDOW_MINUTES,
+        p_retry_after_minutes: RETRY_AFTER_MINUTES
+    });
+
+    if (error) throw error;
+    if (!users || users.length === 0) return summary;
+    summary.due = users.length;
+
+    const { data: lessons, error: lessonsError } = await supabaseAdmin
+        .from('lessons')
+        .select('id, title, description, lesson_number, chapter_order, video_duration')
+        .eq('is_published', true)
+        .order('chapter_order', { ascending: true, nullsFirst: true })
+        .order('lesson_number', { ascending: true, nullsFirst: true });
+
+    if (lessonsError) throw lessonsError;
+
+    const progressByUser = await loadProgressForUsers(users.map(user => user.id));
+
+    for (const user of users) {
+        const lesson = selectTodayLesson(lessons || [], getUnlockedLessonsCount(user, now), progressByUser.get(user.id));
+        if (!lesson || progressByUser.get(user.id)[lesson.id]?.status === 'completed') {
+            await logSkipped(user, lesson ? 'Today\'s lesson already completed' : 'No published lessons');
+            summary.skipped++;
+            continue;
+        }
+
+        const channels = await getUserChannels(user);
+        if (channels.length === 0) {
+            await logSkipped(user, 'No notification channel available');
+            summary.skipped++;
+            continue;
+        }
+
+        const notification = buildReminderNotification(user, lesson);
+
+        for (const channel of channels) {
+            const logId = await claimNotification({
+                userId: user.id,
+                kind: REMINDER_KIND,
+                channel: channel.name,
+                periodKey: user.local_date
+            });
+            if (!logId) continue;
+
+            try {
+                const { messageId } = await channel.send(user, notification);
+                await completeNotification(logId, { status: 'sent', messageId });
+                summary.sent++;
+            } catch (sendError) {
+                console.error(`Error sending ${channel.name} reminder to user ${user.id}:`, sendError);
+                await completeNotification(logId, { status: 'failed', error: sendError.message });
+                summary.failed++;
+            }
+        }
+    }
+
+    return summary;
+};
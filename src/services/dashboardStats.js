@@ -0,0 +1,44 @@
+import { supabaseAdmin } from '../config/supabase.js';
+
+/**
+ * Admin dashboard counters, aggregated by the `get_dashboard_stats` database function
+ * (14_dashboard_stats_function.sql) and cached briefly per access scope, since the
+ * dashboard is polled and a few seconds of staleness is fine.
+ */
+
+const parsedTtl = parseInt(process.env.DASHBOARD_CACHE_TTL_MS);
+// 0 disables the cache
+const CACHE_TTL_MS = Number.isNaN(parsedTtl) ? 30 * 1000 : parsedTtl;
+const cache = new Map();
+
+const scopeKey = (scope) => scope
+    ? JSON.stringify([[...scope.companies].sort(), [...scope.teams].sort()])
+    : 'all';
+
+/**
+ * Dashboard counters of a scope
+ * @param {Object|null} scope - Access scope (see getAccessScope), null for everyone
+ * @returns {Promise<Object>} { totalUsers, activeUsers, totalLessons, publishedLessons, totalViews,
+ *                              totalSupportTickets, openSupportTickets, totalBotQuestions, usersWithCompletedLessons }
+ */
+export const getDashboardStats = async (scope) => {
+    const key = scopeKey(scope);
+    const now = Date.now();
+    const cached = cache.get(key);
+    if (cached && cached.expires > now) {
+        return cached.value;
+    }
+
+    const { data, error } = await supabaseAdmin.rpc('get_dashboard_stats', {
+        p_companies: scope ? scope.companies : null,
+        p_teams: scope ? scope.teams : []
+    });
+
+    if (error) throw error;
+
+    const stats = Object.fromEntries(Object.entries(data || {}).map(([name, value]) => [name, Number(value) || 0]));
+    if (CACHE_TTL_MS > 0) {
+        cache.set(key, { value: stats, expires: now + CACHE_TTL_MS });
+    }
+    return stats;
+};
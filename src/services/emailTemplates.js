@@ -0,0 +1,84 @@
+import fs from 'fs/promises';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import Mustache from 'mustache';
+
+/**
+ * Email templates (src/templates/email). Each email has an HTML body rendered
+ * inside layout.html (Hebrew, RTL) and a plain-text version.
+ */
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const TEMPLATES_DIR = path.join(__dirname, '../templates/email');
+
+// Subject (a Mustache template), header title and footer texts of each email
+const EMAILS = {
+    weekly_digest: {
+        subject: 'הסיכום השבועי שלך | {{periodLabel}}',
+        title: 'סיכום שבועי למנהלים',
+        footer: 'קיבלת הודעה זו כי את/ה רשום/ה כמנהל/ת ב-XFactor Daily.',
+        unsubscribeLabel: 'לביטול קבלת הסיכום השבועי'
+    },
+    daily_reminder: {
+        subject: 'השיעור היומי שלך מחכה: {{lessonTitle}}',
+        title: 'תזכורת לשיעור היומי',
+        footer: 'קיבלת הודעה זו כי הפעלת תזכורות יומיות ב-XFactor Daily.',
+        unsubscribeLabel: 'לשינוי הגדרות התזכורות'
+    },
+    login_code: {
+        subject: 'קוד הכניסה שלך: {{code}}',
+        title: 'כניסה ל-XFactor Daily',
+        footer: 'קיבלת הודעה זו כי התבקש קוד כניסה לחשבון שלך ב-XFactor Daily.'
+    },
+    password_setup: {
+        subject: 'בחירת סיסמה לחשבון XFactor Daily',
+        title: 'בחירת סיסמה',
+        footer: 'קיבלת הודעה זו כי לחשבון שלך ב-XFactor Daily עדיין לא נבחרה סיסמה.'
+    }
+};
+
+const templates = new Map();
+
+const loadTemplate = async (fileName) => {
+    if (!templates.has(fileName)) {
+        templates.set(fileName, await fs.readFile(path.join(TEMPLATES_DIR, fileName), 'utf8'));
+    }
+    return templates.get(fileName);
+};
+
+// Plain text must not be HTML-escaped
+const TEXT_CONFIG = { escape: value => String(value) };
+
+/**
+ * Render an email
+ * @param {string} name - Template name (e.g. weekly_digest)
+ * @param {Object} view - Template variables
+ * @returns {Promise<{subject: string, html: string, text: string}>} Rendered email
+ */
+export const renderEmail = async (name, view) => {
+    const email = EMAILS[name];
+    if (!email) {
+        throw new Error(`Unknown email template "${name}"`);
+    }
+
+    const [layout, body, text] = await Promise.all([
+        loadTemplate('layout.html'),
+        loadTemplate(`${name}.html`),
+        loadTemplate(`${name}.txt`)
+    ]);
+
+    const subject = Mustache.render(email.subject, view, {}, TEXT_CONFIG);
+    const content = Mustache.render(body, view);
+
+    return {
+        subject,
+        html: Mustache.render(layout, {
+            ...view,
+            title: email.title,
+            footer: email.footer,
+            unsubscribeLabel: email.unsubscribeLabel,
+            content
+        }),
+        text: Mustache.render(text, view, {}, TEXT_CONFIG).replace(/\n{3,}/g, '\n\n').trim()
+    };
+};
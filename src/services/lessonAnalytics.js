@@ -0,0 +1,193 @@
+import { supabaseAdmin } from '../config/supabase.js';
+import { iterateLessonProgress, isCompleted } from './progressData.js';
+import { buildWatchHeatmap } from './watchEvents.js';
+
+/**
+ * Per-lesson engagement statistics aggregated from learners' lesson progress.
+ */
+
+// Where in-progress learners stopped, in 10% buckets of the video
+const POSITION_BUCKETS = 10;
+
+const median = (values) => {
+    if (values.length === 0) return null;
+    const sorted = [...values].sort((a, b) => a - b);
+    const middle = Math.floor(sorted.length / 2);
+    return sorted.length % 2 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2;
+};
+
+const percentage = (part, total) => total > 0 ? Math.round((part / total) * 1000) / 10 : 0;
+
+const round = (value, digits = 1) => value === null ? null : Math.round(value * 10 ** digits) / 10 ** digits;
+
+const createAccumulator = () => ({
+    starts: 0,
+    completions: 0,
+    watchTimes: [],
+    completionPercentages: [],
+    positions: [],
+    ratings: [],
+    feedback: []
+});
+
+const addEntry = (acc, { user, progress }) => {
+    acc.starts++;
+    const completed = isCompleted(progress);
+    if (completed) acc.completions++;
+
+    if (progress.total_watch_time > 0) acc.watchTimes.push(progress.total_watch_time);
+    if (typeof progress.completion_percentage === 'number') acc.completionPercentages.push(progress.completion_percentage);
+
+    // Completing a lesson resets the position, so only learners who stopped midway count
+    if (!completed && typeof progress.last_watched_position === 'number') {
+        acc.positions.push(progress.last_watched_position);
+    }
+
+    const rating = Number(progress.rating);
+    if (progress.rating !== undefined && progress.rating !== null && !Number.isNaN(rating)) {
+        acc.ratings.push(rating);
+    }
+
+    if (typeof progress.feedback === 'string' && progress.feedback.trim()) {
+        acc.feedback.push({
+            userId: user.id,
+            userName: `${user.first_name} ${user.last_name}`,
+            company: user.company,
+            rating: progress.rating ?? null,
+            feedback: progress.feedback.trim(),
+            completedAt: progress.completed_at || null
+        });
+    }
+};
+
+// Histogram of stop positions as a share of the video length
+const positionDistribution = (positions, videoDuration) => {
+    if (!videoDuration) return null;
+
+    const buckets = Array.from({ length: POSITION_BUCKETS }, (_, index) => ({
+        fromPercent: index * (100 / POSITION_BUCKETS),
+        toPercent: (index + 1) * (100 / POSITION_BUCKETS),
+        learners: 0
+    }));
+
+    positions.forEach(position => {
+        const ratio = Math.min(Math.max(position / videoDuration, 0), 0.9999);
+        buckets[Math.floor(ratio * POSITION_BUCKETS)].learners++;
+    });
+
+    return buckets;
+};
+
+const summarize = (lesson, acc, { includeDetails = false } = {}) => {
+    const medianWatchTime = median(acc.watchTimes);
+    const videoDuration = lesson.video_duration || null;
+    const averageRating = acc.ratings.length > 0
+        ? acc.ratings.reduce((sum, rating) => sum + rating, 0) / acc.ratings.length
+        : null;
+
+    const summary = {
+        lessonId: lesson.id,
+        title: lesson.title,
+        chapterOrder: lesson.chapter_order,
+        lessonNumber: lesson.lesson_number,
+        isPublished: lesson.is_published,
+        videoDuration,
+        starts: acc.starts,
+        completions: acc.completions,
+        completionRate: percentage(acc.completions, acc.starts),
+        dropOffs: acc.starts - acc.completions,
+        dropOffRate: acc.starts > 0 ? round(100 - percentage(acc.completions, acc.starts)) : 0,
+        medianWatchTime,
+        medianWatchRatio: medianWatchTime !== null && videoDuration ? round(medianWatchTime / videoDuration, 2) : null,
+        averageCompletionPercentage: acc.completionPercentages.length > 0
+            ? round(acc.completionPercentages.reduce((sum, value) => sum + value, 0) / acc.completionPercentages.length)
+            : null,
+        averageRating: round(averageRating, 2),
+        ratingsCount: acc.ratings.length,
+        feedbackCount: acc.feedback.length
+    };
+
+    if (includeDetails) {
+        summary.medianStopPosition = median(acc.positions);
+        summary.positionDistribution = positionDistribution(acc.positions, videoDuration);
+        summary.feedback = acc.feedback.sort((a, b) => (b.completedAt || '').localeCompare(a.completedAt || ''));
+    }
+
+    return summary;
+};
+
+const LESSON_FIELDS = 'id, title, chapter_order, lesson_number, video_duration, is_published';
+
+/**
+ * Engagement statistics of one lesson
+ * @param {string} lessonId - Lesson ID
+ * @param {Object|null} scope - Access scope
+ * @returns {Promise<Object|null>} Statistics (null if the lesson doesn't exist)
+ */
+export const getLessonEngagement = async (lessonId, scope) => {
+    const { data: lesson, error } = await supabaseAdmin
+        .from('lessons')
+        .select(LESSON_FIELDS)
+        .eq('id', lessonId)
+        .single();
+
+    if (error || !lesson) return null;
+
+    const acc = createAccumulator();
+    for await (const entry of iterateLessonProgress(scope, { lessonId })) {
+        addEntry(acc, entry);
+    }
+
+    return summarize(lesson, acc, { includeDetails: true });
+};
+
+/**
+ * Engagement statistics of every lesson
+ * @param {Object|null} scope - Access scope
+ * @returns {Promise<Array>} One summary per lesson, in program order
+ */
+export const getLessonsEngagement = async (scope) => {
+    const { data: lessons, error } = await supabaseAdmin
+        .from('lessons')
+        .select(LESSON_FIELDS)
+        .order('chapter_order', { ascending: true })
+        .order('lesson_number', { ascending: true });
+
+    if (error) throw error;
+
+    const accumulators = new Map((lessons || []).map(lesson => [lesson.id, createAccumulator()]));
+    for await (const entry of iterateLessonProgress(scope)) {
+        const acc = accumulators.get(entry.lessonId);
+        if (acc) addEntry(acc, entry); // Progress of deleted lessons is ignored
+    }
+
+    return (lessons || []).map(lesson => summarize(lesson, accumulators.get(lesson.id)));
+};
+
+/**
+ * Per-second retention curve and seek heatmap of a lesson's video
+ * @param {string} lessonId - Lesson ID
+ * @param {Object|null} scope - Access scope
+ * @returns {Promise<Object|null>} Heatmap (null if the lesson doesn't exist)
+ */
+export const getLessonWatchHeatmap = async (lessonId, scope) => {
+    const { data: lesson, error } = await supabaseAdmin
+        .from('lessons')
+        .select(LESSON_FIELDS)
+        .eq('id', lessonId)
+        .single();
+
+    if (error || !lesson) return null;
+
+    const sessions = [];
+    for await (const { progress } of iterateLessonProgress(scope, { lessonId, withSessions: true })) {
+        sessions.push(...(progress.watch_sessions || []));
+    }
+
+    return {
+        lessonId: lesson.id,
+        title: lesson.title,
+        videoDuration: lesson.video_duration || null,
+        ...buildWatchHeatmap(sessions, lesson.video_duration)
+    };
+};
@@ -0,0 +1,94 @@
+import { supabaseAdmin } from '../config/supabase.js';
+
+/**
+ * Program unlock schedule: which lessons a learner can open, based on
+ * preferences.program_type and the program start date.
+ */
+
+/**
+ * Count how many lessons a user has unlocked based on program_type.
+ * daily_video  → 1 lesson per business day (Sun–Thu), skipping Fri & Sat
+ * weekly_lesson → 1 lesson per calendar week
+ * full_access  → all lessons (returns Infinity)
+ * @param {Object} user - User with preferences and created_at
+ * @param {Date} [now] - Reference date (defaults to today)
+ * @returns {number} Unlocked lessons count
+ */
+export const getUnlockedLessonsCount = (user, now = new Date()) => {
+    const programType = user.preferences?.program_type || 'daily_video';
+    if (programType === 'full_access') return Infinity;
+
+    const startDate = user.preferences?.program_start_date || user.created_at;
+    const start = new Date(startDate);
+    start.setHours(0, 0, 0, 0);
+    const today = new Date(now);
+    today.setHours(0, 0, 0, 0);
+
+    if (today < start) return 1;
+
+    if (programType === 'weekly_lesson') {
+        const msPerDay = 24 * 60 * 60 * 1000;
+        const calendarDays = Math.floor((today - start) / msPerDay);
+        return Math.floor(calendarDays / 7) + 1;
+    }
+
+    // daily_video: count Sun–Thu days elapsed after signup day
+    let businessDaysElapsed = 0;
+    const current = new Date(start);
+    current.setDate(current.getDate() + 1); // start counting from day after signup
+
+    while (current <= today) {
+        const dow = current.getDay(); // 0=Sun,1=Mon,2=Tue,3=Wed,4=Thu,5=Fri,6=Sat
+        if (dow !== 5 && dow !== 6) businessDaysElapsed++;
+        current.setDate(current.getDate() + 1);
+    }
+
+    return businessDaysElapsed + 1; // +1 for the signup day itself
+};
+
+/**
+ * IDs of the published lessons in program order
+ * @returns {Promise<string[]|null>} Lesson IDs (null if they couldn't be loaded)
+ */
+export const getPublishedLessonIds = async () => {
+    const { data: allPublished } = await supabaseAdmin
+        .from('lessons')
+        .select('id')
+        .eq('is_published', true)
+        .order('chapter_order', { ascending: true, nullsFirst: true })
+        .order('lesson_number', { ascending: true, nullsFirst: true });
+
+    return allPublished ? allPublished.map(lesson => lesson.id) : null;
+};
+
+/**
+ * Get the 0-based sequential index of a lesson among all published lessons
+ * @param {string} lessonId - Lesson ID
+ * @returns {Promise<number>} Index (-1 if the lesson isn't published)
+ */
+export const getLessonIndex = async (lessonId) => {
+    const lessonIds = await getPublishedLessonIds();
+    if (!lessonIds) return -1;
+    return lessonIds.indexOf(lessonId);
+};
+
+/**
+ * Today's lesson: the first unlocked lesson the user hasn't completed
+ * (the last unlocked one when everything unlocked is done)
+ * @param {Array} lessons - Lessons in program order
+ * @param {number} unlockedCount - See getUnlockedLessonsCount
+ * @param {Object} progressByLesson - The user's progress entries keyed by lesson ID
+ * @returns {Object|null} Lesson (null when there are no lessons)
+ */
+export const selectTodayLesson = (lessons, unlockedCount, progressByLesson = {}) => {
+    // Slice to the lessons unlocked for this user
+    const availableLessons = unlockedCount === Infinity
+        ? lessons
+        : lessons.slice(0, unlockedCount);
+
+    // Find the first uncompleted lesson among available lessons
+    return availableLessons.find(lesson => {
+        const progress = progressByLesson[lesson.id];
+        return !progress || progress.status !== 'completed';
+    }) || availableLessons[availableLessons.length - 1] || lessons[0] || null;
+};
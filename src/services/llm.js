@@ -0,0 +1,274 @@
+import axios from 'axios';
+import { StringDecoder } from 'string_decoder';
+import dotenv from 'dotenv';
+
+dotenv.config();
+
+/**
+ * LLM provider registry for the lesson assistant.
+ *
+ * Every provider exposes the same shape so the chat route never needs to know
+ * which backend answers the question:
+ *   {
+ *     name: string,
+ *     model: string,
+ *     complete({ messages, signal }) => Promise<{ content, usage }>,
+ *     stream({ messages, signal, onToken }) => Promise<{ content, usage }>
+ *   }
+ * `messages` follows the common chat format: [{ role: 'system'|'user'|'assistant', content }].
+ * `usage` is { promptTokens, completionTokens, totalTokens }.
+ * `stream` calls onToken(text) for every chunk as it arrives and resolves with the full answer.
+ * Aborting `signal` must stop the upstream request and reject the promise.
+ */
+
+const providerFactories = new Map();
+let cachedProvider = null;
+
+const emptyUsage = () => ({ promptTokens: 0, completionTokens: 0, totalTokens: 0 });
+
+const createAbortError = () => {
+    const error = new Error('The operation was aborted');
+    error.name = 'AbortError';
+    return error;
+};
+
+// Rough token estimate for providers that don't report usage (≈4 chars per token)
+const estimateTokens = (text = '') => Math.ceil(text.length / 4);
+
+/**
+ * OpenAI-compatible chat completions provider.
+ * Works with OpenAI itself and any gateway that speaks the same API (Azure, OpenRouter, vLLM...).
+ * @param {Object} config - Provider configuration
+ * @returns {Object} Provider
+ */
+const createOpenAIProvider = (config = {}) => {
+    const apiUrl = (config.apiUrl || process.env.LLM_API_URL || 'https://api.openai.com/v1').replace(/\/+$/, '');
+    const apiKey = config.apiKey || process.env.LLM_API_KEY;
+    const model = config.model || process.env.LLM_MODEL || 'gpt-4o-mini';
+    const maxTokens = parseInt(config.maxTokens || process.env.LLM_MAX_TOKENS) || 800;
+    const temperature = parseFloat(config.temperature ?? process.env.LLM_TEMPERATURE ?? 0.3);
+    const timeout = parseInt(config.timeout || process.env.LLM_TIMEOUT_MS) || 60000;
+
+    if (!apiKey) {
+        throw new Error('Missing LLM_API_KEY environment variable for the openai provider.');
+    }
+
+    return {
+        name: 'openai',
+        model,
+
+        async complete({ messages, signal }) {
+            const response = await axios.post(`${apiUrl}/chat/completions`, {
+                model,
+                messages,
+                max_tokens: maxTokens,
+                temperature
+            }, {
+                headers: {
+                    'Authorization': `Bearer ${apiKey}`,
+                    'Content-Type': 'application/json'
+                },
+                timeout,
+                signal
+            });
+
+            const choice = response.data?.choices?.[0];
+            const usage = response.data?.usage;
+
+            return {
+                content: choice?.message?.content?.trim() || '',
+                usage: usage ? {
+                    promptTokens: usage.prompt_tokens || 0,
+                    completionTokens: usage.completion_tokens || 0,
+                    totalTokens: usage.total_tokens || 0
+                } : emptyUsage()
+            };
+        },
+
+        async stream({ messages, signal, onToken }) {
+            const response = await axios.post(`${apiUrl}/chat/completions`, {
+                model,
+                messages,
+                max_tokens: maxTokens,
+                temperature,
+                stream: true,
+                stream_options: { include_usage: true }
+            }, {
+                headers: {
+                    'Authorization': `Bearer ${apiKey}`,
+                    'Content-Type': 'application/json'
+                },
+                responseType: 'stream',
+                timeout,
+                signal
+            });
+
+            let content = '';
+            let usage = null;
+            let buffer = '';
+            // Hebrew characters are multi-byte - never split them across network chunks
+            const decoder = new StringDecoder('utf8');
+
+            // Parse the upstream SSE stream ("data: {...}" lines, terminated by "data: [DONE]")
+            const handleLine = (line) => {
+                const trimmed = line.trim();
+                if (!trimmed.startsWith('data:')) return;
+
+                const payload = trimmed.slice(5).trim();
+                if (!payload || payload === '[DONE]') return;
+
+                const chunk = JSON.parse(payload);
+                const text = chunk.choices?.[0]?.delta?.content;
+                if (text) {
+                    content += text;
+                    onToken(text);
+                }
+                if (chunk.usage) {
+                    usage = {
+                        promptTokens: chunk.usage.prompt_tokens || 0,
+                        completionTokens: chunk.usage.completion_tokens || 0,
+                        totalTokens: chunk.usage.total_tokens || 0
+                    };
+                }
+            };
+
+            await new Promise((resolve, reject) => {
+                const onAbort = () => {
+                    response.data.destroy();
+                    reject(createAbortError());
+                };
+                signal?.addEventListener('abort', onAbort, { once: true });
+
+                response.data.on('data', (data) => {
+                    buffer += decoder.write(data);
+                    const lines = buffer.split('\n');
+                    buffer = lines.pop();
+                    try {
+                        lines.forEach(handleLine);
+                    } catch (parseError) {
+                        response.data.destroy();
+                        reject(parseError);
+                    }
+                });
+                response.data.on('end', () => {
+                    signal?.removeEventListener('abort', onAbort);
+                    try {
+                        if (buffer) handleLine(buffer);
+                        resolve();
+                    } catch (parseError) {
+                        reject(parseError);
+                    }
+                });
+                response.data.on('error', (streamError) => {
+                    signal?.removeEventListener('abort', onAbort);
+                    reject(signal?.aborted ? createAbortError() : streamError);
+                });
+            });
+
+            // Some OpenAI-compatible gateways ignore stream_options - estimate usage instead
+            if (!usage) {
+                const promptTokens = messages.reduce((sum, m) => sum + estimateTokens(m.content), 0);
+                const completionTokens = estimateTokens(content);
+                usage = { promptTokens, completionTokens, totalTokens: promptTokens + completionTokens };
+            }
+
+            return { content: content.trim(), usage };
+        }
+    };
+};
+
+/**
+ * Local mock provider - deterministic answers, no network.
+ * Used in development and tests so the chat flow can be exercised without an API key.
+ * @returns {Object} Provider
+ */
+const createMockProvider = () => {
+    const tokenDelayMs = parseInt(process.env.LLM_MOCK_STREAM_DELAY_MS) || 20;
+
+    const answer = (messages) => {
+        const lastUserMessage = [...messages].reverse().find(m => m.role === 'user');
+        const question = lastUserMessage?.content || '';
+        const content = `[mock] קיבלתי את השאלה: "${question}"`;
+        const promptTokens = messages.reduce((sum, m) => sum + estimateTokens(m.content), 0);
+        const completionTokens = estimateTokens(content);
+
+        return {
+            content,
+            usage: {
+                promptTokens,
+                completionTokens,
+                totalTokens: promptTokens + completionTokens
+            }
+        };
+    };
+
+    return {
+        name: 'mock',
+        model: 'mock-1',
+
+        async complete({ messages }) {
+            return answer(messages);
+        },
+
+        async stream({ messages, signal, onToken }) {
+            const result = answer(messages);
+            // Emit word by word (keeping the whitespace) to mimic a real token stream
+            const tokens = result.content.match(/\S+\s*/g) || [];
+
+            for (const token of tokens) {
+                if (signal?.aborted) throw createAbortError();
+                await new Promise(resolve => setTimeout(resolve, tokenDelayMs));
+                if (signal?.aborted) throw createAbortError();
+                onToken(token);
+            }
+
+            return result;
+        }
+    };
+};
+
+providerFactories.set('openai', createOpenAIProvider);
+providerFactories.set('mock', createMockProvider);
+
+/**
+ * Register an additional LLM provider
+ * @param {string} name - Provider name (matched against LLM_PROVIDER)
+ * @param {Function} factory - (config) => provider
+ */
+export const registerLLMProvider = (name, factory) => {
+    providerFactories.set(name, factory);
+    cachedProvider = null;
+};
+
+/**
+ * Get the configured LLM provider (LLM_PROVIDER env, defaults to mock outside production;
+ * the mock is refused in production)
+ * @returns {Object} Provider
+ */
+export const getLLMProvider = () => {
+    if (cachedProvider) return cachedProvider;
+
+    const defaultProvider = process.env.NODE_ENV === 'production' ? 'openai' : 'mock';
+    const name = process.env.LLM_PROVIDER || defaultProvider;
+    const factory = providerFactories.get(name);
+
+    // Never serve the mock's canned answers to real users
+    if (name === 'mock' && process.env.NODE_ENV === 'production') {
+        throw new Error('The mock LLM provider cannot be used in production - set LLM_PROVIDER');
+    }
+
+    if (!factory) {
+        throw new Error(`Unknown LLM provider "${name}". Available: ${[...providerFactories.keys()].join(', ')}`);
+    }
+
+    cachedProvider = factory();
+    return cachedProvider;
+};
+
+/**
+ * Override the active provider (tests)
+ * @param {Object|null} provider - Provider instance, or null to fall back to LLM_PROVIDER
+ */
+export const setLLMProvider = (provider) => {
+    cachedProvider = provider;
+};
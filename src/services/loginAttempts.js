@@ -0,0 +1,103 @@
+import { supabaseAdmin } from '../config/supabase.js';
+import { getSettings } from './settings.js';
+
+/**
+ * Failed login tracking (wrong passwords and sign-in codes): accounts are locked for
+ * lockout_duration_minutes after max_login_attempts failures in a row, and an IP with
+ * max_login_attempts_per_ip failures within that duration is throttled
+ * (login_attempts table, users.failed_login_count / locked_until).
+ */
+
+const DEFAULTS = {
+    max_login_attempts: 5,
+    lockout_duration_minutes: 15,
+    max_login_attempts_per_ip: 20
+};
+
+/**
+ * Lockout settings with defaults for the ones that aren't set
+ * @returns {Promise<Object>} { max_login_attempts, lockout_duration_minutes, max_login_attempts_per_ip }
+ */
+export const getLockoutSettings = async () => {
+    const settings = await getSettings(Object.keys(DEFAULTS));
+    return Object.fromEntries(Object.entries(DEFAULTS).map(([key, fallback]) => (
+        [key, parseInt(settings[key]) || fallback]
+    )));
+};
+
+/**
+ * Whether a user is locked out right now
+ * @param {Object} user - User row (locked_until)
+ * @returns {boolean}
+ */
+export const isLocked = (user) => Boolean(user.locked_until) && new Date(user.locked_until) > new Date();
+
+/**
+ * Whether an IP made too many failed logins within the lockout duration
+ * @param {string} ipAddress - Client IP
+ * @param {Object} settings - See getLockoutSettings
+ * @returns {Promise<boolean>}
+ */
+export const isIpThrottled = async (ipAddress, settings) => {
+    if (!ipAddress) return false;
+
+    const since = new Date(Date.now() - settings.lockout_duration_minutes * 60 * 1000).toISOString();
+    const { count, error } = await supabaseAdmin
+        .from('login_attempts')
+        .select('id', { count: 'exact', head: true })
+        .eq('ip_address', ipAddress)
+        .eq('success', false)
+        .gte('created_at', since);
+
+    if (error) throw error;
+    return count >= settings.max_login_attempts_per_ip;
+};
+
+/**
+ * Record a login attempt
+ * @param {Object} attempt - { email, userId, ipAddress, success }
+ * @returns {Promise<void>}
+ */
+export const recordLoginAttempt = async ({ email, userId = null, ipAddress = null, success }) => {
+    const { error } = await supabaseAdmin
+        .from('login_attempts')
+        .insert({ email: email.toLowerCase(), user_id: userId, ip_address: ipAddress, success });
+
+    if (error) {
+        console.error('Error recording login attempt:', error);
+    }
+};
+
+/**
+ * Count a failed password for a user, locking the account when it reaches the limit
+ * @param {string} userId - User ID
+ * @param {Object} settings - See getLockoutSettings
+ * @returns {Promise<Object>} { locked, lockedUntil } - locked is true when this attempt locked the account
+ */
+export const registerFailedLogin = async (userId, settings) => {
+    const { data: result, error } = await supabaseAdmin.rpc('register_failed_login', {
+        p_user_id: userId,
+        p_max_attempts: settings.max_login_attempts,
+        p_lockout_minutes: settings.lockout_duration_minutes
+    });
+
+    if (error) throw error;
+    return { locked: result.locked, lockedUntil: result.locked_until };
+};
+
+/**
+ * Clear a user's failed login count and lock
+ * @param {string} userId - User ID
+ * @returns {Promise<Object|null>} Updated user (id, email, first_name, last_name), null if not found
+ */
+export const clearFailedLogins = async (userId) => {
+    const { data: user, error } = await supabaseAdmin
+        .from('users')
+        .update({ failed_login_count: 0, locked_until: null })
+        .eq('id', userId)
+        .select('id, email, first_name, last_name')
+        .maybeSingle();
+
+    if (error) throw error;
+    return user;
+};
@@ -0,0 +1,146 @@
+import crypto from 'crypto';
+import { supabaseAdmin } from '../config/supabase.js';
+import { getSettings } from './settings.js';
+import { renderEmail } from './emailTemplates.js';
+import { sendMail } from './mailer.js';
+
+/**
+ * Passwordless sign-in with a one-time code sent by email (login_codes table).
+ * Codes come from crypto.randomInt and only their HMAC is stored; expiry, allowed
+ * guesses, the resend cooldown and the hourly send limit come from system_settings.
+ */
+
+const CODE_LENGTH = parseInt(process.env.OTP_LENGTH) || 6;
+
+const DEFAULTS = {
+    otp_expiry_minutes: 10,
+    otp_max_attempts: 3,
+    otp_resend_cooldown_seconds: 60,
+    otp_max_sends_per_hour: 5
+};
+
+// Window of otp_max_sends_per_hour
+const SEND_WINDOW_MS = 60 * 60 * 1000;
+
+// Helper: settings with defaults for the ones that aren't set
+const getCodeSettings = async () => {
+    const settings = await getSettings(Object.keys(DEFAULTS));
+    return Object.fromEntries(Object.entries(DEFAULTS).map(([key, fallback]) => (
+        [key, parseInt(settings[key]) || fallback]
+    )));
+};
+
+const generateCode = () => crypto.randomInt(0, 10 ** CODE_LENGTH).toString().padStart(CODE_LENGTH, '0');
+
+// Helper: keyed hash of a code, bound to its user so equal codes of two users differ
+const hashCode = (userId, code) => crypto
+    .createHmac('sha256', process.env.OTP_SECRET || process.env.JWT_SECRET)
+    .update(`${userId}:${code}`)
+    .digest('hex');
+
+/**
+ * Create a sign-in code for a user and email it. Expires the user's previous codes.
+ * @param {Object} user - User (id, email, first_name)
+ * @returns {Promise<Object>} { expiresInMinutes }, or { retryAfterSeconds, reason } while the
+ *   resend cooldown ('cooldown') or the hourly limit ('hourly_limit') applies
+ */
+export const sendLoginCode = async (user) => {
+    const settings = await getCodeSettings();
+    const now = Date.now();
+    // Codes of the last hour count toward the hourly limit (the cooldown may be longer)
+    const windowMs = Math.max(SEND_WINDOW_MS, settings.otp_resend_cooldown_seconds * 1000);
+    const windowStart = new Date(now - windowMs).toISOString();
+
+    const { data: recent, error: recentError } = await supabaseAdmin
+        .from('login_codes')
+        .select('created_at')
+        .eq('user_id', user.id)
+        .gte('created_at', windowStart)
+        .order('created_at', { ascending: false });
+
+    if (recentError) throw recentError;
+
+    if (recent?.length > 0) {
+        const elapsedSeconds = (now - new Date(recent[0].created_at).getTime()) / 1000;
+        if (elapsedSeconds < settings.otp_resend_cooldown_seconds) {
+            return {
+                retryAfterSeconds: Math.ceil(settings.otp_resend_cooldown_seconds - elapsedSeconds),
+                reason: 'cooldown'
+            };
+        }
+
+        const lastHour = recent.filter(entry => now - new Date(entry.created_at).getTime() < SEND_WINDOW_MS);
+        if (lastHour.length >= settings.otp_max_sends_per_hour) {
+            // Until the oldest of them is an hour old
+            const oldest = new Date(lastHour[lastHour.length - 1].created_at).getTime();
+            return { retryAfterSeconds: Math.ceil((oldest + SEND_WINDOW_MS - now) / 1000), reason: 'hourly_limit' };
+        }
+    }
+
+    const code = generateCode();
+
+    // Older codes stop working but stay until they leave the window, so they are counted
+    const { error: deleteError } = await supabaseAdmin
+        .from('login_codes')
+        .delete()
+        .eq('user_id', user.id)
+        .lt('created_at', windowStart);
+
+    if (deleteError) throw deleteError;
+
+    const { error: expireError } = await supabaseAdmin
+        .from('login_codes')
+        .update({ expires_at: new Date(now).toISOString() })
+        .eq('user_id', user.id)
+        .is('consumed_at', null)
+        .gt('expires_at', new Date(now).toISOString());
+
+    if (expireError) throw expireError;
+
+    const { data: entry, error: insertError } = await supabaseAdmin
+        .from('login_codes')
+        .insert({
+            user_id: user.id,
+            code_hash: hashCode(user.id, code),
+            expires_at: new Date(now + settings.otp_expiry_minutes * 60 * 1000).toISOString()
+        })
+        .select('id')
+        .single();
+
+    if (insertError) throw insertError;
+
+    try {
+        const email = await renderEmail('login_code', {
+            firstName: user.first_name,
+            code,
+            expiresInMinutes: settings.otp_expiry_minutes
+        });
+        await sendMail({ to: user.email, ...email });
+    } catch (error) {
+        // Don't leave a code the user never got (and its cooldown) behind
+        await supabaseAdmin.from('login_codes').delete().eq('id', entry.id);
+        throw error;
+    }
+
+    return { expiresInMinutes: settings.otp_expiry_minutes };
+};
+
+/**
+ * Check a code against the user's latest one. Every wrong guess counts;
+ * a correct code can be used once.
+ * @param {string} userId - User ID
+ * @param {string} code - Code as entered
+ * @returns {Promise<Object>} { status: 'valid' | 'invalid' | 'expired' | 'too_many_attempts' | 'not_found', attemptsLeft }
+ */
+export const verifyLoginCode = async (userId, code) => {
+    const settings = await getCodeSettings();
+
+    const { data: result, error } = await supabaseAdmin.rpc('verify_login_code', {
+        p_user_id: userId,
+        p_code_hash: hashCode(userId, String(code).trim()),
+        p_max_attempts: settings.otp_max_attempts
+    });
+
+    if (error) throw error;
+    return { status: result.status, attemptsLeft: result.attempts_left };
+};
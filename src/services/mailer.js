@@ -0,0 +1,85 @@
+import fs from 'fs/promises';
+import path from 'path';
+import nodemailer from 'nodemailer';
+
+/**
+ * Outgoing email.
+ *
+ * MAIL_TRANSPORT=smtp  → sent through SMTP_HOST / SMTP_PORT / SMTP_USER / SMTP_PASS
+ * MAIL_TRANSPORT=file  → written as .eml files to MAIL_OUTPUT_DIR (open them in any mail client)
+ *
+ * Defaults to `smtp` in production and `file` everywhere else, so development never mails real people.
+ */
+
+const DEFAULT_FROM = 'XFactor Daily <no-reply@xfactor-daily.co.il>';
+const DEFAULT_OUTPUT_DIR = 'tmp/mail';
+
+let transport = null;
+
+const getTransportType = () => process.env.MAIL_TRANSPORT
+    || (process.env.NODE_ENV === 'production' ? 'smtp' : 'file');
+
+const createTransport = () => {
+    const type = getTransportType();
+
+    if (type === 'smtp') {
+        if (!process.env.SMTP_HOST) {
+            throw new Error('SMTP_HOST is required when MAIL_TRANSPORT=smtp');
+        }
+        return nodemailer.createTransport({
+            host: process.env.SMTP_HOST,
+            port: parseInt(process.env.SMTP_PORT) || 587,
+            secure: process.env.SMTP_SECURE === 'true',
+            auth: process.env.SMTP_USER
+                ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASS }
+                : undefined
+        });
+    }
+
+    if (type === 'file') {
+        // Builds the raw message without sending it; sendMail writes it to disk
+        return nodemailer.createTransport({ streamTransport: true, buffer: true, newline: 'unix' });
+    }
+
+    throw new Error(`Unknown MAIL_TRANSPORT "${type}" (expected smtp or file)`);
+};
+
+const getTransport = () => {
+    if (!transport) transport = createTransport();
+    return transport;
+};
+
+// Helper: write a raw message to MAIL_OUTPUT_DIR as <timestamp>-<recipient>.eml
+const writeEmlFile = async (message, to) => {
+    const outputDir = path.resolve(process.env.MAIL_OUTPUT_DIR || DEFAULT_OUTPUT_DIR);
+    await fs.mkdir(outputDir, { recursive: true });
+
+    const recipient = String(Array.isArray(to) ? to[0] : to).replace(/[^a-zA-Z0-9@._-]/g, '_');
+    const filePath = path.join(outputDir, `${new Date().toISOString().replace(/[:.]/g, '-')}-${recipient}.eml`);
+    await fs.writeFile(filePath, message);
+    return filePath;
+};
+
+/**
+ * Send an email
+ * @param {Object} mail - { to, subject, html, text, headers }
+ * @returns {Promise<{messageId: string, filePath?: string}>} Sent message (filePath for the file transport)
+ */
+export const sendMail = async ({ to, subject, html, text, headers }) => {
+    const info = await getTransport().sendMail({
+        from: process.env.MAIL_FROM || DEFAULT_FROM,
+        to,
+        subject,
+        html,
+        text,
+        headers
+    });
+
+    if (getTransportType() === 'file') {
+        const filePath = await writeEmlFile(info.message, to);
+        console.log(`📧 Email to ${to} written to ${filePath}`);
+        return { messageId: info.messageId, filePath };
+    }
+
+    return { messageId: info.messageId };
+};
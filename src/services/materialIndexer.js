@@ -0,0 +1,245 @@
+import axios from 'axios';
+import path from 'path';
+import { createRequire } from 'module';
+import { getDocument, VerbosityLevel } from 'pdfjs-dist/legacy/build/pdf.mjs';
+import { supabaseAdmin } from '../config/supabase.js';
+import { generateSignedUrl } from '../config/cloudinary.js';
+import { normalizeText, tokenize, termFrequencies, rankDocuments } from './bm25.js';
+import { fetchAllRows } from '../utils/pagination.js';
+
+/**
+ * Indexing pipeline for lesson support materials (PDFs in Cloudinary).
+ * Each PDF is downloaded through a short-lived signed URL, split into pages and
+ * overlapping word chunks, and stored in `lesson_material_chunks` together with
+ * its BM25 term frequencies. Retrieval ranks a lesson's chunks in memory.
+ */
+
+const CHUNK_WORDS = parseInt(process.env.RAG_CHUNK_WORDS) || 180;
+const CHUNK_OVERLAP_WORDS = parseInt(process.env.RAG_CHUNK_OVERLAP_WORDS) || 40;
+const MAX_PDF_BYTES = 20 * 1024 * 1024;
+
+// pdf.js needs its bundled standard fonts to measure text in PDFs that don't embed them
+const require = createRequire(import.meta.url);
+const STANDARD_FONT_DATA_URL = path.join(path.dirname(require.resolve('pdfjs-dist/package.json')), 'standard_fonts/');
+
+// One indexing run per lesson at a time - later requests wait for the running one
+const runningIndexJobs = new Map();
+
+/**
+ * Download a private PDF from Cloudinary
+ * @param {string} publicId - Cloudinary public ID
+ * @returns {Promise<Buffer>} File contents
+ */
+const downloadMaterial = async (publicId) => {
+    const signedUrl = generateSignedUrl(publicId, {
+        expires_at: Math.floor(Date.now() / 1000) + (60 * 5), // 5 minutes
+        resource_type: 'raw'
+    });
+
+    const response = await axios.get(signedUrl, {
+        responseType: 'arraybuffer',
+        timeout: 30000,
+        maxContentLength: MAX_PDF_BYTES
+    });
+
+    return Buffer.from(response.data);
+};
+
+// Rebuild the lines of a page from pdf.js text items.
+// Items sharing a baseline form a line; RTL (Hebrew) lines are read right-to-left.
+const pageTextFromItems = (items) => {
+    const lines = new Map();
+
+    items.forEach(item => {
+        if (!item.str) return;
+        const y = Math.round(item.transform[5]);
+        if (!lines.has(y)) lines.set(y, []);
+        lines.get(y).push(item);
+    });
+
+    return [...lines.entries()]
+        .sort((a, b) => b[0] - a[0]) // Top of the page first
+        .map(([, lineItems]) => {
+            const rtlCount = lineItems.filter(item => item.dir === 'rtl').length;
+            const isRtl = rtlCount > lineItems.length / 2;
+            return lineItems
+                .sort((a, b) => isRtl ? b.transform[4] - a.transform[4] : a.transform[4] - b.transform[4])
+                .map(item => item.str)
+                .join(' ');
+        })
+        .join('\n');
+};
+
+/**
+ * Extract text per page from a PDF
+ * @param {Buffer} buffer - PDF contents
+ * @returns {Promise<Array<{pageNumber: number, text: string}>>} Pages
+ */
+export const extractPdfPages = async (buffer) => {
+    const document = await getDocument({
+        data: new Uint8Array(buffer),
+        standardFontDataUrl: STANDARD_FONT_DATA_URL,
+        isEvalSupported: false,
+        verbosity: VerbosityLevel.ERRORS
+    }).promise;
+
+    try {
+        const pages = [];
+        for (let pageNumber = 1; pageNumber <= document.numPages; pageNumber++) {
+            const page = await document.getPage(pageNumber);
+            const textContent = await page.getTextContent();
+            pages.push({ pageNumber, text: normalizeText(pageTextFromItems(textContent.items)) });
+            page.cleanup();
+        }
+        return pages;
+    } finally {
+        await document.destroy();
+    }
+};
+
+/**
+ * Split pages into overlapping word chunks (chunks never cross pages so citations stay exact)
+ * @param {Array<{pageNumber: number, text: string}>} pages - Extracted pages
+ * @returns {Array<{pageNumber: number, content: string}>} Chunks
+ */
+export const chunkPages = (pages) => {
+    const chunks = [];
+    const step = Math.max(CHUNK_WORDS - CHUNK_OVERLAP_WORDS, 1);
+
+    pages.forEach(({ pageNumber, text }) => {
+        const words = text.split(/\s+/).filter(Boolean);
+
+        for (let start = 0; start < words.length; start += step) {
+            chunks.push({
+                pageNumber,
+                content: words.slice(start, start + CHUNK_WORDS).join(' ')
+            });
+            if (start + CHUNK_WORDS >= words.length) break;
+        }
+    });
+
+    return chunks;
+};
+
+const runIndexLessonMaterials = async (lessonId) => {
+    const { data: lesson, error: lessonError } = await supabaseAdmin
+        .from('lessons')
+        .select('id, support_materials')
+        .eq('id', lessonId)
+        .single();
+
+    if (lessonError || !lesson) {
+        throw new Error(`Lesson ${lessonId} not found for indexing`);
+    }
+
+    const files = (lesson.support_materials || [])
+        .filter(material => material.type === 'file' && material.cloudinaryPublicId);
+
+    const rows = [];
+    const results = [];
+
+    for (const material of files) {
+        try {
+            const buffer = await downloadMaterial(material.cloudinaryPublicId);
+            const pages = await extractPdfPages(buffer);
+            const chunks = chunkPages(pages);
+
+            chunks.forEach((chunk, chunkIndex) => {
+                const terms = tokenize(chunk.content);
+                rows.push({
+                    material_id: material.id,
+                    material_name: material.name || material.fileName,
+                    cloudinary_public_id: material.cloudinaryPublicId,
+                    page_number: chunk.pageNumber,
+                    chunk_index: chunkIndex,
+                    content: chunk.content,
+                    term_frequencies: termFrequencies(terms),
+                    token_count: terms.length
+                });
+            });
+
+            results.push({ materialId: material.id, pages: pages.length, chunks: chunks.length });
+        } catch (error) {
+            // A broken or scanned (image-only) PDF must not block the lesson's other materials
+            console.error(`Failed to index material ${material.id} of lesson ${lessonId}:`, error.message);
+            results.push({ materialId: material.id, error: error.message });
+        }
+    }
+
+    // Swap in the new index in one transaction - failed materials keep their previous chunks
+    const failedMaterialIds = results.filter(r => r.error).map(r => String(r.materialId));
+    const { error: replaceError } = await supabaseAdmin.rpc('replace_lesson_material_chunks', {
+        p_lesson_id: lessonId,
+        p_chunks: rows,
+        p_keep_material_ids: failedMaterialIds
+    });
+
+    if (replaceError) throw replaceError;
+
+    console.log(`📚 Indexed ${rows.length} chunks from ${files.length} materials of lesson ${lessonId}`);
+
+    return {
+        lessonId,
+        materialsIndexed: results.filter(r => !r.error).length,
+        chunks: rows.length,
+        materials: results
+    };
+};
+
+/**
+ * (Re)build the retrieval index of a lesson's PDF materials
+ * @param {string} lessonId - Lesson ID
+ * @returns {Promise<Object>} Indexing summary
+ */
+export const indexLessonMaterials = (lessonId) => {
+    const previous = runningIndexJobs.get(lessonId) || Promise.resolve();
+    const job = previous
+        .catch(() => {})
+        .then(() => runIndexLessonMaterials(lessonId))
+        .finally(() => {
+            if (runningIndexJobs.get(lessonId) === job) runningIndexJobs.delete(lessonId);
+        });
+
+    runningIndexJobs.set(lessonId, job);
+    return job;
+};
+
+/**
+ * Get the cloudinary file IDs of a materials list (used to detect changes worth re-indexing)
+ * @param {Array} materials - support_materials array
+ * @returns {string} Stable signature of the PDF files
+ */
+export const materialsSignature = (materials) => (materials || [])
+    .filter(material => material.type === 'file' && material.cloudinaryPublicId)
+    .map(material => `${material.id}:${material.cloudinaryPublicId}:${material.name || ''}`)
+    .sort()
+    .join('|');
+
+/**
+ * Find the material chunks most relevant to a question
+ * @param {string} lessonId - Lesson ID
+ * @param {string} question - Learner question
+ * @param {number} limit - Max chunks
+ * @returns {Promise<Array<{materialId, materialName, pageNumber, content, score}>>} Relevant chunks
+ */
+export const searchLessonMaterials = async (lessonId, question, limit = 4) => {
+    const chunks = await fetchAllRows(() => supabaseAdmin
+        .from('lesson_material_chunks')
+        .select('material_id, material_name, page_number, content, term_frequencies, token_count')
+        .eq('lesson_id', lessonId)
+        .order('id', { ascending: true }));
+
+    const documents = chunks.map(chunk => ({
+        ...chunk,
+        termFrequencies: chunk.term_frequencies || {},
+        tokenCount: chunk.token_count || 0
+    }));
+
+    return rankDocuments(documents, question, limit).map(({ document, score }) => ({
+        materialId: document.material_id,
+        materialName: document.material_name,
+        pageNumber: document.page_number,
+        content: document.content,
+        score
+    }));
+};
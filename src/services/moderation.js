@@ -0,0 +1,200 @@
+import { supabaseAdmin } from '../config/supabase.js';
+import { getSetting } from './settings.js';
+
+/**
+ * Input / output moderation for the lesson assistant.
+ *
+ * Input:  PII (phones, emails) is redacted before the question is stored or sent to the model;
+ *         abusive or off-topic questions are blocked.
+ * Output: answers that look like unsafe construction advice are flagged for admin review
+ *         and get a safety notice appended.
+ *
+ * Rules live in system_settings under `chat_moderation` (see 09_chat_moderation.sql).
+ */
+
+const DEFAULT_CONFIG = {
+    enabled: true,
+    redact_pii: true,
+    flag_blocked_inputs: true,
+    blocked_terms: [],
+    off_topic_patterns: [],
+    unsafe_advice_patterns: [
+        'בלי רתמ',
+        'ללא רתמ',
+        'without (a |the )?(safety )?harness',
+        '(להסיר|להוריד|לפרק) (את )?(ה)?מעק',
+        'remove (the )?guard ?rails?',
+        'לעקוף (את )?(ה)?(מפסק|פחת|נתיך|אמצעי הבטיחות)',
+        'bypass (the )?(breaker|interlock|safety)',
+        '(אין צורך|לא צריך) (ב)?(קסדה|רתמה|משקפי מגן|כפפות)',
+        'no need (for|to wear) (a )?(helmet|harness)'
+    ],
+    unsafe_answer_notice: '⚠️ תשובה זו סומנה לבדיקה. יש לפעול תמיד לפי הוראות הבטיחות ולהתייעץ עם ממונה הבטיחות באתר.'
+};
+
+// Israeli mobile/landline (05x / 0x / +972) and other international numbers
+const PHONE_PATTERN = /(?:\+972[\s-]?|\b0)(?:[2-9])(?:[\s-]?\d){7,8}\b|\+\d{1,3}(?:[\s-]?\d){7,12}\b/g;
+const EMAIL_PATTERN = /[A-Z0-9._%+-]+@[A-Z0-9.-]+\.[A-Z]{2,}/gi;
+
+const PHONE_PLACEHOLDER = '[טלפון הוסר]';
+const EMAIL_PLACEHOLDER = '[אימייל הוסר]';
+
+// Build case-insensitive regexes, skipping invalid admin-entered patterns
+const compilePatterns = (patterns = []) => patterns.reduce((compiled, pattern) => {
+    try {
+        compiled.push({ pattern, regex: new RegExp(pattern, 'iu') });
+    } catch (error) {
+        console.warn(`Ignoring invalid moderation pattern "${pattern}":`, error.message);
+    }
+    return compiled;
+}, []);
+
+const escapeRegExp = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Whole-word match for blocked terms (Hebrew prefixes like ה/ו/ב are allowed before the term)
+const compileTerms = (terms = []) => terms
+    .filter(term => typeof term === 'string' && term.trim())
+    .map(term => ({
+        pattern: term,
+        regex: new RegExp(`(^|[^\\p{L}])[והבלמשכ]?${escapeRegExp(term.trim())}($|[^\\p{L}])`, 'iu')
+    }));
+
+const findMatches = (text, compiled) => compiled
+    .filter(({ regex }) => regex.test(text))
+    .map(({ pattern }) => pattern);
+
+/**
+ * Load moderation rules (system_settings `chat_moderation` merged over the defaults)
+ * @returns {Promise<Object>} Config
+ */
+export const getModerationConfig = async () => {
+    const config = await getSetting('chat_moderation', null);
+    return config ? { ...DEFAULT_CONFIG, ...config } : DEFAULT_CONFIG;
+};
+
+/**
+ * Replace phone numbers and email addresses
+ * @param {string} text - Input text
+ * @returns {{text: string, redactions: string[]}} Redacted text and what was removed
+ */
+export const redactPII = (text) => {
+    const redactions = [];
+
+    let redacted = text.replace(EMAIL_PATTERN, () => {
+        redactions.push('email');
+        return EMAIL_PLACEHOLDER;
+    });
+
+    redacted = redacted.replace(PHONE_PATTERN, () => {
+        redactions.push('phone');
+        return PHONE_PLACEHOLDER;
+    });
+
+    return { text: redacted, redactions: [...new Set(redactions)] };
+};
+
+/**
+ * Check a learner question before it reaches the model
+ * @param {string} question - Raw question
+ * @param {Object} config - Moderation config
+ * @returns {{allowed: boolean, reason: string|null, matches: string[], text: string, redactions: string[]}}
+ */
+export const moderateInput = (question, config) => {
+    if (!config.enabled) {
+        return { allowed: true, reason: null, matches: [], text: question, redactions: [] };
+    }
+
+    const { text, redactions } = config.redact_pii ? redactPII(question) : { text: question, redactions: [] };
+
+    const abusive = findMatches(text, compileTerms(config.blocked_terms));
+    if (abusive.length > 0) {
+        return { allowed: false, reason: 'abusive', matches: abusive, text, redactions };
+    }
+
+    const offTopic = findMatches(text, compilePatterns(config.off_topic_patterns));
+    if (offTopic.length > 0) {
+        return { allowed: false, reason: 'off_topic', matches: offTopic, text, redactions };
+    }
+
+    return { allowed: true, reason: null, matches: [], text, redactions };
+};
+
+/**
+ * Check a model answer before it is stored
+ * @param {string} answer - Model answer
+ * @param {Object} config - Moderation config
+ * @returns {{flagged: boolean, reason: string|null, matches: string[]}}
+ */
+export const moderateOutput = (answer, config) => {
+    if (!config.enabled) {
+        return { flagged: false, reason: null, matches: [] };
+    }
+
+    const unsafe = findMatches(answer, compilePatterns(config.unsafe_advice_patterns));
+    if (unsafe.length > 0) {
+        return { flagged: true, reason: 'unsafe_advice', matches: unsafe };
+    }
+
+    return { flagged: false, reason: null, matches: [] };
+};
+
+/**
+ * Add an exchange to the admin review queue
+ * @param {Object} flag - { userId, conversationId, messageId, stage, reason, matches, content }
+ * @returns {Promise<Object|null>} Created flag row (null if it could not be stored)
+ */
+export const recordChatFlag = async ({ userId, conversationId = null, messageId = null, stage, reason, matches = [], content }) => {
+    const { data: flag, error } = await supabaseAdmin
+        .from('chat_flags')
+        .insert({
+            user_id: userId,
+            conversation_id: conversationId,
+            message_id: messageId,
+            stage,
+            reason,
+            matches,
+            content,
+            status: 'pending'
+        })
+        .select('*')
+        .single();
+
+    if (error) {
+        // Moderation bookkeeping must not break the chat itself
+        console.error('Error recording chat flag:', error);
+        return null;
+    }
+
+    return flag;
+};
+
+// Blocked questions one learner can add to the review queue per hour
+const INPUT_FLAGS_PER_HOUR = 10;
+
+/**
+ * Add a blocked question to the admin review queue. Repeats of a question flagged in the
+ * last hour are skipped, as is everything past the hourly limit, so retrying a blocked
+ * question can't flood the queue.
+ * @param {Object} flag - { userId, conversationId, reason, matches, content }
+ * @returns {Promise<Object|null>} Created flag row (null if skipped or not stored)
+ */
+export const recordBlockedInput = async ({ userId, conversationId = null, reason, matches = [], content }) => {
+    const { data: recentFlags, error } = await supabaseAdmin
+        .from('chat_flags')
+        .select('content')
+        .eq('user_id', userId)
+        .eq('stage', 'input')
+        .gte('created_at', new Date(Date.now() - 60 * 60 * 1000).toISOString())
+        .limit(INPUT_FLAGS_PER_HOUR);
+
+    if (error) {
+        console.error('Error checking recent chat flags:', error);
+        return null;
+    }
+
+    if (recentFlags.length >= INPUT_FLAGS_PER_HOUR || recentFlags.some(flag => flag.content === content)) {
+        return null;
+    }
+
+    return recordChatFlag({ userId, conversationId, stage: 'input', reason, matches, content });
+};
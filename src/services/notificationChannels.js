@@ -0,0 +1,67 @@
+import { getSettings } from './settings.js';
+import { renderEmail } from './emailTemplates.js';
+import { sendMail } from './mailer.js';
+
+/**
+ * Delivery channels of user notifications (reminders, badges, ...).
+ *
+ * A channel is an object with:
+ *   name               - key used in preferences.notification_channels and notification_log.channel
+ *   settingKey         - system_settings toggle that turns the channel off for everyone
+ *   isAvailable(user)  - whether the user can be reached on it (has an email address, a push
+ *                        subscription, ...); may return a promise
+ *   send(user, notification) → Promise<{messageId}>
+ *
+ * A notification is { kind, template, view, title, body, url }: email renders
+ * `template` with `view`; short-message channels use title / body / url.
+ */
+
+// Used when the user hasn't picked channels (preferences.notification_channels).
+// Push only reaches users who subscribed a browser, which is an opt-in of its own.
+const DEFAULT_CHANNELS = ['email', 'push'];
+
+export const emailChannel = {
+    name: 'email',
+    settingKey: 'email_notifications',
+    isAvailable: (user) => Boolean(user.email),
+    send: async (user, notification) => {
+        const email = await renderEmail(notification.template, notification.view);
+        return sendMail({ to: user.email, ...email });
+    }
+};
+
+const channels = new Map([[emailChannel.name, emailChannel]]);
+
+/**
+ * Add a delivery channel
+ * @param {Object} channel - Channel (see above)
+ */
+export const registerChannel = (channel) => {
+    channels.set(channel.name, channel);
+};
+
+/**
+ * Names of the registered channels (valid values of preferences.notification_channels)
+ * @returns {string[]}
+ */
+export const getChannelNames = () => [...channels.keys()];
+
+/**
+ * Channels a notification should go out on for a user: enabled in the system settings,
+ * chosen by the user and available for them
+ * @param {Object} user - User (email, phone, preferences, ...)
+ * @returns {Promise<Array>} Channels
+ */
+export const getUserChannels = async (user) => {
+    const all = [...channels.values()];
+    const settings = await getSettings(all.map(channel => channel.settingKey));
+    const preferred = Array.isArray(user.preferences?.notification_channels)
+        ? user.preferences.notification_channels
+        : DEFAULT_CHANNELS;
+
+    const enabled = all.filter(channel =>
+        settings[channel.settingKey] !== false && preferred.includes(channel.name)
+    );
+    const available = await Promise.all(enabled.map(channel => channel.isAvailable(user)));
+    return enabled.filter((channel, index) => available[index]);
+};
@@ -0,0 +1,68 @@
+import { supabaseAdmin } from '../config/supabase.js';
+
+/**
+ * Idempotency log of scheduled notifications (notification_log table).
+ * A notification is claimed before it is sent; a second claim for the same
+ * user / kind / channel / period fails, unless the earlier attempt failed or
+ * its claim timed out (the process died between claiming and completing it) -
+ * and then only once RETRY_AFTER_MINUTES have passed since that attempt.
+ */
+
+const UNIQUE_VIOLATION = '23505';
+
+// Failed notifications are retried at most this often; a claim still 'sending'
+// after this long is considered abandoned
+export const RETRY_AFTER_MINUTES = 15;
+
+/**
+ * Claim a notification before sending it
+ * @param {Object} notification - { userId, kind, channel, periodKey }
+ * @returns {Promise<string|null>} Log entry ID, or null if it was already sent (or is being sent)
+ */
+export const claimNotification = async ({ userId, kind, channel = 'email', periodKey }) => {
+    const { data: entry, error } = await supabaseAdmin
+        .from('notification_log')
+        .insert({ user_id: userId, kind, channel, period_key: periodKey, status: 'sending' })
+        .select('id')
+        .single();
+
+    if (!error) return entry.id;
+    if (error.code !== UNIQUE_VIOLATION) throw error;
+
+    // Retry attempts that failed earlier or were abandoned mid-send
+    const retryBefore = new Date(Date.now() - RETRY_AFTER_MINUTES * 60 * 1000).toISOString();
+    const { data: retried, error: retryError } = await supabaseAdmin
+        .from('notification_log')
+        .update({ status: 'sending', error: null, claimed_at: new Date().toISOString() })
+        .eq('user_id', userId)
+        .eq('kind', kind)
+        .eq('channel', channel)
+        .eq('period_key', periodKey)
+        .in('status', ['failed', 'sending'])
+        .lt('claimed_at', retryBefore)
+        .select('id');
+
+    if (retryError) throw retryError;
+    return retried?.[0]?.id || null;
+};
+
+/**
+ * Record the outcome of a claimed notification
+ * @param {string} logId - Log entry ID (from claimNotification)
+ * @param {Object} result - { status: 'sent' | 'failed' | 'skipped', messageId, error }
+ */
+export const completeNotification = async (logId, { status, messageId = null, error = null }) => {
+    const { error: updateError } = await supabaseAdmin
+        .from('notification_log')
+        .update({
+            status,
+            message_id: messageId,
+            error: error ? String(error).slice(0, 1000) : null,
+            sent_at: status === 'sent' ? new Date().toISOString() : null
+        })
+        .eq('id', logId);
+
+    if (updateError) {
+        console.error('Error updating notification log:', updateError);
+    }
+};
@@ -0,0 +1,96 @@
+import crypto from 'crypto';
+import { supabaseAdmin } from '../config/supabase.js';
+import { renderEmail } from './emailTemplates.js';
+import { sendMail } from './mailer.js';
+
+/**
+ * Password setup for accounts without a password_hash. The user gets a one-time
+ * Supabase recovery link by email (the same link as /api/users/invite), which leads
+ * to the reset-password page; POST /api/auth/reset-password then stores the hash.
+ */
+
+// Minimum time between two setup emails to the same user
+const SETUP_EMAIL_COOLDOWN_MS = 15 * 60 * 1000;
+
+const frontendUrl = () => process.env.FRONTEND_URL || 'http://localhost:5173';
+
+// Helper: generate a recovery link (fails when the user has no Supabase Auth account)
+const generateRecoveryLink = (email) => supabaseAdmin.auth.admin.generateLink({
+    type: 'recovery',
+    email,
+    options: {
+        redirectTo: `${frontendUrl()}/reset-password`
+    }
+});
+
+/**
+ * One-time link to set a password. Creates the Supabase Auth account (with the
+ * user's ID) for legacy users who don't have one yet.
+ * @param {Object} user - User (id, email, first_name, last_name)
+ * @returns {Promise<string>} Link
+ */
+export const createPasswordSetupLink = async (user) => {
+    let { data: linkData, error: linkError } = await generateRecoveryLink(user.email);
+
+    if (linkError) {
+        const { error: createError } = await supabaseAdmin.auth.admin.createUser({
+            id: user.id,
+            email: user.email,
+            // Never used - the user picks a password through the link
+            password: crypto.randomBytes(24).toString('base64url'),
+            email_confirm: true,
+            user_metadata: {
+                first_name: user.first_name,
+                last_name: user.last_name,
+                migrated_from_custom_table: true
+            }
+        });
+
+        if (createError) throw createError;
+        ({ data: linkData, error: linkError } = await generateRecoveryLink(user.email));
+    }
+
+    if (linkError) throw linkError;
+
+    const link = linkData?.properties?.action_link;
+    if (!link) throw new Error('No setup link returned for this user');
+    return link;
+};
+
+/**
+ * Email a password setup link to a user, at most once per cooldown (also across
+ * concurrent logins: the send is claimed on password_setup_sent_at first)
+ * @param {Object} user - User row (id, email, first_name, last_name, password_setup_sent_at)
+ * @param {Object} options - { force } - skip the cooldown
+ * @returns {Promise<boolean>} Whether an email was sent
+ */
+export const sendPasswordSetupEmail = async (user, { force = false } = {}) => {
+    let claim = supabaseAdmin
+        .from('users')
+        .update({ password_setup_required: true, password_setup_sent_at: new Date().toISOString() })
+        .eq('id', user.id);
+
+    if (!force) {
+        const cooldownStart = new Date(Date.now() - SETUP_EMAIL_COOLDOWN_MS).toISOString();
+        claim = claim.or(`password_setup_sent_at.is.null,password_setup_sent_at.lt."${cooldownStart}"`);
+    }
+
+    const { data: claimed, error } = await claim.select('id');
+    if (error) throw error;
+    if (claimed.length === 0) return false;
+
+    try {
+        const setupUrl = await createPasswordSetupLink(user);
+        const email = await renderEmail('password_setup', { firstName: user.first_name, setupUrl });
+        await sendMail({ to: user.email, ...email });
+    } catch (sendError) {
+        // Release the claim so the next login can try again
+        await supabaseAdmin
+            .from('users')
+            .update({ password_setup_sent_at: user.password_setup_sent_at || null })
+            .eq('id', user.id);
+        throw sendError;
+    }
+
+    return true;
+};
@@ -0,0 +1,91 @@
+import { supabaseAdmin } from '../config/supabase.js';
+import { normalizePhone } from '../utils/phone.js';
+import { registerChannel } from './notificationChannels.js';
+import { getSmsProvider } from './smsProviders.js';
+
+/**
+ * The `sms` and `whatsapp` notification channels and their opt-out keywords.
+ * Users pick the channels in preferences.notification_channels; replying with an
+ * opt-out keyword adds the channel to preferences.opted_out_channels, which wins
+ * over the choice until the user replies with an opt-in keyword.
+ */
+
+const OPT_OUT_KEYWORDS = ['stop', 'stopall', 'unsubscribe', 'cancel', 'end', 'quit', 'הסר', 'הסרה', 'עצור', 'ביטול'];
+const OPT_IN_KEYWORDS = ['start', 'unstop', 'התחל', 'חידוש'];
+
+// Helper: the short text of a notification: title, body and link on separate lines
+const buildMessageText = (notification, channel) => {
+    const lines = [notification.title, notification.body, notification.url].filter(Boolean);
+    if (channel === 'sms') lines.push('להסרה השיבו הסר');
+    return lines.join('\n');
+};
+
+const isOptedOut = (user, channel) => Array.isArray(user.preferences?.opted_out_channels)
+    && user.preferences.opted_out_channels.includes(channel);
+
+const createPhoneChannel = (name) => ({
+    name,
+    settingKey: `${name}_notifications`,
+    isAvailable: (user) => Boolean(normalizePhone(user.phone)) && !isOptedOut(user, name),
+    send: (user, notification) => getSmsProvider().send({
+        to: normalizePhone(user.phone),
+        body: buildMessageText(notification, name),
+        channel: name
+    })
+});
+
+export const smsChannel = createPhoneChannel('sms');
+export const whatsappChannel = createPhoneChannel('whatsapp');
+
+registerChannel(smsChannel);
+registerChannel(whatsappChannel);
+
+// Helper: the keyword an inbound message consists of, if any ("STOP", " הסר. " → opt-out)
+const matchKeyword = (text) => {
+    const word = String(text).trim().toLowerCase().replace(/[.!]+$/, '');
+    if (OPT_OUT_KEYWORDS.includes(word)) return 'opt_out';
+    if (OPT_IN_KEYWORDS.includes(word)) return 'opt_in';
+    return null;
+};
+
+/**
+ * Handle an inbound SMS / WhatsApp message. Opt-out and opt-in keywords update
+ * preferences.opted_out_channels of every user with that phone number.
+ * @param {Object} message - { from (E.164), text, channel }
+ * @returns {Promise<Object>} { action: 'opt_out' | 'opt_in' | null, users, reply }
+ */
+export const handleInboundMessage = async ({ from, text, channel }) => {
+    const action = matchKeyword(text);
+    const phone = normalizePhone(from);
+    if (!action || !phone) return { action: null, users: 0, reply: null };
+
+    const { data: users, error } = await supabaseAdmin
+        .from('users')
+        .select('id, preferences')
+        .eq('phone_e164', phone);
+
+    if (error) throw error;
+
+    for (const user of users || []) {
+        const optedOut = new Set(user.preferences?.opted_out_channels || []);
+        if (action === 'opt_out') optedOut.add(channel);
+        else optedOut.delete(channel);
+
+        const { error: updateError } = await supabaseAdmin
+            .from('users')
+            .update({
+                preferences: { ...(user.preferences || {}), opted_out_channels: [...optedOut] },
+                updated_at: new Date().toISOString()
+            })
+            .eq('id', user.id);
+
+        if (updateError) throw updateError;
+    }
+
+    const channelLabel = channel === 'whatsapp' ? 'WhatsApp' : 'SMS';
+    const reply = action === 'opt_out'
+        ? `הוסרת מהתזכורות ב-${channelLabel}. לחידוש השיבו התחל`
+        : `התזכורות ב-${channelLabel} חודשו`;
+
+    return { action, users: users?.length || 0, reply };
+};
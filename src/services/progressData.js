@@ -0,0 +1,78 @@
+import { supabaseAdmin } from '../config/supabase.js';
+import { applyScope } from '../middleware/auth.js';
+import { loadProgressForUsers } from './progressStore.js';
+
+/**
+ * Shared loader for learners' lesson progress, used by the analytics endpoints.
+ * Users are read in keyset-paginated batches so large tenants don't hit the
+ * 1000-row select cap or load everything in one response.
+ */
+
+const PROGRESS_BATCH_SIZE = 500;
+
+const USER_FIELDS = 'id, first_name, last_name, company, team, timezone, preferences, created_at';
+
+/**
+ * Iterate the users of a scope in batches
+ * @param {Object|null} scope - Access scope (see getAccessScope), null for everyone
+ * @param {Object} filters - { team, programType }, plus { lessonId, withSessions } for the attached progress
+ *                           (see loadProgressForUsers; session timestamps are attached by default)
+ * @yields {Array} Batch of user rows, with `lesson_progress` keyed by lesson
+ */
+export async function* iterateUserBatches(scope, { team, programType, lessonId, withSessions = 'timestamps' } = {}) {
+    let lastId = null;
+
+    while (true) {
+        let query = applyScope(supabaseAdmin
+            .from('users')
+            .select(USER_FIELDS)
+            .order('id', { ascending: true })
+            .limit(PROGRESS_BATCH_SIZE), scope);
+
+        if (team) query = query.eq('team', team);
+        if (programType) query = query.eq('preferences->>program_type', programType);
+        if (lastId) query = query.gt('id', lastId);
+
+        const { data: users, error } = await query;
+        if (error) throw error;
+        if (!users || users.length === 0) return;
+
+        const progressByUser = await loadProgressForUsers(users.map(user => user.id), { lessonId, withSessions });
+        users.forEach(user => {
+            user.lesson_progress = progressByUser.get(user.id);
+        });
+
+        yield users;
+
+        if (users.length < PROGRESS_BATCH_SIZE) return;
+        lastId = users[users.length - 1].id;
+    }
+}
+
+/**
+ * Iterate the progress entries of every user in a scope
+ * @param {Object|null} scope - Access scope (see getAccessScope), null for everyone
+ * @param {Object} options - { lessonId } to only yield entries of one lesson, plus iterateUserBatches options
+ * @yields {{user: Object, lessonId: string, progress: Object}} Progress entry
+ */
+export async function* iterateLessonProgress(scope, { lessonId, withSessions = false, ...filters } = {}) {
+    for await (const users of iterateUserBatches(scope, { ...filters, lessonId, withSessions })) {
+        for (const user of users) {
+            const { lesson_progress: progress, ...userInfo } = user;
+            const lessonIds = lessonId ? [lessonId] : Object.keys(progress || {});
+
+            for (const id of lessonIds) {
+                if (progress?.[id]) {
+                    yield { user: userInfo, lessonId: id, progress: progress[id] };
+                }
+            }
+        }
+    }
+}
+
+/**
+ * Was a lesson completed according to its progress entry?
+ * @param {Object} progress - lesson_progress entry
+ * @returns {boolean} Completed
+ */
+export const isCompleted = (progress) => progress?.status === 'completed' || progress?.completed === true;
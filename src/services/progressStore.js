@@ -0,0 +1,228 @@
+import { supabaseAdmin } from '../config/supabase.js';
+import { fetchAllRows } from '../utils/pagination.js';
+
+/**
+ * Lesson progress storage (lesson_progress and watch_sessions tables).
+ * Reads are returned in the legacy `users.lesson_progress[lessonId]` shape so the
+ * API responses and the analytics loaders are unchanged; writes go through the
+ * atomic upsert functions of 13_lesson_progress_tables.sql.
+ */
+
+const PROGRESS_FIELDS = 'user_id, lesson_id, status, started_at, completed_at, updated_at, last_watched_position, total_watch_time, final_watch_time, completion_percentage, rating, feedback, session_summary, extra';
+const SESSION_FIELDS = 'user_id, lesson_id, session_id, started_at, updated_at, device_info, last_position, events, data';
+const SESSION_TIMESTAMP_FIELDS = 'user_id, lesson_id, started_at, updated_at';
+
+// Keeps `user_id=in.(...)` filters well below URL length limits
+const USER_CHUNK_SIZE = 200;
+
+export const DEFAULT_PROGRESS = {
+    status: 'not_started',
+    last_watched_position: 0,
+    total_watch_time: 0,
+    completion_percentage: 0
+};
+
+const withoutNulls = (object) => Object.fromEntries(
+    Object.entries(object).filter(([, value]) => value !== null && value !== undefined)
+);
+
+/**
+ * Watch session row in the legacy `watch_sessions[]` entry shape
+ * @param {Object} row - watch_sessions row
+ * @returns {Object} Session
+ */
+export const formatSession = (row) => withoutNulls({
+    ...(row.data || {}),
+    session_id: row.session_id,
+    started_at: row.started_at,
+    device_info: row.device_info,
+    events: row.events,
+    last_position: row.last_position,
+    updated_at: row.updated_at
+});
+
+/**
+ * Progress row in the legacy `lesson_progress[lessonId]` entry shape
+ * @param {Object} row - lesson_progress row
+ * @param {Array} sessions - Formatted watch sessions of the lesson (optional)
+ * @returns {Object} Progress entry
+ */
+export const formatProgress = (row, sessions) => {
+    const { extra, id: _id, user_id: _userId, lesson_id: _lessonId, created_at: _createdAt, ...fields } = row;
+    const progress = withoutNulls({ ...(extra || {}), ...fields });
+    if (sessions) progress.watch_sessions = sessions;
+    return progress;
+};
+
+const chunk = (values, size) => {
+    const chunks = [];
+    for (let index = 0; index < values.length; index += size) {
+        chunks.push(values.slice(index, index + size));
+    }
+    return chunks;
+};
+
+/**
+ * Progress of many users, keyed by user and lesson
+ * @param {string[]} userIds - User IDs
+ * @param {Object} options - { lessonId } to only load one lesson,
+ *                           { withSessions: false | 'timestamps' | true } to attach watch sessions
+ * @returns {Promise<Map<string, Object>>} userId -> { [lessonId]: progress entry }
+ */
+export const loadProgressForUsers = async (userIds, { lessonId, withSessions = false } = {}) => {
+    const progressByUser = new Map(userIds.map(id => [id, {}]));
+
+    for (const ids of chunk(userIds, USER_CHUNK_SIZE)) {
+        const scoped = (table, fields) => () => {
+            let query = supabaseAdmin
+                .from(table)
+                .select(fields)
+                .in('user_id', ids)
+                .order('id', { ascending: true });
+            if (lessonId) query = query.eq('lesson_id', lessonId);
+            return query;
+        };
+
+        const rows = await fetchAllRows(scoped('lesson_progress', PROGRESS_FIELDS));
+
+        const sessionsByKey = new Map();
+        if (withSessions) {
+            const sessionFields = withSessions === 'timestamps' ? SESSION_TIMESTAMP_FIELDS : SESSION_FIELDS;
+            const sessionRows = await fetchAllRows(scoped('watch_sessions', sessionFields));
+            sessionRows
+                .sort((a, b) => String(a.started_at).localeCompare(String(b.started_at)))
+                .forEach(session => {
+                    const key = `${session.user_id}|${session.lesson_id}`;
+                    if (!sessionsByKey.has(key)) sessionsByKey.set(key, []);
+                    sessionsByKey.get(key).push(formatSession(session));
+                });
+        }
+
+        rows.forEach(row => {
+            const userProgress = progressByUser.get(row.user_id);
+            if (!userProgress) return;
+            const sessions = withSessions ? sessionsByKey.get(`${row.user_id}|${row.lesson_id}`) || [] : undefined;
+            userProgress[row.lesson_id] = formatProgress(row, sessions);
+        });
+    }
+
+    return progressByUser;
+};
+
+/**
+ * Progress of one user, keyed by lesson
+ * @param {string} userId - User ID
+ * @param {Object} options - See loadProgressForUsers (sessions are attached by default)
+ * @returns {Promise<Object>} { [lessonId]: progress entry }
+ */
+export const getUserProgressMap = async (userId, { lessonId, withSessions = true } = {}) => {
+    const progressByUser = await loadProgressForUsers([userId], { lessonId, withSessions });
+    return progressByUser.get(userId);
+};
+
+/**
+ * Progress of one lesson of a user
+ * @param {string} userId - User ID
+ * @param {string} lessonId - Lesson ID
+ * @param {Object} options - { withSessions }
+ * @returns {Promise<Object|null>} Progress entry (null if the lesson wasn't started)
+ */
+export const getLessonProgress = async (userId, lessonId, { withSessions = true } = {}) => {
+    const progress = await getUserProgressMap(userId, { lessonId, withSessions });
+    return progress[lessonId] || null;
+};
+
+// Call an upsert function; they all return { progress, ... } as JSON
+const callProgressFunction = async (name, params) => {
+    const { data, error } = await supabaseAdmin.rpc(name, params);
+    if (error) throw error;
+    return data;
+};
+
+/**
+ * Start a watch session (marks the lesson in progress unless it's already completed)
+ * @param {string} userId - User ID
+ * @param {string} lessonId - Lesson ID
+ * @param {Object} session - { sessionId, deviceInfo }
+ * @returns {Promise<{progress: Object, session: Object}>} Stored progress entry and session
+ */
+export const startLessonSession = async (userId, lessonId, { sessionId, deviceInfo }) => {
+    const result = await callProgressFunction('start_lesson_session', {
+        p_user_id: userId,
+        p_lesson_id: lessonId,
+        p_session_id: sessionId,
+        p_device_info: deviceInfo ?? null
+    });
+
+    return {
+        progress: formatProgress(result.progress),
+        session: formatSession(result.session)
+    };
+};
+
+/**
+ * Record playback progress (and watch events of a session)
+ * @param {string} userId - User ID
+ * @param {string} lessonId - Lesson ID
+ * @param {Object} update - { lastWatchedPosition, totalWatchTime, completionPercentage, session: { sessionId, data, events } }
+ * @returns {Promise<Object>} Stored progress entry
+ */
+export const updateLessonProgress = async (userId, lessonId, { lastWatchedPosition, totalWatchTime, completionPercentage, session }) => {
+    const result = await callProgressFunction('upsert_lesson_progress', {
+        p_user_id: userId,
+        p_lesson_id: lessonId,
+        p_last_watched_position: lastWatchedPosition,
+        p_total_watch_time: totalWatchTime,
+        p_completion_percentage: completionPercentage || 0,
+        p_session_id: session?.sessionId || null,
+        p_session_data: session?.data || {},
+        p_events: session?.events || []
+    });
+
+    return formatProgress(result.progress);
+};
+
+/**
+ * Mark a lesson completed
+ * @param {string} userId - User ID
+ * @param {string} lessonId - Lesson ID
+ * @param {Object} completion - { finalWatchTime, rating, feedback, sessionSummary }
+ * @returns {Promise<{progress: Object, wasAlreadyCompleted: boolean}>} Stored progress entry
+ */
+export const completeLesson = async (userId, lessonId, { finalWatchTime, rating, feedback, sessionSummary }) => {
+    const result = await callProgressFunction('complete_lesson_progress', {
+        p_user_id: userId,
+        p_lesson_id: lessonId,
+        p_final_watch_time: finalWatchTime || null,
+        p_rating: rating || null,
+        p_feedback: feedback || null,
+        p_session_summary: sessionSummary || null
+    });
+
+    return {
+        progress: formatProgress(result.progress),
+        wasAlreadyCompleted: result.was_already_completed === true
+    };
+};
+
+/**
+ * Count a user's lesson completions in a time range
+ * @param {string} userId - User ID
+ * @param {Date} from - Range start (inclusive)
+ * @param {Object} options - { excludeLessonId }
+ * @returns {Promise<number>} Completed lessons
+ */
+export const countCompletionsSince = async (userId, from, { excludeLessonId } = {}) => {
+    let query = supabaseAdmin
+        .from('lesson_progress')
+        .select('id', { count: 'exact', head: true })
+        .eq('user_id', userId)
+        .eq('status', 'completed')
+        .gte('completed_at', from.toISOString());
+
+    if (excludeLessonId) query = query.neq('lesson_id', excludeLessonId);
+
+    const { count, error } = await query;
+    if (error) throw error;
+    return count || 0;
+};
@@ -0,0 +1,173 @@
+import { supabaseAdmin } from '../config/supabase.js';
+import { getSetting } from './settings.js';
+import { registerChannel } from './notificationChannels.js';
+import { isPushConfigured, isExpiredSubscriptionError, sendPush } from './webPush.js';
+
+/**
+ * Browser push subscriptions (push_subscriptions table) and the `push` notification channel.
+ * Scheduled notifications reach it through notificationChannels.js; events that happen
+ * while the learner may be away from the app (new badge, support reply) use notifyByPush.
+ */
+
+/**
+ * Format a subscription for the API (the endpoint and keys stay on the server)
+ * @param {Object} row - push_subscriptions row
+ * @returns {Object} Subscription
+ */
+export const formatSubscription = (row) => ({
+    id: row.id,
+    deviceName: row.device_name,
+    userAgent: row.user_agent,
+    createdAt: row.created_at,
+    lastSuccessAt: row.last_success_at
+});
+
+/**
+ * Store a browser subscription for a user. Re-subscribing the same browser updates its row.
+ * @param {string} userId - User ID
+ * @param {Object} subscription - { endpoint, keys: { p256dh, auth }, deviceName, userAgent }
+ * @returns {Promise<Object>} push_subscriptions row
+ */
+export const saveSubscription = async (userId, { endpoint, keys, deviceName = null, userAgent = null }) => {
+    const { data: row, error } = await supabaseAdmin
+        .from('push_subscriptions')
+        .upsert({
+            user_id: userId,
+            endpoint,
+            p256dh: keys.p256dh,
+            auth: keys.auth,
+            device_name: deviceName,
+            user_agent: userAgent,
+            updated_at: new Date().toISOString()
+        }, { onConflict: 'endpoint' })
+        .select('*')
+        .single();
+
+    if (error) throw error;
+    return row;
+};
+
+/**
+ * A user's subscriptions
+ * @param {string} userId - User ID
+ * @returns {Promise<Array>} push_subscriptions rows, newest first
+ */
+export const getUserSubscriptions = async (userId) => {
+    const { data: rows, error } = await supabaseAdmin
+        .from('push_subscriptions')
+        .select('*')
+        .eq('user_id', userId)
+        .order('created_at', { ascending: false });
+
+    if (error) throw error;
+    return rows || [];
+};
+
+/**
+ * Delete one of a user's subscriptions
+ * @param {string} userId - User ID
+ * @param {string} subscriptionId - Subscription ID
+ * @returns {Promise<boolean>} Whether it existed
+ */
+export const deleteSubscription = async (userId, subscriptionId) => {
+    const { data: deleted, error } = await supabaseAdmin
+        .from('push_subscriptions')
+        .delete()
+        .eq('id', subscriptionId)
+        .eq('user_id', userId)
+        .select('id');
+
+    if (error) throw error;
+    return deleted.length > 0;
+};
+
+// Helper: the JSON the service worker shows as a notification
+const buildPayload = (notification) => ({
+    title: notification.title,
+    body: notification.body,
+    url: notification.url,
+    tag: notification.kind
+});
+
+/**
+ * Push a notification to every device of a user. Subscriptions the push service
+ * reports as gone (404 / 410) are deleted.
+ * @param {string} userId - User ID
+ * @param {Object} notification - { kind, title, body, url }
+ * @returns {Promise<Object>} { messageId, sent, pruned } (throws if every live device failed)
+ */
+export const sendPushToUser = async (userId, notification) => {
+    const subscriptions = await getUserSubscriptions(userId);
+    const payload = buildPayload(notification);
+    const result = { messageId: null, sent: 0, pruned: 0 };
+    let lastError = null;
+
+    for (const subscription of subscriptions) {
+        try {
+            const { messageId } = await sendPush(
+                { endpoint: subscription.endpoint, keys: { p256dh: subscription.p256dh, auth: subscription.auth } },
+                payload
+            );
+            result.messageId = result.messageId || messageId;
+            result.sent++;
+
+            await supabaseAdmin
+                .from('push_subscriptions')
+                .update({ last_success_at: new Date().toISOString() })
+                .eq('id', subscription.id);
+        } catch (error) {
+            if (isExpiredSubscriptionError(error)) {
+                await supabaseAdmin.from('push_subscriptions').delete().eq('id', subscription.id);
+                console.log(`Pruned expired push subscription ${subscription.id} of user ${userId}`);
+                result.pruned++;
+            } else {
+                console.error(`Error sending push to subscription ${subscription.id}:`, error.message);
+                lastError = error;
+            }
+        }
+    }
+
+    if (result.sent === 0 && lastError) throw lastError;
+    return result;
+};
+
+export const pushChannel = {
+    name: 'push',
+    settingKey: 'push_notifications',
+    isAvailable: async (user) => {
+        if (!isPushConfigured()) return false;
+
+        const { count } = await supabaseAdmin
+            .from('push_subscriptions')
+            .select('id', { count: 'exact', head: true })
+            .eq('user_id', user.id);
+
+        return count > 0;
+    },
+    send: async (user, notification) => {
+        const result = await sendPushToUser(user.id, notification);
+        if (result.sent === 0) throw new Error('All push subscriptions have expired');
+        return result;
+    }
+};
+
+registerChannel(pushChannel);
+
+/**
+ * Push an event notification to a user, if push is enabled for them. Never throws,
+ * so callers can fire it without awaiting.
+ * @param {Object} user - User (id, preferences)
+ * @param {Object} notification - { kind, title, body, url }
+ * @returns {Promise<void>}
+ */
+export const notifyByPush = async (user, notification) => {
+    try {
+        const channels = user.preferences?.notification_channels;
+        if (Array.isArray(channels) && !channels.includes(pushChannel.name)) return;
+        if (!isPushConfigured() || await getSetting(pushChannel.settingKey) === false) return;
+
+        await sendPushToUser(user.id, notification);
+    } catch (error) {
+        console.error(`Error sending ${notification.kind} push to user ${user.id}:`, error);
+    }
+};
@@ -0,0 +1,69 @@
+import { supabaseAdmin } from '../config/supabase.js';
+
+/**
+ * Read access to the `system_settings` table with a short in-memory cache,
+ * so hot paths (chat, login) don't hit the database for every request.
+ */
+
+const CACHE_TTL_MS = parseInt(process.env.SETTINGS_CACHE_TTL_MS) || 60 * 1000;
+const cache = new Map();
+
+/**
+ * Get several settings at once
+ * @param {string[]} keys - Setting keys
+ * @returns {Promise<Object>} key -> value (missing keys are omitted)
+ */
+export const getSettings = async (keys) => {
+    const now = Date.now();
+    const result = {};
+    const missing = [];
+
+    keys.forEach(key => {
+        const cached = cache.get(key);
+        if (cached && cached.expires > now) {
+            if (cached.value !== undefined) result[key] = cached.value;
+        } else {
+            missing.push(key);
+        }
+    });
+
+    if (missing.length > 0) {
+        const { data, error } = await supabaseAdmin
+            .from('system_settings')
+            .select('key, value')
+            .in('key', missing);
+
+        if (error) {
+            console.error('Error loading system settings:', error);
+            return result; // Callers fall back to their defaults
+        }
+
+        missing.forEach(key => {
+            const row = data?.find(setting => setting.key === key);
+            cache.set(key, { value: row?.value, expires: now + CACHE_TTL_MS });
+            if (row) result[key] = row.value;
+        });
+    }
+
+    return result;
+};
+
+/**
+ * Get a single setting
+ * @param {string} key - Setting key
+ * @param {*} fallback - Value used when the setting is missing
+ * @returns {Promise<*>} Setting value
+ */
+export const getSetting = async (key, fallback = null) => {
+    const settings = await getSettings([key]);
+    return settings[key] !== undefined ? settings[key] : fallback;
+};
+
+/**
+ * Drop cached settings (after an admin changes them)
+ * @param {string} [key] - Setting key, or all settings when omitted
+ */
+export const clearSettingsCache = (key) => {
+    if (key) cache.delete(key);
+    else cache.clear();
+};
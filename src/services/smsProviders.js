@@ -0,0 +1,194 @@
+import crypto from 'crypto';
+import axios from 'axios';
+
+/**
+ * SMS / WhatsApp provider registry.
+ *
+ * Every provider exposes the same shape, so the notification channels never need to
+ * know which gateway delivers the message:
+ *   {
+ *     name: string,
+ *     send({ to, body, channel }) => Promise<{ messageId }>,
+ *     parseInbound(req) => { from, text, channel } | null,
+ *     formatReply(text) => { contentType, body }
+ *   }
+ * `to` / `from` are E.164 numbers, `channel` is 'sms' or 'whatsapp'.
+ * parseInbound returns null when the request isn't a genuine inbound message
+ * (e.g. a bad signature); formatReply builds the webhook response (text may be null).
+ */
+
+const providerFactories = new Map();
+let cachedProvider = null;
+
+// Helper: escape text for an XML (TwiML) body
+const escapeXml = (text) => String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+
+/**
+ * Twilio (or any gateway that speaks its Messages API).
+ * WhatsApp goes through the same API with whatsapp:-prefixed numbers.
+ * @param {Object} config - Provider configuration
+ * @returns {Object} Provider
+ */
+const createTwilioProvider = (config = {}) => {
+    const apiUrl = (config.apiUrl || process.env.TWILIO_API_URL || 'https://api.twilio.com').replace(/\/+$/, '');
+    const accountSid = config.accountSid || process.env.TWILIO_ACCOUNT_SID;
+    const authToken = config.authToken || process.env.TWILIO_AUTH_TOKEN;
+    const senders = {
+        sms: config.smsFrom || process.env.TWILIO_SMS_FROM,
+        whatsapp: config.whatsappFrom || process.env.TWILIO_WHATSAPP_FROM
+    };
+    // Public URL of the inbound webhook as Twilio calls it (signatures are computed over it)
+    const webhookUrl = config.webhookUrl || process.env.TWILIO_WEBHOOK_URL;
+    const timeout = parseInt(config.timeout || process.env.SMS_TIMEOUT_MS) || 15000;
+
+    if (!accountSid || !authToken) {
+        throw new Error('Missing TWILIO_ACCOUNT_SID / TWILIO_AUTH_TOKEN environment variables for the twilio provider.');
+    }
+
+    const address = (channel, number) => (channel === 'whatsapp' ? `whatsapp:${number}` : number);
+
+    const isValidSignature = (req) => {
+        const signature = req.get('x-twilio-signature');
+        if (!signature) return false;
+
+        const url = webhookUrl || `${req.protocol}://${req.get('host')}${req.originalUrl}`;
+        const params = req.body || {};
+        const data = Object.keys(params).sort().reduce((acc, key) => acc + key + params[key], url);
+        const expected = crypto.createHmac('sha1', authToken).update(data).digest('base64');
+
+        return expected.length === signature.length
+            && crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(signature));
+    };
+
+    return {
+        name: 'twilio',
+
+        async send({ to, body, channel = 'sms' }) {
+            if (!senders[channel]) {
+                throw new Error(`No sender configured for ${channel} (TWILIO_${channel.toUpperCase()}_FROM)`);
+            }
+
+            try {
+                const response = await axios.post(
+                    `${apiUrl}/2010-04-01/Accounts/${accountSid}/Messages.json`,
+                    new URLSearchParams({
+                        To: address(channel, to),
+                        From: address(channel, senders[channel]),
+                        Body: body
+                    }).toString(),
+                    {
+                        auth: { username: accountSid, password: authToken },
+                        headers: { 'Content-Type': 'application/x-www-form-urlencoded' },
+                        timeout
+                    }
+                );
+                return { messageId: response.data?.sid || null };
+            } catch (error) {
+                // Surface the gateway's reason (invalid number, unverified sender, ...)
+                const reason = error.response?.data?.message;
+                throw reason ? new Error(`Twilio: ${reason}`) : error;
+            }
+        },
+
+        parseInbound(req) {
+            if (!isValidSignature(req)) return null;
+
+            const from = String(req.body.From || '');
+            const channel = from.startsWith('whatsapp:') ? 'whatsapp' : 'sms';
+            return { from: from.replace(/^whatsapp:/, ''), text: String(req.body.Body || ''), channel };
+        },
+
+        formatReply(text) {
+            return {
+                contentType: 'text/xml',
+                body: text
+                    ? `<?xml version="1.0" encoding="UTF-8"?><Response><Message>${escapeXml(text)}</Message></Response>`
+                    : '<?xml version="1.0" encoding="UTF-8"?><Response></Response>'
+            };
+        }
+    };
+};
+
+/**
+ * Local fake provider - no network. Sent messages are logged and kept in memory;
+ * inbound messages are accepted unsigned (same From / Body fields as Twilio).
+ * Used in development and tests so reminders and opt-outs can be exercised without a gateway.
+ * @returns {Object} Provider
+ */
+const createFakeProvider = () => {
+    const outbox = [];
+
+    return {
+        name: 'fake',
+        outbox,
+
+        async send({ to, body, channel = 'sms' }) {
+            const messageId = `fake-${crypto.randomUUID()}`;
+            outbox.push({ messageId, to, body, channel, sentAt: new Date().toISOString() });
+            console.log(`📱 ${channel} to ${to}: ${body}`);
+            return { messageId };
+        },
+
+        parseInbound(req) {
+            const from = String(req.body?.From || '');
+            if (!from) return null;
+
+            const channel = from.startsWith('whatsapp:') ? 'whatsapp' : 'sms';
+            return { from: from.replace(/^whatsapp:/, ''), text: String(req.body.Body || ''), channel };
+        },
+
+        formatReply(text) {
+            return { contentType: 'application/json', body: JSON.stringify({ reply: text || null }) };
+        }
+    };
+};
+
+providerFactories.set('twilio', createTwilioProvider);
+providerFactories.set('fake', createFakeProvider);
+
+/**
+ * Register an additional SMS provider
+ * @param {string} name - Provider name (matched against SMS_PROVIDER)
+ * @param {Function} factory - (config) => provider
+ */
+export const registerSmsProvider = (name, factory) => {
+    providerFactories.set(name, factory);
+    cachedProvider = null;
+};
+
+/**
+ * Get the configured SMS provider (SMS_PROVIDER env, defaults to fake outside production;
+ * the fake is refused in production)
+ * @returns {Object} Provider
+ */
+export const getSmsProvider = () => {
+    if (cachedProvider) return cachedProvider;
+
+    const defaultProvider = process.env.NODE_ENV === 'production' ? 'twilio' : 'fake';
+    const name = process.env.SMS_PROVIDER || defaultProvider;
+    const factory = providerFactories.get(name);
+
+    // The fake sends nothing and accepts unsigned inbound messages (anyone could opt any number out)
+    if (name === 'fake' && process.env.NODE_ENV === 'production') {
+        throw new Error('The fake SMS provider cannot be used in production - set SMS_PROVIDER');
+    }
+
+    if (!factory) {
+        throw new Error(`Unknown SMS provider "${name}". Available: ${[...providerFactories.keys()].join(', ')}`);
+    }
+
+    cachedProvider = factory();
+    return cachedProvider;
+};
+
+/**
+ * Override the active provider (tests)
+ * @param {Object|null} provider - Provider instance, or null to fall back to SMS_PROVIDER
+ */
+export const setSmsProvider = (provider) => {
+    cachedProvider = provider;
+};
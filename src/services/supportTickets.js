@@ -0,0 +1,73 @@
+import { supabaseAdmin } from '../config/supabase.js';
+
+/**
+ * Support ticket creation and formatting, shared by the support routes
+ * and the chat escalation flow.
+ */
+
+export const TICKET_PRIORITIES = ['low', 'medium', 'high', 'urgent'];
+
+/**
+ * Build a ticket message in the `support_tickets.messages` JSONB shape
+ * @param {string} userId - Author
+ * @param {string} message - Message text
+ * @param {Object} options - { isInternal }
+ * @returns {Object} Message
+ */
+export const buildTicketMessage = (userId, message, { isInternal = false } = {}) => ({
+    user_id: userId,
+    message,
+    timestamp: new Date().toISOString(),
+    attachments: [],
+    is_internal: isInternal
+});
+
+/**
+ * Create a support ticket
+ * @param {Object} ticket - { userId, title, description, priority, initialMessage, chatConversationId }
+ *                          initialMessage defaults to the description
+ * @returns {Promise<Object>} Created ticket row
+ */
+export const createSupportTicket = async ({
+    userId,
+    title,
+    description,
+    priority = 'medium',
+    initialMessage,
+    chatConversationId = null
+}) => {
+    const { data: ticket, error } = await supabaseAdmin
+        .from('support_tickets')
+        .insert({
+            user_id: userId,
+            title: title.trim(),
+            description: description.trim(),
+            priority,
+            status: 'open',
+            messages: [buildTicketMessage(userId, initialMessage || description)],
+            chat_conversation_id: chatConversationId
+        })
+        .select('*')
+        .single();
+
+    if (error) throw error;
+    return ticket;
+};
+
+/**
+ * Format a ticket row for the frontend
+ * @param {Object} ticket - support_tickets row
+ * @param {Object} options - { includeInternal } - keep internal staff notes (support staff only)
+ * @returns {Object} Ticket
+ */
+export const formatTicket = (ticket, { includeInternal = false } = {}) => ({
+    id: ticket.id,
+    title: ticket.title,
+    description: ticket.description,
+    status: ticket.status,
+    priority: ticket.priority,
+    messages: (ticket.messages || []).filter(message => includeInternal || !message.is_internal),
+    chatConversationId: ticket.chat_conversation_id || null,
+    createdAt: ticket.created_at,
+    updatedAt: ticket.updated_at
+});
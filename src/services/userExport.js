@@ -0,0 +1,217 @@
+import ExcelJS from 'exceljs';
+import { supabaseAdmin } from '../config/supabase.js';
+import { applyScope } from '../middleware/auth.js';
+import { isCompleted } from './progressData.js';
+import { loadProgressForUsers } from './progressStore.js';
+import { DEFAULT_TIMEZONE, getZonedParts, parseTimestamp } from '../utils/timezone.js';
+
+/**
+ * Streamed user progress export (CSV / XLSX) for managers.
+ * Users are read in keyset-paginated batches and written to the response as they
+ * arrive, so memory stays flat regardless of the number of users.
+ */
+
+const EXPORT_BATCH_SIZE = 500;
+
+// Excel needs a BOM to open UTF-8 (Hebrew) CSV files correctly
+const UTF8_BOM = '\uFEFF';
+
+const STATUS_LABELS = {
+    completed: 'הושלם',
+    in_progress: 'בתהליך',
+    not_started: 'לא התחיל'
+};
+
+const formatDateTime = (value) => {
+    const date = parseTimestamp(value);
+    if (!date || Number.isNaN(date.getTime())) return '';
+    const p = getZonedParts(date, DEFAULT_TIMEZONE);
+    const pad = (n) => String(n).padStart(2, '0');
+    return `${p.year}-${pad(p.month)}-${pad(p.day)} ${pad(p.hour)}:${pad(p.minute)}`;
+};
+
+const lessonStatus = (progress) => {
+    if (!progress) return 'not_started';
+    if (isCompleted(progress)) return 'completed';
+    return 'in_progress';
+};
+
+/**
+ * Export columns: user fields followed by one status column per lesson
+ * @param {Array} lessons - Lessons in program order
+ * @returns {Array<{header: string, value: Function}>} Columns
+ */
+export const buildExportColumns = (lessons) => [
+    { header: 'שם פרטי', value: user => user.first_name },
+    { header: 'שם משפחה', value: user => user.last_name },
+    { header: 'אימייל', value: user => user.email },
+    { header: 'טלפון', value: user => user.phone },
+    { header: 'תפקיד', value: user => user.role },
+    { header: 'חברה', value: user => user.company },
+    { header: 'צוות', value: user => user.team },
+    { header: 'מסלול', value: user => user.preferences?.program_type },
+    { header: 'פעיל', value: user => user.is_active ? 'כן' : 'לא' },
+    { header: 'שיעורים שהושלמו', value: user => user.total_lessons_completed || 0 },
+    { header: 'רצף נוכחי', value: user => user.current_streak || 0 },
+    { header: 'רצף שיא', value: user => user.longest_streak || 0 },
+    { header: 'כניסה אחרונה', value: user => formatDateTime(user.last_login) },
+    { header: 'פעילות אחרונה', value: user => user.last_activity_date || '' },
+    ...lessons.map(lesson => ({
+        header: `${lesson.chapter_order}.${lesson.lesson_number} ${lesson.title}`,
+        value: user => STATUS_LABELS[lessonStatus(user.lesson_progress?.[lesson.id])]
+    }))
+];
+
+/**
+ * Escape a CSV field. Values starting with a formula character are prefixed with `'`
+ * so spreadsheet apps don't evaluate them (CSV injection).
+ * @param {*} value - Cell value
+ * @returns {string} CSV field
+ */
+export const escapeCsvValue = (value) => {
+    if (value === null || value === undefined) return '';
+    let text = String(value);
+
+    if (typeof value === 'string' && /^[=+\-@\t\r]/.test(text)) {
+        text = `'${text}`;
+    }
+
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+/**
+ * Load the lessons that get a status column
+ * @returns {Promise<Array>} Published lessons in program order
+ */
+export const getExportLessons = async () => {
+    const { data: lessons, error } = await supabaseAdmin
+        .from('lessons')
+        .select('id, title, chapter_order, lesson_number')
+        .eq('is_published', true)
+        .order('chapter_order', { ascending: true })
+        .order('lesson_number', { ascending: true });
+
+    if (error) throw error;
+    return lessons || [];
+};
+
+/**
+ * Read the users matching the export filters in batches
+ * @param {Object} filters - { scope, team, role, from, to } (scope: see getAccessScope, from/to: YYYY-MM-DD on last_activity_date)
+ * @yields {Array} Batch of user rows (with `lesson_progress` keyed by lesson)
+ */
+export async function* iterateExportUsers(filters = {}) {
+    let lastId = null;
+
+    while (true) {
+        let query = supabaseAdmin
+            .from('users')
+            .select('id, first_name, last_name, email, phone, role, company, team, is_active, preferences, total_lessons_completed, current_streak, longest_streak, last_login, last_activity_date')
+            .order('id', { ascending: true })
+            .limit(EXPORT_BATCH_SIZE);
+
+        query = applyScope(query, filters.scope);
+        if (filters.team) query = query.eq('team', filters.team);
+        if (filters.role) query = query.eq('role', filters.role);
+        if (filters.from) query = query.gte('last_activity_date', filters.from);
+        if (filters.to) query = query.lte('last_activity_date', filters.to);
+        if (lastId) query = query.gt('id', lastId);
+
+        const { data: users, error } = await query;
+        if (error) throw error;
+        if (!users || users.length === 0) return;
+
+        const progressByUser = await loadProgressForUsers(users.map(user => user.id));
+        users.forEach(user => {
+            user.lesson_progress = progressByUser.get(user.id);
+        });
+
+        yield users;
+
+        if (users.length < EXPORT_BATCH_SIZE) return;
+        lastId = users[users.length - 1].id;
+    }
+}
+
+// Helper: wait for a stream event, or for the stream to close - a client that disconnects
+// mid-export closes the response without ever emitting 'drain' or 'finish'
+const waitForEventOrClose = (stream, event) => new Promise(resolve => {
+    if (stream.destroyed) return resolve();
+
+    const done = () => {
+        stream.off(event, done);
+        stream.off('close', done);
+        resolve();
+    };
+    stream.on(event, done);
+    stream.on('close', done);
+});
+
+/**
+ * Stream the export as CSV
+ * @param {Writable} output - Response stream
+ * @param {Object} options - { filters, lessons }
+ * @returns {Promise<number>} Exported user count
+ */
+export const writeCsvExport = async (output, { filters, lessons }) => {
+    const columns = buildExportColumns(lessons);
+    let exported = 0;
+
+    const write = async (line) => {
+        if (!output.write(line)) {
+            await waitForEventOrClose(output, 'drain');
+        }
+    };
+
+    await write(UTF8_BOM + columns.map(column => escapeCsvValue(column.header)).join(',') + '\r\n');
+
+    for await (const users of iterateExportUsers(filters)) {
+        if (output.destroyed) break; // Client went away
+        const lines = users.map(user => columns.map(column => escapeCsvValue(column.value(user))).join(','));
+        await write(lines.join('\r\n') + '\r\n');
+        exported += users.length;
+    }
+
+    output.end();
+    return exported;
+};
+
+/**
+ * Stream the export as an XLSX workbook (right-to-left sheet)
+ * @param {Writable} output - Response stream
+ * @param {Object} options - { filters, lessons }
+ * @returns {Promise<number>} Exported user count
+ */
+export const writeXlsxExport = async (output, { filters, lessons }) => {
+    const columns = buildExportColumns(lessons);
+    let exported = 0;
+
+    const workbook = new ExcelJS.stream.xlsx.WorkbookWriter({
+        stream: output,
+        useStyles: true,
+        useSharedStrings: false
+    });
+
+    const worksheet = workbook.addWorksheet('משתמשים', {
+        views: [{ rightToLeft: true, state: 'frozen', ySplit: 1 }]
+    });
+
+    worksheet.columns = columns.map(column => ({ header: column.header, width: Math.min(Math.max(column.header.length + 2, 12), 40) }));
+    worksheet.getRow(1).font = { bold: true };
+    worksheet.getRow(1).commit();
+
+    for await (const users of iterateExportUsers(filters)) {
+        if (output.destroyed) break; // Client went away
+        users.forEach(user => {
+            worksheet.addRow(columns.map(column => column.value(user) ?? '')).commit();
+        });
+        exported += users.length;
+    }
+
+    // The workbook can't be finished once the client is gone (its 'finish' never comes)
+    if (output.destroyed) return exported;
+
+    await worksheet.commit();
+    await Promise.race([workbook.commit(), waitForEventOrClose(output, 'finish')]);
+    return exported;
+};
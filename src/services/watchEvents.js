@@ -0,0 +1,194 @@
+/**
+ * Video watch events recorded in `watch_sessions.events` (one row per lesson watch session).
+ *
+ * Event schema:
+ *   { type: 'play' | 'pause' | 'seek' | 'ended', position: <seconds>, from?: <seconds>, timestamp: <ISO date> }
+ *   - position: playback position when the event happened (for seek: where the viewer landed)
+ *   - from:     seek only - position before the seek
+ *
+ * Retention and seek heatmaps are rebuilt from these events per session.
+ */
+
+export const WATCH_EVENT_TYPES = ['play', 'pause', 'seek', 'ended'];
+
+export const MAX_EVENTS_PER_REQUEST = 500;
+const MAX_EVENTS_PER_SESSION = 5000;
+const MAX_POSITION_SECONDS = 24 * 60 * 60;
+
+const isPosition = (value) => typeof value === 'number' && Number.isFinite(value) && value >= 0 && value <= MAX_POSITION_SECONDS;
+
+/**
+ * Validate and normalize incoming watch events
+ * @param {Array} events - Raw events from the client
+ * @returns {{events: Array, errors: string[]}} Normalized events and validation errors
+ */
+export const validateWatchEvents = (events) => {
+    const errors = [];
+
+    if (!Array.isArray(events)) {
+        return { events: [], errors: ['events must be an array'] };
+    }
+
+    if (events.length > MAX_EVENTS_PER_REQUEST) {
+        return { events: [], errors: [`At most ${MAX_EVENTS_PER_REQUEST} events can be sent at once`] };
+    }
+
+    const normalized = [];
+    events.forEach((event, index) => {
+        if (!event || typeof event !== 'object') {
+            errors.push(`events[${index}] must be an object`);
+            return;
+        }
+
+        if (!WATCH_EVENT_TYPES.includes(event.type)) {
+            errors.push(`events[${index}].type must be one of: ${WATCH_EVENT_TYPES.join(', ')}`);
+            return;
+        }
+
+        if (!isPosition(event.position)) {
+            errors.push(`events[${index}].position must be a non-negative number of seconds`);
+            return;
+        }
+
+        if (event.type === 'seek' && !isPosition(event.from)) {
+            errors.push(`events[${index}].from is required for seek events`);
+            return;
+        }
+
+        const timestamp = event.timestamp ? new Date(event.timestamp) : new Date();
+        if (Number.isNaN(timestamp.getTime())) {
+            errors.push(`events[${index}].timestamp must be a valid date`);
+            return;
+        }
+
+        normalized.push({
+            type: event.type,
+            position: Math.round(event.position * 10) / 10,
+            ...(event.type === 'seek' ? { from: Math.round(event.from * 10) / 10 } : {}),
+            timestamp: timestamp.toISOString()
+        });
+    });
+
+    return { events: normalized, errors };
+};
+
+const eventKey = (event) => `${event.timestamp}|${event.type}|${event.position}`;
+
+/**
+ * Append new events to a session's events (clients may resend a batch after a failed request)
+ * @param {Array} existing - Stored events
+ * @param {Array} incoming - Validated new events
+ * @returns {Array} Merged events in time order
+ */
+export const mergeWatchEvents = (existing = [], incoming = []) => {
+    const seen = new Set(existing.map(eventKey));
+    const merged = [...existing];
+
+    incoming.forEach(event => {
+        if (!seen.has(eventKey(event))) {
+            seen.add(eventKey(event));
+            merged.push(event);
+        }
+    });
+
+    return merged
+        .sort((a, b) => a.timestamp.localeCompare(b.timestamp))
+        .slice(-MAX_EVENTS_PER_SESSION);
+};
+
+/**
+ * Reconstruct the played segments of a session from its events
+ * @param {Object} session - Watch session ({events, last_position})
+ * @returns {Array<[number, number]>} Played [start, end) segments in seconds
+ */
+export const getPlayedSegments = (session) => {
+    const segments = [];
+    let playingFrom = null;
+
+    const close = (position) => {
+        if (playingFrom !== null && position > playingFrom) {
+            segments.push([playingFrom, position]);
+        }
+        playingFrom = null;
+    };
+
+    (session.events || []).forEach(event => {
+        switch (event.type) {
+            case 'play':
+                if (playingFrom === null) playingFrom = event.position;
+                break;
+            case 'pause':
+            case 'ended':
+                close(event.position);
+                break;
+            case 'seek':
+                // Seeking while playing keeps playing from the new position
+                if (playingFrom !== null) {
+                    close(event.from);
+                    playingFrom = event.position;
+                }
+                break;
+            default:
+                break;
+        }
+    });
+
+    // Session ended without pause (tab closed) - the last reported position closes it
+    if (playingFrom !== null && typeof session.last_position === 'number') {
+        close(session.last_position);
+    }
+
+    return segments;
+};
+
+/**
+ * Per-second retention curve and seek heatmap of a video
+ * @param {Array} sessions - Watch sessions of all viewers
+ * @param {number} videoDuration - Video length in seconds
+ * @returns {{sessions: number, retention: Array, seeks: Array}} Curve and heatmap (one entry per second)
+ */
+export const buildWatchHeatmap = (sessions, videoDuration) => {
+    const seconds = Math.max(Math.ceil(videoDuration || 0), 0);
+    const viewers = new Array(seconds).fill(0);
+    const seeksFrom = new Array(seconds).fill(0);
+    const seeksTo = new Array(seconds).fill(0);
+    const clampSecond = (position) => Math.min(Math.max(Math.floor(position), 0), seconds - 1);
+
+    let sessionsWithEvents = 0;
+
+    sessions.forEach(session => {
+        if (!session.events || session.events.length === 0) return;
+        sessionsWithEvents++;
+        if (seconds === 0) return;
+
+        // A second counts once per session, even if it was re-watched
+        const watched = new Uint8Array(seconds);
+        getPlayedSegments(session).forEach(([start, end]) => {
+            for (let second = Math.floor(start); second < Math.min(Math.ceil(end), seconds); second++) {
+                watched[second] = 1;
+            }
+        });
+        watched.forEach((value, second) => { viewers[second] += value; });
+
+        session.events
+            .filter(event => event.type === 'seek')
+            .forEach(event => {
+                seeksFrom[clampSecond(event.from)]++;
+                seeksTo[clampSecond(event.position)]++;
+            });
+    });
+
+    return {
+        sessions: sessionsWithEvents,
+        retention: viewers.map((count, second) => ({
+            second,
+            viewers: count,
+            retention: sessionsWithEvents > 0 ? Math.round((count / sessionsWithEvents) * 1000) / 10 : 0
+        })),
+        seeks: seeksFrom.map((from, second) => ({
+            second,
+            from,
+            to: seeksTo[second]
+        }))
+    };
+};
@@ -0,0 +1,127 @@
+import axios from 'axios';
+import webpush from 'web-push';
+
+/**
+ * Outgoing Web Push messages, signed with VAPID.
+ *
+ * VAPID_PUBLIC_KEY / VAPID_PRIVATE_KEY → key pair (`npx web-push generate-vapid-keys`)
+ * VAPID_SUBJECT                        → contact (mailto: or https:) the push services can reach
+ *
+ * web-push only encrypts and signs the message; the request itself goes out with axios.
+ * The server posts to whatever endpoint a browser registered, so endpoints must be https URLs
+ * of a known push service. PUSH_ALLOW_ANY_ENDPOINT=true lifts that outside production,
+ * e.g. to test against a local mock push service over plain http.
+ */
+
+const DEFAULT_SUBJECT = 'mailto:no-reply@xfactor-daily.co.il';
+
+// How long the push service keeps a message for an offline device
+const DEFAULT_TTL_SECONDS = 24 * 60 * 60;
+
+const PUSH_TIMEOUT_MS = parseInt(process.env.PUSH_TIMEOUT_MS) || 10000;
+
+// Push services of the major browsers (Chrome, Firefox, Edge, Safari)
+const PUSH_SERVICE_DOMAINS = [
+    'fcm.googleapis.com',
+    'android.googleapis.com',
+    'push.services.mozilla.com',
+    'notify.windows.com',
+    'push.apple.com'
+];
+
+const allowAnyEndpoint = () => process.env.PUSH_ALLOW_ANY_ENDPOINT === 'true' && process.env.NODE_ENV !== 'production';
+
+/**
+ * Whether the server may send pushes to an endpoint
+ * @param {string} endpoint - Subscription endpoint URL
+ * @returns {boolean}
+ */
+export const isAllowedPushEndpoint = (endpoint) => {
+    let url;
+    try {
+        url = new URL(endpoint);
+    } catch {
+        return false;
+    }
+
+    if (allowAnyEndpoint()) {
+        return url.protocol === 'https:' || url.protocol === 'http:';
+    }
+
+    const host = url.hostname.toLowerCase();
+    return url.protocol === 'https:'
+        && !url.port
+        && PUSH_SERVICE_DOMAINS.some(domain => host === domain || host.endsWith(`.${domain}`));
+};
+
+/**
+ * Whether the VAPID keys are set
+ * @returns {boolean}
+ */
+export const isPushConfigured = () => Boolean(process.env.VAPID_PUBLIC_KEY && process.env.VAPID_PRIVATE_KEY);
+
+/**
+ * VAPID public key the browser subscribes with (applicationServerKey)
+ * @returns {string|null}
+ */
+export const getVapidPublicKey = () => process.env.VAPID_PUBLIC_KEY || null;
+
+/**
+ * Whether a failed push means the subscription no longer exists
+ * @param {Error} error - Error thrown by sendPush
+ * @returns {boolean}
+ */
+export const isExpiredSubscriptionError = (error) => error.statusCode === 404
+    || error.statusCode === 410
+    || error.code === 'PUSH_ENDPOINT_NOT_ALLOWED';
+
+/**
+ * Send a push message to one subscription
+ * @param {Object} subscription - { endpoint, keys: { p256dh, auth } }
+ * @param {Object|string} payload - Message (objects are sent as JSON)
+ * @param {Object} options - { ttl, urgency }
+ * @returns {Promise<{messageId: string|null, statusCode: number}>} Accepted message
+ *          (throws with error.statusCode when the push service rejects it, or with
+ *          error.code PUSH_ENDPOINT_NOT_ALLOWED for endpoints outside the known push services)
+ */
+export const sendPush = async (subscription, payload, { ttl = DEFAULT_TTL_SECONDS, urgency = 'normal' } = {}) => {
+    if (!isPushConfigured()) {
+        throw new Error('VAPID_PUBLIC_KEY and VAPID_PRIVATE_KEY are required to send push notifications');
+    }
+
+    // Subscriptions stored before endpoints were restricted
+    if (!isAllowedPushEndpoint(subscription.endpoint)) {
+        const error = new Error('Push endpoint is not a known push service');
+        error.code = 'PUSH_ENDPOINT_NOT_ALLOWED';
+        throw error;
+    }
+
+    const body = typeof payload === 'string' ? payload : JSON.stringify(payload);
+    const request = webpush.generateRequestDetails(subscription, body, {
+        vapidDetails: {
+            subject: process.env.VAPID_SUBJECT || DEFAULT_SUBJECT,
+            publicKey: process.env.VAPID_PUBLIC_KEY,
+            privateKey: process.env.VAPID_PRIVATE_KEY
+        },
+        TTL: ttl,
+        urgency
+    });
+
+    const response = await axios({
+        method: request.method,
+        url: request.endpoint,
+        headers: request.headers,
+        data: request.body,
+        timeout: PUSH_TIMEOUT_MS,
+        maxRedirects: 0, // Don't follow a push service elsewhere
+        validateStatus: () => true
+    });
+
+    if (response.status < 200 || response.status >= 300) {
+        const error = new Error(`Push service responded with ${response.status}`);
+        error.statusCode = response.status;
+        throw error;
+    }
+
+    return { messageId: response.headers.location || null, statusCode: response.status };
+};
@@ -0,0 +1,230 @@
+import { supabaseAdmin } from '../config/supabase.js';
+import { getAccessScope, applyScope } from '../middleware/auth.js';
+import { getUnlockedLessonsCount, getPublishedLessonIds } from './lessonSchedule.js';
+import { addDays, bucketStart } from './activityTimeseries.js';
+import { renderEmail } from './emailTemplates.js';
+import { sendMail } from './mailer.js';
+import { claimNotification, completeNotification } from './notificationLog.js';
+import { fetchAllRows } from '../utils/pagination.js';
+import { DEFAULT_TIMEZONE, getZonedDateString, zonedTimeToUtc, parseTimestamp } from '../utils/timezone.js';
+
+/**
+ * Weekly manager digest: last week's completions, learners behind the unlock
+ * schedule, streak leaders and open support tickets of the manager's scope.
+ * Sent on Sunday morning (see jobs/scheduler.js); managers opt out with
+ * preferences.weekly_digest = false.
+ */
+
+export const DIGEST_KIND = 'weekly_digest';
+
+// A learner is "behind" when at least this many unlocked lessons are not completed
+const BEHIND_THRESHOLD = 2;
+const BEHIND_LIST_LIMIT = 10;
+const STREAK_LEADERS_LIMIT = 5;
+const TICKETS_LIST_LIMIT = 5;
+
+const PRIORITY_LABELS = { low: 'נמוכה', medium: 'בינונית', high: 'גבוהה', urgent: 'דחופה' };
+
+const USER_SCOPE_COLUMNS = { companyColumn: 'user.company', teamColumn: 'user.team' };
+
+const frontendUrl = () => process.env.FRONTEND_URL || 'http://localhost:5173';
+
+const fullName = (user) => `${user.first_name || ''} ${user.last_name || ''}`.trim();
+
+// DD.MM(.YYYY) for the Hebrew texts
+const formatDate = (dateString, withYear = false) => {
+    const [year, month, day] = dateString.split('-');
+    return withYear ? `${day}.${month}.${year}` : `${day}.${month}`;
+};
+
+const toInstant = (dateString, timeZone) => {
+    const [year, month, day] = dateString.split('-').map(Number);
+    return zonedTimeToUtc(year, month, day, 0, 0, timeZone);
+};
+
+/**
+ * The digest week: the last full Sunday–Saturday week before `now`
+ * @param {Date} now - Send time
+ * @param {string} timeZone - Time zone of the week boundaries
+ * @returns {{start: string, end: string, from: Date, to: Date, label: string}} start/end dates (inclusive) and [from, to) instants
+ */
+export const getDigestPeriod = (now = new Date(), timeZone = DEFAULT_TIMEZONE) => {
+    const thisWeek = bucketStart(getZonedDateString(now, timeZone), 'week');
+    const start = addDays(thisWeek, -7);
+    const end = addDays(thisWeek, -1);
+
+    return {
+        start,
+        end,
+        from: toInstant(start, timeZone),
+        to: toInstant(thisWeek, timeZone),
+        label: `${formatDate(start)} – ${formatDate(end, true)}`
+    };
+};
+
+const describeScope = (scope) => {
+    if (scope.teams.length > 0) return `הצוותים ${scope.teams.join(', ')}`;
+    return scope.companies.join(', ');
+};
+
+const summarizeCompletions = (completions) => {
+    const teams = new Map();
+    const learners = new Set();
+
+    completions.forEach(({ user_id: userId, user }) => {
+        const team = user?.team || 'ללא צוות';
+        if (!teams.has(team)) teams.set(team, { team, completions: 0, learners: new Set() });
+        teams.get(team).completions++;
+        teams.get(team).learners.add(userId);
+        learners.add(userId);
+    });
+
+    const byTeam = [...teams.values()]
+        .sort((a, b) => b.completions - a.completions || a.team.localeCompare(b.team))
+        .map(team => ({ team: team.team, completions: team.completions, learners: team.learners.size }));
+
+    return { total: completions.length, learners: learners.size, byTeam, hasTeams: byTeam.length > 0 };
+};
+
+const findLearnersBehind = (learners, publishedCount, now) => {
+    const behind = learners
+        .map(learner => {
+            const unlocked = Math.min(getUnlockedLessonsCount(learner, now), publishedCount);
+            const completed = learner.total_lessons_completed || 0;
+            return { name: fullName(learner), team: learner.team || '', completed, unlocked, behindBy: unlocked - completed };
+        })
+        .filter(learner => learner.behindBy >= BEHIND_THRESHOLD)
+        .sort((a, b) => b.behindBy - a.behindBy || a.name.localeCompare(b.name));
+
+    return {
+        learners: behind.slice(0, BEHIND_LIST_LIMIT),
+        more: Math.max(behind.length - BEHIND_LIST_LIMIT, 0),
+        hasLearners: behind.length > 0
+    };
+};
+
+const findStreakLeaders = (learners) => learners
+    .filter(learner => learner.current_streak > 0)
+    .sort((a, b) => b.current_streak - a.current_streak || fullName(a).localeCompare(fullName(b)))
+    .slice(0, STREAK_LEADERS_LIMIT)
+    .map((learner, index) => ({
+        rank: index + 1,
+        name: fullName(learner),
+        team: learner.team || '',
+        streak: learner.current_streak
+    }));
+
+const summarizeTickets = (tickets, timeZone) => ({
+    total: tickets.length,
+    urgent: tickets.filter(ticket => ticket.priority === 'high' || ticket.priority === 'urgent').length,
+    items: tickets.slice(0, TICKETS_LIST_LIMIT).map(ticket => ({
+        title: ticket.title,
+        userName: fullName(ticket.user || {}),
+        priorityLabel: PRIORITY_LABELS[ticket.priority] || ticket.priority,
+        createdAt: formatDate(getZonedDateString(parseTimestamp(ticket.created_at), timeZone), true)
+    }))
+});
+
+/**
+ * Template variables of a manager's digest
+ * @param {Object} manager - Manager row (with company / managed_companies / managed_teams)
+ * @param {Object} options - { period, publishedCount, now, timeZone }
+ * @returns {Promise<Object|null>} Digest view (null if the manager has no company in scope)
+ */
+export const buildManagerDigest = async (manager, { period, publishedCount, now = new Date(), timeZone = DEFAULT_TIMEZONE }) => {
+    const scope = getAccessScope(manager);
+    if (!scope || scope.companies.length === 0) return null;
+
+    const [learners, completions, tickets] = await Promise.all([
+        fetchAllRows(() => applyScope(supabaseAdmin
+            .from('users')
+            .select('id, first_name, last_name, team, preferences, created_at, current_streak, total_lessons_completed')
+            .eq('role', 'learner')
+            .eq('is_active', true)
+            .order('id', { ascending: true }), scope)),
+        fetchAllRows(() => applyScope(supabaseAdmin
+            .from('lesson_progress')
+            .select('id, user_id, user:users!inner(company, team)')
+            .eq('status', 'completed')
+            .gte('completed_at', period.from.toISOString())
+            .lt('completed_at', period.to.toISOString())
+            .order('id', { ascending: true }), scope, USER_SCOPE_COLUMNS)),
+        fetchAllRows(() => applyScope(supabaseAdmin
+            .from('support_tickets')
+            .select('id, title, priority, created_at, user:users!support_tickets_user_id_fkey!inner(first_name, last_name, company, team)')
+            .in('status', ['open', 'in_progress'])
+            .order('created_at', { ascending: true }), scope, USER_SCOPE_COLUMNS))
+    ]);
+
+    return {
+        managerName: manager.first_name || fullName(manager),
+        scopeLabel: describeScope(scope),
+        periodLabel: period.label,
+        completions: summarizeCompletions(completions),
+        behind: findLearnersBehind(learners, publishedCount, now),
+        streakLeaders: findStreakLeaders(learners),
+        tickets: summarizeTickets(tickets, timeZone),
+        dashboardUrl: `${frontendUrl()}/admin/dashboard`,
+        preferencesUrl: `${frontendUrl()}/profile`
+    };
+};
+
+/**
+ * Send the weekly digest to every active manager who hasn't opted out.
+ * Safe to run more than once per week: each manager gets one digest per period.
+ * @param {Object} options - { now }
+ * @returns {Promise<Object>} Run summary { period, sent, alreadySent, optedOut, skipped, failed }
+ */
+export const sendWeeklyDigests = async ({ now = new Date() } = {}) => {
+    const period = getDigestPeriod(now);
+    const summary = { period: period.start, sent: 0, alreadySent: 0, optedOut: 0, skipped: 0, failed: 0 };
+
+    const publishedLessonIds = await getPublishedLessonIds();
+    if (!publishedLessonIds) {
+        throw new Error('Failed to load published lessons');
+    }
+
+    const managers = await fetchAllRows(() => supabaseAdmin
+        .from('users')
+        .select('id, email, first_name, last_name, role, company, team, managed_companies, managed_teams, preferences')
+        .eq('role', 'manager')
+        .eq('is_active', true)
+        .order('id', { ascending: true }));
+
+    // One manager at a time - keeps the database and the SMTP server unhurried
+    for (const manager of managers) {
+        if (manager.preferences?.weekly_digest === false) {
+            summary.optedOut++;
+            continue;
+        }
+
+        const logId = await claimNotification({ userId: manager.id, kind: DIGEST_KIND, periodKey: period.start });
+        if (!logId) {
+            summary.alreadySent++;
+            continue;
+        }
+
+        try {
+            const view = manager.email
+                ? await buildManagerDigest(manager, { period, publishedCount: publishedLessonIds.length, now })
+                : null;
+
+            if (!view) {
+                await completeNotification(logId, { status: 'skipped', error: manager.email ? 'No companies in scope' : 'No email address' });
+                summary.skipped++;
+                continue;
+            }
+
+            const email = await renderEmail(DIGEST_KIND, view);
+            const { messageId } = await sendMail({ to: manager.email, ...email });
+            await completeNotification(logId, { status: 'sent', messageId });
+            summary.sent++;
+        } catch (error) {
+            console.error(`Error sending weekly digest to manager ${manager.id}:`, error);
+            await completeNotification(logId, { status: 'failed', error: error.message });
+            summary.failed++;
+        }
+    }
+
+    return summary;
+};
@@ -0,0 +1,23 @@
+/**
+ * Supabase caps a select at 1000 rows - larger result sets are read page by page.
+ */
+
+const PAGE_SIZE = 1000;
+
+/**
+ * Read every page of a query
+ * @param {Function} buildQuery - Returns a fresh query (with a stable order) for each page
+ * @returns {Promise<Array>} All rows
+ */
+export const fetchAllRows = async (buildQuery) => {
+    const rows = [];
+
+    for (let from = 0; ; from += PAGE_SIZE) {
+        const { data, error } = await buildQuery().range(from, from + PAGE_SIZE - 1);
+        if (error) throw error;
+        rows.push(...(data || []));
+        if (!data || data.length < PAGE_SIZE) break;
+    }
+
+    return rows;
+};
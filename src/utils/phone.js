@@ -0,0 +1,42 @@
+/**
+ * Phone number helpers. Users type their number in any local format
+ * (050-1234567, 972501234567, +972 (0)50 123 4567, ...); SMS providers need E.164.
+ * Numbers without a country code are taken as Israeli.
+ * Keep in sync with normalize_phone_e164 in 18_phone_messaging.sql.
+ */
+
+const ISRAEL_COUNTRY_CODE = '972';
+
+// Israeli national numbers after the trunk 0: mobile / VoIP 5X / 7X + 7 digits, landlines 2-4, 8, 9 + 7 digits
+const ISRAELI_NATIONAL_NUMBER = /^(?:[57]\d{8}|[23489]\d{7})$/;
+
+/**
+ * Normalize a phone number to E.164
+ * @param {string} phone - Phone number as entered
+ * @returns {string|null} E.164 number (+972501234567), or null if it isn't a valid number
+ */
+export const normalizePhone = (phone) => {
+    if (phone === null || phone === undefined) return null;
+
+    const trimmed = String(phone).trim();
+    let digits = trimmed.replace(/\D/g, '');
+    if (!digits) return null;
+
+    if (!trimmed.startsWith('+')) {
+        if (digits.startsWith('00')) {
+            digits = digits.slice(2);
+        } else if (digits.startsWith('0')) {
+            digits = ISRAEL_COUNTRY_CODE + digits.slice(1);
+        } else if (ISRAELI_NATIONAL_NUMBER.test(digits)) {
+            digits = ISRAEL_COUNTRY_CODE + digits;
+        }
+    }
+
+    if (digits.startsWith(ISRAEL_COUNTRY_CODE)) {
+        // +972 (0)50... - drop the trunk 0 written after the country code
+        const national = digits.slice(ISRAEL_COUNTRY_CODE.length).replace(/^0/, '');
+        return ISRAELI_NATIONAL_NUMBER.test(national) ? `+${ISRAEL_COUNTRY_CODE}${national}` : null;
+    }
+
+    return /^[1-9]\d{7,14}$/.test(digits) ? `+${digits}` : null;
+};
@@ -0,0 +1,138 @@
+/**
+ * Time zone helpers built on Intl (no external date library).
+ * Users store an IANA zone in `users.timezone` (default Asia/Jerusalem).
+ */
+
+export const DEFAULT_TIMEZONE = 'Asia/Jerusalem';
+
+const formatters = new Map();
+
+const getFormatter = (timeZone) => {
+    if (!formatters.has(timeZone)) {
+        formatters.set(timeZone, new Intl.DateTimeFormat('en-US', {
+            timeZone,
+            hourCycle: 'h23',
+            year: 'numeric',
+            month: '2-digit',
+            day: '2-digit',
+            hour: '2-digit',
+            minute: '2-digit',
+            second: '2-digit',
+            weekday: 'short'
+        }));
+    }
+    return formatters.get(timeZone);
+};
+
+const WEEKDAYS = { Sun: 0, Mon: 1, Tue: 2, Wed: 3, Thu: 4, Fri: 5, Sat: 6 };
+
+/**
+ * Fall back to the default zone for empty or unknown values
+ * @param {string} timeZone - IANA time zone
+ * @returns {string} Valid time zone
+ */
+export const resolveTimeZone = (timeZone) => {
+    if (!timeZone) return DEFAULT_TIMEZONE;
+    try {
+        getFormatter(timeZone);
+        return timeZone;
+    } catch (error) {
+        return DEFAULT_TIMEZONE;
+    }
+};
+
+/**
+ * Wall-clock parts of an instant in a time zone
+ * @param {Date} date - Instant
+ * @param {string} timeZone - IANA time zone
+ * @returns {{year, month, day, hour, minute, second, weekday}} month is 1-12, weekday 0=Sun
+ */
+export const getZonedParts = (date, timeZone) => {
+    const parts = {};
+    getFormatter(resolveTimeZone(timeZone)).formatToParts(date).forEach(({ type, value }) => {
+        parts[type] = value;
+    });
+
+    return {
+        year: parseInt(parts.year),
+        month: parseInt(parts.month),
+        day: parseInt(parts.day),
+        hour: parseInt(parts.hour),
+        minute: parseInt(parts.minute),
+        second: parseInt(parts.second),
+        weekday: WEEKDAYS[parts.weekday]
+    };
+};
+
+// Offset (ms) between the zone's wall clock and UTC at a given instant
+const getOffsetMs = (date, timeZone) => {
+    const p = getZonedParts(date, timeZone);
+    const asUtc = Date.UTC(p.year, p.month - 1, p.day, p.hour, p.minute, p.second);
+    return asUtc - (date.getTime() - date.getMilliseconds());
+};
+
+/**
+ * Convert a wall-clock time in a zone to the UTC instant
+ * @returns {Date} Instant
+ */
+export const zonedTimeToUtc = (year, month, day, hour = 0, minute = 0, timeZone = DEFAULT_TIMEZONE) => {
+    const guess = Date.UTC(year, month - 1, day, hour, minute);
+    const offset = getOffsetMs(new Date(guess), timeZone);
+    const candidate = guess - offset;
+    // Re-check across DST transitions
+    const correctedOffset = getOffsetMs(new Date(candidate), timeZone);
+    return new Date(guess - correctedOffset);
+};
+
+/**
+ * Local calendar date (YYYY-MM-DD) of an instant
+ * @param {Date} date - Instant
+ * @param {string} timeZone - IANA time zone
+ * @returns {string} Date string
+ */
+export const getZonedDateString = (date, timeZone) => {
+    const p = getZonedParts(date, timeZone);
+    return `${p.year}-${String(p.month).padStart(2, '0')}-${String(p.day).padStart(2, '0')}`;
+};
+
+/**
+ * Start of the local day / next local day containing an instant
+ */
+export const startOfZonedDay = (date, timeZone) => {
+    const p = getZonedParts(date, timeZone);
+    return zonedTimeToUtc(p.year, p.month, p.day, 0, 0, timeZone);
+};
+
+export const startOfNextZonedDay = (date, timeZone) => {
+    const p = getZonedParts(date, timeZone);
+    // Date.UTC normalizes day overflow (e.g. Jan 32 -> Feb 1)
+    const next = new Date(Date.UTC(p.year, p.month - 1, p.day + 1));
+    return zonedTimeToUtc(next.getUTCFullYear(), next.getUTCMonth() + 1, next.getUTCDate(), 0, 0, timeZone);
+};
+
+/**
+ * Start of the local month / next local month containing an instant
+ */
+export const startOfZonedMonth = (date, timeZone) => {
+    const p = getZonedParts(date, timeZone);
+    return zonedTimeToUtc(p.year, p.month, 1, 0, 0, timeZone);
+};
+
+export const startOfNextZonedMonth = (date, timeZone) => {
+    const p = getZonedParts(date, timeZone);
+    const year = p.month === 12 ? p.year + 1 : p.year;
+    const month = p.month === 12 ? 1 : p.month + 1;
+    return zonedTimeToUtc(year, month, 1, 0, 0, timeZone);
+};
+
+/**
+ * Parse a database timestamp. `TIMESTAMP` columns come back without a zone suffix
+ * and are stored in UTC, so they must not be read as server-local time.
+ * @param {string|Date} value - Timestamp
+ * @returns {Date|null} Instant
+ */
+export const parseTimestamp = (value) => {
+    if (!value) return null;
+    if (value instanceof Date) return value;
+    return new Date(/(Z|[+-]\d{2}:?\d{2})$/.test(value) ? value : `${value}Z`);
+};
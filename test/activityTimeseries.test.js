@@ -0,0 +1,99 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { startTestDatabase, createUser, createLesson, insertRow } from './helpers/testDatabase.js';
+import { startTestApp, signIn } from './helpers/testApp.js';
+
+const COMPANY = 'Trend Builders';
+
+let database;
+let app;
+let managerToken;
+
+before(async () => {
+    database = await startTestDatabase();
+    const { default: analyticsRoutes } = await import('../src/routes/analytics.js');
+    app = await startTestApp({ '/api/analytics': analyticsRoutes });
+
+    const [first, second] = [await createLesson(database.db), await createLesson(database.db)];
+
+    // Completes both lessons on 3.9 in Israel - the first one just after midnight (still 2.9 in UTC)
+    const israeli = await createUser(database.db, { company: COMPANY, timezone: 'Asia/Jerusalem', created_at: '2026-09-01T10:00:00Z' });
+    await insertRow(database.db, 'lesson_progress', {
+        user_id: israeli.id, lesson_id: first.id, status: 'completed',
+        started_at: '2026-09-02T08:00:00Z', completed_at: '2026-09-02T21:30:00Z', updated_at: '2026-09-02T21:30:00Z'
+    });
+    await insertRow(database.db, 'lesson_progress', {
+        user_id: israeli.id, lesson_id: second.id, status: 'completed',
+        started_at: '2026-09-03T07:00:00Z', completed_at: '2026-09-03T08:00:00Z', updated_at: '2026-09-03T08:00:00Z'
+    });
+
+    // Signed up late on 1.9 in New York (2.9 in UTC)
+    const american = await createUser(database.db, { company: COMPANY, timezone: 'America/New_York', created_at: '2026-09-02T03:00:00Z' });
+    await insertRow(database.db, 'lesson_progress', {
+        user_id: american.id, lesson_id: first.id, started_at: '2026-09-02T12:00:00Z', updated_at: '2026-09-02T12:00:00Z'
+    });
+
+    const outsider = await createUser(database.db, { company: 'Other Builders', created_at: '2026-09-01T10:00:00Z' });
+    await insertRow(database.db, 'lesson_progress', {
+        user_id: outsider.id, lesson_id: first.id, status: 'completed', completed_at: '2026-09-02T10:00:00Z', updated_at: '2026-09-02T10:00:00Z'
+    });
+
+    managerToken = await signIn(await createUser(database.db, { role: 'manager', company: COMPANY }));
+});
+
+after(async () => {
+    await app.close();
+    await database.close();
+});
+
+const timeseries = async (query) => {
+    const response = await app.request(`/api/analytics/timeseries?${query}`, { token: managerToken });
+    assert.equal(response.status, 200);
+    return (await response.json()).data.buckets;
+};
+
+const values = (buckets) => buckets.map(bucket => [bucket.bucket, bucket.value]);
+
+test('activity is counted on each learner\'s local date', async () => {
+    const range = 'from=2026-09-01&to=2026-09-04';
+
+    assert.deepEqual(values(await timeseries(`metric=completions&${range}`)), [
+        ['2026-09-01', 0], ['2026-09-02', 0], ['2026-09-03', 2], ['2026-09-04', 0]
+    ]);
+    assert.deepEqual(values(await timeseries(`metric=new_users&${range}`)), [
+        ['2026-09-01', 2], ['2026-09-02', 0], ['2026-09-03', 0], ['2026-09-04', 0]
+    ]);
+    // A learner counts once per day, however many lessons they touched
+    assert.deepEqual(values(await timeseries(`metric=active_users&${range}`)), [
+        ['2026-09-01', 0], ['2026-09-02', 2], ['2026-09-03', 1], ['2026-09-04', 0]
+    ]);
+});
+
+test('weekly buckets start on Sunday and are clipped to the range', async () => {
+    const buckets = await timeseries('metric=completions&interval=week&from=2026-09-01&to=2026-09-12');
+    assert.deepEqual(buckets, [
+        { bucket: '2026-08-30', start: '2026-09-01', end: '2026-09-05', value: 2 },
+        { bucket: '2026-09-06', start: '2026-09-06', end: '2026-09-12', value: 0 }
+    ]);
+});
+
+test('streak buckets hold the learners\' streaks at the end of each day', async () => {
+    const buckets = await timeseries('metric=streaks&from=2026-09-03&to=2026-09-05');
+    assert.deepEqual(buckets.map(bucket => [bucket.learners, bucket.average, bucket.distribution['1-2']]), [
+        [2, 0.5, 1],
+        // Still alive the day after the last completion, broken the day after that
+        [2, 0.5, 1],
+        [2, 0, 0]
+    ]);
+});
+
+test('invalid metrics, intervals and ranges are refused', async () => {
+    const status = async (query) => (await app.request(`/api/analytics/timeseries?${query}`, { token: managerToken })).status;
+
+    assert.equal(await status('metric=logins'), 400);
+    assert.equal(await status('metric=completions&interval=hour'), 400);
+    assert.equal(await status('metric=completions&from=1.9.2026'), 400);
+    assert.equal(await status('metric=completions&from=2026-09-05&to=2026-09-01'), 400);
+    assert.equal(await status('metric=completions&from=2024-01-01&to=2026-01-01'), 400);
+    assert.equal(await status('metric=completions&interval=week&from=2024-01-01&to=2026-01-01'), 200);
+});
@@ -0,0 +1,102 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import jwt from 'jsonwebtoken';
+import { startTestDatabase, createUser } from './helpers/testDatabase.js';
+
+let database;
+let authTokens;
+
+before(async () => {
+    process.env.JWT_SECRET = 'test-jwt-secret';
+    database = await startTestDatabase();
+    authTokens = await import('../src/services/authTokens.js');
+});
+
+after(async () => {
+    await database.close();
+});
+
+const loadSession = async (sessionId) => {
+    const { rows } = await database.db.query('SELECT * FROM auth_sessions WHERE id = $1', [sessionId]);
+    return rows[0];
+};
+
+test('issueTokens opens a session and stores only the refresh token hash', async () => {
+    const user = await createUser(database.db);
+    const tokens = await authTokens.issueTokens(user, { userAgent: 'test-agent', ipAddress: '203.0.113.1' });
+
+    const payload = jwt.verify(tokens.accessToken, process.env.JWT_SECRET);
+    assert.equal(payload.userId, user.id);
+
+    const session = await loadSession(payload.sid);
+    assert.equal(session.user_id, user.id);
+    assert.equal(session.user_agent, 'test-agent');
+
+    const { rows } = await database.db.query('SELECT token_hash FROM refresh_tokens WHERE session_id = $1', [payload.sid]);
+    assert.equal(rows.length, 1);
+    assert.notEqual(rows[0].token_hash, tokens.refreshToken);
+    assert.equal(await authTokens.touchSession(payload.sid, user.id), true);
+});
+
+test('a refresh token is rotated into new tokens of the same session', async () => {
+    const user = await createUser(database.db);
+    const tokens = await authTokens.issueTokens(user);
+    const { sid } = jwt.decode(tokens.accessToken);
+
+    const rotation = await authTokens.rotateTokens(tokens.refreshToken, { ipAddress: '203.0.113.2' });
+    assert.equal(rotation.status, 'rotated');
+    assert.equal(rotation.sessionId, sid);
+    assert.equal(rotation.user.id, user.id);
+    assert.notEqual(rotation.tokens.refreshToken, tokens.refreshToken);
+    assert.equal(jwt.decode(rotation.tokens.accessToken).sid, sid);
+    assert.equal((await loadSession(sid)).ip_address, '203.0.113.2');
+
+    // The new token works in turn
+    assert.equal((await authTokens.rotateTokens(rotation.tokens.refreshToken)).status, 'rotated');
+});
+
+test('reusing a rotated refresh token revokes the whole session', async () => {
+    const user = await createUser(database.db);
+    const tokens = await authTokens.issueTokens(user);
+    const { sid } = jwt.decode(tokens.accessToken);
+    const rotation = await authTokens.rotateTokens(tokens.refreshToken);
+
+    const reuse = await authTokens.rotateTokens(tokens.refreshToken);
+    assert.deepEqual(reuse, { status: 'reuse_detected', userId: user.id, sessionId: sid });
+
+    const session = await loadSession(sid);
+    assert.ok(session.revoked_at);
+    assert.equal(session.revoked_reason, 'reuse_detected');
+
+    // The legitimate holder's latest token is dead too
+    assert.equal((await authTokens.rotateTokens(rotation.tokens.refreshToken)).status, 'revoked');
+    assert.equal(await authTokens.touchSession(sid, user.id), false);
+});
+
+test('unknown, expired and revoked refresh tokens are refused', async () => {
+    assert.equal((await authTokens.rotateTokens('not-a-real-token')).status, 'invalid');
+
+    const user = await createUser(database.db);
+    const expired = await authTokens.issueTokens(user);
+    await database.db.query(
+        `UPDATE refresh_tokens SET expires_at = NOW() - INTERVAL '1 minute' WHERE session_id = $1`,
+        [jwt.decode(expired.accessToken).sid]
+    );
+    assert.equal((await authTokens.rotateTokens(expired.refreshToken)).status, 'expired');
+
+    const loggedOut = await authTokens.issueTokens(user);
+    assert.equal(await authTokens.revokeSession(jwt.decode(loggedOut.accessToken).sid, 'logout'), true);
+    assert.equal((await authTokens.rotateTokens(loggedOut.refreshToken)).status, 'revoked');
+});
+
+test('a deactivated user cannot refresh and the session is revoked', async () => {
+    const user = await createUser(database.db);
+    const tokens = await authTokens.issueTokens(user);
+    const { sid } = jwt.decode(tokens.accessToken);
+    await database.db.query('UPDATE users SET is_active = false WHERE id = $1', [user.id]);
+
+    const rotation = await authTokens.rotateTokens(tokens.refreshToken);
+    assert.equal(rotation.status, 'inactive');
+    assert.equal(rotation.tokens, undefined);
+    assert.equal((await loadSession(sid)).revoked_reason, 'inactive');
+});
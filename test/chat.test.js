@@ -0,0 +1,145 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { startTestDatabase, createUser, createLesson } from './helpers/testDatabase.js';
+import { startTestApp, signIn } from './helpers/testApp.js';
+
+const TERMS_ACCEPTED = { program_type: 'daily_video', chat_terms_accepted: true };
+
+let database;
+let app;
+const promptsSent = [];
+
+before(async () => {
+    process.env.DASHBOARD_CACHE_TTL_MS = '0';
+    database = await startTestDatabase();
+    const { default: chatRoutes } = await import('../src/routes/chat.js');
+    app = await startTestApp({ '/api/chat': chatRoutes });
+
+    // The route uses this same (cached) mock provider - record what it is asked
+    const { getLLMProvider } = await import('../src/services/llm.js');
+    const provider = getLLMProvider();
+    const complete = provider.complete;
+    provider.complete = async (request) => {
+        promptsSent.push(request.messages);
+        return complete(request);
+    };
+});
+
+after(async () => {
+    await app.close();
+    await database.close();
+});
+
+const createLearner = () => createUser(database.db, { preferences: TERMS_ACCEPTED });
+
+const countRows = async (table, userId) => {
+    const { rows } = await database.db.query(`SELECT COUNT(*)::int AS count FROM ${table} WHERE user_id = $1`, [userId]);
+    return rows[0].count;
+};
+
+test('POST /api/chat answers with the mock provider and stores the exchange', async () => {
+    const user = await createLearner();
+    const token = await signIn(user);
+
+    const response = await app.request('/api/chat', { method: 'POST', token, body: { question: 'How do I tie a harness?' } });
+    assert.equal(response.status, 200);
+
+    const body = await response.json();
+    assert.equal(body.provider, 'mock');
+    assert.equal(body.model, 'mock-1');
+    assert.match(body.answer, /How do I tie a harness\?/);
+    assert.ok(body.conversationId);
+    assert.ok(body.messageId);
+    assert.ok(body.usage.totalTokens > 0);
+
+    const { rows: messages } = await database.db.query(
+        'SELECT role, content, provider FROM chat_messages WHERE conversation_id = $1 ORDER BY created_at',
+        [body.conversationId]
+    );
+    assert.deepEqual(messages.map(message => message.role), ['user', 'assistant']);
+    assert.equal(messages[0].content, 'How do I tie a harness?');
+    assert.equal(messages[1].content, body.answer);
+    assert.equal(messages[1].provider, 'mock');
+});
+
+test('learners who have not accepted the chat terms are refused', async () => {
+    const user = await createUser(database.db);
+    const token = await signIn(user);
+    const promptsBefore = promptsSent.length;
+
+    const response = await app.request('/api/chat', { method: 'POST', token, body: { question: 'Hello?' } });
+    assert.equal(response.status, 403);
+    assert.equal((await response.json()).error, 'Chat terms not accepted');
+
+    assert.equal(promptsSent.length, promptsBefore);
+    assert.equal(await countRows('chat_messages', user.id), 0);
+});
+
+test('the lesson title, description, topics and key points are sent to the model', async () => {
+    const user = await createLearner();
+    const token = await signIn(user);
+    const lesson = await createLesson(database.db, {
+        title: 'Scaffolding basics',
+        description: 'Assembling a mobile scaffold',
+        lesson_topics: ['Base plates', 'Guard rails'],
+        key_points: ['Lock the wheels before climbing']
+    });
+
+    const response = await app.request('/api/chat', {
+        method: 'POST',
+        token,
+        body: { question: 'What comes first?', lessonId: lesson.id }
+    });
+    assert.equal(response.status, 200);
+    assert.equal((await response.json()).lessonId, lesson.id);
+
+    const prompt = promptsSent.at(-1);
+    const lessonContext = prompt.filter(message => message.role === 'system').map(message => message.content).join('\n');
+    for (const expected of ['Scaffolding basics', 'Assembling a mobile scaffold', '- Base plates', '- Guard rails', '- Lock the wheels before climbing']) {
+        assert.ok(lessonContext.includes(expected), `prompt includes ${expected}`);
+    }
+    assert.deepEqual(prompt.at(-1), { role: 'user', content: 'What comes first?' });
+});
+
+test('unpublished and unknown lessons are not found for learners', async () => {
+    const user = await createLearner();
+    const token = await signIn(user);
+    const draft = await createLesson(database.db, { is_published: false });
+
+    for (const lessonId of [draft.id, '00000000-0000-4000-8000-000000000000']) {
+        const response = await app.request('/api/chat', { method: 'POST', token, body: { question: 'Hi?', lessonId } });
+        assert.equal(response.status, 404);
+        assert.equal((await response.json()).error, 'Lesson not found');
+    }
+});
+
+test('questions are validated and require a signed-in user', async () => {
+    const token = await signIn(await createLearner());
+
+    const empty = await app.request('/api/chat', { method: 'POST', token, body: { question: '   ' } });
+    assert.equal(empty.status, 400);
+    assert.equal((await empty.json()).error, 'Validation failed');
+
+    const badLesson = await app.request('/api/chat', { method: 'POST', token, body: { question: 'Hi?', lessonId: 'lesson-1' } });
+    assert.equal(badLesson.status, 400);
+
+    const anonymous = await app.request('/api/chat', { method: 'POST', body: { question: 'Hi?' } });
+    assert.equal(anonymous.status, 401);
+});
+
+test('the dashboard counts the questions the assistant answered', async () => {
+    const { getDashboardStats } = await import('../src/services/dashboardStats.js');
+    const company = 'Counted Ltd';
+    const scope = { companies: [company], teams: [] };
+    const token = await signIn(await createUser(database.db, { company, preferences: TERMS_ACCEPTED }));
+
+    assert.equal((await getDashboardStats(scope)).totalBotQuestions, 0);
+
+    await app.request('/api/chat', { method: 'POST', token, body: { question: 'First question?' } });
+    await app.request('/api/chat', { method: 'POST', token, body: { question: 'Second question?' } });
+    // Refused questions are not counted
+    await app.request('/api/chat', { method: 'POST', token, body: { question: '' } });
+
+    assert.equal((await getDashboardStats(scope)).totalBotQuestions, 2);
+    assert.ok((await getDashboardStats(null)).totalBotQuestions >= 2);
+});
@@ -0,0 +1,122 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { startTestDatabase, createUser, createLesson } from './helpers/testDatabase.js';
+import { startTestApp, signIn } from './helpers/testApp.js';
+
+const TERMS_ACCEPTED = { program_type: 'daily_video', chat_terms_accepted: true };
+
+let database;
+let app;
+const promptsSent = [];
+
+before(async () => {
+    database = await startTestDatabase();
+    const { default: chatRoutes } = await import('../src/routes/chat.js');
+    app = await startTestApp({ '/api/chat': chatRoutes });
+
+    const { getLLMProvider } = await import('../src/services/llm.js');
+    const provider = getLLMProvider();
+    const complete = provider.complete;
+    provider.complete = async (request) => {
+        promptsSent.push(request.messages);
+        return complete(request);
+    };
+});
+
+after(async () => {
+    await app.close();
+    await database.close();
+});
+
+// Helper: a learner with a session
+const signInLearner = async () => {
+    const user = await createUser(database.db, { preferences: TERMS_ACCEPTED });
+    return { user, token: await signIn(user) };
+};
+
+const ask = async (token, body) => {
+    const response = await app.request('/api/chat', { method: 'POST', token, body });
+    assert.equal(response.status, 200);
+    return response.json();
+};
+
+test('follow-up questions continue the conversation with its history', async () => {
+    const { token } = await signInLearner();
+    const lesson = await createLesson(database.db, { title: 'Ladders' });
+
+    const first = await ask(token, { question: 'How high can I climb?', lessonId: lesson.id });
+    const second = await ask(token, { question: 'And on a roof?', conversationId: first.conversationId });
+
+    assert.equal(second.conversationId, first.conversationId);
+    // The conversation stays on its lesson
+    assert.equal(second.lessonId, lesson.id);
+
+    const prompt = promptsSent.at(-1);
+    const turns = prompt.filter(message => message.role !== 'system');
+    assert.deepEqual(turns.map(turn => turn.role), ['user', 'assistant', 'user']);
+    assert.equal(turns[0].content, 'How high can I climb?');
+    assert.equal(turns[2].content, 'And on a roof?');
+});
+
+test('GET /conversations lists only the learner\'s conversations, newest first, with paging', async () => {
+    const { user, token } = await signInLearner();
+    const lesson = await createLesson(database.db, { title: 'Cranes' });
+    const older = await ask(token, { question: 'First?' });
+    const newer = await ask(token, { question: 'Second?', lessonId: lesson.id });
+    await ask((await signInLearner()).token, { question: 'Someone else?' });
+
+    const response = await app.request('/api/chat/conversations?limit=1', { token });
+    assert.equal(response.status, 200);
+    const body = await response.json();
+    assert.deepEqual(body.pagination, { currentPage: 1, totalPages: 2, totalConversations: 2, conversationsPerPage: 1 });
+    assert.equal(body.conversations[0].id, newer.conversationId);
+    assert.equal(body.conversations[0].lessonTitle, 'Cranes');
+
+    const secondPage = await (await app.request('/api/chat/conversations?limit=1&page=2', { token })).json();
+    assert.equal(secondPage.conversations[0].id, older.conversationId);
+    assert.equal(secondPage.conversations[0].lessonTitle, null);
+
+    const forLesson = await (await app.request(`/api/chat/conversations?lessonId=${lesson.id}`, { token })).json();
+    assert.deepEqual(forLesson.conversations.map(conversation => conversation.id), [newer.conversationId]);
+
+    const { rows } = await database.db.query('SELECT COUNT(*)::int AS count FROM chat_conversations WHERE user_id = $1', [user.id]);
+    assert.equal(rows[0].count, 2);
+});
+
+test('GET /conversations/:id returns the messages in order, only to their owner', async () => {
+    const { token } = await signInLearner();
+    const { conversationId } = await ask(token, { question: 'What is a toolbox talk?' });
+    await ask(token, { question: 'Who leads it?', conversationId });
+
+    const response = await app.request(`/api/chat/conversations/${conversationId}`, { token });
+    assert.equal(response.status, 200);
+    const { conversation } = await response.json();
+    assert.equal(conversation.title, 'What is a toolbox talk?');
+    assert.deepEqual(conversation.messages.map(message => message.role), ['user', 'assistant', 'user', 'assistant']);
+    assert.equal(conversation.messages[2].content, 'Who leads it?');
+    assert.equal(conversation.messages[1].feedback, null);
+
+    const { token: otherToken } = await signInLearner();
+    assert.equal((await app.request(`/api/chat/conversations/${conversationId}`, { token: otherToken })).status, 404);
+    assert.equal((await app.request('/api/chat/conversations/not-a-uuid', { token })).status, 404);
+
+    // Nor can someone else continue it
+    const hijack = await app.request('/api/chat', { method: 'POST', token: otherToken, body: { question: 'Hi?', conversationId } });
+    assert.equal(hijack.status, 404);
+});
+
+test('DELETE /conversations/:id removes the conversation and its messages', async () => {
+    const { token } = await signInLearner();
+    const { token: otherToken } = await signInLearner();
+    const { conversationId } = await ask(token, { question: 'Delete me?' });
+
+    assert.equal((await app.request(`/api/chat/conversations/${conversationId}`, { method: 'DELETE', token: otherToken })).status, 404);
+
+    const response = await app.request(`/api/chat/conversations/${conversationId}`, { method: 'DELETE', token });
+    assert.equal(response.status, 200);
+
+    const { rows } = await database.db.query('SELECT COUNT(*)::int AS count FROM chat_messages WHERE conversation_id = $1', [conversationId]);
+    assert.equal(rows[0].count, 0);
+    assert.equal((await app.request(`/api/chat/conversations/${conversationId}`, { token })).status, 404);
+    assert.equal((await app.request(`/api/chat/conversations/${conversationId}`, { method: 'DELETE', token })).status, 404);
+});
@@ -0,0 +1,96 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { startTestDatabase, createUser, createLesson, insertRow } from './helpers/testDatabase.js';
+import { startTestApp, signIn } from './helpers/testApp.js';
+
+const TERMS_ACCEPTED = { program_type: 'daily_video', chat_terms_accepted: true };
+
+let database;
+let app;
+
+before(async () => {
+    database = await startTestDatabase();
+    const { default: chatRoutes } = await import('../src/routes/chat.js');
+    const { default: supportRoutes } = await import('../src/routes/support.js');
+    app = await startTestApp({ '/api/chat': chatRoutes, '/api/support': supportRoutes });
+});
+
+after(async () => {
+    await app.close();
+    await database.close();
+});
+
+// Helper: a learner with a one-question conversation about a lesson
+const startConversation = async () => {
+    const user = await createUser(database.db, { preferences: TERMS_ACCEPTED });
+    const token = await signIn(user);
+    const lesson = await createLesson(database.db, { title: 'Scaffolding' });
+
+    const response = await app.request('/api/chat', {
+        method: 'POST',
+        token,
+        body: { question: 'Who inspects the scaffold?', lessonId: lesson.id }
+    });
+    assert.equal(response.status, 200);
+    const { conversationId } = await response.json();
+    return { user, token, lesson, conversationId };
+};
+
+const escalate = (conversationId, token, body = {}) => app.request(`/api/chat/conversations/${conversationId}/escalate`, {
+    method: 'POST', token, body
+});
+
+test('escalating a conversation opens a ticket with the transcript and links it back', async () => {
+    const { token, lesson, conversationId } = await startConversation();
+
+    const response = await escalate(conversationId, token, { note: 'The bot did not know', priority: 'high' });
+    assert.equal(response.status, 201);
+    const { ticket } = await response.json();
+
+    assert.equal(ticket.title, 'שאלה מהבוט: Who inspects the scaffold?');
+    assert.equal(ticket.description, 'The bot did not know');
+    assert.equal(ticket.priority, 'high');
+    assert.equal(ticket.status, 'open');
+    assert.equal(ticket.chatConversationId, conversationId);
+
+    const [message] = ticket.messages;
+    assert.ok(message.message.startsWith('The bot did not know\n\n'));
+    assert.ok(message.message.includes(`שיעור: Scaffolding (${lesson.id})`));
+    assert.ok(message.message.includes('לומד:\nWho inspects the scaffold?'));
+    assert.ok(message.message.includes('בוט:\n'));
+
+    const { rows } = await database.db.query('SELECT support_ticket_id FROM chat_conversations WHERE id = $1', [conversationId]);
+    assert.equal(rows[0].support_ticket_id, ticket.id);
+
+    // The learner sees it with their other tickets
+    const fetched = await app.request(`/api/support/tickets/${ticket.id}`, { token });
+    assert.equal((await fetched.json()).ticket.chatConversationId, conversationId);
+});
+
+test('a conversation is escalated once', async () => {
+    const { token, conversationId } = await startConversation();
+    const { ticket } = await (await escalate(conversationId, token)).json();
+    assert.equal(ticket.priority, 'medium');
+    // Without a note the question is the description
+    assert.equal(ticket.description, 'Who inspects the scaffold?');
+
+    const again = await escalate(conversationId, token);
+    assert.equal(again.status, 409);
+    assert.equal((await again.json()).ticketId, ticket.id);
+
+    const { rows } = await database.db.query('SELECT COUNT(*)::int AS count FROM support_tickets WHERE chat_conversation_id = $1', [conversationId]);
+    assert.equal(rows[0].count, 1);
+});
+
+test('only the learner\'s own, non-empty conversations can be escalated', async () => {
+    const { conversationId } = await startConversation();
+    const { user, token } = await startConversation();
+
+    assert.equal((await escalate(conversationId, token)).status, 404);
+    assert.equal((await escalate(conversationId, token, { priority: 'asap' })).status, 400);
+
+    const empty = await insertRow(database.db, 'chat_conversations', { user_id: user.id, title: 'Empty' });
+    const response = await escalate(empty.id, token);
+    assert.equal(response.status, 400);
+    assert.equal((await response.json()).error, 'Empty conversation');
+});
@@ -0,0 +1,101 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { startTestDatabase, createUser, createLesson } from './helpers/testDatabase.js';
+import { startTestApp, signIn } from './helpers/testApp.js';
+
+const TERMS_ACCEPTED = { program_type: 'daily_video', chat_terms_accepted: true };
+
+let database;
+let app;
+let learner;
+let learnerToken;
+let lesson;
+const answers = [];
+
+before(async () => {
+    database = await startTestDatabase();
+    const { default: chatRoutes } = await import('../src/routes/chat.js');
+    const { default: analyticsRoutes } = await import('../src/routes/analytics.js');
+    app = await startTestApp({ '/api/chat': chatRoutes, '/api/analytics': analyticsRoutes });
+
+    learner = await createUser(database.db, { preferences: TERMS_ACCEPTED });
+    learnerToken = await signIn(learner);
+    lesson = await createLesson(database.db, { title: 'Harness basics' });
+
+    // Two spellings of the same question
+    for (const question of ['מה זה רתמה?', 'מה זה  רתמה']) {
+        const response = await app.request('/api/chat', { method: 'POST', token: learnerToken, body: { question, lessonId: lesson.id } });
+        assert.equal(response.status, 200);
+        answers.push(await response.json());
+    }
+});
+
+after(async () => {
+    await app.close();
+    await database.close();
+});
+
+const rate = (messageId, body, token = learnerToken) => app.request(`/api/chat/messages/${messageId}/feedback`, { method: 'POST', token, body });
+
+const feedbackRows = async (messageId) => (await database.db.query(
+    'SELECT rating, comment FROM chat_message_feedback WHERE message_id = $1',
+    [messageId]
+)).rows;
+
+test('learners rate an answer, and rating again replaces the rating', async () => {
+    const [answer] = answers;
+
+    let response = await rate(answer.messageId, { rating: 'up' });
+    assert.equal(response.status, 200);
+    assert.equal((await response.json()).feedback.rating, 'up');
+
+    response = await rate(answer.messageId, { rating: 'down', comment: '  Too vague  ' });
+    assert.equal(response.status, 200);
+    assert.deepEqual(await feedbackRows(answer.messageId), [{ rating: 'down', comment: 'Too vague' }]);
+});
+
+test('only the learner\'s own answers can be rated, with a valid rating', async () => {
+    const [answer] = answers;
+    const other = await signIn(await createUser(database.db, { preferences: TERMS_ACCEPTED }));
+
+    assert.equal((await rate(answer.messageId, { rating: 'up' }, other)).status, 404);
+    assert.equal((await rate('not-a-uuid', { rating: 'up' })).status, 404);
+    assert.equal((await rate(answer.messageId, { rating: 'meh' })).status, 400);
+    assert.equal((await rate(answer.messageId, { rating: 'up', comment: 'x'.repeat(1001) })).status, 400);
+
+    const { rows } = await database.db.query(
+        "SELECT id FROM chat_messages WHERE user_id = $1 AND role = 'user' LIMIT 1",
+        [learner.id]
+    );
+    const question = await rate(rows[0].id, { rating: 'up' });
+    assert.equal(question.status, 400);
+    assert.equal((await question.json()).error, 'Invalid message');
+});
+
+test('chat analytics count questions, lessons and downvotes for admins', async () => {
+    const adminToken = await signIn(await createUser(database.db, { role: 'admin' }));
+
+    const response = await app.request('/api/analytics/chat?days=7', { token: adminToken });
+    assert.equal(response.status, 200);
+    const { data } = await response.json();
+
+    assert.deepEqual(data.totals, {
+        questions: 2,
+        answers: 2,
+        conversations: 2,
+        activeUsers: 1,
+        ratedAnswers: 1,
+        upvotes: 0,
+        downvotes: 1,
+        downvoteRate: 100,
+        feedbackRate: 50
+    });
+    assert.deepEqual(data.topQuestions, [{ question: 'מה זה רתמה?', count: 2 }]);
+    assert.deepEqual(data.topLessons, [{ lessonId: lesson.id, title: 'Harness basics', questions: 2 }]);
+    assert.equal(data.recentDownvotes[0].messageId, answers[0].messageId);
+    assert.equal(data.recentDownvotes[0].comment, 'Too vague');
+    assert.equal(data.volumeByDay.reduce((sum, day) => sum + day.questions, 0), 2);
+
+    assert.equal((await app.request('/api/analytics/chat?from=yesterday', { token: adminToken })).status, 400);
+    assert.equal((await app.request('/api/analytics/chat', { token: learnerToken })).status, 403);
+});
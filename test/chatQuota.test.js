@@ -0,0 +1,205 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { startTestDatabase, createUser } from './helpers/testDatabase.js';
+import { startTestApp, signIn } from './helpers/testApp.js';
+
+const QUOTAS = {
+    default: { daily: 3, monthly: 100 },
+    roles: { admin: { daily: null, monthly: null } },
+    companies: { Acme: { daily: 5 } },
+    users: {},
+    company_pools: { Pooled: { daily: 4 } }
+};
+
+let database;
+let quota;
+let app;
+let provider;
+
+before(async () => {
+    // Settings are re-read on every call
+    process.env.SETTINGS_CACHE_TTL_MS = '1';
+    database = await startTestDatabase();
+    await database.db.query('UPDATE system_settings SET value = $1 WHERE key = $2', [JSON.stringify(QUOTAS), 'chat_quotas']);
+    quota = await import('../src/services/chatQuota.js');
+
+    const { default: chatRoutes } = await import('../src/routes/chat.js');
+    app = await startTestApp({ '/api/chat': chatRoutes });
+    provider = (await import('../src/services/llm.js')).getLLMProvider();
+});
+
+after(async () => {
+    await app.close();
+    await database.close();
+});
+
+// Helper: a conversation of a user, as the chat route creates it
+const createConversation = async (user) => {
+    const result = await database.db.query('INSERT INTO chat_conversations (user_id) VALUES ($1) RETURNING id', [user.id]);
+    return result.rows[0].id;
+};
+
+const askQuestions = async (user, count) => {
+    const conversationId = await createConversation(user);
+    for (let i = 0; i < count; i++) {
+        const { usageId } = await quota.reserveChatQuestion(user, conversationId);
+        assert.ok(usageId, 'question reserved');
+    }
+    return conversationId;
+};
+
+test('resolveUserLimits applies user, company, role and default limits field by field', () => {
+    const config = { ...QUOTAS, users: { 'user-1': { monthly: 7 } } };
+
+    assert.deepEqual(quota.resolveUserLimits(config, { id: 'user-2', role: 'learner' }), { daily: 3, monthly: 100 });
+    assert.deepEqual(quota.resolveUserLimits(config, { id: 'user-2', role: 'learner', company: 'Acme' }), { daily: 5, monthly: 100 });
+    assert.deepEqual(quota.resolveUserLimits(config, { id: 'user-1', role: 'learner', company: 'Acme' }), { daily: 5, monthly: 7 });
+    assert.deepEqual(quota.resolveUserLimits(config, { id: 'user-2', role: 'admin' }), { daily: null, monthly: null });
+});
+
+test('findExceededQuota reports the monthly quota before the daily one', () => {
+    const period = (limit, used) => ({ limit, used, remaining: null, resetAt: 'reset' });
+
+    assert.equal(quota.findExceededQuota({ user: { daily: period(3, 2), monthly: period(10, 2) }, company: null }), null);
+    assert.deepEqual(
+        quota.findExceededQuota({ user: { daily: period(3, 3), monthly: period(3, 3) }, company: null }),
+        { scope: 'user', period: 'monthly', limit: 3, used: 3, resetAt: 'reset' }
+    );
+    assert.equal(quota.findExceededQuota({ user: { daily: period(null, 50), monthly: period(null, 50) }, company: null }), null);
+});
+
+test('questions are counted per user for the current day', async () => {
+    const user = await createUser(database.db);
+    const other = await createUser(database.db);
+    await askQuestions(user, 2);
+    await askQuestions(other, 1);
+
+    // A question from long ago counts for neither period
+    await database.db.query(
+        `INSERT INTO chat_usage (user_id, created_at) VALUES ($1, NOW() - INTERVAL '40 days')`,
+        [user.id]
+    );
+
+    const status = await quota.getChatQuotaStatus(user);
+    assert.equal(status.user.daily.used, 2);
+    assert.equal(status.user.daily.remaining, 1);
+    assert.equal(status.user.monthly.used, 2);
+    assert.equal(quota.findExceededQuota(status), null);
+
+    await askQuestions(user, 1);
+    const exceeded = quota.findExceededQuota(await quota.getChatQuotaStatus(user));
+    assert.equal(exceeded.scope, 'user');
+    assert.equal(exceeded.period, 'daily');
+});
+
+test('deleting a conversation does not give questions back', async () => {
+    const user = await createUser(database.db);
+    const conversationId = await askQuestions(user, 3);
+
+    await database.db.query('DELETE FROM chat_conversations WHERE id = $1', [conversationId]);
+
+    const status = await quota.getChatQuotaStatus(user);
+    assert.equal(status.user.daily.used, 3);
+    assert.equal(quota.findExceededQuota(status).period, 'daily');
+});
+
+test('a company pool counts the questions of the whole company', async () => {
+    const first = await createUser(database.db, { company: 'Pooled' });
+    const second = await createUser(database.db, { company: 'Pooled' });
+    const outsider = await createUser(database.db, { company: 'Other' });
+    await askQuestions(first, 2);
+    await askQuestions(second, 1);
+    await askQuestions(outsider, 2);
+
+    let status = await quota.getChatQuotaStatus(second);
+    assert.deepEqual(
+        { name: status.company.name, used: status.company.daily.used, limit: status.company.daily.limit },
+        { name: 'Pooled', used: 3, limit: 4 }
+    );
+    assert.equal(status.company.monthly.limit, null);
+    assert.equal(quota.findExceededQuota(status), null);
+
+    await askQuestions(first, 1);
+    status = await quota.getChatQuotaStatus(second);
+    assert.deepEqual(quota.findExceededQuota(status), {
+        scope: 'company',
+        period: 'daily',
+        limit: 4,
+        used: 4,
+        resetAt: status.company.daily.resetAt
+    });
+
+    assert.equal((await quota.getChatQuotaStatus(outsider)).company, null);
+});
+
+test('reserveChatQuestion refuses questions past the limit without counting them', async () => {
+    const user = await createUser(database.db);
+    await askQuestions(user, 3);
+
+    const { usageId, exceeded } = await quota.reserveChatQuestion(user);
+    assert.equal(usageId, null);
+    assert.deepEqual(
+        { scope: exceeded.scope, period: exceeded.period, limit: exceeded.limit, used: exceeded.used },
+        { scope: 'user', period: 'daily', limit: 3, used: 3 }
+    );
+    assert.equal(exceeded.resetAt, (await quota.getChatQuotaStatus(user)).user.daily.resetAt);
+    assert.equal((await quota.getChatQuotaStatus(user)).user.daily.used, 3);
+});
+
+test('concurrent questions never overshoot the limit', async () => {
+    const user = await createUser(database.db);
+    const results = await Promise.all(Array.from({ length: 6 }, () => quota.reserveChatQuestion(user)));
+
+    assert.equal(results.filter(result => result.usageId).length, 3);
+    assert.equal((await quota.getChatQuotaStatus(user)).user.daily.used, 3);
+});
+
+test('a question is counted before the answer - a learner at the limit gets 429', async () => {
+    const user = await createUser(database.db, { preferences: { chat_terms_accepted: true } });
+    const token = await signIn(user);
+    await askQuestions(user, 3);
+
+    const response = await app.request('/api/chat', { method: 'POST', token, body: { question: 'One more?' } });
+    assert.equal(response.status, 429);
+    assert.ok(Number(response.headers.get('retry-after')) > 0);
+    const body = await response.json();
+    assert.equal(body.error, 'Chat quota exceeded');
+    assert.equal(body.quota.period, 'daily');
+});
+
+test('an answer the learner walked away from still counts, a provider failure does not', async () => {
+    const user = await createUser(database.db, { preferences: { chat_terms_accepted: true } });
+    const token = await signIn(user);
+
+    const controller = new AbortController();
+    const response = await app.request('/api/chat', {
+        method: 'POST',
+        token,
+        body: { question: 'Tell me everything. '.repeat(80).trim(), stream: true },
+        signal: controller.signal
+    });
+    const reader = response.body.getReader();
+    await reader.read();
+    controller.abort();
+    await reader.cancel().catch(() => {});
+    assert.equal((await quota.getChatQuotaStatus(user)).user.daily.used, 1);
+
+    const complete = provider.complete;
+    provider.complete = async () => {
+        throw new Error('upstream timeout');
+    };
+    try {
+        const failed = await app.request('/api/chat', { method: 'POST', token, body: { question: 'Still there?' } });
+        assert.equal(failed.status, 502);
+    } finally {
+        provider.complete = complete;
+    }
+    assert.equal((await quota.getChatQuotaStatus(user)).user.daily.used, 1);
+
+    const answered = await app.request('/api/chat', { method: 'POST', token, body: { question: 'Now?' } });
+    const { conversationId } = await answered.json();
+    const { rows } = await database.db.query('SELECT conversation_id FROM chat_usage WHERE user_id = $1 ORDER BY created_at', [user.id]);
+    assert.equal(rows.length, 2);
+    // New conversations are linked to the question once they are created
+    assert.equal(rows[1].conversation_id, conversationId);
+});
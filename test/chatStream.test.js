@@ -0,0 +1,143 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { startTestDatabase, createUser } from './helpers/testDatabase.js';
+import { startTestApp, signIn } from './helpers/testApp.js';
+
+const TERMS_ACCEPTED = { program_type: 'daily_video', chat_terms_accepted: true };
+
+let database;
+let app;
+let provider;
+
+before(async () => {
+    process.env.LLM_MOCK_STREAM_DELAY_MS = '2';
+    database = await startTestDatabase();
+    const { default: chatRoutes } = await import('../src/routes/chat.js');
+    app = await startTestApp({ '/api/chat': chatRoutes });
+
+    const { getLLMProvider } = await import('../src/services/llm.js');
+    provider = getLLMProvider();
+});
+
+after(async () => {
+    await app.close();
+    await database.close();
+});
+
+const signInLearner = async () => {
+    const user = await createUser(database.db, { preferences: TERMS_ACCEPTED });
+    return { user, token: await signIn(user) };
+};
+
+// Helper: parse a complete SSE body into { event, data } pairs (heartbeat comments skipped)
+const parseEvents = (text) => text
+    .split('\n\n')
+    .filter(block => block.startsWith('event: '))
+    .map(block => {
+        const [eventLine, dataLine] = block.split('\n');
+        return { event: eventLine.slice('event: '.length), data: JSON.parse(dataLine.slice('data: '.length)) };
+    });
+
+const streamQuestion = async (token, question) => {
+    const response = await app.request('/api/chat', {
+        method: 'POST',
+        token,
+        body: { question },
+        headers: { Accept: 'text/event-stream' }
+    });
+    assert.equal(response.status, 200);
+    assert.match(response.headers.get('content-type'), /^text\/event-stream/);
+    return parseEvents(await response.text());
+};
+
+const streamedText = (events) => events.filter(({ event }) => event === 'token').map(({ data }) => data.text).join('');
+
+test('answers stream as token events followed by a done event', async () => {
+    const { token } = await signInLearner();
+    const question = `Which knot holds a load line? ${'Explain every step of it. '.repeat(10)}`.trim();
+
+    const events = await streamQuestion(token, question);
+    const tokens = events.filter(({ event }) => event === 'token');
+    const done = events.at(-1);
+
+    assert.ok(tokens.length > 1, 'the answer arrives in several chunks');
+    assert.equal(done.event, 'done');
+    assert.equal(done.data.provider, 'mock');
+    assert.equal(done.data.moderation.flagged, false);
+    assert.ok(done.data.usage.totalTokens > 0);
+
+    const { rows } = await database.db.query(
+        'SELECT content FROM chat_messages WHERE id = $1',
+        [done.data.messageId]
+    );
+    assert.equal(rows[0].content, streamedText(events));
+    assert.ok(streamedText(events).includes(question));
+});
+
+test('a client that disconnects stops the provider and nothing is stored', async () => {
+    const { user, token } = await signInLearner();
+    const stream = provider.stream;
+    let upstreamSignal;
+    provider.stream = (request) => {
+        upstreamSignal = request.signal;
+        return stream(request);
+    };
+
+    try {
+        const controller = new AbortController();
+        const response = await app.request('/api/chat', {
+            method: 'POST',
+            token,
+            body: { question: 'Tell me everything. '.repeat(80).trim(), stream: true },
+            signal: controller.signal
+        });
+        const reader = response.body.getReader();
+        const { value } = await reader.read();
+        assert.match(new TextDecoder().decode(value), /event: token/);
+        controller.abort();
+        await reader.cancel().catch(() => {});
+
+        // The server notices the closed socket on its next write
+        for (let attempt = 0; attempt < 100 && !upstreamSignal.aborted; attempt++) {
+            await new Promise(resolve => setTimeout(resolve, 20));
+        }
+        assert.equal(upstreamSignal.aborted, true);
+    } finally {
+        provider.stream = stream;
+    }
+
+    const { rows } = await database.db.query(
+        `SELECT COUNT(*)::int AS count FROM chat_messages m
+         JOIN chat_conversations c ON c.id = m.conversation_id
+         WHERE c.user_id = $1 AND m.role = 'assistant'`,
+        [user.id]
+    );
+    assert.equal(rows[0].count, 0);
+});
+
+test('unsafe advice is held back: the learner gets the safety notice instead', async () => {
+    const { user, token } = await signInLearner();
+    const question = `${'Some background about the site. '.repeat(8)}Can I work without a harness on a low roof? ${'More detail. '.repeat(10)}`.trim();
+
+    const events = await streamQuestion(token, question);
+    const done = events.at(-1);
+    const text = streamedText(events);
+
+    assert.equal(done.event, 'done');
+    assert.equal(done.data.moderation.flagged, true);
+    assert.equal(done.data.moderation.reason, 'unsafe_advice');
+    assert.ok(!/without a harness/i.test(text), 'the unsafe passage never reaches the learner');
+    assert.ok(text.includes('Some background about the site.'), 'text before it is still streamed');
+    assert.ok(text.endsWith('ממונה הבטיחות באתר.'));
+
+    // The learner's history shows what they saw; the review queue keeps the full answer
+    const { rows: messages } = await database.db.query('SELECT content FROM chat_messages WHERE id = $1', [done.data.messageId]);
+    assert.equal(messages[0].content, text);
+
+    const { rows: flags } = await database.db.query(
+        "SELECT stage, content FROM chat_flags WHERE user_id = $1 AND stage = 'output'",
+        [user.id]
+    );
+    assert.equal(flags.length, 1);
+    assert.ok(flags[0].content.includes('without a harness'));
+});
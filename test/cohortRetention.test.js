@@ -0,0 +1,90 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { startTestDatabase, createUser, createLesson, insertRow } from './helpers/testDatabase.js';
+import { startTestApp, signIn } from './helpers/testApp.js';
+
+const COMPANY = 'Cohort Builders';
+
+let database;
+let app;
+let getCohortRetention;
+let scope;
+
+before(async () => {
+    database = await startTestDatabase();
+    ({ getCohortRetention } = await import('../src/services/cohortRetention.js'));
+    const { getAccessScope } = await import('../src/middleware/auth.js');
+    const { default: analyticsRoutes } = await import('../src/routes/analytics.js');
+    app = await startTestApp({ '/api/analytics': analyticsRoutes });
+    scope = getAccessScope({ role: 'manager', company: COMPANY });
+
+    const lessons = [await createLesson(database.db), await createLesson(database.db)];
+    const learner = async (preferences, completedDates = []) => {
+        const user = await createUser(database.db, { company: COMPANY, preferences });
+        for (const [index, date] of completedDates.entries()) {
+            await insertRow(database.db, 'lesson_progress', {
+                user_id: user.id, lesson_id: lessons[index].id, status: 'completed', completed_at: `${date}T10:00:00Z`
+            });
+        }
+    };
+
+    // Cohort of the week of 30.8: active in weeks 1 and 2 / only in week 1
+    await learner({ program_type: 'daily_video', program_start_date: '2026-09-01' }, ['2026-09-02', '2026-09-09']);
+    await learner({ program_type: 'daily_video', program_start_date: '2026-09-03' }, ['2026-09-05']);
+    // Cohort of 6.9, active in its second week only
+    await learner({ program_type: 'weekly_lesson', program_start_date: '2026-09-08' }, ['2026-09-16']);
+    // Started two days before "today": only week 1 counts
+    await learner({ program_type: 'daily_video', program_start_date: '2026-09-18' });
+    // Starts after "today"
+    await learner({ program_type: 'daily_video', program_start_date: '2026-10-01' });
+});
+
+after(async () => {
+    await app.close();
+    await database.close();
+});
+
+const rates = (weeks) => weeks.map(week => [week.eligible, week.active, week.retention]);
+
+test('learners are grouped by start week and program type, each week counted from their own start', async () => {
+    const { cohorts, programTypes } = await getCohortRetention({
+        weeks: 3, from: '2026-08-30', to: '2026-09-30', today: '2026-09-20', scope
+    });
+
+    assert.deepEqual(cohorts.map(cohort => [cohort.cohort, cohort.cohortEnd, cohort.programType, cohort.learners]), [
+        ['2026-08-30', '2026-09-05', 'daily_video', 2],
+        ['2026-09-06', '2026-09-12', 'weekly_lesson', 1],
+        ['2026-09-13', '2026-09-19', 'daily_video', 1]
+    ]);
+    assert.deepEqual(rates(cohorts[0].weeks), [[2, 2, 100], [2, 1, 50], [2, 0, 0]]);
+    // Weeks nobody reached yet have no retention
+    assert.deepEqual(rates(cohorts[1].weeks), [[1, 0, 0], [1, 1, 100], [0, 0, null]]);
+    assert.deepEqual(rates(cohorts[2].weeks), [[1, 0, 0], [0, 0, null], [0, 0, null]]);
+
+    assert.deepEqual(programTypes.map(group => [group.programType, group.learners]), [['daily_video', 3], ['weekly_lesson', 1]]);
+    assert.deepEqual(rates(programTypes[0].weeks), [[3, 2, 66.7], [2, 1, 50], [2, 0, 0]]);
+});
+
+test('cohorts are filtered by start date and program type', async () => {
+    const { cohorts } = await getCohortRetention({
+        weeks: 2, from: '2026-09-06', to: '2026-09-30', today: '2026-09-20', scope, programType: 'weekly_lesson'
+    });
+    assert.deepEqual(cohorts.map(cohort => cohort.cohort), ['2026-09-06']);
+});
+
+test('GET /api/analytics/cohorts validates its query for managers only', async () => {
+    const token = await signIn(await createUser(database.db, { role: 'manager', company: COMPANY }));
+
+    const response = await app.request('/api/analytics/cohorts?weeks=4&from=2026-08-30', { token });
+    assert.equal(response.status, 200);
+    const { data } = await response.json();
+    assert.equal(data.weeks, 4);
+    assert.equal(data.cohorts[0].cohort, '2026-08-30');
+    assert.equal(data.cohorts[0].weeks.length, 4);
+
+    assert.equal((await app.request('/api/analytics/cohorts?program_type=monthly', { token })).status, 400);
+    assert.equal((await app.request('/api/analytics/cohorts?from=30.8.2026', { token })).status, 400);
+
+    const learnerToken = await signIn(await createUser(database.db, { company: COMPANY }));
+    assert.equal((await app.request('/api/analytics/cohorts', { token: learnerToken })).status, 403);
+});
@@ -0,0 +1,98 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { startTestDatabase, createUser, createLesson, insertRow } from './helpers/testDatabase.js';
+import { createMailbox } from './helpers/mailbox.js';
+
+// Sunday 18.10.2026, 09:30 in Israel
+const SUNDAY_MORNING = new Date('2026-10-18T06:30:00Z');
+const FRIDAY_MORNING = new Date('2026-10-23T06:30:00Z');
+
+let database;
+let mailbox;
+let reminders;
+let settings;
+let firstLesson;
+
+before(async () => {
+    mailbox = createMailbox();
+    database = await startTestDatabase();
+    reminders = await import('../src/services/dailyReminders.js');
+    settings = await import('../src/services/settings.js');
+
+    firstLesson = await createLesson(database.db, { title: 'Reminder lesson 1', chapter_order: 1, lesson_number: 1 });
+    await createLesson(database.db, { title: 'Reminder lesson 2', chapter_order: 1, lesson_number: 2 });
+});
+
+after(async () => {
+    await database.close();
+    mailbox.close();
+});
+
+// Joined on Sunday morning: today's lesson is the first one
+const createLearner = (overrides = {}) => createUser(database.db, { created_at: '2026-10-18T04:00:00Z', ...overrides });
+
+const remindersOf = async (userId) => (await database.db.query(
+    "SELECT channel, period_key, status, error FROM notification_log WHERE user_id = $1 AND kind = 'daily_reminder' ORDER BY created_at",
+    [userId]
+)).rows;
+
+test('learners get one reminder a day once their notification time has passed', async () => {
+    const dueNow = await createLearner({ first_name: 'Dana' });
+    const later = await createLearner({ notification_time: '10:00' });
+    const optedOut = await createLearner({ notification_enabled: false });
+
+    const summary = await reminders.sendDueReminders({ now: SUNDAY_MORNING });
+    assert.equal(summary.failed, 0);
+
+    const [message] = mailbox.messagesTo(dueNow.email);
+    assert.equal(message.subject, 'השיעור היומי שלך מחכה: Reminder lesson 1');
+    assert.match(message.text, /Dana/);
+    assert.deepEqual(await remindersOf(dueNow.id), [{ channel: 'email', period_key: '2026-10-18', status: 'sent', error: null }]);
+    assert.deepEqual(await remindersOf(later.id), []);
+    assert.deepEqual(await remindersOf(optedOut.id), []);
+
+    // The next minute's run doesn't send again
+    await reminders.sendDueReminders({ now: new Date(SUNDAY_MORNING.getTime() + 60 * 1000) });
+    assert.equal(mailbox.messagesTo(dueNow.email).length, 1);
+
+    // A reminder missed during a restart is still sent within the window, not after it
+    await reminders.sendDueReminders({ now: new Date('2026-10-18T07:30:00Z') });
+    assert.equal(mailbox.messagesTo(later.email).length, 1);
+    const lateLearner = await createLearner({ notification_time: '06:00' });
+    await reminders.sendDueReminders({ now: new Date('2026-10-18T07:30:00Z') });
+    assert.deepEqual(await remindersOf(lateLearner.id), []);
+});
+
+test('learners who already finished today\'s lesson are skipped for the day', async () => {
+    const learner = await createLearner();
+    await insertRow(database.db, 'lesson_progress', {
+        user_id: learner.id, lesson_id: firstLesson.id, status: 'completed', completion_percentage: 100
+    });
+
+    await reminders.sendDueReminders({ now: SUNDAY_MORNING });
+    assert.deepEqual(await remindersOf(learner.id), [
+        { channel: 'none', period_key: '2026-10-18', status: 'skipped', error: 'Today\'s lesson already completed' }
+    ]);
+    assert.deepEqual(mailbox.messagesTo(learner.email), []);
+});
+
+test('daily_video learners get no reminder on Friday, weekly_lesson learners do', async () => {
+    const daily = await createLearner();
+    const weekly = await createLearner({ preferences: { program_type: 'weekly_lesson' } });
+
+    await reminders.sendDueReminders({ now: FRIDAY_MORNING });
+    assert.deepEqual(await remindersOf(daily.id), []);
+    assert.deepEqual((await remindersOf(weekly.id)).map(row => [row.period_key, row.status]), [['2026-10-23', 'sent']]);
+});
+
+test('nothing is sent while notifications are turned off in the settings', async () => {
+    const learner = await createLearner();
+    await database.db.query(
+        "INSERT INTO system_settings (key, value) VALUES ('notification_enabled', 'false') ON CONFLICT (key) DO UPDATE SET value = 'false'"
+    );
+    settings.clearSettingsCache('notification_enabled');
+
+    const summary = await reminders.sendDueReminders({ now: SUNDAY_MORNING });
+    assert.deepEqual(summary, { due: 0, sent: 0, skipped: 0, failed: 0 });
+    assert.deepEqual(await remindersOf(learner.id), []);
+});
@@ -0,0 +1,105 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { startTestDatabase, createUser, createLesson, insertRow } from './helpers/testDatabase.js';
+import { startTestApp, signIn } from './helpers/testApp.js';
+
+const COMPANY = 'Dashboard Builders';
+
+let database;
+let app;
+let getDashboardStats;
+
+before(async () => {
+    process.env.DASHBOARD_CACHE_TTL_MS = '60000';
+    database = await startTestDatabase();
+    ({ getDashboardStats } = await import('../src/services/dashboardStats.js'));
+    const { default: analyticsRoutes } = await import('../src/routes/analytics.js');
+    app = await startTestApp({ '/api/analytics': analyticsRoutes });
+
+    const lesson = await createLesson(database.db);
+    await createLesson(database.db, { is_published: false });
+
+    const finisher = await createUser(database.db, { company: COMPANY, team: 'North' });
+    await insertRow(database.db, 'lesson_progress', { user_id: finisher.id, lesson_id: lesson.id, status: 'completed' });
+    await insertRow(database.db, 'support_tickets', { user_id: finisher.id, title: 'Login', description: 'Cannot sign in' });
+    await insertRow(database.db, 'chat_usage', { user_id: finisher.id, company: COMPANY });
+    await insertRow(database.db, 'chat_usage', { user_id: finisher.id, company: COMPANY });
+
+    const idle = await createUser(database.db, { company: COMPANY, team: 'North', is_active: false });
+    await insertRow(database.db, 'lesson_progress', { user_id: idle.id, lesson_id: lesson.id });
+    await insertRow(database.db, 'support_tickets', { user_id: idle.id, title: 'Video', description: 'No sound', status: 'resolved' });
+
+    // Counted as a completer through the legacy counter only
+    const veteran = await createUser(database.db, { company: COMPANY, team: 'South', total_lessons_completed: 3 });
+    await insertRow(database.db, 'chat_usage', { user_id: veteran.id, company: COMPANY });
+
+    const outsider = await createUser(database.db, { company: 'Other Builders' });
+    await insertRow(database.db, 'lesson_progress', { user_id: outsider.id, lesson_id: lesson.id, status: 'completed' });
+    await insertRow(database.db, 'support_tickets', { user_id: outsider.id, title: 'Other', description: 'Other' });
+    await insertRow(database.db, 'chat_usage', { user_id: outsider.id, company: 'Other Builders' });
+});
+
+after(async () => {
+    await app.close();
+    await database.close();
+});
+
+const lessonCounts = async () => {
+    const { rows: [counts] } = await database.db.query(
+        'SELECT COUNT(*)::int AS total, (COUNT(*) FILTER (WHERE is_published))::int AS published FROM lessons'
+    );
+    return counts;
+};
+
+test('the counters are aggregated by the database for the scope\'s users', async () => {
+    const { total, published } = await lessonCounts();
+
+    assert.deepEqual(await getDashboardStats({ companies: [COMPANY], teams: [] }), {
+        totalUsers: 3,
+        activeUsers: 2,
+        totalLessons: total,
+        publishedLessons: published,
+        totalViews: 2,
+        totalSupportTickets: 2,
+        openSupportTickets: 1,
+        totalBotQuestions: 3,
+        usersWithCompletedLessons: 2
+    });
+
+    const north = await getDashboardStats({ companies: [COMPANY], teams: ['North'] });
+    assert.equal(north.totalUsers, 2);
+    assert.equal(north.totalBotQuestions, 2);
+    assert.equal(north.usersWithCompletedLessons, 1);
+});
+
+test('stats are cached per scope', async () => {
+    const scope = { companies: [COMPANY, 'Other Builders'], teams: ['South'] };
+    assert.equal((await getDashboardStats(scope)).totalUsers, 1);
+
+    await createUser(database.db, { company: COMPANY, team: 'South' });
+    assert.equal((await getDashboardStats(scope)).totalUsers, 1);
+    // Same companies and teams in another order share the entry
+    assert.equal((await getDashboardStats({ companies: ['Other Builders', COMPANY], teams: ['South'] })).totalUsers, 1);
+    assert.equal((await getDashboardStats({ companies: [COMPANY], teams: ['South', 'East'] })).totalUsers, 2);
+});
+
+test('GET /api/analytics/dashboard keeps its response shape', async () => {
+    const token = await signIn(await createUser(database.db, {
+        role: 'manager', company: 'Holding', managed_companies: [COMPANY, 'Other Builders']
+    }));
+
+    const response = await app.request(`/api/analytics/dashboard?company=${encodeURIComponent('Other Builders')}`, { token });
+    assert.equal(response.status, 200);
+    const { success, data } = await response.json();
+    assert.equal(success, true);
+    assert.deepEqual(Object.keys(data).sort(), [
+        'activeUsers', 'completionRate', 'openSupportTickets', 'publishedLessons', 'totalBotQuestions',
+        'totalLessons', 'totalSupportTickets', 'totalUsers', 'totalViews', 'usersWithCompletedLessons'
+    ]);
+    assert.equal(data.totalUsers, 1);
+    assert.equal(data.completionRate, 100);
+
+    assert.equal((await app.request('/api/analytics/dashboard?company=Elsewhere', { token })).status, 403);
+    const learnerToken = await signIn(await createUser(database.db, { company: COMPANY }));
+    assert.equal((await app.request('/api/analytics/dashboard', { token: learnerToken })).status, 403);
+});
@@ -0,0 +1,68 @@
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+
+/**
+ * Mail sent through the file transport (services/mailer.js), read back for assertions.
+ * Create the mailbox before anything sends mail - it points MAIL_OUTPUT_DIR at a temp dir.
+ */
+
+const decodeQuotedPrintable = (text) => Buffer.from(
+    text.replace(/=\r?\n/g, '').replace(/=([0-9A-F]{2})/gi, (_, hex) => String.fromCharCode(parseInt(hex, 16))),
+    'latin1'
+).toString('utf8');
+
+// Helper: decode RFC 2047 encoded words (=?UTF-8?B?...?=) in a header
+const decodeHeader = (value) => value
+    .replace(/\?=\s+=\?/g, '?==?')
+    .replace(/=\?UTF-8\?([BQ])\?([^?]*)\?=/gi, (_, encoding, text) => (encoding.toUpperCase() === 'B'
+        ? Buffer.from(text, 'base64').toString('utf8')
+        : decodeQuotedPrintable(text.replace(/_/g, ' '))));
+
+const decodeBody = (headers, body) => {
+    const encoding = /Content-Transfer-Encoding:\s*([\w-]+)/i.exec(headers)?.[1]?.toLowerCase();
+    if (encoding === 'base64') return Buffer.from(body.replace(/\s/g, ''), 'base64').toString('utf8');
+    if (encoding === 'quoted-printable') return decodeQuotedPrintable(body);
+    return body;
+};
+
+// Helper: subject, recipient and text / HTML bodies of a raw message
+const parseMessage = (raw) => {
+    const headerEnd = raw.search(/\r?\n\r?\n/);
+    const headers = raw.slice(0, headerEnd).replace(/\r?\n[ \t]+/g, ' ');
+    const message = {
+        to: /^To: (.*)$/m.exec(headers)?.[1].trim(),
+        subject: decodeHeader(/^Subject: (.*)$/m.exec(headers)?.[1].trim() || ''),
+        headers,
+        text: '',
+        html: ''
+    };
+
+    const partPattern = /(Content-Type: text\/(plain|html)[^]*?)\r?\n\r?\n([^]*?)(?=\r?\n--|$)/g;
+    for (const [, partHeaders, type, body] of raw.matchAll(partPattern)) {
+        message[type === 'plain' ? 'text' : 'html'] = decodeBody(partHeaders, body);
+    }
+    return message;
+};
+
+/**
+ * Start collecting mail in a temp dir
+ * @returns {Object} { dir, messagesTo(email), clear(), close() }
+ */
+export const createMailbox = () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'test-mail-'));
+    process.env.MAIL_TRANSPORT = 'file';
+    process.env.MAIL_OUTPUT_DIR = dir;
+
+    const files = () => fs.readdirSync(dir).filter(name => name.endsWith('.eml')).sort();
+
+    return {
+        dir,
+        // Messages to one address, oldest first
+        messagesTo: (email) => files()
+            .filter(name => name.endsWith(`-${email}.eml`))
+            .map(name => parseMessage(fs.readFileSync(path.join(dir, name), 'utf8'))),
+        clear: () => files().forEach(name => fs.rmSync(path.join(dir, name))),
+        close: () => fs.rmSync(dir, { recursive: true, force: true })
+    };
+};
@@ -0,0 +1,55 @@
+import express from 'express';
+
+/**
+ * Express app for route tests: the given routers mounted as in server.js, on a free port.
+ * Start the test database first - routers import supabaseAdmin.
+ */
+
+process.env.JWT_SECRET = process.env.JWT_SECRET || 'test-jwt-secret';
+
+/**
+ * Start an app serving some routers
+ * @param {Object} routes - mount path -> router (e.g. { '/api/chat': chatRoutes })
+ * @returns {Promise<Object>} { url, request, close } - request(path, options) calls the app with fetch
+ */
+export const startTestApp = async (routes) => {
+    const app = express();
+    app.use(express.json());
+    Object.entries(routes).forEach(([mountPath, router]) => app.use(mountPath, router));
+
+    const server = await new Promise(resolve => {
+        const listening = app.listen(0, '127.0.0.1', () => resolve(listening));
+    });
+    const url = `http://127.0.0.1:${server.address().port}`;
+
+    const request = (requestPath, { method = 'GET', token, body, headers = {}, signal } = {}) => fetch(`${url}${requestPath}`, {
+        method,
+        signal,
+        headers: {
+            ...(body !== undefined ? { 'Content-Type': 'application/json' } : {}),
+            ...(token ? { Authorization: `Bearer ${token}` } : {}),
+            ...headers
+        },
+        body: body !== undefined ? JSON.stringify(body) : undefined
+    });
+
+    return {
+        url,
+        request,
+        close: () => new Promise(resolve => {
+            server.closeAllConnections();
+            server.close(resolve);
+        })
+    };
+};
+
+/**
+ * Access token of a new session of a user
+ * @param {Object} user - User row
+ * @returns {Promise<string>} Access token
+ */
+export const signIn = async (user) => {
+    const { issueTokens } = await import('../../src/services/authTokens.js');
+    const { accessToken } = await issueTokens(user);
+    return accessToken;
+};
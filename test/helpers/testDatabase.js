@@ -0,0 +1,514 @@
+import http from 'http';
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { PGlite, types } from '@electric-sql/pglite';
+import { btree_gin } from '@electric-sql/pglite/contrib/btree_gin';
+
+/**
+ * Test database: every migration in src/DB loaded into PGlite (Postgres in WASM),
+ * behind a small PostgREST-compatible HTTP server so services run unchanged through
+ * supabaseAdmin. Only the PostgREST features the services use are implemented:
+ * column lists and embedded resources (alias:table!hint!inner(...)), the usual filters
+ * (also on embedded columns and inside or=(...)), order, range, exact counts, single
+ * objects, upserts and RPC calls.
+ */
+
+const DB_DIR = path.resolve(path.dirname(fileURLToPath(import.meta.url)), '../../src/DB');
+
+// What Supabase provides before the migrations run
+const SUPABASE_SETUP = `
+    CREATE SCHEMA auth;
+    CREATE FUNCTION auth.uid() RETURNS uuid LANGUAGE sql STABLE AS $$ SELECT NULL::uuid $$;
+    CREATE ROLE authenticated;
+    CREATE ROLE anon;
+`;
+
+const FILTER_OPERATORS = {
+    eq: '=', neq: '<>', gt: '>', gte: '>=', lt: '<', lte: '<=', like: 'LIKE', ilike: 'ILIKE', cs: '@>', ov: '&&'
+};
+
+// Query parameters that aren't column filters
+const RESERVED_PARAMS = new Set(['select', 'order', 'limit', 'offset', 'columns', 'on_conflict']);
+
+const ARRAY_COLUMNS_SQL = `
+    SELECT column_name AS name FROM information_schema.columns
+    WHERE table_schema = 'public' AND table_name = $1 AND data_type = 'ARRAY'`;
+const ARRAY_ARGUMENTS_SQL = `
+    SELECT p.parameter_name AS name FROM information_schema.parameters p
+    JOIN information_schema.routines r ON r.specific_name = p.specific_name
+    WHERE r.routine_schema = 'public' AND r.routine_name = $1 AND p.data_type = 'ARRAY'`;
+const FOREIGN_KEYS_SQL = `
+    SELECT con.conname AS name, src.relname AS source, tgt.relname AS target,
+           src_col.attname AS source_column, tgt_col.attname AS target_column
+    FROM pg_constraint con
+    JOIN pg_class src ON src.oid = con.conrelid
+    JOIN pg_class tgt ON tgt.oid = con.confrelid
+    JOIN pg_attribute src_col ON src_col.attrelid = con.conrelid AND src_col.attnum = con.conkey[1]
+    JOIN pg_attribute tgt_col ON tgt_col.attrelid = con.confrelid AND tgt_col.attnum = con.confkey[1]
+    WHERE con.contype = 'f'`;
+
+const quoteIdent = (name) => {
+    if (!/^[a-z_][a-z0-9_]*$/i.test(name)) throw new Error(`Unsupported identifier: ${name}`);
+    return `"${name}"`;
+};
+
+// Helper: a filter column, which may be a JSON path (preferences->>program_type)
+const quoteColumn = (column) => {
+    const [name, ...path] = column.split(/(->>?)/);
+    let expression = quoteIdent(name);
+    for (let index = 0; index < path.length; index += 2) {
+        expression += `${path[index]}'${quoteIdent(path[index + 1]).slice(1, -1)}'`;
+    }
+    return expression;
+};
+
+const unquote = (value) => value.replace(/^"(.*)"$/s, '$1');
+
+// Helper: values are sent as text and cast by Postgres to the column type
+const toParam = (value) => {
+    if (value === null || value === undefined) return null;
+    if (typeof value === 'object') return JSON.stringify(value);
+    return String(value);
+};
+
+// Schema lookups, cached per database
+const schemaCache = new WeakMap();
+
+const cachedQuery = async (db, key, sql, params = []) => {
+    if (!schemaCache.has(db)) schemaCache.set(db, new Map());
+    const cache = schemaCache.get(db);
+    if (!cache.has(key)) cache.set(key, (await db.query(sql, params)).rows);
+    return cache.get(key);
+};
+
+// Array columns and function arguments (TEXT[], UUID[]) take Postgres array literals instead of JSON
+const getArrayNames = async (db, kind, name) => new Set(
+    (await cachedQuery(db, `${kind}:${name}`, kind === 'rpc' ? ARRAY_ARGUMENTS_SQL : ARRAY_COLUMNS_SQL, [name]))
+        .map(row => row.name)
+);
+
+const toArrayLiteral = (values) => `{${values
+    .map(value => value === null ? 'NULL' : `"${String(value).replace(/["\\]/g, '\\$&')}"`)
+    .join(',')}}`;
+
+// Helper: parameter for a column (or function argument) value
+const toColumnParam = (arrayNames, column, value) => (
+    Array.isArray(value) && arrayNames.has(column) ? toArrayLiteral(value) : toParam(value)
+);
+
+// Helper: split on commas outside parentheses and quotes
+const splitTopLevel = (text) => {
+    const parts = [];
+    let depth = 0;
+    let quoted = false;
+    let current = '';
+
+    for (const char of text) {
+        if (char === '"') quoted = !quoted;
+        if (!quoted && char === '(') depth++;
+        if (!quoted && char === ')') depth--;
+        if (!quoted && depth === 0 && char === ',') {
+            parts.push(current.trim());
+            current = '';
+        } else {
+            current += char;
+        }
+    }
+    if (current.trim()) parts.push(current.trim());
+    return parts;
+};
+
+/**
+ * Parse a select parameter into columns and embedded resources
+ * "*, lesson:lessons(id, title), user:users!fkey!inner(company)" ->
+ * { columns: [{ alias, column }], embeds: [{ alias, table, hint, inner, select }] }
+ */
+const parseSelect = (select) => {
+    const parsed = { columns: [], embeds: [] };
+
+    splitTopLevel(select || '*').forEach(item => {
+        const embed = /^(?:(\w+):)?(\w+)((?:!\w+)*)\((.*)\)$/s.exec(item);
+        if (embed) {
+            const [, alias, table, hints, inner] = embed;
+            const flags = hints.split('!').filter(Boolean);
+            parsed.embeds.push({
+                alias: alias || table,
+                table,
+                hint: flags.find(flag => flag !== 'inner') || null,
+                inner: flags.includes('inner'),
+                select: parseSelect(inner)
+            });
+        } else {
+            const [alias, column] = item.includes(':') ? item.split(':') : [item, item];
+            parsed.columns.push({ alias: alias.trim(), column: column.trim() });
+        }
+    });
+
+    return parsed;
+};
+
+// Helper: one filter (column=operator.value) as SQL
+const buildCondition = (column, filter, params) => {
+    const negated = filter.startsWith('not.');
+    const expression = negated ? filter.slice(4) : filter;
+    const separator = expression.indexOf('.');
+    const operator = expression.slice(0, separator);
+    const value = expression.slice(separator + 1);
+    let condition;
+
+    if (FILTER_OPERATORS[operator]) {
+        params.push(['cs', 'ov'].includes(operator) ? value : unquote(value));
+        condition = `${quoteColumn(column)} ${FILTER_OPERATORS[operator]} $${params.length}`;
+    } else if (operator === 'is') {
+        const keyword = { null: 'NULL', true: 'TRUE', false: 'FALSE' }[value];
+        if (!keyword) throw new Error(`Unsupported is filter: ${value}`);
+        condition = `${quoteColumn(column)} IS ${keyword}`;
+    } else if (operator === 'in') {
+        const values = splitTopLevel(value.replace(/^\((.*)\)$/s, '$1')).map(unquote);
+        if (values.length === 0) return 'FALSE';
+        const placeholders = values.map(item => {
+            params.push(item);
+            return `$${params.length}`;
+        });
+        condition = `${quoteColumn(column)} IN (${placeholders.join(', ')})`;
+    } else {
+        throw new Error(`Unsupported filter: ${column}=${filter}`);
+    }
+
+    return negated ? `NOT (${condition})` : condition;
+};
+
+// Helper: or=(a.is.null,b.lt."x") as SQL
+const buildOrCondition = (filter, params) => {
+    const conditions = splitTopLevel(filter.replace(/^\((.*)\)$/s, '$1')).map(term => {
+        const separator = term.indexOf('.');
+        return buildCondition(term.slice(0, separator), term.slice(separator + 1), params);
+    });
+    return `(${conditions.join(' OR ')})`;
+};
+
+// Helper: filter parameters by the embedded resource they apply to
+// ('' for the table itself, 'user' for user.company=in.(...))
+const groupFilters = (searchParams) => {
+    const groups = new Map();
+
+    for (const [key, filter] of searchParams) {
+        if (RESERVED_PARAMS.has(key)) continue;
+        const separator = key.lastIndexOf('.');
+        const embedPath = separator === -1 ? '' : key.slice(0, separator);
+        const column = separator === -1 ? key : key.slice(separator + 1);
+        if (!groups.has(embedPath)) groups.set(embedPath, []);
+        groups.get(embedPath).push([column, filter]);
+    }
+
+    return groups;
+};
+
+const buildConditions = (filters = [], params) => filters.map(([column, filter]) => (
+    column === 'or' ? buildOrCondition(filter, params) : buildCondition(column, filter, params)
+));
+
+const buildWhere = (filters, params) => {
+    const conditions = buildConditions(filters, params);
+    return conditions.length > 0 ? ` WHERE ${conditions.join(' AND ')}` : '';
+};
+
+const buildOrder = (order) => {
+    if (!order) return '';
+    return ' ORDER BY ' + order.split(',').map(term => {
+        const [column, ...options] = term.split('.');
+        const direction = options.includes('desc') ? 'DESC' : 'ASC';
+        const nulls = options.includes('nullsfirst') ? ' NULLS FIRST' : options.includes('nullslast') ? ' NULLS LAST' : '';
+        return `${quoteIdent(column)} ${direction}${nulls}`;
+    }).join(', ');
+};
+
+// Helper: the foreign key an embedded resource follows. Many-to-one (the row references
+// the embedded one) embeds an object, one-to-many an array.
+const findRelationship = async (db, table, embed) => {
+    const foreignKeys = await cachedQuery(db, 'foreign_keys', FOREIGN_KEYS_SQL);
+    const toOne = foreignKeys.filter(fk => fk.source === table && fk.target === embed.table);
+    const toMany = foreignKeys.filter(fk => fk.source === embed.table && fk.target === table);
+
+    const byHint = (fk) => !embed.hint || fk.name === embed.hint;
+    const one = toOne.find(byHint);
+    if (one) return { toOne: true, localColumn: one.source_column, remoteColumn: one.target_column };
+
+    const many = toMany.find(byHint);
+    if (many) return { toOne: false, localColumn: many.target_column, remoteColumn: many.source_column };
+
+    throw new Error(`No relationship between ${table} and ${embed.table}`);
+};
+
+/**
+ * Add the embedded resources to rows, apply their filters and project the selected columns
+ * @returns {Promise<Array>} [{ row, shaped }] - shaped is the row as PostgREST returns it;
+ *          rows whose !inner (or filtered to-one) embed is empty are dropped
+ */
+const shapeRows = async (db, table, rows, select, filterGroups, embedPath = '') => {
+    const embedded = rows.map(() => ({}));
+    let keep = rows.map(() => true);
+
+    for (const embed of select.embeds) {
+        const childPath = embedPath ? `${embedPath}.${embed.alias}` : embed.alias;
+        const relationship = await findRelationship(db, table, embed);
+        const keys = [...new Set(rows.map(row => row[relationship.localColumn]).filter(key => key !== null))];
+
+        let related = [];
+        if (keys.length > 0) {
+            const params = [...keys];
+            const conditions = [
+                `${quoteIdent(relationship.remoteColumn)} IN (${keys.map((_, index) => `$${index + 1}`).join(', ')})`,
+                ...buildConditions(filterGroups.get(childPath), params)
+            ];
+            const result = await db.query(`SELECT * FROM ${quoteIdent(embed.table)} WHERE ${conditions.join(' AND ')}`, params);
+            related = await shapeRows(db, embed.table, result.rows, embed.select, filterGroups, childPath);
+        }
+
+        const filtered = filterGroups.has(childPath);
+        rows.forEach((row, index) => {
+            const matches = related
+                .filter(item => String(item.row[relationship.remoteColumn]) === String(row[relationship.localColumn]))
+                .map(item => item.shaped);
+            const value = relationship.toOne ? matches[0] || null : matches;
+            embedded[index][embed.alias] = value;
+
+            const empty = value === null || value.length === 0;
+            if (empty && (embed.inner || (filtered && relationship.toOne))) keep[index] = false;
+        });
+    }
+
+    return rows
+        .map((row, index) => {
+            const shaped = {};
+            select.columns.forEach(({ alias, column }) => {
+                if (column === '*') Object.assign(shaped, row);
+                else shaped[alias] = row[column];
+            });
+            return { row, shaped: { ...shaped, ...embedded[index] } };
+        })
+        .filter((_, index) => keep[index]);
+};
+
+// Helper: rows shaped by the request's select parameter
+const selectRows = async (db, table, rows, url, filterGroups) => (
+    await shapeRows(db, table, rows, parseSelect(url.searchParams.get('select')), filterGroups)
+).map(item => item.shaped);
+
+const readBody = async (req) => {
+    let body = '';
+    for await (const chunk of req) body += chunk;
+    return body ? JSON.parse(body) : null;
+};
+
+// Helper: run a PostgREST request against the database
+const handleRequest = async (db, req) => {
+    const url = new URL(req.url, 'http://localhost');
+    const [, resource, name] = url.pathname.match(/^\/rest\/v1\/(rpc\/)?([\w]+)$/) || [];
+    if (!name) return { status: 404, body: { message: `Unknown path ${url.pathname}` } };
+
+    const body = await readBody(req);
+    const prefer = req.headers.prefer || '';
+    const wantsObject = (req.headers.accept || '').includes('application/vnd.pgrst.object+json');
+    const params = [];
+
+    if (resource) {
+        const arrayArguments = await getArrayNames(db, 'rpc', name);
+        const args = Object.entries(body || {}).map(([arg, value]) => {
+            params.push(toColumnParam(arrayArguments, arg, value));
+            return `${quoteIdent(arg)} => $${params.length}`;
+        });
+        const result = await db.query(`SELECT * FROM ${quoteIdent(name)}(${args.join(', ')})`, params);
+
+        // Scalar functions return their value, set-returning functions their rows
+        const scalar = result.fields.length === 1 && result.fields[0].name === name;
+        return { status: 200, body: scalar ? result.rows[0]?.[name] ?? null : result.rows, wantsObject };
+    }
+
+    const table = quoteIdent(name);
+    const arrayColumns = await getArrayNames(db, 'table', name);
+    const filterGroups = groupFilters(url.searchParams);
+    let result;
+
+    if (req.method === 'GET' || req.method === 'HEAD') {
+        result = await db.query(
+            `SELECT * FROM ${table}${buildWhere(filterGroups.get(''), params)}${buildOrder(url.searchParams.get('order'))}`,
+            params
+        );
+
+        // Embedded filters and !inner drop rows, so paging and counting happen afterwards
+        const rows = await selectRows(db, name, result.rows, url, filterGroups);
+        const offset = parseInt(url.searchParams.get('offset')) || 0;
+        const limit = url.searchParams.has('limit') ? parseInt(url.searchParams.get('limit')) : rows.length;
+        const page = rows.slice(offset, offset + limit);
+
+        const headers = {};
+        if (prefer.includes('count=exact')) {
+            headers['Content-Range'] = `${page.length > 0 ? `${offset}-${offset + page.length - 1}` : '*'}/${rows.length}`;
+        }
+        return { status: 200, headers, body: req.method === 'HEAD' ? null : page, wantsObject };
+    }
+
+    if (req.method === 'POST') {
+        const rows = Array.isArray(body) ? body : [body];
+        // Like PostgREST: the columns of every row, missing values are null
+        const columns = [...new Set(rows.flatMap(row => Object.keys(row)))];
+        const values = rows.map(row => `(${columns.map(column => {
+            params.push(toColumnParam(arrayColumns, column, row[column]));
+            return `$${params.length}`;
+        }).join(', ')})`);
+
+        let conflict = '';
+        if (prefer.includes('resolution=')) {
+            const target = (url.searchParams.get('on_conflict') || 'id').split(',').map(quoteIdent).join(', ');
+            conflict = prefer.includes('resolution=ignore-duplicates')
+                ? ` ON CONFLICT (${target}) DO NOTHING`
+                : ` ON CONFLICT (${target}) DO UPDATE SET ${columns
+                    .map(column => `${quoteIdent(column)} = EXCLUDED.${quoteIdent(column)}`)
+                    .join(', ')}`;
+        }
+
+        result = await db.query(
+            `INSERT INTO ${table} (${columns.map(quoteIdent).join(', ')}) VALUES ${values.join(', ')}${conflict} RETURNING *`,
+            params
+        );
+    } else if (req.method === 'PATCH') {
+        const assignments = Object.entries(body).map(([column, value]) => {
+            params.push(toColumnParam(arrayColumns, column, value));
+            return `${quoteIdent(column)} = $${params.length}`;
+        });
+        result = await db.query(
+            `UPDATE ${table} SET ${assignments.join(', ')}${buildWhere(filterGroups.get(''), params)} RETURNING *`,
+            params
+        );
+    } else if (req.method === 'DELETE') {
+        result = await db.query(`DELETE FROM ${table}${buildWhere(filterGroups.get(''), params)} RETURNING *`, params);
+    } else {
+        return { status: 405, body: { message: `Unsupported method ${req.method}` } };
+    }
+
+    if (!prefer.includes('return=representation')) return { status: req.method === 'POST' ? 201 : 204, body: null };
+    return {
+        status: req.method === 'POST' ? 201 : 200,
+        body: await selectRows(db, name, result.rows, url, new Map()),
+        wantsObject
+    };
+};
+
+// Helper: write a result the way PostgREST does (single objects, Postgres errors)
+const sendResponse = (res, { status, headers = {}, body, wantsObject }) => {
+    if (wantsObject && Array.isArray(body)) {
+        if (body.length !== 1) {
+            status = 406;
+            body = {
+                code: 'PGRST116',
+                details: `The result contains ${body.length} rows`,
+                hint: null,
+                message: 'JSON object requested, multiple (or no) rows returned'
+            };
+        } else {
+            body = body[0];
+        }
+    }
+
+    res.writeHead(status, { 'Content-Type': 'application/json', ...headers });
+    res.end(body === null || body === undefined ? undefined : JSON.stringify(body));
+};
+
+/**
+ * Start a database with every migration applied, and point supabaseAdmin at it.
+ * Must run before anything imports src/config/supabase.js.
+ * @returns {Promise<Object>} { db, close } - db is the PGlite instance, for direct queries
+ */
+export const startTestDatabase = async () => {
+    // PostgREST renders NUMERIC columns as JSON numbers and DATE columns as 'YYYY-MM-DD'
+    const db = new PGlite({
+        extensions: { btree_gin },
+        parsers: { [types.NUMERIC]: Number, [types.DATE]: (value) => value }
+    });
+    await db.exec('CREATE EXTENSION btree_gin');
+    await db.exec(SUPABASE_SETUP);
+
+    // 00_run_all_tables.sql is a one-file copy of the base tables for the SQL editor
+    const migrations = fs.readdirSync(DB_DIR)
+        .filter(file => /^\d+_.+\.sql$/.test(file) && !file.startsWith('00_'))
+        .sort();
+
+    for (const file of migrations) {
+        try {
+            await db.exec(fs.readFileSync(path.join(DB_DIR, file), 'utf8'));
+        } catch (error) {
+            throw new Error(`Migration ${file} failed: ${error.message}`);
+        }
+    }
+
+    const server = http.createServer((req, res) => {
+        handleRequest(db, req)
+            .then(result => sendResponse(res, result))
+            .catch(error => sendResponse(res, {
+                status: error.code === '23505' ? 409 : 400,
+                body: { code: error.code || 'PGRST100', message: error.message, details: error.detail || null, hint: null }
+            }));
+    });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+
+    process.env.SUPABASE_URL = `http://127.0.0.1:${server.address().port}`;
+    process.env.SUPABASE_ANON_KEY = 'test-anon-key';
+    process.env.SUPABASE_SERVICE_ROLE_KEY = 'test-service-role-key';
+
+    return {
+        db,
+        close: async () => {
+            server.closeAllConnections();
+            await new Promise(resolve => server.close(resolve));
+            await db.close();
+        }
+    };
+};
+
+/**
+ * Insert a row
+ * @param {Object} db - PGlite instance
+ * @param {string} table - Table name
+ * @param {Object} values - Column values
+ * @returns {Promise<Object>} Inserted row
+ */
+export const insertRow = async (db, table, values) => {
+    const columns = Object.keys(values);
+    const arrayColumns = await getArrayNames(db, 'table', table);
+
+    const result = await db.query(
+        `INSERT INTO ${quoteIdent(table)} (${columns.map(quoteIdent).join(', ')})
+         VALUES (${columns.map((_, index) => `$${index + 1}`).join(', ')})
+         RETURNING *`,
+        columns.map(column => toColumnParam(arrayColumns, column, values[column]))
+    );
+    return result.rows[0];
+};
+
+/**
+ * Insert a learner
+ * @param {Object} db - PGlite instance
+ * @param {Object} overrides - Column values
+ * @returns {Promise<Object>} User row
+ */
+export const createUser = (db, overrides = {}) => insertRow(db, 'users', {
+    email: `learner-${Math.random().toString(36).slice(2)}@example.com`,
+    first_name: 'Test',
+    last_name: 'Learner',
+    role: 'learner',
+    ...overrides
+});
+
+/**
+ * Insert a published lesson
+ * @param {Object} db - PGlite instance
+ * @param {Object} overrides - Column values
+ * @returns {Promise<Object>} Lesson row
+ */
+export const createLesson = (db, overrides = {}) => insertRow(db, 'lessons', {
+    title: 'Working at height',
+    is_published: true,
+    ...overrides
+});
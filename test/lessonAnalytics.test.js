@@ -0,0 +1,105 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { startTestDatabase, createUser, createLesson, insertRow } from './helpers/testDatabase.js';
+import { startTestApp, signIn } from './helpers/testApp.js';
+
+const COMPANY = 'Engagement Builders';
+
+let database;
+let app;
+let watched;
+let unwatched;
+let managerToken;
+let adminToken;
+
+before(async () => {
+    database = await startTestDatabase();
+    const { default: analyticsRoutes } = await import('../src/routes/analytics.js');
+    app = await startTestApp({ '/api/analytics': analyticsRoutes });
+
+    watched = await createLesson(database.db, { title: 'Roof edges', chapter_order: 70, lesson_number: 1, video_duration: 600 });
+    unwatched = await createLesson(database.db, { title: 'Cranes', chapter_order: 70, lesson_number: 2, video_duration: 300 });
+
+    const progress = async (company, values) => insertRow(database.db, 'lesson_progress', {
+        user_id: (await createUser(database.db, { company, first_name: 'Avi', last_name: 'Levi' })).id,
+        lesson_id: watched.id,
+        ...values
+    });
+    await progress(COMPANY, {
+        status: 'completed', total_watch_time: 620, completion_percentage: 100, rating: 4,
+        feedback: '  Clear and short  ', completed_at: '2026-10-01T10:00:00Z'
+    });
+    await progress(COMPANY, { last_watched_position: 150, total_watch_time: 150, completion_percentage: 25 });
+    await progress(COMPANY, { last_watched_position: 450, total_watch_time: 500, completion_percentage: 75 });
+    await progress('Other Builders', { status: 'completed', total_watch_time: 600, completion_percentage: 100, rating: 1 });
+
+    managerToken = await signIn(await createUser(database.db, { role: 'manager', company: COMPANY }));
+    adminToken = await signIn(await createUser(database.db, { role: 'admin' }));
+});
+
+after(async () => {
+    await app.close();
+    await database.close();
+});
+
+const lessonStats = async (lessonId, token) => {
+    const response = await app.request(`/api/analytics/lessons/${lessonId}`, { token });
+    assert.equal(response.status, 200);
+    return (await response.json()).data;
+};
+
+test('a lesson\'s engagement covers starts, drop-off, watch time and feedback of the manager\'s company', async () => {
+    const stats = await lessonStats(watched.id, managerToken);
+
+    assert.equal(stats.starts, 3);
+    assert.equal(stats.completions, 1);
+    assert.equal(stats.completionRate, 33.3);
+    assert.equal(stats.dropOffs, 2);
+    assert.equal(stats.dropOffRate, 66.7);
+    assert.equal(stats.medianWatchTime, 500);
+    assert.equal(stats.medianWatchRatio, 0.83);
+    assert.equal(stats.averageCompletionPercentage, 66.7);
+    assert.equal(stats.averageRating, 4);
+    assert.equal(stats.ratingsCount, 1);
+
+    // Only learners who stopped midway have a stop position
+    assert.equal(stats.medianStopPosition, 300);
+    const stopped = stats.positionDistribution.filter(bucket => bucket.learners > 0);
+    assert.deepEqual(stopped.map(bucket => bucket.fromPercent), [20, 70]);
+
+    assert.equal(stats.feedback.length, 1);
+    assert.equal(stats.feedback[0].feedback, 'Clear and short');
+    assert.equal(stats.feedback[0].rating, 4);
+});
+
+test('admins see every company', async () => {
+    const stats = await lessonStats(watched.id, adminToken);
+    assert.equal(stats.starts, 4);
+    assert.equal(stats.averageRating, 2.5);
+});
+
+test('the lessons list sorts by a metric, with lessons nobody started last', async () => {
+    const list = async (query) => {
+        const response = await app.request(`/api/analytics/lessons${query}`, { token: managerToken });
+        assert.equal(response.status, 200);
+        return (await response.json()).data.lessons.filter(lesson => [watched.id, unwatched.id].includes(lesson.lessonId));
+    };
+
+    assert.deepEqual((await list('?sort=dropoff')).map(lesson => lesson.title), ['Roof edges', 'Cranes']);
+    assert.deepEqual((await list('?sort=completion&order=asc')).map(lesson => lesson.title), ['Roof edges', 'Cranes']);
+    assert.deepEqual((await list('?sort=order&order=desc')).map(lesson => lesson.title), ['Cranes', 'Roof edges']);
+
+    const [, cranes] = await list('?sort=order');
+    assert.equal(cranes.starts, 0);
+    assert.equal(cranes.averageRating, null);
+
+    assert.equal((await app.request('/api/analytics/lessons?sort=views', { token: managerToken })).status, 400);
+});
+
+test('unknown lessons are 404 and learners are refused', async () => {
+    assert.equal((await app.request('/api/analytics/lessons/00000000-0000-4000-8000-000000000000', { token: managerToken })).status, 404);
+    assert.equal((await app.request('/api/analytics/lessons/lesson-1', { token: managerToken })).status, 404);
+
+    const learnerToken = await signIn(await createUser(database.db, { company: COMPANY }));
+    assert.equal((await app.request(`/api/analytics/lessons/${watched.id}`, { token: learnerToken })).status, 403);
+});
@@ -0,0 +1,158 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import { startTestDatabase, createUser, createLesson } from './helpers/testDatabase.js';
+import { startTestApp, signIn } from './helpers/testApp.js';
+
+const UNKNOWN_LESSON = '00000000-0000-4000-8000-000000000000';
+
+let database;
+let app;
+
+before(async () => {
+    database = await startTestDatabase();
+    const { default: lessonRoutes } = await import('../src/routes/lessons.js');
+    app = await startTestApp({ '/api/lessons': lessonRoutes });
+});
+
+after(async () => {
+    await app.close();
+    await database.close();
+});
+
+const putProgress = (lessonId, token, body) => app.request(`/api/lessons/${lessonId}/progress`, { method: 'PUT', token, body });
+const complete = (lessonId, token, body = {}) => app.request(`/api/lessons/${lessonId}/complete`, { method: 'POST', token, body });
+
+const progressRow = async (userId, lessonId) => (await database.db.query(
+    'SELECT status, last_watched_position, total_watch_time, completion_percentage, rating FROM lesson_progress WHERE user_id = $1 AND lesson_id = $2',
+    [userId, lessonId]
+)).rows[0];
+
+test('progress updates upsert one row: watch time and percentage never go down', async () => {
+    const user = await createUser(database.db);
+    const token = await signIn(user);
+    const lesson = await createLesson(database.db);
+
+    let response = await putProgress(lesson.id, token, { last_watched_position: 120, total_watch_time: 130, completion_percentage: 40 });
+    assert.equal(response.status, 200);
+    assert.equal((await response.json()).progress.status, 'in_progress');
+
+    // A stale tab reports less - the position follows it, the totals don't
+    response = await putProgress(lesson.id, token, { last_watched_position: 30, total_watch_time: 35, completion_percentage: 10 });
+    assert.equal(response.status, 200);
+    assert.deepEqual(await progressRow(user.id, lesson.id), {
+        status: 'in_progress', last_watched_position: 30, total_watch_time: 130, completion_percentage: 40, rating: null
+    });
+
+    await putProgress(lesson.id, token, { last_watched_position: 300, total_watch_time: 310, completion_percentage: 100 });
+    await putProgress(lesson.id, token, { last_watched_position: 5, total_watch_time: 5, completion_percentage: 2 });
+    assert.equal((await progressRow(user.id, lesson.id)).status, 'completed');
+
+    const { rows } = await database.db.query('SELECT COUNT(*)::int AS count FROM lesson_progress WHERE user_id = $1', [user.id]);
+    assert.equal(rows[0].count, 1);
+});
+
+test('watch events are appended to their session once, even when resent', async () => {
+    const user = await createUser(database.db);
+    const token = await signIn(user);
+    const lesson = await createLesson(database.db);
+    const play = { type: 'play', position: 0, timestamp: '2026-05-01T08:00:00.000Z' };
+    const pause = { type: 'pause', position: 42, timestamp: '2026-05-01T08:00:42.000Z' };
+
+    await putProgress(lesson.id, token, {
+        last_watched_position: 10, total_watch_time: 10, watch_session_data: { session_id: 'tab-1', events: [play] }
+    });
+    await putProgress(lesson.id, token, {
+        last_watched_position: 42, total_watch_time: 42, watch_session_data: { session_id: 'tab-1', events: [play, pause], volume: 0.5 }
+    });
+
+    const { rows } = await database.db.query(
+        'SELECT events, data, last_position FROM watch_sessions WHERE user_id = $1 AND lesson_id = $2',
+        [user.id, lesson.id]
+    );
+    assert.equal(rows.length, 1);
+    assert.deepEqual(rows[0].events.map(event => event.type), ['play', 'pause']);
+    assert.equal(rows[0].data.volume, 0.5);
+    assert.equal(rows[0].last_position, 42);
+
+    const invalid = await putProgress(lesson.id, token, {
+        last_watched_position: 1, total_watch_time: 1, watch_session_data: { session_id: 'tab-1', events: [{ type: 'rewind', position: 1 }] }
+    });
+    assert.equal(invalid.status, 400);
+});
+
+test('unknown lessons are 404 and malformed numbers 400, before anything is written', async () => {
+    const user = await createUser(database.db);
+    const token = await signIn(user);
+    const lesson = await createLesson(database.db);
+
+    for (const lessonId of [UNKNOWN_LESSON, 'lesson-1']) {
+        const response = await putProgress(lessonId, token, { last_watched_position: 1, total_watch_time: 1 });
+        assert.equal(response.status, 404);
+        assert.equal((await response.json()).error, 'Lesson not found');
+    }
+
+    assert.equal((await putProgress(lesson.id, token, { last_watched_position: '1', total_watch_time: 1 })).status, 400);
+    assert.equal((await putProgress(lesson.id, token, { last_watched_position: 1, total_watch_time: 1, completion_percentage: 'half' })).status, 400);
+    assert.equal(await progressRow(user.id, lesson.id), undefined);
+});
+
+test('completing a lesson validates the rating and the lesson', async () => {
+    const manager = await createUser(database.db, { role: 'manager' });
+    const token = await signIn(manager);
+    const lesson = await createLesson(database.db);
+
+    for (const rating of ['great', 0, 6]) {
+        const response = await complete(lesson.id, token, { rating });
+        assert.equal(response.status, 400);
+    }
+    assert.equal((await complete(UNKNOWN_LESSON, token, { rating: 4 })).status, 404);
+    assert.equal(await progressRow(manager.id, lesson.id), undefined);
+
+    const response = await complete(lesson.id, token, { rating: 4, final_watch_time: 300 });
+    assert.equal(response.status, 200);
+    const body = await response.json();
+    assert.equal(body.completion.was_already_completed, false);
+    assert.equal(body.user_stats.total_lessons_completed, 1);
+    assert.deepEqual(await progressRow(manager.id, lesson.id), {
+        status: 'completed', last_watched_position: 0, total_watch_time: 300, completion_percentage: 100, rating: 4
+    });
+
+    const again = await (await complete(lesson.id, token)).json();
+    assert.equal(again.completion.was_already_completed, true);
+    assert.equal(again.user_stats.total_lessons_completed, 1);
+});
+
+test('the legacy JSONB migration skips timestamps it cannot read', async () => {
+    const lesson = await createLesson(database.db);
+    const user = await createUser(database.db, {
+        lesson_progress: {
+            [lesson.id]: {
+                status: 'completed',
+                completion_percentage: '100',
+                started_at: 'Invalid Date',
+                completed_at: '2026-02-03T10:00:00Z',
+                updated_at: '',
+                watch_sessions: [{ session_id: 'old', started_at: '31/12/2025', events: [] }]
+            }
+        }
+    });
+
+    // Re-run the migration part of 13_lesson_progress_tables.sql (it skips rows that exist)
+    const migration = fs.readFileSync(new URL('../src/DB/13_lesson_progress_tables.sql', import.meta.url), 'utf8');
+    await database.db.exec(migration.slice(migration.indexOf('-- MIGRATE THE LEGACY')));
+
+    const { rows } = await database.db.query(
+        'SELECT status, started_at, completed_at, updated_at FROM lesson_progress WHERE user_id = $1',
+        [user.id]
+    );
+    assert.equal(rows[0].status, 'completed');
+    assert.equal(rows[0].started_at, null);
+    assert.equal(rows[0].completed_at.toISOString(), '2026-02-03T10:00:00.000Z');
+    // updated_at falls back to completed_at
+    assert.equal(rows[0].updated_at.toISOString(), '2026-02-03T10:00:00.000Z');
+
+    const { rows: sessions } = await database.db.query('SELECT session_id, started_at FROM watch_sessions WHERE user_id = $1', [user.id]);
+    assert.equal(sessions[0].session_id, 'old');
+    assert.ok(sessions[0].started_at instanceof Date);
+});
@@ -0,0 +1,188 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { startTestDatabase, createUser } from './helpers/testDatabase.js';
+import { startTestApp } from './helpers/testApp.js';
+import { createMailbox } from './helpers/mailbox.js';
+
+let database;
+let mailbox;
+let app;
+let loginCodes;
+
+before(async () => {
+    mailbox = createMailbox();
+    process.env.OTP_SECRET = 'test-otp-secret';
+    database = await startTestDatabase();
+    loginCodes = await import('../src/services/loginCodes.js');
+    const { default: authRoutes } = await import('../src/routes/auth.js');
+    app = await startTestApp({ '/api/auth': authRoutes });
+});
+
+after(async () => {
+    await app.close();
+    await database.close();
+    mailbox.close();
+});
+
+// Helper: the code in the latest email to a user
+const lastCode = (user) => /\b\d{6}\b/.exec(mailbox.messagesTo(user.email).at(-1).text)[0];
+
+// Helper: send a code and read it back from the email
+const sendCode = async (user) => {
+    const result = await loginCodes.sendLoginCode(user);
+    assert.equal(result.expiresInMinutes, 10);
+    return lastCode(user);
+};
+
+// Helper: move a user's codes back in time, past the resend cooldown
+const ageCodes = (user, minutes) => database.db.query(
+    `UPDATE login_codes SET created_at = created_at - make_interval(mins => $2) WHERE user_id = $1`,
+    [user.id, minutes]
+);
+
+const wrongCode = (code) => String((Number(code) + 1) % 1000000).padStart(6, '0');
+
+const verifyOtp = (email, otp) => app.request('/api/auth/verify-otp', { method: 'POST', body: { email, otp } });
+
+test('a correct code signs in once', async () => {
+    const user = await createUser(database.db);
+    const code = await sendCode(user);
+
+    assert.deepEqual(await loginCodes.verifyLoginCode(user.id, ` ${code} `), { status: 'valid', attemptsLeft: 3 });
+    assert.equal((await loginCodes.verifyLoginCode(user.id, code)).status, 'not_found');
+});
+
+test('wrong guesses count down and then block the code', async () => {
+    const user = await createUser(database.db);
+    const code = await sendCode(user);
+
+    assert.deepEqual(await loginCodes.verifyLoginCode(user.id, wrongCode(code)), { status: 'invalid', attemptsLeft: 2 });
+    assert.deepEqual(await loginCodes.verifyLoginCode(user.id, wrongCode(code)), { status: 'invalid', attemptsLeft: 1 });
+    assert.deepEqual(await loginCodes.verifyLoginCode(user.id, wrongCode(code)), { status: 'invalid', attemptsLeft: 0 });
+
+    // Even the right code is refused now
+    assert.deepEqual(await loginCodes.verifyLoginCode(user.id, code), { status: 'too_many_attempts', attemptsLeft: 0 });
+});
+
+test('an expired code is refused', async () => {
+    const user = await createUser(database.db);
+    const code = await sendCode(user);
+    await database.db.query(`UPDATE login_codes SET expires_at = NOW() - INTERVAL '1 minute' WHERE user_id = $1`, [user.id]);
+
+    assert.equal((await loginCodes.verifyLoginCode(user.id, code)).status, 'expired');
+});
+
+test('codes are bound to their user', async () => {
+    const user = await createUser(database.db);
+    const other = await createUser(database.db);
+    const code = await sendCode(user);
+    await sendCode(other);
+
+    assert.equal((await loginCodes.verifyLoginCode(other.id, code)).status, 'invalid');
+});
+
+test('a new code is not sent during the resend cooldown', async () => {
+    const user = await createUser(database.db);
+    await sendCode(user);
+
+    const result = await loginCodes.sendLoginCode(user);
+    assert.equal(result.reason, 'cooldown');
+    assert.ok(result.retryAfterSeconds > 0 && result.retryAfterSeconds <= 60);
+
+    const { rows } = await database.db.query('SELECT COUNT(*)::int AS count FROM login_codes WHERE user_id = $1', [user.id]);
+    assert.equal(rows[0].count, 1);
+});
+
+test('a new code replaces the previous one', async () => {
+    const user = await createUser(database.db);
+    const first = await sendCode(user);
+    await ageCodes(user, 2);
+    const second = await sendCode(user);
+
+    assert.equal((await loginCodes.verifyLoginCode(user.id, first)).status, 'invalid');
+    assert.equal((await loginCodes.verifyLoginCode(user.id, second)).status, 'valid');
+    // The old one doesn't come back once the new one is used
+    assert.equal((await loginCodes.verifyLoginCode(user.id, first)).status, 'expired');
+});
+
+test('at most otp_max_sends_per_hour codes are sent to a user per hour', async () => {
+    const user = await createUser(database.db);
+    for (let i = 0; i < 5; i++) {
+        await sendCode(user);
+        await ageCodes(user, 2);
+    }
+
+    const response = await app.request('/api/auth/send-otp', { method: 'POST', body: { email: user.email } });
+    assert.equal(response.status, 429);
+    const body = await response.json();
+    assert.match(body.message, /Too many codes/);
+    // The oldest of the five was sent 10 minutes ago
+    assert.ok(body.retryAfter > 49 * 60 && body.retryAfter <= 50 * 60);
+    assert.equal(mailbox.messagesTo(user.email).length, 5);
+
+    // Once the oldest is more than an hour old, one more can be sent
+    await ageCodes(user, 50);
+    assert.equal((await app.request('/api/auth/send-otp', { method: 'POST', body: { email: user.email } })).status, 200);
+    assert.equal(mailbox.messagesTo(user.email).length, 6);
+});
+
+test('verify-otp signs in with the emailed code', async () => {
+    const user = await createUser(database.db, { failed_login_count: 2 });
+    const sent = await app.request('/api/auth/send-otp', { method: 'POST', body: { email: user.email } });
+    assert.equal(sent.status, 200);
+
+    const response = await verifyOtp(user.email, lastCode(user));
+    assert.equal(response.status, 200);
+    const body = await response.json();
+    assert.equal(body.user.id, user.id);
+    assert.ok(body.tokens.accessToken);
+
+    const { rows } = await database.db.query('SELECT failed_login_count FROM users WHERE id = $1', [user.id]);
+    assert.equal(rows[0].failed_login_count, 0);
+});
+
+test('wrong codes count toward the account lock like wrong passwords', async () => {
+    const user = await createUser(database.db);
+
+    // Three guesses per code, five failures lock the account
+    await sendCode(user);
+    const first = lastCode(user);
+    for (let i = 0; i < 3; i++) {
+        assert.equal((await verifyOtp(user.email, wrongCode(first))).status, 400);
+    }
+    assert.equal((await verifyOtp(user.email, wrongCode(first))).status, 429);
+
+    await ageCodes(user, 2);
+    const second = await sendCode(user);
+    const locked = await verifyOtp(user.email, wrongCode(second));
+    assert.equal(locked.status, 423);
+    assert.ok((await locked.json()).lockedUntil);
+
+    // Not even the right code gets in now
+    assert.equal((await verifyOtp(user.email, second)).status, 423);
+
+    const { rows } = await database.db.query(
+        "SELECT COUNT(*)::int AS count FROM audit_logs WHERE action = 'account_locked' AND target_user_id = $1",
+        [user.id]
+    );
+    assert.equal(rows[0].count, 1);
+});
+
+// Last: throttles the IP every request of this file comes from
+test('an IP with too many failed logins cannot verify codes', async () => {
+    const user = await createUser(database.db);
+    const code = await sendCode(user);
+
+    const { rows } = await database.db.query(
+        "SELECT COUNT(*)::int AS count FROM login_attempts WHERE ip_address = '127.0.0.1' AND success = false"
+    );
+    assert.ok(rows[0].count >= 5);
+    for (let i = rows[0].count; i < 20; i++) {
+        await verifyOtp('nobody@example.com', '123456');
+    }
+
+    const response = await verifyOtp(user.email, code);
+    assert.equal(response.status, 429);
+    assert.equal((await response.json()).error, 'Too many failed attempts');
+    assert.equal((await loginCodes.verifyLoginCode(user.id, code)).status, 'valid');
+});
@@ -0,0 +1,134 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import bcrypt from 'bcryptjs';
+import { startTestDatabase, createUser } from './helpers/testDatabase.js';
+import { startTestApp } from './helpers/testApp.js';
+
+const SETTINGS = { max_login_attempts: 3, lockout_duration_minutes: 15, max_login_attempts_per_ip: 4 };
+
+let database;
+let lockout;
+let app;
+
+before(async () => {
+    database = await startTestDatabase();
+    lockout = await import('../src/services/loginAttempts.js');
+    const { default: authRoutes } = await import('../src/routes/auth.js');
+    app = await startTestApp({ '/api/auth': authRoutes });
+});
+
+after(async () => {
+    await app.close();
+    await database.close();
+});
+
+const loadUser = async (userId) => {
+    const { rows } = await database.db.query('SELECT * FROM users WHERE id = $1', [userId]);
+    return rows[0];
+};
+
+test('getLockoutSettings reads the defaults from system_settings', async () => {
+    assert.deepEqual(await lockout.getLockoutSettings(), {
+        max_login_attempts: 5,
+        lockout_duration_minutes: 15,
+        max_login_attempts_per_ip: 20
+    });
+});
+
+test('an account is locked when the failures reach the limit', async () => {
+    const user = await createUser(database.db);
+
+    assert.equal((await lockout.registerFailedLogin(user.id, SETTINGS)).locked, false);
+    assert.equal((await lockout.registerFailedLogin(user.id, SETTINGS)).locked, false);
+    assert.equal(lockout.isLocked(await loadUser(user.id)), false);
+
+    const { locked, lockedUntil } = await lockout.registerFailedLogin(user.id, SETTINGS);
+    assert.equal(locked, true);
+    const minutesLocked = (new Date(lockedUntil) - Date.now()) / 60000;
+    assert.ok(minutesLocked > 14 && minutesLocked <= 15);
+
+    const lockedUser = await loadUser(user.id);
+    assert.equal(lockout.isLocked(lockedUser), true);
+    // The count starts over for when the lock expires
+    assert.equal(lockedUser.failed_login_count, 0);
+});
+
+test('failures while locked do not extend the lock', async () => {
+    const user = await createUser(database.db);
+    for (let i = 0; i < SETTINGS.max_login_attempts; i++) {
+        await lockout.registerFailedLogin(user.id, SETTINGS);
+    }
+    const { locked_until: lockedUntil } = await loadUser(user.id);
+
+    for (let i = 0; i < SETTINGS.max_login_attempts; i++) {
+        assert.equal((await lockout.registerFailedLogin(user.id, SETTINGS)).locked, false);
+    }
+    assert.deepEqual((await loadUser(user.id)).locked_until, lockedUntil);
+});
+
+test('an expired lock no longer counts, and the next failures lock again', async () => {
+    const user = await createUser(database.db);
+    for (let i = 0; i < SETTINGS.max_login_attempts; i++) {
+        await lockout.registerFailedLogin(user.id, SETTINGS);
+    }
+    await database.db.query(`UPDATE users SET locked_until = NOW() - INTERVAL '1 minute' WHERE id = $1`, [user.id]);
+    assert.equal(lockout.isLocked(await loadUser(user.id)), false);
+
+    await lockout.registerFailedLogin(user.id, SETTINGS);
+    await lockout.registerFailedLogin(user.id, SETTINGS);
+    assert.equal((await lockout.registerFailedLogin(user.id, SETTINGS)).locked, true);
+});
+
+test('clearFailedLogins unlocks the account', async () => {
+    const user = await createUser(database.db);
+    for (let i = 0; i < SETTINGS.max_login_attempts; i++) {
+        await lockout.registerFailedLogin(user.id, SETTINGS);
+    }
+
+    const cleared = await lockout.clearFailedLogins(user.id);
+    assert.equal(cleared.id, user.id);
+
+    const unlocked = await loadUser(user.id);
+    assert.equal(lockout.isLocked(unlocked), false);
+    assert.equal(unlocked.failed_login_count, 0);
+});
+
+test('an IP is throttled after too many failed logins', async () => {
+    const ipAddress = '203.0.113.7';
+
+    for (let i = 0; i < SETTINGS.max_login_attempts_per_ip - 1; i++) {
+        await lockout.recordLoginAttempt({ email: `Guess${i}@Example.com`, ipAddress, success: false });
+    }
+    // Successful logins don't count
+    await lockout.recordLoginAttempt({ email: 'guess@example.com', ipAddress, success: true });
+    assert.equal(await lockout.isIpThrottled(ipAddress, SETTINGS), false);
+
+    await lockout.recordLoginAttempt({ email: 'guess@example.com', ipAddress, success: false });
+    assert.equal(await lockout.isIpThrottled(ipAddress, SETTINGS), true);
+    assert.equal(await lockout.isIpThrottled('203.0.113.8', SETTINGS), false);
+});
+
+test('POST /login locks the account after max_login_attempts wrong passwords', async () => {
+    const user = await createUser(database.db, { password_hash: await bcrypt.hash('right-password', 4) });
+    const login = (password) => app.request('/api/auth/login', { method: 'POST', body: { email: user.email, password } });
+
+    for (let i = 0; i < 4; i++) {
+        assert.equal((await login('wrong-password')).status, 401);
+    }
+    const locked = await login('wrong-password');
+    assert.equal(locked.status, 423);
+    assert.equal((await locked.json()).error, 'Account locked');
+
+    // The right password waits for the lock to expire
+    assert.equal((await login('right-password')).status, 423);
+
+    const { rows } = await database.db.query(
+        "SELECT details FROM audit_logs WHERE action = 'account_locked' AND target_user_id = $1",
+        [user.id]
+    );
+    assert.equal(rows.length, 1);
+    assert.equal(rows[0].details.failedAttempts, 5);
+
+    await database.db.query('UPDATE users SET locked_until = NOW() - INTERVAL \'1 minute\' WHERE id = $1', [user.id]);
+    assert.equal((await login('right-password')).status, 200);
+});
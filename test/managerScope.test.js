@@ -0,0 +1,95 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { startTestDatabase, createUser, createLesson, insertRow } from './helpers/testDatabase.js';
+import { startTestApp, signIn } from './helpers/testApp.js';
+
+let database;
+let app;
+let northLearner;
+let southLearner;
+let outsider;
+
+before(async () => {
+    database = await startTestDatabase();
+    const { default: userRoutes } = await import('../src/routes/users.js');
+    app = await startTestApp({ '/api/users': userRoutes });
+
+    northLearner = await createUser(database.db, { company: 'Scope Builders', team: 'North' });
+    southLearner = await createUser(database.db, { company: 'Scope Builders', team: 'South' });
+    outsider = await createUser(database.db, { company: 'Other Builders', team: 'North' });
+});
+
+after(async () => {
+    await app.close();
+    await database.close();
+});
+
+const getUser = (id, token) => app.request(`/api/users/${id}`, { token });
+
+test('managers list only the users of the companies they manage', async () => {
+    const token = await signIn(await createUser(database.db, { role: 'manager', company: 'Scope Builders' }));
+
+    const { users } = await (await app.request('/api/users?limit=50', { token })).json();
+    assert.ok(users.every(user => user.company === 'Scope Builders'));
+    assert.ok(users.some(user => user.id === northLearner.id));
+
+    assert.equal((await app.request('/api/users?company=Other%20Builders', { token })).status, 403);
+});
+
+test('GET /api/users/:id is limited to the manager\'s companies and teams', async () => {
+    const manager = await signIn(await createUser(database.db, { role: 'manager', company: 'Scope Builders' }));
+    const response = await getUser(northLearner.id, manager);
+    assert.equal(response.status, 200);
+    assert.equal((await response.json()).user.email, northLearner.email);
+    assert.equal((await getUser(outsider.id, manager)).status, 403);
+
+    // Managed teams narrow the scope further
+    const teamManager = await signIn(await createUser(database.db, {
+        role: 'manager', company: 'Scope Builders', managed_teams: ['North']
+    }));
+    assert.equal((await getUser(northLearner.id, teamManager)).status, 200);
+    assert.equal((await getUser(southLearner.id, teamManager)).status, 403);
+
+    // Several managed companies
+    const groupManager = await signIn(await createUser(database.db, {
+        role: 'manager', company: 'Holding', managed_companies: ['Scope Builders', 'Other Builders']
+    }));
+    assert.equal((await getUser(outsider.id, groupManager)).status, 200);
+
+    assert.equal((await getUser('00000000-0000-4000-8000-000000000000', manager)).status, 404);
+    assert.equal((await getUser('not-a-uuid', manager)).status, 400);
+});
+
+test('learners only reach their own profile, admins reach everyone', async () => {
+    const learnerToken = await signIn(northLearner);
+    assert.equal((await getUser(northLearner.id, learnerToken)).status, 200);
+    assert.equal((await getUser(southLearner.id, learnerToken)).status, 403);
+
+    const admin = await signIn(await createUser(database.db, { role: 'admin' }));
+    assert.equal((await getUser(outsider.id, admin)).status, 200);
+});
+
+test('GET /api/users/:id/progress lists every published lesson with the user\'s status', async () => {
+    const first = await createLesson(database.db, { title: 'Scope lesson 1', chapter_order: 90, lesson_number: 1 });
+    const second = await createLesson(database.db, { title: 'Scope lesson 2', chapter_order: 90, lesson_number: 2 });
+    await insertRow(database.db, 'lesson_progress', {
+        user_id: northLearner.id, lesson_id: first.id, status: 'completed', completion_percentage: 100, rating: 5
+    });
+    await insertRow(database.db, 'lesson_progress', {
+        user_id: northLearner.id, lesson_id: second.id, status: 'in_progress', completion_percentage: 40, last_watched_position: 120
+    });
+
+    const manager = await signIn(await createUser(database.db, { role: 'manager', company: 'Scope Builders' }));
+    const response = await app.request(`/api/users/${northLearner.id}/progress`, { token: manager });
+    assert.equal(response.status, 200);
+    const { lessons } = await response.json();
+    const byTitle = Object.fromEntries(lessons.map(lesson => [lesson.title, lesson]));
+
+    assert.equal(byTitle['Scope lesson 1'].status, 'completed');
+    assert.equal(byTitle['Scope lesson 1'].rating, 5);
+    assert.equal(byTitle['Scope lesson 2'].status, 'in_progress');
+    assert.equal(byTitle['Scope lesson 2'].completionPercentage, 40);
+
+    const outsiderManager = await signIn(await createUser(database.db, { role: 'manager', company: 'Other Builders' }));
+    assert.equal((await app.request(`/api/users/${northLearner.id}/progress`, { token: outsiderManager })).status, 403);
+});
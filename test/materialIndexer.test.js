@@ -0,0 +1,116 @@
+import { test, before, after, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import { startTestDatabase, createLesson } from './helpers/testDatabase.js';
+
+let database;
+let indexLessonMaterials;
+// Cloudinary public ID -> text of its single-page PDF (missing = download fails)
+const storedFiles = new Map();
+
+// Helper: a one-page PDF showing some text in a standard font
+const buildPdf = (text) => {
+    const content = `BT /F1 12 Tf 72 720 Td (${text.replace(/[()\\]/g, '\\$&')}) Tj ET`;
+    const objects = [
+        '<< /Type /Catalog /Pages 2 0 R >>',
+        '<< /Type /Pages /Kids [3 0 R] /Count 1 >>',
+        '<< /Type /Page /Parent 2 0 R /MediaBox [0 0 612 792] /Contents 4 0 R /Resources << /Font << /F1 5 0 R >> >> >>',
+        `<< /Length ${content.length} >>\nstream\n${content}\nendstream`,
+        '<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica >>'
+    ];
+
+    let pdf = '%PDF-1.4\n';
+    const offsets = objects.map((object, index) => {
+        const offset = pdf.length;
+        pdf += `${index + 1} 0 obj\n${object}\nendobj\n`;
+        return offset;
+    });
+    const xrefOffset = pdf.length;
+    pdf += `xref\n0 ${objects.length + 1}\n0000000000 65535 f \n`;
+    pdf += offsets.map(offset => `${String(offset).padStart(10, '0')} 00000 n \n`).join('');
+    pdf += `trailer\n<< /Size ${objects.length + 1} /Root 1 0 R >>\nstartxref\n${xrefOffset}\n%%EOF\n`;
+    return Buffer.from(pdf, 'latin1');
+};
+
+before(async () => {
+    process.env.CLOUDINARY_CLOUD_NAME = 'test-cloud';
+    process.env.CLOUDINARY_API_KEY = 'test-key';
+    process.env.CLOUDINARY_API_SECRET = 'test-secret';
+    database = await startTestDatabase();
+
+    const { default: axios } = await import('axios');
+    mock.method(axios, 'get', async (url) => {
+        const publicId = [...storedFiles.keys()].find(id => url.includes(id));
+        if (!publicId || storedFiles.get(publicId) === null) {
+            throw new Error('Request failed with status code 404');
+        }
+        return { data: buildPdf(storedFiles.get(publicId)) };
+    });
+
+    ({ indexLessonMaterials } = await import('../src/services/materialIndexer.js'));
+});
+
+after(async () => {
+    mock.restoreAll();
+    await database.close();
+});
+
+const material = (id) => ({ id, type: 'file', name: `${id}.pdf`, cloudinaryPublicId: `lessons/${id}` });
+
+const chunksByMaterial = async (lessonId) => {
+    const { rows } = await database.db.query(
+        'SELECT material_id, content FROM lesson_material_chunks WHERE lesson_id = $1 ORDER BY material_id, chunk_index',
+        [lessonId]
+    );
+    return Object.fromEntries(rows.map(row => [row.material_id, row.content]));
+};
+
+test('reindexing replaces the chunks of each material that indexed again', async () => {
+    const lesson = await createLesson(database.db, { support_materials: [material('ladders'), material('harness')] });
+    storedFiles.set('lessons/ladders', 'Lock the wheels before climbing');
+    storedFiles.set('lessons/harness', 'Check the harness straps daily');
+
+    const first = await indexLessonMaterials(lesson.id);
+    assert.equal(first.materialsIndexed, 2);
+    assert.deepEqual(await chunksByMaterial(lesson.id), {
+        harness: 'Check the harness straps daily',
+        ladders: 'Lock the wheels before climbing'
+    });
+
+    storedFiles.set('lessons/ladders', 'Face the ladder when climbing');
+    storedFiles.set('lessons/harness', null);
+
+    const second = await indexLessonMaterials(lesson.id);
+    assert.equal(second.materialsIndexed, 1);
+    assert.ok(second.materials.find(result => result.materialId === 'harness').error);
+    // The material that failed keeps its previous chunks
+    assert.deepEqual(await chunksByMaterial(lesson.id), {
+        harness: 'Check the harness straps daily',
+        ladders: 'Face the ladder when climbing'
+    });
+});
+
+test('chunks of materials removed from the lesson are dropped', async () => {
+    const lesson = await createLesson(database.db, { support_materials: [material('scaffold'), material('gloves')] });
+    storedFiles.set('lessons/scaffold', 'Base plates go under every standard');
+    storedFiles.set('lessons/gloves', 'Wear cut resistant gloves');
+    await indexLessonMaterials(lesson.id);
+
+    await database.db.query('UPDATE lessons SET support_materials = $1 WHERE id = $2', [JSON.stringify([material('scaffold')]), lesson.id]);
+    await indexLessonMaterials(lesson.id);
+
+    assert.deepEqual(Object.keys(await chunksByMaterial(lesson.id)), ['scaffold']);
+});
+
+test('the index is replaced atomically - a failed write leaves the previous chunks', async () => {
+    const lesson = await createLesson(database.db, { support_materials: [material('cranes')] });
+    storedFiles.set('lessons/cranes', 'Never stand under a suspended load');
+    await indexLessonMaterials(lesson.id);
+
+    // content is NOT NULL, so the insert half of the swap fails
+    await assert.rejects(database.db.query(
+        'SELECT replace_lesson_material_chunks($1, $2)',
+        [lesson.id, JSON.stringify([{ material_id: 'cranes', page_number: 1, chunk_index: 0, content: null }])]
+    ));
+
+    assert.deepEqual(await chunksByMaterial(lesson.id), { cranes: 'Never stand under a suspended load' });
+});
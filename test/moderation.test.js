@@ -0,0 +1,136 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { startTestDatabase, createUser } from './helpers/testDatabase.js';
+import { startTestApp, signIn } from './helpers/testApp.js';
+
+const TERMS_ACCEPTED = { program_type: 'daily_video', chat_terms_accepted: true };
+
+let database;
+let app;
+let moderation;
+const promptsSent = [];
+
+before(async () => {
+    database = await startTestDatabase();
+    moderation = await import('../src/services/moderation.js');
+    const { default: chatRoutes } = await import('../src/routes/chat.js');
+    app = await startTestApp({ '/api/chat': chatRoutes });
+
+    const { getLLMProvider } = await import('../src/services/llm.js');
+    const provider = getLLMProvider();
+    const complete = provider.complete;
+    provider.complete = async (request) => {
+        promptsSent.push(request.messages);
+        return complete(request);
+    };
+});
+
+after(async () => {
+    await app.close();
+    await database.close();
+});
+
+const signInLearner = async () => {
+    const user = await createUser(database.db, { preferences: TERMS_ACCEPTED });
+    return { user, token: await signIn(user) };
+};
+
+const ask = (token, question) => app.request('/api/chat', { method: 'POST', token, body: { question } });
+
+const flagsOf = async (userId, stage) => (await database.db.query(
+    'SELECT reason, content, message_id, matches FROM chat_flags WHERE user_id = $1 AND stage = $2 ORDER BY created_at',
+    [userId, stage]
+)).rows;
+
+test('moderateInput redacts contact details and blocks abusive or off-topic questions', async () => {
+    const config = { ...(await moderation.getModerationConfig()), blocked_terms: ['טמבל'], off_topic_patterns: ['casino', '(broken'] };
+
+    const redacted = moderation.moderateInput('Call me on 050-1234567 or mail dan@example.com', config);
+    assert.equal(redacted.allowed, true);
+    assert.equal(redacted.text, 'Call me on [טלפון הוסר] or mail [אימייל הוסר]');
+    assert.deepEqual(redacted.redactions.sort(), ['email', 'phone']);
+
+    // Blocked terms match whole words, with Hebrew prefixes
+    assert.equal(moderation.moderateInput('המדריך הוא הטמבל', config).reason, 'abusive');
+    assert.equal(moderation.moderateInput('טמבלים', config).allowed, true);
+
+    // Invalid admin patterns are skipped, valid ones still apply
+    assert.deepEqual(moderation.moderateInput('Best casino nearby?', config), {
+        allowed: false, reason: 'off_topic', matches: ['casino'], text: 'Best casino nearby?', redactions: []
+    });
+
+    assert.equal(moderation.moderateInput('Best casino nearby?', { ...config, enabled: false }).allowed, true);
+});
+
+test('questions reach the model and the history with contact details redacted', async () => {
+    const { user, token } = await signInLearner();
+
+    const response = await ask(token, 'My foreman is on +972 50 123 4567, should I call him?');
+    assert.equal(response.status, 200);
+    const body = await response.json();
+    assert.deepEqual(body.moderation.redactions, ['phone']);
+
+    assert.equal(promptsSent.at(-1).at(-1).content, 'My foreman is on [טלפון הוסר], should I call him?');
+    const { rows } = await database.db.query("SELECT content FROM chat_messages WHERE user_id = $1 AND role = 'user'", [user.id]);
+    assert.equal(rows[0].content, 'My foreman is on [טלפון הוסר], should I call him?');
+});
+
+test('blocked questions are refused and queued for review once, up to the hourly limit', async () => {
+    const { user, token } = await signInLearner();
+    const promptsBefore = promptsSent.length;
+
+    const response = await ask(token, 'Which casino is open tonight?');
+    assert.equal(response.status, 400);
+    const body = await response.json();
+    assert.equal(body.error, 'Question not allowed');
+    assert.equal(body.reason, 'off_topic');
+    assert.equal(promptsSent.length, promptsBefore);
+
+    // Retrying the same question doesn't queue it again
+    await ask(token, 'Which casino is open tonight?');
+    let flags = await flagsOf(user.id, 'input');
+    assert.equal(flags.length, 1);
+    assert.equal(flags[0].reason, 'off_topic');
+    assert.equal(flags[0].content, 'Which casino is open tonight?');
+
+    for (let i = 0; i < 12; i++) {
+        await ask(token, `Any casino tips, take ${i}?`);
+    }
+    flags = await flagsOf(user.id, 'input');
+    assert.equal(flags.length, 10);
+    assert.equal(promptsSent.length, promptsBefore);
+});
+
+test('unsafe answers get the safety notice and go to the admin review queue', async () => {
+    const { user, token } = await signInLearner();
+    const adminToken = await signIn(await createUser(database.db, { role: 'admin' }));
+
+    const response = await ask(token, 'Is it fine to work without a harness on a low roof?');
+    assert.equal(response.status, 200);
+    const body = await response.json();
+    assert.equal(body.moderation.flagged, true);
+    assert.equal(body.moderation.reason, 'unsafe_advice');
+    assert.ok(body.answer.endsWith('ממונה הבטיחות באתר.'));
+
+    const [flag] = await flagsOf(user.id, 'output');
+    assert.equal(flag.reason, 'unsafe_advice');
+    assert.equal(flag.message_id, body.messageId);
+    assert.deepEqual(flag.matches, ['without (a |the )?(safety )?harness']);
+
+    // Admins review the queue
+    const queue = await (await app.request('/api/chat/flags?reason=unsafe_advice', { token: adminToken })).json();
+    const queued = queue.flags.find(item => item.messageId === body.messageId);
+    assert.equal(queued.user.id, user.id);
+    assert.equal(queued.status, 'pending');
+
+    const review = await app.request(`/api/chat/flags/${queued.id}`, {
+        method: 'PATCH',
+        token: adminToken,
+        body: { status: 'confirmed', note: 'Answer was wrong' }
+    });
+    assert.equal(review.status, 200);
+    assert.equal((await review.json()).flag.reviewNote, 'Answer was wrong');
+
+    assert.equal((await app.request('/api/chat/flags', { token })).status, 403);
+    assert.equal((await app.request('/api/chat/flags/not-a-uuid', { method: 'PATCH', token: adminToken, body: { status: 'dismissed' } })).status, 404);
+});
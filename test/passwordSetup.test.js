@@ -0,0 +1,83 @@
+import { test, before, after, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import bcrypt from 'bcryptjs';
+import { startTestDatabase, createUser } from './helpers/testDatabase.js';
+import { startTestApp } from './helpers/testApp.js';
+import { createMailbox } from './helpers/mailbox.js';
+
+const SETUP_LINK = 'https://auth.example.com/verify?token=setup-token&type=recovery';
+
+let database;
+let mailbox;
+let app;
+
+before(async () => {
+    mailbox = createMailbox();
+    database = await startTestDatabase();
+    const { supabaseAdmin } = await import('../src/config/supabase.js');
+    // Supabase Auth isn't part of the test database
+    mock.method(supabaseAdmin.auth.admin, 'generateLink', async () => ({
+        data: { properties: { action_link: SETUP_LINK } },
+        error: null
+    }));
+    const { default: authRoutes } = await import('../src/routes/auth.js');
+    app = await startTestApp({ '/api/auth': authRoutes });
+});
+
+after(async () => {
+    await app.close();
+    await database.close();
+    mailbox.close();
+});
+
+const login = (email, password) => app.request('/api/auth/login', { method: 'POST', body: { email, password } });
+
+const loadUser = async (userId) => (await database.db.query(
+    'SELECT failed_login_count, password_setup_required, password_setup_sent_at FROM users WHERE id = $1',
+    [userId]
+)).rows[0];
+
+test('accounts without a password get a setup link once the old password checks out', async () => {
+    const user = await createUser(database.db, { first_name: 'Yael' });
+
+    const response = await login(user.email, 'password123');
+    assert.equal(response.status, 403);
+    const body = await response.json();
+    assert.equal(body.error, 'Password setup required');
+    assert.equal(body.setupRequired, true);
+    assert.equal(body.tokens, undefined);
+
+    const [message] = mailbox.messagesTo(user.email);
+    assert.equal(message.subject, 'בחירת סיסמה לחשבון XFactor Daily');
+    assert.ok(message.text.includes(SETUP_LINK));
+
+    const stored = await loadUser(user.id);
+    assert.equal(stored.password_setup_required, true);
+    assert.ok(stored.password_setup_sent_at);
+    assert.equal(stored.failed_login_count, 0);
+
+    // Logging in again soon after doesn't send another email
+    assert.equal((await login(user.email, 'password123')).status, 403);
+    assert.equal(mailbox.messagesTo(user.email).length, 1);
+});
+
+test('a wrong password on an account without one is a failed login, without an email', async () => {
+    const user = await createUser(database.db);
+
+    const response = await login(user.email, 'guess');
+    assert.equal(response.status, 401);
+    assert.equal((await response.json()).error, 'Invalid credentials');
+
+    assert.deepEqual(mailbox.messagesTo(user.email), []);
+    const stored = await loadUser(user.id);
+    assert.equal(stored.failed_login_count, 1);
+    assert.equal(stored.password_setup_sent_at, null);
+});
+
+test('the old default password does not sign in accounts that have a password', async () => {
+    const user = await createUser(database.db, { password_hash: await bcrypt.hash('chosen-password', 4) });
+
+    assert.equal((await login(user.email, 'password123')).status, 401);
+    assert.equal((await login(user.email, 'chosen-password')).status, 200);
+    assert.deepEqual(mailbox.messagesTo(user.email), []);
+});
@@ -0,0 +1,44 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { startTestDatabase } from './helpers/testDatabase.js';
+import { normalizePhone } from '../src/utils/phone.js';
+
+const CASES = [
+    ['050-1234567', '+972501234567'],
+    ['0501234567', '+972501234567'],
+    ['501234567', '+972501234567'],
+    ['972501234567', '+972501234567'],
+    ['+972 (0)50 123 4567', '+972501234567'],
+    ['00972-50-1234567', '+972501234567'],
+    ['02-6234567', '+97226234567'],
+    ['+1 (415) 555-2671', '+14155552671'],
+    ['00447911123456', '+447911123456'],
+    ['+972 12345', null],
+    ['050-123', null],
+    ['abc', null],
+    ['', null],
+    [null, null]
+];
+
+let database;
+
+before(async () => {
+    database = await startTestDatabase();
+});
+
+after(async () => {
+    await database.close();
+});
+
+test('normalizePhone converts local and international formats to E.164', () => {
+    for (const [input, expected] of CASES) {
+        assert.equal(normalizePhone(input), expected, `normalizePhone(${JSON.stringify(input)})`);
+    }
+});
+
+test('normalize_phone_e164 in the database agrees with normalizePhone', async () => {
+    for (const [input, expected] of CASES) {
+        const result = await database.db.query('SELECT normalize_phone_e164($1) AS phone', [input]);
+        assert.equal(result.rows[0].phone, expected, `normalize_phone_e164(${JSON.stringify(input)})`);
+    }
+});
@@ -0,0 +1,151 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import http from 'http';
+import crypto from 'crypto';
+import webpush from 'web-push';
+import { startTestDatabase, createUser } from './helpers/testDatabase.js';
+import { startTestApp, signIn } from './helpers/testApp.js';
+
+let database;
+let app;
+let pushService;
+let pushServiceUrl;
+let sendPushToUser;
+let notifyByPush;
+let isAllowedPushEndpoint;
+
+// What the mock push service received, and the status it answers per path
+const received = [];
+const gone = new Set();
+
+// Helper: keys of a browser subscription
+const browserKeys = () => ({
+    p256dh: crypto.createECDH('prime256v1').generateKeys().toString('base64url'),
+    auth: crypto.randomBytes(16).toString('base64url')
+});
+
+before(async () => {
+    const vapidKeys = webpush.generateVAPIDKeys();
+    process.env.VAPID_PUBLIC_KEY = vapidKeys.publicKey;
+    process.env.VAPID_PRIVATE_KEY = vapidKeys.privateKey;
+    process.env.PUSH_ALLOW_ANY_ENDPOINT = 'true';
+
+    pushService = http.createServer((req, res) => {
+        const chunks = [];
+        req.on('data', chunk => chunks.push(chunk));
+        req.on('end', () => {
+            received.push({ path: req.url, headers: req.headers, body: Buffer.concat(chunks) });
+            res.writeHead(gone.has(req.url) ? 410 : 201, { Location: `${pushServiceUrl}/messages/${received.length}` });
+            res.end();
+        });
+    });
+    await new Promise(resolve => pushService.listen(0, '127.0.0.1', resolve));
+    pushServiceUrl = `http://127.0.0.1:${pushService.address().port}`;
+
+    database = await startTestDatabase();
+    ({ sendPushToUser, notifyByPush } = await import('../src/services/pushNotifications.js'));
+    ({ isAllowedPushEndpoint } = await import('../src/services/webPush.js'));
+    const { default: notificationRoutes } = await import('../src/routes/notifications.js');
+    app = await startTestApp({ '/api/notifications': notificationRoutes });
+});
+
+after(async () => {
+    await app.close();
+    await database.close();
+    await new Promise(resolve => pushService.close(resolve));
+});
+
+const subscribe = (token, endpoint, extra = {}) => app.request('/api/notifications/subscriptions', {
+    method: 'POST', token, body: { endpoint, keys: browserKeys(), ...extra }
+});
+
+test('only https endpoints of the known push services are accepted in production', () => {
+    process.env.PUSH_ALLOW_ANY_ENDPOINT = 'false';
+    try {
+        assert.equal(isAllowedPushEndpoint('https://fcm.googleapis.com/fcm/send/abc'), true);
+        assert.equal(isAllowedPushEndpoint('https://updates.push.services.mozilla.com/wpush/v2/abc'), true);
+        assert.equal(isAllowedPushEndpoint('http://fcm.googleapis.com/fcm/send/abc'), false);
+        assert.equal(isAllowedPushEndpoint('https://fcm.googleapis.com:8443/fcm/send/abc'), false);
+        assert.equal(isAllowedPushEndpoint('https://fcm.googleapis.com.evil.example/abc'), false);
+        assert.equal(isAllowedPushEndpoint(`${pushServiceUrl}/device`), false);
+    } finally {
+        process.env.PUSH_ALLOW_ANY_ENDPOINT = 'true';
+    }
+});
+
+test('subscriptions are stored per device, re-subscribing updates the row', async () => {
+    const user = await createUser(database.db);
+    const token = await signIn(user);
+
+    assert.equal((await app.request('/api/notifications/vapid-public-key', { token })).status, 200);
+
+    const created = await subscribe(token, `${pushServiceUrl}/laptop`, { deviceName: 'Laptop' });
+    assert.equal(created.status, 201);
+    const { subscription } = await created.json();
+    assert.equal(subscription.deviceName, 'Laptop');
+    assert.equal(subscription.endpoint, undefined);
+
+    assert.equal((await subscribe(token, `${pushServiceUrl}/laptop`, { deviceName: 'Work laptop' })).status, 201);
+    assert.equal((await subscribe(token, `${pushServiceUrl}/phone`)).status, 201);
+
+    const listed = await (await app.request('/api/notifications/subscriptions', { token })).json();
+    assert.deepEqual(listed.subscriptions.map(item => item.deviceName).sort(), ['Work laptop', null]);
+
+    assert.equal((await subscribe(token, 'ftp://push.example/device')).status, 400);
+    const noKeys = await app.request('/api/notifications/subscriptions', {
+        method: 'POST', token, body: { endpoint: `${pushServiceUrl}/tablet`, keys: {} }
+    });
+    assert.equal(noKeys.status, 400);
+});
+
+test('a subscription can only be removed by its owner', async () => {
+    const token = await signIn(await createUser(database.db));
+    const { subscription } = await (await subscribe(token, `${pushServiceUrl}/desktop`)).json();
+
+    const otherToken = await signIn(await createUser(database.db));
+    const path = `/api/notifications/subscriptions/${subscription.id}`;
+    assert.equal((await app.request(path, { method: 'DELETE', token: otherToken })).status, 404);
+    assert.equal((await app.request(path, { method: 'DELETE', token })).status, 200);
+    assert.equal((await app.request(path, { method: 'DELETE', token })).status, 404);
+    assert.equal((await app.request('/api/notifications/subscriptions/desktop', { method: 'DELETE', token })).status, 400);
+});
+
+test('pushes are encrypted and signed for each device, expired devices are pruned', async () => {
+    const user = await createUser(database.db);
+    const token = await signIn(user);
+    await subscribe(token, `${pushServiceUrl}/live`);
+    await subscribe(token, `${pushServiceUrl}/expired`);
+    gone.add('/expired');
+    received.length = 0;
+
+    const result = await sendPushToUser(user.id, { kind: 'badge', title: 'New badge', body: 'Well done', url: '/badges' });
+    assert.equal(result.sent, 1);
+    assert.equal(result.pruned, 1);
+    assert.match(result.messageId, /\/messages\/\d+$/);
+
+    const live = received.find(request => request.path === '/live');
+    assert.equal(live.headers['content-encoding'], 'aes128gcm');
+    assert.match(live.headers.authorization, /^vapid t=.+, k=/);
+    assert.equal(live.headers.ttl, '86400');
+    // The payload is encrypted
+    assert.ok(!live.body.toString('latin1').includes('New badge'));
+
+    const { rows } = await database.db.query(
+        'SELECT endpoint, last_success_at FROM push_subscriptions WHERE user_id = $1', [user.id]
+    );
+    assert.equal(rows.length, 1);
+    assert.equal(rows[0].endpoint, `${pushServiceUrl}/live`);
+    assert.ok(rows[0].last_success_at);
+});
+
+test('event pushes respect the learner\'s channels', async () => {
+    const user = await createUser(database.db, { preferences: { notification_channels: ['email'] } });
+    await subscribe(await signIn(user), `${pushServiceUrl}/email-only`);
+    received.length = 0;
+
+    await notifyByPush(user, { kind: 'support_reply', title: 'Reply', body: 'We answered', url: '/support' });
+    assert.equal(received.length, 0);
+
+    await notifyByPush({ ...user, preferences: {} }, { kind: 'support_reply', title: 'Reply', body: 'We answered', url: '/support' });
+    assert.deepEqual(received.map(request => request.path), ['/email-only']);
+});
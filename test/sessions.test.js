@@ -0,0 +1,113 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { startTestDatabase, createUser } from './helpers/testDatabase.js';
+import { startTestApp, signIn } from './helpers/testApp.js';
+
+const UNKNOWN_SESSION = '00000000-0000-4000-8000-000000000000';
+
+let database;
+let app;
+let authTokens;
+
+before(async () => {
+    database = await startTestDatabase();
+    authTokens = await import('../src/services/authTokens.js');
+    const { default: authRoutes } = await import('../src/routes/auth.js');
+    const { default: userRoutes } = await import('../src/routes/users.js');
+    app = await startTestApp({ '/api/auth': authRoutes, '/api/users': userRoutes });
+});
+
+after(async () => {
+    await app.close();
+    await database.close();
+});
+
+// Helper: sign a user in on two devices
+const signInTwice = async (user) => ({
+    laptop: await authTokens.issueTokens(user, { userAgent: 'Laptop', ipAddress: '203.0.113.1' }),
+    phone: await authTokens.issueTokens(user, { userAgent: 'Phone', ipAddress: '203.0.113.2' })
+});
+
+const listSessions = async (token) => (await (await app.request('/api/auth/sessions', { token })).json()).sessions;
+
+test('users list their signed-in devices and sign one out', async () => {
+    const user = await createUser(database.db);
+    const { laptop, phone } = await signInTwice(user);
+
+    const sessions = await listSessions(laptop.accessToken);
+    assert.deepEqual(sessions.map(session => [session.userAgent, session.current]).sort(), [['Laptop', true], ['Phone', false]]);
+
+    const phoneSession = sessions.find(session => session.userAgent === 'Phone');
+    const response = await app.request(`/api/auth/sessions/${phoneSession.id}`, { method: 'DELETE', token: laptop.accessToken });
+    assert.equal(response.status, 200);
+
+    // The phone's tokens stop working right away
+    assert.equal((await app.request('/api/auth/me', { token: phone.accessToken })).status, 401);
+    assert.equal((await app.request('/api/auth/refresh', { method: 'POST', body: { refreshToken: phone.refreshToken } })).status, 401);
+    assert.deepEqual((await listSessions(laptop.accessToken)).map(session => session.userAgent), ['Laptop']);
+
+    // Already signed out, unknown or not a session ID
+    assert.equal((await app.request(`/api/auth/sessions/${phoneSession.id}`, { method: 'DELETE', token: laptop.accessToken })).status, 404);
+    assert.equal((await app.request(`/api/auth/sessions/${UNKNOWN_SESSION}`, { method: 'DELETE', token: laptop.accessToken })).status, 404);
+    assert.equal((await app.request('/api/auth/sessions/phone', { method: 'DELETE', token: laptop.accessToken })).status, 400);
+});
+
+test('a user cannot sign out another user\'s session', async () => {
+    const user = await createUser(database.db);
+    const other = await createUser(database.db);
+    const { laptop } = await signInTwice(user);
+    const otherTokens = await authTokens.issueTokens(other);
+    const [otherSession] = await listSessions(otherTokens.accessToken);
+
+    assert.equal((await app.request(`/api/auth/sessions/${otherSession.id}`, { method: 'DELETE', token: laptop.accessToken })).status, 404);
+    assert.equal((await app.request('/api/auth/me', { token: otherTokens.accessToken })).status, 200);
+});
+
+test('logout ends one session, logout-all ends every session', async () => {
+    const user = await createUser(database.db);
+    const { laptop, phone } = await signInTwice(user);
+
+    assert.equal((await app.request('/api/auth/logout', { method: 'POST', body: { refreshToken: phone.refreshToken } })).status, 200);
+    assert.equal((await app.request('/api/auth/me', { token: phone.accessToken })).status, 401);
+    assert.equal((await app.request('/api/auth/me', { token: laptop.accessToken })).status, 200);
+
+    const tablet = await authTokens.issueTokens(user, { userAgent: 'Tablet' });
+    const response = await app.request('/api/auth/logout-all', { method: 'POST', token: laptop.accessToken });
+    assert.equal(response.status, 200);
+    assert.equal((await response.json()).revokedSessions, 2);
+    assert.equal((await app.request('/api/auth/me', { token: laptop.accessToken })).status, 401);
+    assert.equal((await app.request('/api/auth/me', { token: tablet.accessToken })).status, 401);
+});
+
+test('admins list and revoke a user\'s sessions, with an audit entry', async () => {
+    const user = await createUser(database.db);
+    const { phone } = await signInTwice(user);
+    const admin = await createUser(database.db, { role: 'admin' });
+    const adminToken = await signIn(admin);
+
+    const listed = await app.request(`/api/users/${user.id}/sessions`, { token: adminToken });
+    assert.equal(listed.status, 200);
+    const { sessions } = await listed.json();
+    assert.equal(sessions.length, 2);
+    assert.ok(sessions.every(session => session.current === false));
+
+    const phoneSession = sessions.find(session => session.userAgent === 'Phone');
+    const revoked = await app.request(`/api/users/${user.id}/sessions/${phoneSession.id}`, { method: 'DELETE', token: adminToken });
+    assert.equal(revoked.status, 200);
+    assert.equal((await app.request('/api/auth/me', { token: phone.accessToken })).status, 401);
+
+    const { rows } = await database.db.query(
+        "SELECT actor_id, details FROM audit_logs WHERE action = 'session_revoked' AND target_user_id = $1",
+        [user.id]
+    );
+    assert.deepEqual(rows, [{ actor_id: admin.id, details: { sessionId: phoneSession.id } }]);
+
+    // The session must be the user's
+    const other = await createUser(database.db);
+    assert.equal((await app.request(`/api/users/${other.id}/sessions/${phoneSession.id}`, { method: 'DELETE', token: adminToken })).status, 404);
+    assert.equal((await app.request('/api/users/not-a-uuid/sessions', { token: adminToken })).status, 400);
+
+    // Admins only
+    const { laptop } = await signInTwice(await createUser(database.db, { role: 'manager' }));
+    assert.equal((await app.request(`/api/users/${user.id}/sessions`, { token: laptop.accessToken })).status, 403);
+});
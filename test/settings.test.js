@@ -0,0 +1,53 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { startTestDatabase, createUser } from './helpers/testDatabase.js';
+import { startTestApp, signIn } from './helpers/testApp.js';
+
+let database;
+let app;
+let settings;
+
+before(async () => {
+    // The default cache lifetime - updates must not wait for it
+    delete process.env.SETTINGS_CACHE_TTL_MS;
+    database = await startTestDatabase();
+    settings = await import('../src/services/settings.js');
+    const { default: settingsRoutes } = await import('../src/routes/settings.js');
+    app = await startTestApp({ '/api/settings': settingsRoutes });
+});
+
+after(async () => {
+    await app.close();
+    await database.close();
+});
+
+test('admins update a setting and the server uses it right away', async () => {
+    const token = await signIn(await createUser(database.db, { role: 'admin' }));
+    const before = await settings.getSetting('chat_quotas');
+    assert.equal(before.default.daily, 30);
+
+    const quotas = { ...before, default: { daily: 5, monthly: 50 } };
+    const response = await app.request('/api/settings/chat_quotas', { method: 'PUT', token, body: { value: quotas } });
+    assert.equal(response.status, 200);
+    assert.deepEqual((await response.json()).setting.value, quotas);
+
+    assert.deepEqual((await settings.getSetting('chat_quotas')).default, { daily: 5, monthly: 50 });
+
+    // New keys are created
+    const created = await app.request('/api/settings/test_flag', { method: 'PUT', token, body: { value: true, description: 'Test' } });
+    assert.equal(created.status, 200);
+    assert.equal(await settings.getSetting('test_flag'), true);
+
+    const list = await (await app.request('/api/settings', { token })).json();
+    assert.ok(list.settings.some(setting => setting.key === 'test_flag' && setting.description === 'Test'));
+});
+
+test('only admins can change settings, with a valid key and a value', async () => {
+    const admin = await signIn(await createUser(database.db, { role: 'admin' }));
+    const learner = await signIn(await createUser(database.db));
+
+    assert.equal((await app.request('/api/settings/chat_quotas', { method: 'PUT', token: learner, body: { value: {} } })).status, 403);
+    assert.equal((await app.request('/api/settings', { token: learner })).status, 403);
+    assert.equal((await app.request('/api/settings/Bad-Key', { method: 'PUT', token: admin, body: { value: 1 } })).status, 400);
+    assert.equal((await app.request('/api/settings/chat_quotas', { method: 'PUT', token: admin, body: {} })).status, 400);
+});
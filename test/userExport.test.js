@@ -0,0 +1,116 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import ExcelJS from 'exceljs';
+import { startTestDatabase, createUser, createLesson, insertRow } from './helpers/testDatabase.js';
+import { startTestApp, signIn } from './helpers/testApp.js';
+
+const COMPANY = 'Export Builders';
+
+let database;
+let app;
+let lesson;
+let managerToken;
+
+before(async () => {
+    database = await startTestDatabase();
+    const { default: analyticsRoutes } = await import('../src/routes/analytics.js');
+    app = await startTestApp({ '/api/analytics': analyticsRoutes });
+
+    lesson = await createLesson(database.db, { title: 'Fall protection', chapter_order: 1, lesson_number: 1 });
+    await createLesson(database.db, { title: 'Draft lesson', is_published: false });
+
+    const finished = await createUser(database.db, {
+        company: COMPANY, team: 'North', first_name: 'Dana', last_name: 'Cohen', last_activity_date: '2026-03-10'
+    });
+    await insertRow(database.db, 'lesson_progress', {
+        user_id: finished.id, lesson_id: lesson.id, status: 'completed', completion_percentage: 100, completed_at: new Date().toISOString()
+    });
+    await createUser(database.db, {
+        company: COMPANY, team: 'South', first_name: '=HYPERLINK("x")', last_name: 'Levi, Jr', last_activity_date: '2026-01-05'
+    });
+    await createUser(database.db, { company: 'Someone Else', first_name: 'Outsider' });
+
+    managerToken = await signIn(await createUser(database.db, {
+        role: 'manager', company: COMPANY, first_name: 'Mira', last_name: 'Manager'
+    }));
+});
+
+after(async () => {
+    await app.close();
+    await database.close();
+});
+
+// Helper: CSV body -> rows of fields (quoted fields may hold commas and quotes)
+const parseCsv = (text) => text.trim().split('\r\n').map(line => {
+    const fields = [];
+    const pattern = /("([^"]|"")*"|[^,]*)(,|$)/g;
+    let match;
+    while ((match = pattern.exec(line)) && match[0] !== '') {
+        const field = match[1];
+        fields.push(field.startsWith('"') ? field.slice(1, -1).replace(/""/g, '"') : field);
+        if (match[3] === '') break;
+    }
+    return fields;
+});
+
+const exportCsv = async (query = '', token = managerToken) => {
+    const response = await app.request(`/api/analytics/export${query}`, { token });
+    assert.equal(response.status, 200);
+    assert.match(response.headers.get('content-disposition'), /attachment; filename="users-export-\d{4}-\d{2}-\d{2}\.csv"/);
+    const body = Buffer.from(await response.arrayBuffer());
+    // A BOM so Excel reads the Hebrew as UTF-8
+    assert.deepEqual([...body.subarray(0, 3)], [0xef, 0xbb, 0xbf]);
+    return parseCsv(body.subarray(3).toString('utf8'));
+};
+
+test('managers export their company as CSV with one status column per published lesson', async () => {
+    const [header, ...rows] = await exportCsv();
+
+    assert.equal(header[0], 'שם פרטי');
+    assert.ok(header.includes('1.1 Fall protection'));
+    assert.ok(!header.some(column => column.includes('Draft lesson')));
+
+    const byName = Object.fromEntries(rows.map(row => [row[1], row]));
+    assert.deepEqual(Object.keys(byName).sort(), ['Cohen', 'Levi, Jr', 'Manager']);
+
+    const statusColumn = header.indexOf('1.1 Fall protection');
+    assert.equal(byName.Cohen[statusColumn], 'הושלם');
+    assert.equal(byName['Levi, Jr'][statusColumn], 'לא התחיל');
+    // Formulas are neutralised (CSV injection)
+    assert.equal(byName['Levi, Jr'][0], '\'=HYPERLINK("x")');
+});
+
+test('filters narrow the export by team, role and activity dates', async () => {
+    const north = await exportCsv('?team=North');
+    assert.deepEqual(north.slice(1).map(row => row[1]), ['Cohen']);
+
+    const managers = await exportCsv('?role=manager');
+    assert.deepEqual(managers.slice(1).map(row => row[1]), ['Manager']);
+
+    const active = await exportCsv('?from=2026-03-01&to=2026-03-31');
+    assert.deepEqual(active.slice(1).map(row => row[1]), ['Cohen']);
+
+    assert.equal((await app.request('/api/analytics/export?format=pdf', { token: managerToken })).status, 400);
+    assert.equal((await app.request('/api/analytics/export?from=March', { token: managerToken })).status, 400);
+    assert.equal((await app.request('/api/analytics/export?company=Someone%20Else', { token: managerToken })).status, 403);
+});
+
+test('the XLSX export is a right-to-left sheet with the same rows', async () => {
+    const adminToken = await signIn(await createUser(database.db, { role: 'admin' }));
+    const response = await app.request(`/api/analytics/export?format=xlsx&company=${encodeURIComponent(COMPANY)}`, { token: adminToken });
+    assert.equal(response.status, 200);
+    assert.equal(response.headers.get('content-type'), 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet');
+
+    const workbook = new ExcelJS.Workbook();
+    await workbook.xlsx.load(Buffer.from(await response.arrayBuffer()));
+    const sheet = workbook.getWorksheet('משתמשים');
+
+    assert.equal(sheet.views[0].rightToLeft, true);
+    assert.equal(sheet.getRow(1).getCell(1).value, 'שם פרטי');
+    assert.equal(sheet.rowCount, 4);
+});
+
+test('learners cannot export', async () => {
+    const token = await signIn(await createUser(database.db, { company: COMPANY }));
+    assert.equal((await app.request('/api/analytics/export', { token })).status, 403);
+});
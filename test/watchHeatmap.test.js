@@ -0,0 +1,73 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { startTestDatabase, createUser, createLesson, insertRow } from './helpers/testDatabase.js';
+import { startTestApp, signIn } from './helpers/testApp.js';
+import { getPlayedSegments, buildWatchHeatmap, validateWatchEvents } from '../src/services/watchEvents.js';
+
+let database;
+let app;
+
+before(async () => {
+    database = await startTestDatabase();
+    const { default: analyticsRoutes } = await import('../src/routes/analytics.js');
+    app = await startTestApp({ '/api/analytics': analyticsRoutes });
+});
+
+after(async () => {
+    await app.close();
+    await database.close();
+});
+
+const event = (type, position, extra = {}) => ({ type, position, timestamp: `2026-10-01T08:00:${String(position).padStart(2, '0')}.000Z`, ...extra });
+
+test('played segments follow play, pause, seek and a closed tab', () => {
+    assert.deepEqual(getPlayedSegments({
+        events: [event('play', 0), event('seek', 8, { from: 4 }), event('pause', 10), event('play', 10), event('ended', 12)]
+    }), [[0, 4], [8, 10], [10, 12]]);
+
+    // Seeking while paused doesn't play anything
+    assert.deepEqual(getPlayedSegments({ events: [event('seek', 5, { from: 0 }), event('play', 5)], last_position: 7 }), [[5, 7]]);
+});
+
+test('the heatmap counts each second once per session, and seeks both ways', () => {
+    const heatmap = buildWatchHeatmap([
+        { events: [event('play', 0), event('seek', 1, { from: 3 }), event('pause', 4)] },
+        { events: [event('play', 0), event('seek', 4, { from: 1 }), event('ended', 5)] },
+        { events: [] }
+    ], 5);
+
+    assert.equal(heatmap.sessions, 2);
+    assert.deepEqual(heatmap.retention.map(second => second.viewers), [2, 1, 1, 1, 1]);
+    assert.deepEqual(heatmap.retention.map(second => second.retention), [100, 50, 50, 50, 50]);
+    assert.deepEqual(heatmap.seeks.map(({ from, to }) => [from, to]), [[0, 0], [1, 1], [0, 0], [1, 0], [0, 1]]);
+});
+
+test('invalid watch events are reported', () => {
+    const { events, errors } = validateWatchEvents([event('play', 0), { type: 'rewind', position: 1 }, event('seek', 3)]);
+    assert.equal(events.length, 1);
+    assert.equal(errors.length, 2);
+});
+
+test('GET /api/analytics/lessons/:id/heatmap builds the curve from the scope\'s watch sessions', async () => {
+    const lesson = await createLesson(database.db, { title: 'Harness check', video_duration: 4 });
+    // Sessions count for learners who started the lesson
+    const session = async (company, events) => {
+        const user = await createUser(database.db, { company });
+        await insertRow(database.db, 'lesson_progress', { user_id: user.id, lesson_id: lesson.id });
+        await insertRow(database.db, 'watch_sessions', { user_id: user.id, lesson_id: lesson.id, session_id: 'tab-1', events });
+    };
+    await session('Heatmap Builders', [event('play', 0), event('pause', 4)]);
+    await session('Heatmap Builders', [event('play', 0), event('pause', 2)]);
+    await session('Other Builders', [event('play', 0), event('pause', 1)]);
+
+    const token = await signIn(await createUser(database.db, { role: 'manager', company: 'Heatmap Builders' }));
+    const response = await app.request(`/api/analytics/lessons/${lesson.id}/heatmap`, { token });
+    assert.equal(response.status, 200);
+    const { data } = await response.json();
+    assert.equal(data.sessions, 2);
+    assert.deepEqual(data.retention.map(second => second.retention), [100, 100, 50, 50]);
+
+    const noVideo = await createLesson(database.db, { title: 'Reading only' });
+    assert.equal((await app.request(`/api/analytics/lessons/${noVideo.id}/heatmap`, { token })).status, 400);
+    assert.equal((await app.request('/api/analytics/lessons/00000000-0000-4000-8000-000000000000/heatmap', { token })).status, 404);
+});
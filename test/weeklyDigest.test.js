@@ -0,0 +1,120 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { startTestDatabase, createUser, createLesson, insertRow } from './helpers/testDatabase.js';
+import { createMailbox } from './helpers/mailbox.js';
+
+const COMPANY = 'Digest Builders';
+// Sunday 08:00 in Israel - the digest covers Sunday 11.10 to Saturday 17.10
+const NOW = new Date('2026-10-18T05:00:00Z');
+
+let database;
+let mailbox;
+let digest;
+let manager;
+let optedOutManager;
+
+before(async () => {
+    mailbox = createMailbox();
+    database = await startTestDatabase();
+    digest = await import('../src/services/weeklyDigest.js');
+
+    const lessons = [];
+    for (let number = 1; number <= 4; number++) {
+        lessons.push(await createLesson(database.db, { title: `Digest lesson ${number}`, chapter_order: 1, lesson_number: number }));
+    }
+
+    const learner = (overrides) => createUser(database.db, { company: COMPANY, created_at: '2026-09-01T08:00:00Z', ...overrides });
+    const onTrack = await learner({ first_name: 'Noa', last_name: 'Tal', team: 'North', total_lessons_completed: 4, current_streak: 6 });
+    const behind = await learner({ first_name: 'Omer', last_name: 'Bar', team: 'South', total_lessons_completed: 1, current_streak: 2 });
+    await createUser(database.db, { company: 'Other Builders', created_at: '2026-09-01T08:00:00Z', first_name: 'Outside' });
+
+    const completed = (user, lesson, completedAt) => insertRow(database.db, 'lesson_progress', {
+        user_id: user.id, lesson_id: lesson.id, status: 'completed', completion_percentage: 100, completed_at: completedAt
+    });
+    await completed(onTrack, lessons[2], '2026-10-12T06:00:00Z');
+    await completed(onTrack, lessons[3], '2026-10-17T20:00:00Z');
+    await completed(behind, lessons[0], '2026-10-14T06:00:00Z');
+    // Saturday night after midnight in Israel - next week's
+    await completed(behind, lessons[1], '2026-10-17T22:30:00Z');
+
+    await insertRow(database.db, 'support_tickets', {
+        user_id: behind.id, title: 'Video does not load', description: '...', priority: 'urgent', created_at: '2026-10-15T09:00:00Z'
+    });
+    await insertRow(database.db, 'support_tickets', {
+        user_id: onTrack.id, title: 'Old question', description: '...', status: 'closed'
+    });
+
+    manager = await createUser(database.db, { role: 'manager', company: COMPANY, first_name: 'Mira', last_name: 'Manager' });
+    optedOutManager = await createUser(database.db, {
+        role: 'manager', company: COMPANY, first_name: 'Quiet', preferences: { weekly_digest: false }
+    });
+});
+
+after(async () => {
+    await database.close();
+    mailbox.close();
+});
+
+test('getDigestPeriod is the last full Sunday-Saturday week in Israel time', () => {
+    const period = digest.getDigestPeriod(NOW);
+    assert.equal(period.start, '2026-10-11');
+    assert.equal(period.end, '2026-10-17');
+    assert.equal(period.from.toISOString(), '2026-10-10T21:00:00.000Z');
+    assert.equal(period.to.toISOString(), '2026-10-17T21:00:00.000Z');
+    assert.equal(period.label, '11.10 – 17.10.2026');
+
+    // Late Saturday is still the week before
+    assert.equal(digest.getDigestPeriod(new Date('2026-10-17T20:00:00Z')).start, '2026-10-04');
+});
+
+test('buildManagerDigest sums up the manager\'s company for the week', async () => {
+    const view = await digest.buildManagerDigest(manager, { period: digest.getDigestPeriod(NOW), publishedCount: 4, now: NOW });
+
+    assert.equal(view.scopeLabel, COMPANY);
+    assert.deepEqual(view.completions.byTeam, [
+        { team: 'North', completions: 2, learners: 1 },
+        { team: 'South', completions: 1, learners: 1 }
+    ]);
+    assert.equal(view.completions.total, 3);
+    assert.equal(view.completions.learners, 2);
+
+    assert.deepEqual(view.behind.learners, [{ name: 'Omer Bar', team: 'South', completed: 1, unlocked: 4, behindBy: 3 }]);
+    assert.deepEqual(view.streakLeaders.map(leader => [leader.name, leader.streak]), [['Noa Tal', 6], ['Omer Bar', 2]]);
+
+    assert.equal(view.tickets.total, 1);
+    assert.equal(view.tickets.urgent, 1);
+    assert.deepEqual(view.tickets.items[0], {
+        title: 'Video does not load', userName: 'Omer Bar', priorityLabel: 'דחופה', createdAt: '15.10.2026'
+    });
+
+    // No company, no digest
+    assert.equal(await digest.buildManagerDigest({ role: 'manager' }, { period: digest.getDigestPeriod(NOW), publishedCount: 4 }), null);
+});
+
+test('sendWeeklyDigests mails each manager once per week and respects the opt-out', async () => {
+    const summary = await digest.sendWeeklyDigests({ now: NOW });
+    assert.equal(summary.period, '2026-10-11');
+    assert.equal(summary.failed, 0);
+    assert.ok(summary.sent >= 1);
+    assert.ok(summary.optedOut >= 1);
+
+    const [message] = mailbox.messagesTo(manager.email);
+    assert.equal(message.subject, 'הסיכום השבועי שלך | 11.10 – 17.10.2026');
+    assert.match(message.text, /שלום Mira,/);
+    assert.match(message.text, /שיעורים שהושלמו: 3 \(על ידי 2 לומדים\)/);
+    assert.match(message.text, /- Omer Bar \(South\): הושלמו 1 מתוך 4, פער של 3/);
+    assert.match(message.text, /- Video does not load – Omer Bar \(דחופה\)/);
+    assert.deepEqual(mailbox.messagesTo(optedOutManager.email), []);
+
+    const { rows } = await database.db.query(
+        "SELECT status, period_key FROM notification_log WHERE user_id = $1 AND kind = 'weekly_digest'",
+        [manager.id]
+    );
+    assert.deepEqual(rows, [{ status: 'sent', period_key: '2026-10-11' }]);
+
+    // A second run (a restart, a second instance) sends nothing new
+    const again = await digest.sendWeeklyDigests({ now: new Date('2026-10-18T06:00:00Z') });
+    assert.equal(again.sent, 0);
+    assert.equal(again.alreadySent, summary.sent);
+    assert.equal(mailbox.messagesTo(manager.email).length, 1);
+});